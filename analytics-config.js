@@ -13,6 +13,26 @@ window.ANALYTICS_CONFIG = {
         enableCookieConsent: true
     },
     
+    // Analytics event bus (js/analytics-event-bus.js): every tracker publishes through it
+    eventBus: {
+        batchSize: 20, // events per collector/localStorage batch
+        flushInterval: 10000, // 10 seconds
+        maxPendingEvents: 200, // held until the consent decision for their category
+        sampleRates: {
+            performance: 100, // percent of sessions
+            behavior: 100,
+            marketing: 100
+        },
+        collector: {
+            enabled: false, // set to true once scripts/analytics-collector.js is deployed
+            endpoint: '/analytics/events' // full URL when the collector runs on another host
+        },
+        localStorage: {
+            storageKey: 'analyticsQueue',
+            maxEvents: 500
+        }
+    },
+    
     // Core Web Vitals Monitoring Configuration
     coreWebVitals: {
         enableContinuousMonitoring: true,
@@ -59,14 +79,21 @@ window.ANALYTICS_CONFIG = {
         sessionTimeout: 1800000, // 30 minutes
         enableDebugMode: false
     },
-    
-    // Privacy and Compliance
+
+    // Conversion Funnels (definitions are documented in js/analytics-funnels.js)
+    funnels: {
+        definitions: null, // null uses FunnelAnalyzer.DEFAULT_FUNNELS (article to download)
+        maxCollectorEvents: 1000 // most recent events fetched when the collector is enabled
+    },
+
+    // Privacy and Compliance (consent categories live in js/consent-manager.js)
     privacy: {
         enableConsentBanner: true,
         consentExpiryDays: 30,
         enableDataMinimization: true,
         enableAnonymization: true,
-        respectDoNotTrack: true
+        respectDoNotTrack: true,
+        respectGlobalPrivacyControl: true
     },
     
     // Development and Debugging
@@ -1,6 +1,9 @@
 /**
  * Privacy-Compliant Analytics Implementation
- * Implements Google Analytics 4 with privacy controls and event tracking
+ * Implements Google Analytics 4 with privacy controls and event tracking.
+ * Events are published on the analytics event bus (js/analytics-event-bus.js),
+ * which holds them until their consent category is allowed and delivers them to GA4
+ * and the other transports. Consent itself is kept by js/consent-manager.js.
  */
 
 class AnalyticsManager {
@@ -16,9 +19,9 @@ class AnalyticsManager {
             enableDebugMode: globalConfig.enableDebugMode || false
         };
         
-        this.consentGiven = false;
         this.initialized = false;
-        this.eventQueue = [];
+        this.eventBus = window.analyticsEventBus;
+        this.consentManager = window.consentManager;
         
         this.init();
     }
@@ -27,13 +30,12 @@ class AnalyticsManager {
      * Initialize analytics with privacy controls
      */
     init() {
-        // Check for existing consent
-        this.consentGiven = this.getStoredConsent();
-        
-        if (this.consentGiven) {
-            this.loadGoogleAnalytics();
-        } else {
-            this.showConsentBanner();
+        // Google Analytics loads once any optional category is allowed and
+        // follows later changes through Consent Mode. Without the consent
+        // manager nothing optional is allowed, so it never loads.
+        if (this.consentManager) {
+            this.applyConsent(this.consentManager.getState());
+            this.consentManager.onChange(state => this.applyConsent(state));
         }
         
         // Initialize event tracking
@@ -46,7 +48,7 @@ class AnalyticsManager {
     /**
      * Load Google Analytics 4
      */
-    loadGoogleAnalytics() {
+    loadGoogleAnalytics(consentMode) {
         if (this.initialized) return;
         
         // Load gtag script
@@ -60,174 +62,49 @@ class AnalyticsManager {
         function gtag(){dataLayer.push(arguments);}
         window.gtag = gtag;
         
+        gtag('consent', 'default', consentMode);
         gtag('js', new Date());
         gtag('config', this.config.measurementId, {
             anonymize_ip: true,
-            allow_google_signals: false,
-            allow_ad_personalization_signals: false,
+            // Advertising signals only with marketing consent
+            allow_google_signals: consentMode.ad_storage === 'granted',
+            allow_ad_personalization_signals: consentMode.ad_personalization === 'granted',
             sample_rate: this.config.sampleRate,
             debug_mode: this.config.enableDebugMode
         });
         
         this.initialized = true;
         
-        // Process queued events
-        this.processEventQueue();
-        
         console.log('Analytics initialized with privacy controls');
     }
     
     /**
-     * Show privacy-compliant consent banner
-     */
-    showConsentBanner() {
-        const banner = document.createElement('div');
-        banner.id = 'analytics-consent-banner';
-        banner.className = 'consent-banner';
-        banner.innerHTML = `
-            <div class="consent-content">
-                <div class="consent-text">
-                    <h3>Privacy & Analytics</h3>
-                    <p>We use privacy-focused analytics to improve your experience. No personal data is collected or shared.</p>
-                </div>
-                <div class="consent-actions">
-                    <button id="consent-accept" class="btn-accept">Accept</button>
-                    <button id="consent-decline" class="btn-decline">Decline</button>
-                    <a href="/privacy" class="privacy-link">Privacy Policy</a>
-                </div>
-            </div>
-        `;
-        
-        // Add styles
-        const style = document.createElement('style');
-        style.textContent = `
-            .consent-banner {
-                position: fixed;
-                bottom: 0;
-                left: 0;
-                right: 0;
-                background: #2c3e50;
-                color: white;
-                padding: 1rem;
-                z-index: 10000;
-                box-shadow: 0 -4px 15px rgba(0,0,0,0.2);
-            }
-            .consent-content {
-                max-width: 1200px;
-                margin: 0 auto;
-                display: flex;
-                justify-content: space-between;
-                align-items: center;
-                gap: 1rem;
-            }
-            .consent-text h3 {
-                margin: 0 0 0.5rem 0;
-                font-size: 1.1rem;
-            }
-            .consent-text p {
-                margin: 0;
-                font-size: 0.9rem;
-                opacity: 0.9;
-            }
-            .consent-actions {
-                display: flex;
-                gap: 1rem;
-                align-items: center;
-            }
-            .btn-accept, .btn-decline {
-                padding: 0.5rem 1rem;
-                border: none;
-                border-radius: 4px;
-                cursor: pointer;
-                font-weight: 500;
-            }
-            .btn-accept {
-                background: #27ae60;
-                color: white;
-            }
-            .btn-decline {
-                background: #95a5a6;
-                color: white;
-            }
-            .privacy-link {
-                color: #3498db;
-                text-decoration: none;
-                font-size: 0.9rem;
-            }
-            @media (max-width: 768px) {
-                .consent-content {
-                    flex-direction: column;
-                    text-align: center;
-                }
-                .consent-actions {
-                    justify-content: center;
-                }
-            }
-        `;
-        
-        document.head.appendChild(style);
-        document.body.appendChild(banner);
-        
-        // Handle consent actions
-        document.getElementById('consent-accept').addEventListener('click', () => {
-            this.grantConsent();
-            banner.remove();
-        });
-        
-        document.getElementById('consent-decline').addEventListener('click', () => {
-            this.declineConsent();
-            banner.remove();
-        });
-    }
-    
-    /**
-     * Grant analytics consent
+     * Map consent categories to Google Analytics Consent Mode
      */
-    grantConsent() {
-        this.consentGiven = true;
-        localStorage.setItem('analytics_consent', 'granted');
-        localStorage.setItem('analytics_consent_date', new Date().toISOString());
-        
-        this.loadGoogleAnalytics();
-        
-        // Track consent granted event
-        this.trackEvent('consent_granted', {
-            event_category: 'Privacy',
-            consent_type: 'analytics'
-        });
-    }
-    
-    /**
-     * Decline analytics consent
-     */
-    declineConsent() {
-        this.consentGiven = false;
-        localStorage.setItem('analytics_consent', 'denied');
-        localStorage.setItem('analytics_consent_date', new Date().toISOString());
-        
-        console.log('Analytics consent declined');
+    getConsentMode(categories) {
+        const analytics = categories.performance || categories.behavior ? 'granted' : 'denied';
+        const ads = categories.marketing ? 'granted' : 'denied';
+        return {
+            analytics_storage: analytics,
+            ad_storage: ads,
+            ad_user_data: ads,
+            ad_personalization: ads
+        };
     }
     
     /**
-     * Get stored consent preference
+     * Apply a consent decision: load Google Analytics when first allowed,
+     * otherwise update its Consent Mode
      */
-    getStoredConsent() {
-        const consent = localStorage.getItem('analytics_consent');
-        const consentDate = localStorage.getItem('analytics_consent_date');
-        
-        // Check if consent is expired (30 days)
-        if (consentDate) {
-            const thirtyDaysAgo = new Date();
-            thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
-            
-            if (new Date(consentDate) < thirtyDaysAgo) {
-                localStorage.removeItem('analytics_consent');
-                localStorage.removeItem('analytics_consent_date');
-                return false;
-            }
+    applyConsent(state) {
+        const consentMode = this.getConsentMode(state.categories);
+        const anyAllowed = Object.values(consentMode).includes('granted');
+        
+        if (this.initialized) {
+            window.gtag('consent', 'update', consentMode);
+        } else if (anyAllowed) {
+            this.loadGoogleAnalytics(consentMode);
         }
-        
-        return consent === 'granted';
     }
     
     /**
@@ -252,34 +129,16 @@ class AnalyticsManager {
      * Track custom events
      */
     trackEvent(eventName, parameters = {}) {
-        if (!this.consentGiven) {
-            // Queue event for later if consent not given
-            this.eventQueue.push({ eventName, parameters, timestamp: Date.now() });
-            return;
-        }
-        
-        if (!this.initialized) {
-            // Queue event if analytics not loaded yet
-            this.eventQueue.push({ eventName, parameters, timestamp: Date.now() });
-            return;
-        }
-        
         // Add default parameters
         const eventData = {
             ...parameters,
-            timestamp: Date.now(),
             user_agent: navigator.userAgent,
             screen_resolution: `${screen.width}x${screen.height}`,
             viewport_size: `${window.innerWidth}x${window.innerHeight}`
         };
         
-        if (typeof gtag !== 'undefined') {
-            gtag('event', eventName, eventData);
-            
-            if (this.config.enableDebugMode) {
-                console.log('Analytics Event:', eventName, eventData);
-            }
-        }
+        // Pages that don't load js/analytics-event-bus.js track nothing
+        return this.eventBus?.publish(eventName, eventData, { source: 'analytics' }) ?? null;
     }
     
     /**
@@ -362,11 +221,6 @@ class AnalyticsManager {
      * Setup automatic event tracking
      */
     setupEventTracking() {
-        // Initialize cross-page analytics if enabled
-        if (window.ANALYTICS_CONFIG?.crossPageIntegration?.enableCrossPageTracking) {
-            this.initializeCrossPageAnalytics();
-        }
-        
         // Track outbound links
         document.addEventListener('click', (e) => {
             const link = e.target.closest('a');
@@ -489,16 +343,6 @@ class AnalyticsManager {
         });
     }
     
-    /**
-     * Process queued events
-     */
-    processEventQueue() {
-        while (this.eventQueue.length > 0) {
-            const { eventName, parameters } = this.eventQueue.shift();
-            this.trackEvent(eventName, parameters);
-        }
-    }
-    
     /**
      * Get content group for current page
      */
@@ -546,62 +390,6 @@ class AnalyticsManager {
         this.config = { ...this.config, ...newConfig };
     }
     
-    /**
-     * Initialize cross-page analytics integration
-     */
-    initializeCrossPageAnalytics() {
-        // Listen for cross-page analytics events
-        document.addEventListener('crossPageAnalytics', (event) => {
-            const { eventType, data } = event.detail;
-            
-            // Map cross-page events to GA4 events
-            switch (eventType) {
-                case 'cross_page_navigation':
-                    this.trackEvent('cross_page_click', {
-                        event_category: 'Cross Page Integration',
-                        event_label: `${data.source.page} → ${data.target.href}`,
-                        source_page: data.source.page,
-                        target_page: data.target.href,
-                        link_text: data.source.linkText,
-                        time_on_page: data.interaction.timeOnPage
-                    });
-                    break;
-                    
-                case 'content_preview_interaction':
-                    this.trackEvent('content_preview', {
-                        event_category: 'Content Preview',
-                        event_label: data.preview.title,
-                        preview_action: data.preview.action,
-                        preview_source: data.preview.source,
-                        time_on_page: data.timeOnPage
-                    });
-                    break;
-                    
-                case 'related_content_click':
-                    this.trackEvent('related_content', {
-                        event_category: 'Related Content',
-                        event_label: data.content.title,
-                        content_position: data.content.position,
-                        source_page: data.page,
-                        target_href: data.content.href
-                    });
-                    break;
-                    
-                case 'breadcrumb_navigation':
-                    this.trackEvent('breadcrumb_click', {
-                        event_category: 'Navigation',
-                        event_label: data.breadcrumb.text,
-                        breadcrumb_level: data.breadcrumb.level,
-                        source_page: data.page,
-                        target_href: data.breadcrumb.href
-                    });
-                    break;
-            }
-        });
-        
-        console.log('Cross-page analytics integration initialized');
-    }
-    
     /**
      * Track cross-page integration metrics
      */
@@ -619,8 +407,8 @@ class AnalyticsManager {
     getStatus() {
         return {
             initialized: this.initialized,
-            consentGiven: this.consentGiven,
-            queuedEvents: this.eventQueue.length,
+            consent: this.consentManager ? this.consentManager.getState().categories : { essential: true },
+            queuedEvents: this.eventBus ? this.eventBus.getStatus().pending : 0,
             crossPageEnabled: window.ANALYTICS_CONFIG?.crossPageIntegration?.enableCrossPageTracking || false
         };
     }
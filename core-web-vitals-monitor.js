@@ -46,7 +46,7 @@ class CoreWebVitalsMonitor {
         this.setupContinuousMonitoring();
         this.setupAlertSystem();
         this.setupDashboard();
-        this.startMonitoring();
+        this.followConsent();
         
         // Integrate with existing analytics
         this.integrateWithAnalytics();
@@ -58,7 +58,7 @@ class CoreWebVitalsMonitor {
     isSupported() {
         return 'PerformanceObserver' in window && 
                'performance' in window &&
-               typeof window.analyticsManager !== 'undefined';
+               typeof window.analyticsEventBus !== 'undefined';
     }
     
     /**
@@ -438,15 +438,13 @@ class CoreWebVitalsMonitor {
         this.consoleAlertHandler?.(alertData);
         
         // Send to analytics
-        if (window.analyticsManager) {
-            window.analyticsManager.trackEvent('performance_alert', {
-                event_category: 'Performance',
-                metric: alertData.metric,
-                severity: alertData.severity,
-                value: alertData.value,
-                threshold: alertData.threshold
-            });
-        }
+        this.publish('performance_alert', {
+            event_category: 'Performance',
+            metric: alertData.metric,
+            severity: alertData.severity,
+            value: alertData.value,
+            threshold: alertData.threshold
+        });
     }
     
     /**
@@ -771,6 +769,29 @@ class CoreWebVitalsMonitor {
         console.log('Core Web Vitals continuous monitoring started');
     }
     
+    /**
+     * Run the periodic health checks only while the visitor allows the
+     * performance consent category; the metrics and dashboard stay local
+     */
+    followConsent() {
+        if (!window.consentManager) {
+            this.startMonitoring();
+            return;
+        }
+        
+        const apply = state => {
+            if (state.categories.performance) {
+                this.startMonitoring();
+            } else if (this.monitoringActive) {
+                this.monitoringActive = false;
+                clearInterval(this.monitoringInterval);
+                console.log('Core Web Vitals reporting paused: performance consent withdrawn');
+            }
+        };
+        apply(window.consentManager.getState());
+        window.consentManager.onChange(apply);
+    }
+    
     /**
      * Stop monitoring
      */
@@ -802,12 +823,10 @@ class CoreWebVitalsMonitor {
         };
         
         // Send health check to analytics
-        if (window.analyticsManager) {
-            window.analyticsManager.trackEvent('performance_health_check', {
-                event_category: 'Performance',
-                ...healthData
-            });
-        }
+        this.publish('performance_health_check', {
+            event_category: 'Performance',
+            ...healthData
+        });
     }
     
     /**
@@ -925,6 +944,28 @@ Please investigate and take appropriate action.
         if (window.analyticsManager) {
             window.analyticsManager.cwvMonitor = this;
         }
+        
+        // Report the latest value of each metric whenever the page is hidden
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState !== 'hidden') {
+                return;
+            }
+            Object.values(this.metrics.current).forEach(metricData => {
+                this.publish('web_vital', {
+                    event_category: 'Web Vitals',
+                    metric: metricData.metric,
+                    value: metricData.value,
+                    rating: metricData.rating
+                });
+            });
+        });
+    }
+    
+    /**
+     * Publish an event on the analytics event bus
+     */
+    publish(eventName, params) {
+        window.analyticsEventBus?.publish(eventName, params, { source: 'web-vitals' });
     }
     
     /**
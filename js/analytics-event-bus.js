@@ -0,0 +1,720 @@
+/**
+ * Analytics Event Bus
+ * Single publishing point for every tracker on the site. Events are checked
+ * against a typed schema, held until their consent category is allowed,
+ * sampled per session
+ * and delivered to pluggable transports: GA4, a self-hosted collector,
+ * the console and localStorage.
+ */
+
+class AnalyticsEventBus {
+    constructor(options = {}) {
+        this.options = {
+            // Events per batch for batched transports (collector, localStorage)
+            batchSize: 20,
+            flushInterval: 10000,
+            // Events kept while waiting for a consent decision
+            maxPendingEvents: 200,
+            // Percentage of sessions sending each category; essential events are never sampled
+            sampleRates: {},
+            sessionStorageKey: 'gguf-loader-analytics-session',
+            ...options
+        };
+
+        this.transports = new Map();
+        this.subscribers = new Set();
+        this.buffer = [];
+        this.pending = [];
+        // Per optional category: 'pending' until the visitor decides, then 'granted' or 'denied'
+        this.consent = {};
+        AnalyticsEventBus.CATEGORIES.filter(category => category !== 'essential')
+            .forEach(category => { this.consent[category] = 'pending'; });
+        this.sessionId = this.getSessionId();
+        this.flushTimer = null;
+        // Set while the page is hidden or being left: events are sent straight away
+        this.leaving = false;
+        this.stats = { published: 0, invalid: 0, sampledOut: 0, dropped: 0 };
+
+        if (typeof window !== 'undefined') {
+            const leave = () => {
+                this.leaving = true;
+                this.flush({ unloading: true });
+            };
+            // Mobile browsers often discard hidden tabs without firing beforeunload
+            window.addEventListener('pagehide', leave);
+            document.addEventListener('visibilitychange', () => {
+                if (document.visibilityState === 'hidden') {
+                    leave();
+                } else {
+                    this.leaving = false;
+                }
+            });
+        }
+    }
+
+    /**
+     * Create the site's bus and transports from window.ANALYTICS_CONFIG
+     */
+    static fromConfig(config = {}) {
+        const busConfig = config.eventBus || {};
+        const options = {};
+        ['batchSize', 'flushInterval', 'maxPendingEvents', 'sampleRates'].forEach(key => {
+            if (busConfig[key] !== undefined) {
+                options[key] = busConfig[key];
+            }
+        });
+
+        const bus = new AnalyticsEventBus(options);
+        bus.addTransport(new GA4Transport(config.googleAnalytics));
+        bus.addTransport(new LocalStorageTransport(busConfig.localStorage));
+        if (busConfig.collector?.enabled) {
+            bus.addTransport(new CollectorTransport(busConfig.collector));
+        }
+        if (config.development?.enableConsoleLogging) {
+            bus.addTransport(new ConsoleTransport());
+        }
+        return bus;
+    }
+
+    static get CATEGORIES() {
+        return ['essential', 'performance', 'behavior', 'marketing'];
+    }
+
+    /**
+     * Known events. params lists typed parameters ('string', 'number',
+     * 'boolean', 'object' or 'array'); required ones must be present.
+     * Undeclared parameters are allowed when they are strings, numbers,
+     * booleans or null.
+     */
+    static get SCHEMA() {
+        const crossPage = { category: 'behavior', params: { sessionId: 'string', page: 'string' } };
+        const suggestion = {
+            category: 'behavior',
+            params: { type: 'string', element: 'object', position: 'object', viewport: 'object', clickCoordinates: 'object' }
+        };
+        return {
+            // Consent decisions are recorded whatever the decision was
+            consent_updated: {
+                category: 'essential',
+                params: { performance: 'boolean', behavior: 'boolean', marketing: 'boolean', source: 'string' },
+                required: ['performance', 'behavior', 'marketing']
+            },
+
+            page_view: { category: 'behavior', params: { page_title: 'string', page_path: 'string', custom_map: 'object' } },
+            outbound_link: { category: 'behavior', params: { event_label: 'string' }, required: ['event_label'] },
+            form_submit: { category: 'behavior', params: { event_label: 'string', form_id: 'string' } },
+            scroll_depth: { category: 'behavior', params: { scroll_depth: 'number' } },
+            time_on_page: { category: 'behavior', params: { time_threshold: 'number' }, required: ['time_threshold'] },
+            session_duration: { category: 'behavior', params: { session_duration: 'number' }, required: ['session_duration'] },
+            file_download: { category: 'behavior', params: { file_type: 'string', download_url: 'string' }, required: ['download_url'] },
+            documentation_usage: { category: 'behavior', params: { doc_action: 'string' }, required: ['doc_action'] },
+            user_flow: { category: 'behavior', params: { flow_step: 'string' } },
+            search: { category: 'behavior', params: { search_term: 'string', results_count: 'number' }, required: ['search_term'] },
+            engagement: { category: 'behavior', params: { engagement_type: 'string' }, required: ['engagement_type'] },
+            button_click: { category: 'behavior', params: { button_text: 'string' } },
+            link_click: { category: 'behavior', params: { link_url: 'string' } },
+            floating_button_click: { category: 'behavior', params: { button_type: 'string' } },
+            model_comparison_interaction: { category: 'behavior', params: { tool_section: 'string', action: 'string' } },
+            model_download: { category: 'behavior', params: { model_name: 'string', model_id: 'string' } },
+            model_compare: { category: 'behavior', params: { model_ids: 'string' }, required: ['model_ids'] },
+            gguf_inspect: { category: 'behavior', params: { architecture: 'string', file_type: 'string' } },
+            search_result_click: { category: 'behavior', params: { search_term: 'string', result_url: 'string' }, required: ['result_url'] },
+            // star-gate.js: click, bypass, star, dismiss or continue
+            star_gate: {
+                category: 'behavior',
+                params: { action: 'string', download_url: 'string', gated: 'boolean' },
+                required: ['action']
+            },
+            user_behavior_data: {
+                category: 'behavior',
+                params: { events_count: 'number', events: 'array', heatmap: 'object', summary: 'object' },
+                required: ['events_count']
+            },
+            cross_page_metrics: { category: 'behavior', params: {} },
+
+            // CrossPageAnalytics events keep their nested detail objects
+            page_load: { ...crossPage, params: { ...crossPage.params, page: 'object', user: 'object' } },
+            cross_page_navigation: { ...crossPage, params: { ...crossPage.params, source: 'object', target: 'object', interaction: 'object' } },
+            content_preview_interaction: { ...crossPage, params: { ...crossPage.params, preview: 'object' } },
+            related_content_click: { ...crossPage, params: { ...crossPage.params, content: 'object' } },
+            breadcrumb_navigation: { ...crossPage, params: { ...crossPage.params, breadcrumb: 'object' } },
+            visibility_change: { ...crossPage, params: { ...crossPage.params, visible: 'boolean' } },
+            scroll_engagement: { ...crossPage, params: { ...crossPage.params, scroll: 'object' } },
+            page_exit: crossPage,
+            history_change: crossPage,
+            custom_event: { ...crossPage, params: { ...crossPage.params, eventName: 'string', properties: 'object' } },
+
+            suggestion_interaction: { ...suggestion, required: ['type'] },
+            suggestion_click: suggestion,
+            suggestion_metrics: {
+                category: 'behavior',
+                params: { suggestions: 'object', relatedContent: 'object', contentPreviews: 'object', userBehavior: 'object', performance: 'object' }
+            },
+
+            web_vital: { category: 'performance', params: { metric: 'string', value: 'number', rating: 'string' }, required: ['metric', 'value'] },
+            performance_alert: { category: 'performance', params: { metric: 'string', severity: 'string', value: 'number' }, required: ['metric'] },
+            performance_health_check: { category: 'performance', params: { metrics: 'object', memoryUsage: 'object', connectionInfo: 'object' } },
+            javascript_error: { category: 'performance', params: { event_label: 'string', error_line: 'number' } },
+            promise_rejection: { category: 'performance', params: { event_label: 'string' } },
+
+            conversion: { category: 'marketing', params: { event_label: 'string', currency: 'string' } }
+        };
+    }
+
+    /**
+     * Check an event name and parameters against the schema
+     *
+     * @returns {string[]} problems found; empty when the event is valid
+     */
+    validate(eventName, params = {}) {
+        const definition = AnalyticsEventBus.SCHEMA[eventName];
+        if (!definition) {
+            return [`Unknown event "${eventName}"`];
+        }
+        if (!params || typeof params !== 'object' || Array.isArray(params)) {
+            return [`${eventName}: parameters must be an object`];
+        }
+
+        const errors = [];
+        (definition.required || []).forEach(key => {
+            if (params[key] === undefined || params[key] === null) {
+                errors.push(`${eventName}: missing required parameter "${key}"`);
+            }
+        });
+        Object.entries(params).forEach(([key, value]) => {
+            if (value === undefined || value === null) {
+                return;
+            }
+            const expected = definition.params[key];
+            const actual = Array.isArray(value) ? 'array' : typeof value;
+            if (expected && actual !== expected) {
+                errors.push(`${eventName}: "${key}" should be ${expected}, not ${actual}`);
+            } else if (!expected && !['string', 'number', 'boolean'].includes(actual)) {
+                errors.push(`${eventName}: undeclared parameter "${key}" must be a string, number or boolean`);
+            }
+        });
+        return errors;
+    }
+
+    /**
+     * Publish an event. Invalid events are dropped with a warning so a
+     * tracker bug never breaks the page.
+     *
+     * @param {string} eventName - key of SCHEMA
+     * @param {Object} params
+     * @param {Object} meta - { source: name of the publishing tracker }
+     * @returns {Object|null} the event envelope, or null when it was not accepted
+     */
+    publish(eventName, params = {}, meta = {}) {
+        const errors = this.validate(eventName, params);
+        if (errors.length > 0) {
+            this.stats.invalid++;
+            console.warn('Analytics event rejected:', errors.join('; '));
+            return null;
+        }
+
+        const definition = AnalyticsEventBus.SCHEMA[eventName];
+        const event = {
+            id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`,
+            name: eventName,
+            category: definition.category,
+            source: meta.source || 'site',
+            timestamp: Date.now(),
+            sessionId: this.sessionId,
+            page: typeof window !== 'undefined' ? window.location.pathname : null,
+            params
+        };
+
+        if (!this.isSampled(event.category)) {
+            this.stats.sampledOut++;
+            return null;
+        }
+
+        if (!this.hasConsent(event.category)) {
+            if (this.consent[event.category] === 'denied') {
+                this.stats.dropped++;
+                return null;
+            }
+            this.pending.push(event);
+            if (this.pending.length > this.options.maxPendingEvents) {
+                this.pending.shift();
+                this.stats.dropped++;
+            }
+            return event;
+        }
+
+        this.dispatch(event);
+        return event;
+    }
+
+    /**
+     * Hand an accepted event to subscribers and unbatched transports, and
+     * buffer it for the batched ones
+     */
+    dispatch(event) {
+        this.stats.published++;
+        this.subscribers.forEach(listener => {
+            try {
+                listener(event);
+            } catch (error) {
+                console.warn('Analytics subscriber failed:', error);
+            }
+        });
+
+        this.transports.forEach(transport => {
+            if (!transport.batched) {
+                this.deliver(transport, [event], {});
+            }
+        });
+
+        this.buffer.push(event);
+        if (this.leaving) {
+            this.flush({ unloading: true });
+        } else if (this.buffer.length >= this.options.batchSize) {
+            this.flush();
+        } else {
+            this.scheduleFlush();
+        }
+    }
+
+    /**
+     * Send buffered events to every batched transport
+     */
+    flush(context = {}) {
+        if (this.flushTimer) {
+            clearTimeout(this.flushTimer);
+            this.flushTimer = null;
+        }
+        if (this.buffer.length === 0) {
+            return;
+        }
+
+        const events = this.buffer.splice(0, this.buffer.length);
+        this.transports.forEach(transport => {
+            if (transport.batched) {
+                this.deliver(transport, events, context);
+            }
+        });
+    }
+
+    scheduleFlush() {
+        if (!this.flushTimer) {
+            this.flushTimer = setTimeout(() => this.flush(), this.options.flushInterval);
+        }
+    }
+
+    deliver(transport, events, context) {
+        try {
+            Promise.resolve(transport.send(events, context)).catch(error => {
+                console.warn(`Analytics transport "${transport.name}" failed:`, error);
+            });
+        } catch (error) {
+            console.warn(`Analytics transport "${transport.name}" failed:`, error);
+        }
+    }
+
+    /**
+     * Record the visitor's consent decision, either for every optional
+     * category (true/false) or per category ({ performance: true, ... }).
+     * Granting a category releases its held events; denying discards them
+     * and asks transports that keep events to forget that category.
+     */
+    setConsent(decision) {
+        const categories = Object.keys(this.consent);
+        const granted = typeof decision === 'object' && decision !== null
+            ? categories.filter(category => decision[category] === true)
+            : categories.filter(() => decision === true);
+        const revoked = categories.filter(category => !granted.includes(category)
+            && this.consent[category] === 'granted');
+
+        categories.forEach(category => {
+            this.consent[category] = granted.includes(category) ? 'granted' : 'denied';
+        });
+
+        const held = this.pending.splice(0, this.pending.length);
+        held.forEach(event => {
+            if (this.hasConsent(event.category)) {
+                this.dispatch(event);
+            } else {
+                this.stats.dropped++;
+            }
+        });
+
+        if (revoked.length > 0) {
+            this.buffer = this.buffer.filter(event => !revoked.includes(event.category));
+            this.transports.forEach(transport => {
+                if (typeof transport.forget === 'function') {
+                    try {
+                        transport.forget(revoked);
+                    } catch (error) {
+                        console.warn(`Analytics transport "${transport.name}" could not forget events:`, error);
+                    }
+                }
+            });
+        }
+    }
+
+    /**
+     * Whether events of a category may be sent. Without a category, whether
+     * any optional category is allowed.
+     */
+    hasConsent(category) {
+        if (category === 'essential') {
+            return true;
+        }
+        if (category === undefined) {
+            return Object.values(this.consent).includes('granted');
+        }
+        return this.consent[category] === 'granted';
+    }
+
+    /**
+     * Keep the bus in step with a ConsentManager: apply its current
+     * decision and every later change, including ones made in other tabs
+     *
+     * @returns {Function} stop following
+     */
+    followConsent(consentManager) {
+        const apply = state => {
+            if (state.decided) {
+                this.setConsent(state.categories);
+            }
+        };
+        apply(consentManager.getState());
+        return consentManager.onChange(apply);
+    }
+
+    /**
+     * Whether this session is sampled in for a category (or any other key,
+     * such as heatmap recording). The decision is stable for the session.
+     *
+     * @param {string} key
+     * @param {number} rate - percentage; defaults to the configured rate for the key
+     */
+    isSampled(key, rate = this.options.sampleRates[key]) {
+        if (key === 'essential' || rate === undefined || rate >= 100) {
+            return true;
+        }
+        let hash = 0;
+        for (const char of `${this.sessionId}:${key}`) {
+            hash = (hash * 31 + char.charCodeAt(0)) >>> 0;
+        }
+        return (hash % 10000) < rate * 100;
+    }
+
+    addTransport(transport) {
+        if (!transport || !transport.name || typeof transport.send !== 'function') {
+            throw new Error('Analytics transports need a name and a send(events, context) method');
+        }
+        this.transports.set(transport.name, transport);
+        return transport;
+    }
+
+    removeTransport(name) {
+        return this.transports.delete(name);
+    }
+
+    getTransport(name) {
+        return this.transports.get(name) || null;
+    }
+
+    /**
+     * Call listener with every event that passes consent and sampling
+     *
+     * @returns {Function} unsubscribe
+     */
+    subscribe(listener) {
+        this.subscribers.add(listener);
+        return () => this.subscribers.delete(listener);
+    }
+
+    /**
+     * Session id shared by every page of a visit
+     */
+    getSessionId() {
+        const create = () => `session_${Date.now()}_${Math.random().toString(36).slice(2, 11)}`;
+        try {
+            let sessionId = sessionStorage.getItem(this.options.sessionStorageKey);
+            if (!sessionId) {
+                sessionId = create();
+                sessionStorage.setItem(this.options.sessionStorageKey, sessionId);
+            }
+            return sessionId;
+        } catch (error) {
+            return create();
+        }
+    }
+
+    getStatus() {
+        return {
+            consent: { ...this.consent },
+            sessionId: this.sessionId,
+            pending: this.pending.length,
+            buffered: this.buffer.length,
+            transports: [...this.transports.keys()],
+            ...this.stats
+        };
+    }
+}
+
+/**
+ * Sends each event to Google Analytics 4 through gtag. GA4 only takes flat
+ * parameters, so nested objects are flattened one level (source.page
+ * becomes source_page) and anything deeper is left out.
+ */
+class GA4Transport {
+    constructor(options = {}) {
+        this.name = 'ga4';
+        this.batched = false;
+        this.options = {
+            measurementId: 'G-XXXXXXXXXX',
+            enableDebugMode: false,
+            ...options
+        };
+    }
+
+    send(events) {
+        events.forEach(event => {
+            const params = this.toParams(event);
+
+            // gtag drops hits sent while offline; the service worker outbox
+            // replays them once the connection is back
+            if (navigator.onLine === false && window.serviceWorkerClient?.isControlled()) {
+                this.queueOfflineEvent(event, params);
+                return;
+            }
+
+            if (typeof window.gtag === 'function') {
+                window.gtag('event', event.name, params);
+
+                if (this.options.enableDebugMode) {
+                    console.log('Analytics Event:', event.name, params);
+                }
+            }
+        });
+    }
+
+    toParams(event) {
+        const params = {};
+        Object.entries(event.params).forEach(([key, value]) => {
+            if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+                Object.entries(value).forEach(([subKey, subValue]) => {
+                    if (['string', 'number', 'boolean'].includes(typeof subValue)) {
+                        params[`${key}_${subKey}`] = subValue;
+                    }
+                });
+            } else if (['string', 'number', 'boolean'].includes(typeof value)) {
+                params[key] = value;
+            }
+        });
+        return params;
+    }
+
+    /**
+     * Queue an event as a GA4 collect request in the service worker outbox.
+     * The worker adds the queue time (qt) on replay so GA4 backdates the hit.
+     */
+    queueOfflineEvent(event, eventParams) {
+        const params = new URLSearchParams({
+            v: '2',
+            tid: this.options.measurementId,
+            cid: this.getClientId(),
+            en: event.name,
+            dl: window.location.href,
+            dt: document.title
+        });
+
+        Object.entries(eventParams).forEach(([key, value]) => {
+            params.set(typeof value === 'number' ? `epn.${key}` : `ep.${key}`, String(value));
+        });
+
+        window.serviceWorkerClient.queueRequest({
+            kind: 'analytics',
+            url: `https://www.google-analytics.com/g/collect?${params}`,
+            method: 'POST',
+            mode: 'no-cors',
+            queueTimeParam: 'qt',
+            dedupeKey: `analytics:${event.id}`
+        }).catch(error => console.warn('Failed to queue offline analytics event:', error));
+    }
+
+    /**
+     * GA client id from the _ga cookie, or a stored one when gtag has not set it
+     */
+    getClientId() {
+        const match = document.cookie.match(/(?:^|;\s*)_ga=GA\d+\.\d+\.(\d+\.\d+)/);
+        if (match) {
+            return match[1];
+        }
+
+        const storageKey = 'gguf-loader-analytics-client-id';
+        try {
+            let clientId = localStorage.getItem(storageKey);
+            if (!clientId) {
+                clientId = `${Math.floor(Math.random() * 2147483647)}.${Math.floor(Date.now() / 1000)}`;
+                localStorage.setItem(storageKey, clientId);
+            }
+            return clientId;
+        } catch (error) {
+            return `${Math.floor(Math.random() * 2147483647)}.${Math.floor(Date.now() / 1000)}`;
+        }
+    }
+}
+
+/**
+ * Posts batches of events to the self-hosted collector. The service worker
+ * outbox sends right away and retries offline batches; without it, a
+ * beacon carries the last batch of a page.
+ */
+class CollectorTransport {
+    constructor(options = {}) {
+        this.name = 'collector';
+        this.batched = true;
+        this.options = {
+            endpoint: '/analytics/events',
+            ...options
+        };
+    }
+
+    async send(events, context = {}) {
+        const body = JSON.stringify({ events, sentAt: Date.now() });
+
+        if (window.serviceWorkerClient?.isControlled()) {
+            return window.serviceWorkerClient.queueRequest({
+                kind: 'events',
+                url: this.options.endpoint,
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body,
+                dedupeKey: `events:${events[0].id}`
+            });
+        }
+
+        if (context.unloading && navigator.sendBeacon) {
+            // Beacons cannot make a CORS preflight, so a cross-origin collector only gets text/plain ones
+            navigator.sendBeacon(this.options.endpoint, new Blob([body], { type: 'text/plain' }));
+            return;
+        }
+
+        const response = await fetch(this.options.endpoint, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body,
+            keepalive: true
+        });
+        if (!response.ok) {
+            throw new Error(`Collector responded ${response.status}`);
+        }
+    }
+
+    /**
+     * GET one of the collector's read endpoints. They need its
+     * ANALYTICS_READ_TOKEN, which is asked for on the first 401 and kept
+     * for this tab only.
+     *
+     * @returns {Promise<Response>} the response, which callers check for ok
+     */
+    static async query(url) {
+        const request = () => {
+            const token = sessionStorage.getItem(CollectorTransport.READ_TOKEN_KEY);
+            return fetch(url, { headers: token ? { Authorization: `Bearer ${token}` } : {} });
+        };
+
+        let response = await request();
+        if (response.status === 401) {
+            const token = window.prompt('Analytics collector read token');
+            if (token && token.trim()) {
+                sessionStorage.setItem(CollectorTransport.READ_TOKEN_KEY, token.trim());
+                response = await request();
+            }
+        }
+        return response;
+    }
+
+    static get READ_TOKEN_KEY() {
+        return 'analyticsReadToken';
+    }
+}
+
+/**
+ * Logs events to the browser console, for development
+ */
+class ConsoleTransport {
+    constructor() {
+        this.name = 'console';
+        this.batched = false;
+    }
+
+    send(events) {
+        events.forEach(event => console.log(`📊 Analytics: ${event.name}`, event));
+    }
+}
+
+/**
+ * Keeps the most recent events in localStorage, where the reporting system
+ * and the cross-page dashboard read them
+ */
+class LocalStorageTransport {
+    constructor(options = {}) {
+        this.name = 'localStorage';
+        this.batched = true;
+        this.options = {
+            storageKey: 'analyticsQueue',
+            maxEvents: 500,
+            ...options
+        };
+    }
+
+    send(events) {
+        const stored = this.read().concat(events);
+        try {
+            localStorage.setItem(this.options.storageKey, JSON.stringify(stored.slice(-this.options.maxEvents)));
+        } catch (error) {
+            console.warn('Failed to store analytics events:', error);
+        }
+    }
+
+    read() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.options.storageKey) || '[]');
+            return Array.isArray(stored) ? stored : [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    clear() {
+        localStorage.removeItem(this.options.storageKey);
+    }
+
+    /**
+     * Remove stored events of categories the visitor no longer allows
+     */
+    forget(categories) {
+        const kept = this.read().filter(event => !categories.includes(event.category));
+        try {
+            localStorage.setItem(this.options.storageKey, JSON.stringify(kept));
+        } catch (error) {
+            console.warn('Failed to store analytics events:', error);
+        }
+    }
+}
+
+AnalyticsEventBus.GA4Transport = GA4Transport;
+AnalyticsEventBus.CollectorTransport = CollectorTransport;
+AnalyticsEventBus.ConsoleTransport = ConsoleTransport;
+AnalyticsEventBus.LocalStorageTransport = LocalStorageTransport;
+
+// Create the site-wide bus before the trackers load
+if (typeof window !== 'undefined') {
+    window.AnalyticsEventBus = AnalyticsEventBus;
+    window.analyticsEventBus = AnalyticsEventBus.fromConfig(window.ANALYTICS_CONFIG);
+    if (window.consentManager) {
+        window.analyticsEventBus.followConsent(window.consentManager);
+    }
+}
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AnalyticsEventBus;
+}
@@ -0,0 +1,246 @@
+/**
+ * Analytics Funnels
+ * Declarative conversion funnels over event bus envelopes. A funnel is an
+ * ordered list of steps; a step matches events by page pattern, event name
+ * and parameters, and a session reaches a step when a matching event comes
+ * after the one that reached the previous step. The analytics reporting
+ * system and the cross-page integration dashboard both use it.
+ *
+ * Step definition:
+ *   name    - shown in reports
+ *   pages   - path patterns; * matches anything, including /
+ *   entry   - the pattern must match the page the session started on
+ *   event   - event name (a key of AnalyticsEventBus.SCHEMA)
+ *   params  - parameter values to match; an array matches any of its values
+ */
+
+class FunnelAnalyzer {
+    constructor(funnels = FunnelAnalyzer.DEFAULT_FUNNELS) {
+        this.funnels = [];
+        funnels.forEach(funnel => this.define(funnel));
+    }
+
+    /**
+     * Visitors who land on a use case or blog article and go on to download
+     * GGUF Loader. The download buttons on the homepage open the star-gate.js
+     * modal, so the last step is getting past it: continuing from the modal,
+     * or skipping it as a returning supporter.
+     */
+    static get DEFAULT_FUNNELS() {
+        return [{
+            id: 'article-to-download',
+            name: 'Use case or blog article to GGUF Loader download',
+            steps: [
+                {
+                    name: 'Landed on a use case or blog article',
+                    entry: true,
+                    pages: [
+                        '/use-cases/*',
+                        '/20??-*.html',
+                        '/ai-*.html',
+                        '/ask-your-contracts-*.html',
+                        '/local-ai-*.html',
+                        '/gguf-loader-*-release-notes.html',
+                        '/how-to-run-gguf-models.html',
+                        '/running-deepseek-v3-locally.html',
+                        '/what-is-gguf.html',
+                        '/download-gguf-models.html'
+                    ]
+                },
+                { name: 'Clicked a GGUF Loader download', event: 'star_gate', params: { action: 'click' } },
+                { name: 'Got past the star gate', event: 'star_gate', params: { action: ['continue', 'bypass'] } }
+            ]
+        }];
+    }
+
+    /**
+     * Problems with a funnel definition; empty when it is usable
+     */
+    static validate(funnel) {
+        const errors = [];
+        if (!funnel || typeof funnel.id !== 'string' || !funnel.id) {
+            errors.push('Funnels need a string "id"');
+        }
+        if (!funnel || typeof funnel.name !== 'string' || !funnel.name) {
+            errors.push('Funnels need a string "name"');
+        }
+        if (!Array.isArray(funnel?.steps) || funnel.steps.length < 2) {
+            errors.push('Funnels need at least two steps');
+            return errors;
+        }
+        funnel.steps.forEach((step, index) => {
+            const label = `Step ${index + 1}`;
+            if (typeof step.name !== 'string' || !step.name) {
+                errors.push(`${label} needs a "name"`);
+            }
+            if (!step.pages && !step.event) {
+                errors.push(`${label} needs "pages", "event" or both`);
+            }
+            if (step.pages && (!Array.isArray(step.pages) || step.pages.some(page => typeof page !== 'string'))) {
+                errors.push(`${label}: "pages" must be an array of path patterns`);
+            }
+            if (step.params && typeof step.params !== 'object') {
+                errors.push(`${label}: "params" must be an object`);
+            }
+            if (step.entry && index > 0) {
+                errors.push(`${label}: only the first step can be an entry step`);
+            }
+        });
+        return errors;
+    }
+
+    /**
+     * Add a funnel, or replace the one with the same id
+     */
+    define(funnel) {
+        const errors = FunnelAnalyzer.validate(funnel);
+        if (errors.length > 0) {
+            throw new Error(`Invalid funnel "${funnel?.id}": ${errors.join('; ')}`);
+        }
+        this.funnels = this.funnels.filter(existing => existing.id !== funnel.id).concat(funnel);
+        return funnel;
+    }
+
+    static matchPage(patterns, path) {
+        if (!path) {
+            return false;
+        }
+        return patterns.some(pattern => {
+            const source = pattern
+                .split('')
+                .map(char => {
+                    if (char === '*') return '.*';
+                    if (char === '?') return '.';
+                    return char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+                })
+                .join('');
+            return new RegExp(`^${source}$`).test(path);
+        });
+    }
+
+    static matchEvent(step, event) {
+        if (step.pages && !FunnelAnalyzer.matchPage(step.pages, event.page)) {
+            return false;
+        }
+        if (step.event && event.name !== step.event) {
+            return false;
+        }
+        return Object.entries(step.params || {}).every(([key, expected]) => {
+            const actual = event.params?.[key];
+            return Array.isArray(expected) ? expected.includes(actual) : actual === expected;
+        });
+    }
+
+    /**
+     * Step counts, conversion and drop-off for every funnel
+     *
+     * @param {Array} events - event bus envelopes from any number of sessions
+     */
+    analyze(events) {
+        // Retried batches can store an event twice; the id identifies it
+        const seen = new Set();
+        const sessions = new Map();
+        events
+            .filter(event => {
+                if (!event || !event.sessionId || seen.has(event.id)) {
+                    return false;
+                }
+                if (event.id) {
+                    seen.add(event.id);
+                }
+                return true;
+            })
+            .sort((a, b) => a.timestamp - b.timestamp)
+            .forEach(event => {
+                if (!sessions.has(event.sessionId)) {
+                    sessions.set(event.sessionId, []);
+                }
+                sessions.get(event.sessionId).push(event);
+            });
+
+        return this.funnels.map(funnel => this.analyzeFunnel(funnel, [...sessions.values()]));
+    }
+
+    analyzeFunnel(funnel, sessions) {
+        const reached = funnel.steps.map(() => 0);
+
+        sessions.forEach(events => {
+            let position = 0;
+            for (let i = 0; i < funnel.steps.length; i++) {
+                const step = funnel.steps[i];
+                const index = step.entry
+                    ? (FunnelAnalyzer.matchEvent(step, events[0]) ? 0 : -1)
+                    : events.findIndex((event, j) => j >= position && FunnelAnalyzer.matchEvent(step, event));
+                if (index === -1) {
+                    break;
+                }
+                reached[i]++;
+                position = index + 1;
+            }
+        });
+
+        const rate = (part, whole) => whole > 0 ? Math.round(part / whole * 10000) / 10000 : null;
+        const steps = funnel.steps.map((step, i) => {
+            const previous = i === 0 ? reached[0] : reached[i - 1];
+            return {
+                name: step.name,
+                sessions: reached[i],
+                conversionRate: i === 0 ? null : rate(reached[i], previous),
+                overallRate: rate(reached[i], reached[0]),
+                dropOff: previous - reached[i],
+                dropOffRate: i === 0 ? null : rate(previous - reached[i], previous)
+            };
+        });
+
+        return {
+            id: funnel.id,
+            name: funnel.name,
+            sessions: sessions.length,
+            entered: reached[0],
+            completed: reached[reached.length - 1],
+            conversionRate: rate(reached[reached.length - 1], reached[0]),
+            steps
+        };
+    }
+
+    /**
+     * Funnel chart as HTML with inline styles, so it renders the same in the
+     * exported report and in the dashboard
+     */
+    static renderChart(result) {
+        const escape = text => String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+        const percent = value => value === null ? 'n/a' : `${(value * 100).toFixed(1)}%`;
+
+        const steps = result.steps.map((step, i) => `
+            <div class="funnel-step" style="margin: 8px 0;">
+                <div style="display: flex; justify-content: space-between; gap: 8px;">
+                    <span>${i + 1}. ${escape(step.name)}</span>
+                    <strong>${step.sessions} (${percent(step.overallRate)})</strong>
+                </div>
+                <div style="background: rgba(127, 127, 127, 0.25); border-radius: 3px; height: 14px;">
+                    <div style="width: ${((step.overallRate || 0) * 100).toFixed(1)}%; background: #3498db; border-radius: 3px; height: 14px;"></div>
+                </div>
+                ${i > 0 ? `<div style="font-size: 0.85em; opacity: 0.75;">${step.dropOff} dropped off (${percent(step.dropOffRate)}), ${percent(step.conversionRate)} continued</div>` : ''}
+            </div>`).join('');
+
+        return `
+        <div class="funnel-chart" data-funnel="${escape(result.id)}">
+            <div class="funnel-title" style="font-weight: bold;">${escape(result.name)}</div>
+            <div style="font-size: 0.85em; opacity: 0.75;">${result.entered} of ${result.sessions} sessions entered · ${percent(result.conversionRate)} completed</div>
+            ${steps}
+        </div>`;
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.FunnelAnalyzer = FunnelAnalyzer;
+}
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FunnelAnalyzer;
+}
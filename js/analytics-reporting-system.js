@@ -24,6 +24,10 @@ class AnalyticsReportingSystem {
 
         this.dataCollectors = [];
         this.reportHistory = [];
+        this.funnelConfig = window.ANALYTICS_CONFIG?.funnels || {};
+        this.funnelAnalyzer = window.FunnelAnalyzer
+            ? new window.FunnelAnalyzer(this.funnelConfig.definitions || window.FunnelAnalyzer.DEFAULT_FUNNELS)
+            : null;
         this.alertThresholds = {
             lowEngagement: 0.15,
             highBounceRate: 0.8,
@@ -178,9 +182,68 @@ class AnalyticsReportingSystem {
         // Add performance data
         collectedData.sources.Performance = this.collectPerformanceData();
 
+        // Funnel results only; the session events behind them are not kept in the report
+        collectedData.funnels = this.analyzeFunnels(await this.collectSessionEvents(collectedData.dateRange));
+
         return collectedData;
     }
 
+    /**
+     * Add a funnel definition, or replace the one with the same id
+     * (see js/analytics-funnels.js for the format)
+     */
+    defineFunnel(definition) {
+        if (!this.funnelAnalyzer) {
+            throw new Error('Funnels need js/analytics-funnels.js');
+        }
+        return this.funnelAnalyzer.define(definition);
+    }
+
+    /**
+     * Step conversion and drop-off for every defined funnel
+     */
+    analyzeFunnels(events) {
+        if (!this.funnelAnalyzer) {
+            return [];
+        }
+        return this.funnelAnalyzer.analyze(events);
+    }
+
+    /**
+     * Event bus envelopes in the date range: the ones stored in this browser,
+     * plus the most recent ones on the collector when it is enabled
+     */
+    async collectSessionEvents(dateRange) {
+        const from = new Date(dateRange.start).getTime();
+        const to = new Date(dateRange.end).getTime();
+        let events = [];
+
+        try {
+            events = JSON.parse(localStorage.getItem('analyticsQueue') || '[]');
+        } catch (error) {
+            console.warn('Failed to read stored analytics events:', error);
+        }
+
+        const collector = window.ANALYTICS_CONFIG?.eventBus?.collector;
+        if (collector?.enabled && collector.endpoint) {
+            try {
+                const url = new URL(collector.endpoint, window.location.origin);
+                url.searchParams.set('from', from);
+                url.searchParams.set('to', to);
+                url.searchParams.set('limit', this.funnelConfig.maxCollectorEvents || 1000);
+                const response = await AnalyticsEventBus.CollectorTransport.query(url);
+                if (!response.ok) {
+                    throw new Error(`Collector responded with ${response.status}`);
+                }
+                events = events.concat((await response.json()).events || []);
+            } catch (error) {
+                console.warn('Failed to load analytics events from the collector:', error);
+            }
+        }
+
+        return events.filter(event => event.timestamp >= from && event.timestamp <= to);
+    }
+
     /**
      * Collect data from localStorage
      */
@@ -284,6 +347,7 @@ class AnalyticsReportingSystem {
             insights: this.generateInsights(collectedData),
             recommendations: this.generateRecommendations(collectedData),
             alerts: this.checkAlerts(collectedData),
+            funnels: collectedData.funnels || [],
             rawData: collectedData
         };
 
@@ -799,6 +863,7 @@ class AnalyticsReportingSystem {
         table { width: 100%; border-collapse: collapse; margin: 20px 0; }
         th, td { border: 1px solid #ddd; padding: 8px; text-align: left; }
         th { background-color: #f2f2f2; }
+        .funnel-chart { background: #f5f5f5; padding: 15px; margin: 10px 0; border-radius: 5px; }
     </style>
 </head>
 <body>
@@ -819,6 +884,11 @@ class AnalyticsReportingSystem {
         </ul>
     </div>
 
+    <h2>Funnels</h2>
+    ${(report.funnels || []).length > 0 && window.FunnelAnalyzer
+        ? report.funnels.map(funnel => window.FunnelAnalyzer.renderChart(funnel)).join('')
+        : '<div class="metric">No funnel data for this period</div>'}
+
     <h2>Alerts</h2>
     ${report.alerts.map(alert => `
         <div class="alert ${alert.level}">
@@ -907,6 +977,14 @@ class AnalyticsReportingSystem {
             ['Engagement Rate', (report.summary.averageEngagementRate * 100).toFixed(1) + '%']
         ];
 
+        (report.funnels || []).forEach(funnel => {
+            funnel.steps.forEach((step, i) => {
+                const label = `"Funnel ${funnel.id} step ${i + 1}: ${step.name.replace(/"/g, '""')}"`;
+                const conversion = step.conversionRate === null ? '' : ` (${(step.conversionRate * 100).toFixed(1)}% of previous step)`;
+                rows.push([label, `${step.sessions} sessions${conversion}`]);
+            });
+        });
+
         return rows.map(row => row.join(',')).join('\n');
     }
 
@@ -0,0 +1,446 @@
+/**
+ * Chat Templates
+ * Prompt formats of the chat template families named by model.chatTemplate
+ * in data/models.json, and a renderer that shows the exact text a model
+ * receives for a system prompt and a conversation. Used by the "Prompt
+ * format" tab of ModelComparisonTool's model cards and on its own by
+ * /docs/prompt-formats/ (any element with data-chat-template-preview).
+ *
+ * A rendered prompt is a list of segments: 'template' for the format's own
+ * markers and special tokens, 'system', 'user' and 'assistant' for the
+ * conversation text.
+ */
+
+class ChatTemplateRenderer {
+    constructor(options = {}) {
+        this.options = {
+            defaultFamily: 'chatml',
+            // Shown until the reader edits the conversation
+            sampleSystem: 'You are a helpful assistant.',
+            sampleMessages: [
+                { role: 'user', content: 'What is a GGUF file?' },
+                { role: 'assistant', content: 'A single-file format for quantized models.' },
+                { role: 'user', content: 'Which quantization should I use?' }
+            ],
+            ...options
+        };
+    }
+
+    /**
+     * Each family: bos (sent once at the start), role wrappers as
+     * [prefix, suffix], where the system prompt goes ('turn' for a turn of
+     * its own, 'first-user' to prepend it to the first user message between
+     * systemPrefix and systemSuffix) and the stop strings to configure.
+     */
+    static get FAMILIES() {
+        return {
+            chatml: {
+                name: 'ChatML',
+                models: 'OpenOrca, Hermes, Qwen, Yi',
+                bos: '',
+                system: 'turn',
+                roles: {
+                    system: ['<|im_start|>system\n', '<|im_end|>\n'],
+                    user: ['<|im_start|>user\n', '<|im_end|>\n'],
+                    assistant: ['<|im_start|>assistant\n', '<|im_end|>\n']
+                },
+                stop: ['<|im_end|>']
+            },
+            'llama-2': {
+                name: 'Llama 2 Chat',
+                models: 'Llama 2 Chat, Code Llama Instruct',
+                bos: '',
+                system: 'first-user',
+                systemPrefix: '<<SYS>>\n',
+                systemSuffix: '\n<</SYS>>\n\n',
+                roles: {
+                    user: ['<s>[INST] ', ' [/INST]'],
+                    assistant: [' ', ' </s>']
+                },
+                stop: ['</s>']
+            },
+            'llama-3': {
+                name: 'Llama 3',
+                models: 'Llama 3 and 3.1 Instruct',
+                bos: '<|begin_of_text|>',
+                system: 'turn',
+                roles: {
+                    system: ['<|start_header_id|>system<|end_header_id|>\n\n', '<|eot_id|>'],
+                    user: ['<|start_header_id|>user<|end_header_id|>\n\n', '<|eot_id|>'],
+                    assistant: ['<|start_header_id|>assistant<|end_header_id|>\n\n', '<|eot_id|>']
+                },
+                stop: ['<|eot_id|>']
+            },
+            mistral: {
+                name: 'Mistral [INST]',
+                models: 'Mistral Instruct, Mixtral Instruct',
+                bos: '<s>',
+                // No system role: it becomes the start of the first instruction
+                system: 'first-user',
+                systemPrefix: '',
+                systemSuffix: '\n\n',
+                roles: {
+                    user: ['[INST] ', ' [/INST]'],
+                    assistant: ['', '</s>']
+                },
+                stop: ['</s>']
+            },
+            alpaca: {
+                name: 'Alpaca',
+                models: 'Alpaca and many instruction-tuned fine-tunes',
+                bos: '',
+                system: 'turn',
+                roles: {
+                    system: ['', '\n\n'],
+                    user: ['### Instruction:\n', '\n\n'],
+                    assistant: ['### Response:\n', '\n\n']
+                },
+                stop: ['### Instruction:']
+            },
+            vicuna: {
+                name: 'Vicuna',
+                models: 'Vicuna, WizardLM',
+                bos: '',
+                system: 'turn',
+                roles: {
+                    system: ['', '\n\n'],
+                    user: ['USER: ', '\n'],
+                    assistant: ['ASSISTANT: ', '</s>\n']
+                },
+                stop: ['</s>', 'USER:']
+            },
+            zephyr: {
+                name: 'Zephyr',
+                models: 'Zephyr, TinyLlama Chat',
+                bos: '',
+                system: 'turn',
+                roles: {
+                    system: ['<|system|>\n', '</s>\n'],
+                    user: ['<|user|>\n', '</s>\n'],
+                    assistant: ['<|assistant|>\n', '</s>\n']
+                },
+                stop: ['</s>']
+            },
+            'neural-chat': {
+                name: 'Neural Chat',
+                models: 'Intel Neural Chat',
+                bos: '',
+                system: 'turn',
+                roles: {
+                    system: ['### System:\n', '\n'],
+                    user: ['### User:\n', '\n'],
+                    assistant: ['### Assistant:\n', '\n']
+                },
+                stop: ['### User:']
+            },
+            'phi-2': {
+                name: 'Phi-2 Instruct/Output',
+                models: 'Phi-2',
+                bos: '',
+                system: 'first-user',
+                systemPrefix: '',
+                systemSuffix: '\n',
+                roles: {
+                    user: ['Instruct: ', '\n'],
+                    assistant: ['Output: ', '\n']
+                },
+                stop: ['Instruct:']
+            },
+            'deepseek-coder': {
+                name: 'DeepSeek Coder',
+                models: 'DeepSeek Coder Instruct',
+                bos: '<｜begin▁of▁sentence｜>',
+                system: 'turn',
+                roles: {
+                    system: ['', '\n'],
+                    user: ['### Instruction:\n', '\n'],
+                    assistant: ['### Response:\n', '\n<|EOT|>\n']
+                },
+                stop: ['<|EOT|>']
+            },
+            gemma: {
+                name: 'Gemma',
+                models: 'Gemma and Gemma 2 Instruct',
+                bos: '<bos>',
+                system: 'first-user',
+                systemPrefix: '',
+                systemSuffix: '\n\n',
+                roles: {
+                    user: ['<start_of_turn>user\n', '<end_of_turn>\n'],
+                    assistant: ['<start_of_turn>model\n', '<end_of_turn>\n']
+                },
+                stop: ['<end_of_turn>']
+            }
+        };
+    }
+
+    getFamily(id) {
+        const family = ChatTemplateRenderer.FAMILIES[id];
+        if (!family) {
+            throw new Error(`Unknown chat template family "${id}"`);
+        }
+        return { id, ...family };
+    }
+
+    /**
+     * Format a conversation. messages are { role: 'user' | 'assistant', content }.
+     * With addGenerationPrompt the prompt ends with the assistant prefix, as it
+     * does when a chat app asks the model for its next reply.
+     *
+     * @returns {{ family, text, segments, stop, warnings }}
+     */
+    render(familyId, { system = '', messages = [], addGenerationPrompt = true } = {}) {
+        const family = this.getFamily(familyId);
+        const segments = [];
+        const warnings = [];
+        const push = (text, type) => {
+            if (!text) {
+                return;
+            }
+            const last = segments[segments.length - 1];
+            if (last && last.type === type) {
+                last.text += text;
+            } else {
+                segments.push({ text, type });
+            }
+        };
+        const wrap = (role, content) => {
+            const [prefix, suffix] = family.roles[role];
+            push(prefix, 'template');
+            push(content, role);
+            push(suffix, 'template');
+        };
+
+        push(family.bos, 'template');
+
+        let pendingSystem = system.trim() ? system : '';
+        if (pendingSystem && family.system === 'turn') {
+            wrap('system', pendingSystem);
+            pendingSystem = '';
+        }
+
+        messages.forEach((message, index) => {
+            const expected = index % 2 === 0 ? 'user' : 'assistant';
+            if (message.role !== expected) {
+                warnings.push(`Turn ${index + 1} should be a ${expected} message in ${family.name}, not ${message.role}; models trained on it may misread the conversation`);
+            }
+            if (!family.roles[message.role]) {
+                warnings.push(`${family.name} has no ${message.role} role`);
+                return;
+            }
+
+            if (message.role === 'user' && pendingSystem) {
+                const [prefix, suffix] = family.roles.user;
+                push(prefix, 'template');
+                push(family.systemPrefix, 'template');
+                push(pendingSystem, 'system');
+                push(family.systemSuffix, 'template');
+                push(message.content, 'user');
+                push(suffix, 'template');
+                pendingSystem = '';
+            } else {
+                wrap(message.role, message.content);
+            }
+        });
+
+        // Llama 2 marks the system prompt with <<SYS>>; the others just prepend it
+        if (system.trim() && family.system === 'first-user' && !family.systemPrefix) {
+            warnings.push(`${family.name} has no system role, so the system prompt is sent as the start of the first user message`);
+        }
+        if (pendingSystem) {
+            warnings.push('The system prompt is dropped because there is no user message to attach it to');
+        }
+
+        if (addGenerationPrompt) {
+            push(family.roles.assistant[0], 'template');
+        }
+
+        return {
+            family,
+            text: segments.map(segment => segment.text).join(''),
+            segments,
+            stop: family.stop,
+            warnings
+        };
+    }
+
+    /**
+     * A rendered prompt as highlighted HTML; newlines stay visible as ↵
+     */
+    toHTML(result) {
+        const body = result.segments.map(segment => {
+            const text = this.escapeHtml(segment.text).replace(/\n/g, '<span class="ct-newline" aria-hidden="true">↵</span>\n');
+            return `<span class="ct-${segment.type}">${text}</span>`;
+        }).join('');
+
+        return `<pre class="chat-template-output"><code>${body}</code></pre>`;
+    }
+
+    escapeHtml(text) {
+        return String(text).replace(/[&<>"']/g, char => ({
+            '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+        })[char]);
+    }
+
+    /**
+     * Interactive previewer: a family picker (unless the family is fixed),
+     * editable system prompt and turns, and the formatted prompt
+     */
+    mount(container, { family = null, showPicker = !family } = {}) {
+        if (typeof document === 'undefined' || !container) {
+            return;
+        }
+        this.injectStyles();
+
+        const state = {
+            family: family || container.dataset.chatTemplate || this.options.defaultFamily,
+            system: this.options.sampleSystem,
+            messages: this.options.sampleMessages.map(message => ({ ...message }))
+        };
+        const families = ChatTemplateRenderer.FAMILIES;
+
+        container.classList.add('chat-template-preview');
+        container.innerHTML = `
+            ${showPicker ? `
+                <label class="ct-field">
+                    <span>Prompt format</span>
+                    <select class="ct-family">
+                        ${Object.keys(families).map(id => `<option value="${id}">${this.escapeHtml(families[id].name)} (${this.escapeHtml(families[id].models)})</option>`).join('')}
+                    </select>
+                </label>` : ''}
+            <label class="ct-field">
+                <span>System prompt</span>
+                <textarea class="ct-system" rows="2"></textarea>
+            </label>
+            <div class="ct-turns"></div>
+            <div class="ct-actions">
+                <button type="button" class="ct-add">Add turn</button>
+                <button type="button" class="ct-remove">Remove last turn</button>
+                <button type="button" class="ct-copy">Copy prompt</button>
+            </div>
+            <div class="ct-result" aria-live="polite"></div>
+        `;
+
+        const picker = container.querySelector('.ct-family');
+        const systemInput = container.querySelector('.ct-system');
+        const turns = container.querySelector('.ct-turns');
+        const result = container.querySelector('.ct-result');
+        let rendered = null;
+
+        const update = () => {
+            rendered = this.render(state.family, state);
+            const current = rendered.family;
+            result.innerHTML = `
+                <p class="ct-summary"><strong>${this.escapeHtml(current.name)}</strong>: used by ${this.escapeHtml(current.models)}.
+                Stop on ${current.stop.map(stop => `<code>${this.escapeHtml(stop)}</code>`).join(', ')}.</p>
+                ${rendered.warnings.map(warning => `<p class="ct-warning">⚠️ ${this.escapeHtml(warning)}</p>`).join('')}
+                ${this.toHTML(rendered)}
+                <p class="ct-legend">
+                    <span class="ct-template">format markers</span>
+                    <span class="ct-system">system</span>
+                    <span class="ct-user">user</span>
+                    <span class="ct-assistant">assistant</span>
+                </p>
+            `;
+        };
+
+        const renderTurns = () => {
+            turns.innerHTML = state.messages.map((message, index) => `
+                <label class="ct-field">
+                    <span>${message.role === 'user' ? 'User' : 'Assistant'}</span>
+                    <textarea class="ct-turn" data-index="${index}" rows="2">${this.escapeHtml(message.content)}</textarea>
+                </label>
+            `).join('');
+            container.querySelector('.ct-remove').disabled = state.messages.length === 0;
+        };
+
+        if (picker) {
+            picker.value = state.family;
+            picker.addEventListener('change', () => {
+                state.family = picker.value;
+                update();
+            });
+        }
+        systemInput.value = state.system;
+        systemInput.addEventListener('input', () => {
+            state.system = systemInput.value;
+            update();
+        });
+        turns.addEventListener('input', (event) => {
+            const index = Number(event.target.dataset.index);
+            if (state.messages[index]) {
+                state.messages[index].content = event.target.value;
+                update();
+            }
+        });
+        container.querySelector('.ct-add').addEventListener('click', () => {
+            const last = state.messages[state.messages.length - 1];
+            state.messages.push({ role: last && last.role === 'user' ? 'assistant' : 'user', content: '' });
+            renderTurns();
+            update();
+        });
+        container.querySelector('.ct-remove').addEventListener('click', () => {
+            state.messages.pop();
+            renderTurns();
+            update();
+        });
+        container.querySelector('.ct-copy').addEventListener('click', (event) => {
+            if (navigator.clipboard && rendered) {
+                navigator.clipboard.writeText(rendered.text).then(() => {
+                    event.target.textContent = 'Copied';
+                    setTimeout(() => {
+                        event.target.textContent = 'Copy prompt';
+                    }, 1500);
+                }).catch(error => console.warn('Copy failed:', error));
+            }
+        });
+
+        renderTurns();
+        update();
+    }
+
+    injectStyles() {
+        if (document.getElementById('chat-template-styles')) {
+            return;
+        }
+
+        const style = document.createElement('style');
+        style.id = 'chat-template-styles';
+        style.textContent = `
+            .chat-template-preview { font-size: 0.9rem; }
+            .chat-template-preview .ct-field { display: block; margin-bottom: 0.6rem; }
+            .chat-template-preview .ct-field span { display: block; font-weight: 600; color: #2c3e50; margin-bottom: 0.2rem; }
+            .chat-template-preview textarea, .chat-template-preview select { width: 100%; box-sizing: border-box; padding: 0.4rem; border: 1px solid #ced4da; border-radius: 4px; font: inherit; }
+            .chat-template-preview .ct-actions { display: flex; flex-wrap: wrap; gap: 0.5rem; margin-bottom: 0.75rem; }
+            .chat-template-preview .ct-actions button { padding: 0.4rem 0.8rem; border: 1px solid #3498db; border-radius: 4px; background: white; color: #3498db; cursor: pointer; min-height: 36px; }
+            .chat-template-preview .ct-actions button:disabled { opacity: 0.5; cursor: default; }
+            .chat-template-preview .ct-warning { color: #856404; background: #fff3cd; padding: 0.4rem 0.6rem; border-radius: 4px; }
+            .chat-template-output { white-space: pre-wrap; word-break: break-word; background: #1e1e2e; color: #e0e0e0; padding: 0.75rem; border-radius: 6px; font-size: 0.8rem; line-height: 1.5; }
+            .ct-template { color: #f38ba8; font-weight: 600; }
+            .ct-system { color: #fab387; }
+            .ct-user { color: #89dceb; }
+            .ct-assistant { color: #a6e3a1; }
+            .ct-newline { opacity: 0.5; }
+            .chat-template-preview .ct-legend span { display: inline-block; margin-right: 0.5rem; padding: 0 0.3rem; background: #1e1e2e; border-radius: 3px; font-size: 0.75rem; }
+        `;
+        document.head.appendChild(style);
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.ChatTemplateRenderer = ChatTemplateRenderer;
+
+    // Standalone previewers, e.g. <div data-chat-template-preview></div> in the docs
+    document.addEventListener('DOMContentLoaded', () => {
+        document.querySelectorAll('[data-chat-template-preview]').forEach(container => {
+            new ChatTemplateRenderer().mount(container, {
+                family: container.dataset.chatTemplate || null
+            });
+        });
+    });
+}
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ChatTemplateRenderer;
+}
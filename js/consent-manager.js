@@ -0,0 +1,425 @@
+/**
+ * Consent Manager
+ * Keeps the visitor's analytics consent per category (essential,
+ * performance, behavior and marketing), shows the consent banner and the
+ * preferences form, and tells every tracker when the decision changes.
+ * Global Privacy Control and Do Not Track turn every optional category off.
+ */
+
+class ConsentManager {
+    constructor(options = {}) {
+        this.options = {
+            storageKey: 'gguf-loader-consent',
+            consentExpiryDays: 30,
+            respectDoNotTrack: true,
+            respectGlobalPrivacyControl: true,
+            preferencesUrl: '/privacy-preferences.html',
+            ...options
+        };
+
+        this.listeners = new Set();
+        this.signal = this.getPrivacySignal();
+        this.stored = this.migrateLegacyConsent() || this.readStored();
+
+        if (typeof window !== 'undefined') {
+            // Decisions made in another tab apply here too
+            window.addEventListener('storage', event => {
+                if (event.key === this.options.storageKey) {
+                    this.stored = this.readStored();
+                    this.notify();
+                }
+            });
+        }
+    }
+
+    static get CATEGORIES() {
+        return {
+            essential: {
+                label: 'Essential',
+                description: 'Records your consent choices. Always on.',
+                required: true
+            },
+            performance: {
+                label: 'Performance',
+                description: 'Page speed (Core Web Vitals) and JavaScript errors, so we can find slow or broken pages.'
+            },
+            behavior: {
+                label: 'Behavior and heatmaps',
+                description: 'Page views, clicks, scrolling and heatmaps, so we can see which content helps.'
+            },
+            marketing: {
+                label: 'Marketing',
+                description: 'Download conversions and Google Analytics advertising signals.'
+            }
+        };
+    }
+
+    static get OPTIONAL_CATEGORIES() {
+        return Object.keys(ConsentManager.CATEGORIES).filter(category => !ConsentManager.CATEGORIES[category].required);
+    }
+
+    /**
+     * 'gpc' or 'dnt' when the browser asks not to be tracked, otherwise null
+     */
+    getPrivacySignal() {
+        if (typeof navigator === 'undefined') {
+            return null;
+        }
+        if (this.options.respectGlobalPrivacyControl && navigator.globalPrivacyControl === true) {
+            return 'gpc';
+        }
+        const doNotTrack = navigator.doNotTrack
+            || (typeof window !== 'undefined' && window.doNotTrack)
+            || navigator.msDoNotTrack;
+        if (this.options.respectDoNotTrack && (doNotTrack === '1' || doNotTrack === 'yes')) {
+            return 'dnt';
+        }
+        return null;
+    }
+
+    /**
+     * Current decision. categories always includes essential; optional
+     * categories are false until the visitor allows them.
+     */
+    getState() {
+        const categories = { essential: true };
+        ConsentManager.OPTIONAL_CATEGORIES.forEach(category => {
+            categories[category] = !this.signal && this.stored?.categories[category] === true;
+        });
+        return {
+            categories,
+            decided: Boolean(this.signal || this.stored),
+            signal: this.signal,
+            updatedAt: this.stored?.updatedAt || null
+        };
+    }
+
+    isAllowed(category) {
+        return this.getState().categories[category] === true;
+    }
+
+    hasDecided() {
+        return this.getState().decided;
+    }
+
+    /**
+     * Save a decision and notify listeners. Categories left out are denied;
+     * while a privacy signal is set, optional categories stay off.
+     *
+     * @param {Object} categories - { performance: true, behavior: false, ... }
+     * @param {Object} meta - { source: where the decision was made }
+     */
+    update(categories = {}, meta = {}) {
+        const decision = {};
+        ConsentManager.OPTIONAL_CATEGORIES.forEach(category => {
+            decision[category] = !this.signal && categories[category] === true;
+        });
+        this.stored = {
+            categories: decision,
+            updatedAt: new Date().toISOString(),
+            source: meta.source || 'preferences'
+        };
+
+        try {
+            localStorage.setItem(this.options.storageKey, JSON.stringify(this.stored));
+        } catch (error) {
+            console.warn('Failed to store consent preferences:', error);
+        }
+
+        if (typeof window !== 'undefined' && window.analyticsEventBus) {
+            window.analyticsEventBus.publish('consent_updated', { ...decision, source: this.stored.source }, { source: 'consent' });
+        }
+        this.notify();
+        return this.getState();
+    }
+
+    acceptAll(meta = {}) {
+        const categories = {};
+        ConsentManager.OPTIONAL_CATEGORIES.forEach(category => { categories[category] = true; });
+        return this.update(categories, meta);
+    }
+
+    rejectAll(meta = {}) {
+        return this.update({}, meta);
+    }
+
+    /**
+     * Call listener with the new state whenever the decision changes, here
+     * or in another tab. Also dispatched as a 'consentchange' window event.
+     *
+     * @returns {Function} unsubscribe
+     */
+    onChange(listener) {
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    notify() {
+        const state = this.getState();
+        this.listeners.forEach(listener => {
+            try {
+                listener(state);
+            } catch (error) {
+                console.warn('Consent listener failed:', error);
+            }
+        });
+        if (typeof window !== 'undefined' && typeof CustomEvent === 'function') {
+            window.dispatchEvent(new CustomEvent('consentchange', { detail: state }));
+        }
+    }
+
+    readStored() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.options.storageKey));
+            if (!stored || typeof stored.categories !== 'object' || !stored.updatedAt) {
+                return null;
+            }
+            const expiry = new Date(stored.updatedAt);
+            expiry.setDate(expiry.getDate() + this.options.consentExpiryDays);
+            if (expiry < new Date()) {
+                localStorage.removeItem(this.options.storageKey);
+                return null;
+            }
+            return stored;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Carry over the single analytics_consent value used before consent
+     * categories existed: granted allows every category, denied none.
+     */
+    migrateLegacyConsent() {
+        try {
+            const legacy = localStorage.getItem('analytics_consent');
+            if (!legacy) {
+                return null;
+            }
+            const legacyDate = localStorage.getItem('analytics_consent_date');
+            localStorage.removeItem('analytics_consent');
+            localStorage.removeItem('analytics_consent_date');
+
+            const categories = {};
+            ConsentManager.OPTIONAL_CATEGORIES.forEach(category => { categories[category] = legacy === 'granted'; });
+            const migrated = {
+                categories,
+                updatedAt: legacyDate && !isNaN(Date.parse(legacyDate)) ? legacyDate : new Date().toISOString(),
+                source: 'legacy'
+            };
+            localStorage.setItem(this.options.storageKey, JSON.stringify(migrated));
+            return this.readStored();
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Show the consent banner: accept all, reject all, or choose per
+     * category on the preferences page
+     */
+    showBanner() {
+        if (document.getElementById('analytics-consent-banner')) {
+            return;
+        }
+
+        const banner = document.createElement('div');
+        banner.id = 'analytics-consent-banner';
+        banner.className = 'consent-banner';
+        banner.setAttribute('role', 'region');
+        banner.setAttribute('aria-label', 'Privacy and analytics');
+        banner.innerHTML = `
+            <div class="consent-content">
+                <div class="consent-text">
+                    <h3>Privacy & Analytics</h3>
+                    <p>We use privacy-focused analytics to improve your experience. No personal data is collected or shared.</p>
+                </div>
+                <div class="consent-actions">
+                    <button id="consent-accept" class="btn-accept">Accept all</button>
+                    <button id="consent-decline" class="btn-decline">Reject all</button>
+                    <a href="${this.options.preferencesUrl}" class="privacy-link">Choose categories</a>
+                </div>
+            </div>
+        `;
+
+        this.addStyles();
+        document.body.appendChild(banner);
+
+        banner.querySelector('#consent-accept').addEventListener('click', () => {
+            this.acceptAll({ source: 'banner' });
+            banner.remove();
+        });
+        banner.querySelector('#consent-decline').addEventListener('click', () => {
+            this.rejectAll({ source: 'banner' });
+            banner.remove();
+        });
+    }
+
+    /**
+     * Render a toggle per category into container and save on submit
+     */
+    renderPreferences(container) {
+        const state = this.getState();
+        const signalNote = {
+            gpc: 'Your browser sends a Global Privacy Control signal, so optional analytics stay off.',
+            dnt: 'Your browser sends a Do Not Track signal, so optional analytics stay off.'
+        }[state.signal];
+
+        const rows = Object.entries(ConsentManager.CATEGORIES).map(([category, details]) => `
+                <label class="consent-category">
+                    <input type="checkbox" name="${category}" ${state.categories[category] ? 'checked' : ''}
+                        ${details.required || state.signal ? 'disabled' : ''}>
+                    <span class="consent-category-text">
+                        <strong>${details.label}</strong>
+                        <span>${details.description}</span>
+                    </span>
+                </label>`).join('');
+
+        container.innerHTML = `
+            <form class="consent-preferences">
+                ${signalNote ? `<p class="consent-signal" role="status">${signalNote}</p>` : ''}
+                ${rows}
+                <div class="consent-actions">
+                    <button type="submit" class="btn-accept">Save preferences</button>
+                    <button type="button" class="btn-decline" data-action="reject">Reject all</button>
+                </div>
+                <p class="consent-saved" role="status" aria-live="polite"></p>
+            </form>
+        `;
+
+        this.addStyles();
+        const form = container.querySelector('form');
+        const save = categories => {
+            this.update(categories, { source: 'preferences' });
+            this.renderPreferences(container);
+            container.querySelector('.consent-saved').textContent = 'Your preferences have been saved.';
+        };
+        form.addEventListener('submit', event => {
+            event.preventDefault();
+            const categories = {};
+            ConsentManager.OPTIONAL_CATEGORIES.forEach(category => {
+                categories[category] = form.elements[category].checked;
+            });
+            save(categories);
+        });
+        form.querySelector('[data-action="reject"]').addEventListener('click', () => save({}));
+    }
+
+    addStyles() {
+        if (document.getElementById('consent-manager-styles')) {
+            return;
+        }
+        const style = document.createElement('style');
+        style.id = 'consent-manager-styles';
+        style.textContent = `
+            .consent-banner {
+                position: fixed;
+                bottom: 0;
+                left: 0;
+                right: 0;
+                background: #2c3e50;
+                color: white;
+                padding: 1rem;
+                z-index: 10000;
+                box-shadow: 0 -4px 15px rgba(0,0,0,0.2);
+            }
+            .consent-content {
+                max-width: 1200px;
+                margin: 0 auto;
+                display: flex;
+                justify-content: space-between;
+                align-items: center;
+                gap: 1rem;
+            }
+            .consent-text h3 {
+                margin: 0 0 0.5rem 0;
+                font-size: 1.1rem;
+            }
+            .consent-text p {
+                margin: 0;
+                font-size: 0.9rem;
+                opacity: 0.9;
+            }
+            .consent-actions {
+                display: flex;
+                gap: 1rem;
+                align-items: center;
+            }
+            .btn-accept, .btn-decline {
+                padding: 0.5rem 1rem;
+                border: none;
+                border-radius: 4px;
+                cursor: pointer;
+                font-weight: 500;
+            }
+            .btn-accept {
+                background: #27ae60;
+                color: white;
+            }
+            .btn-decline {
+                background: #95a5a6;
+                color: white;
+            }
+            .privacy-link {
+                color: #3498db;
+                text-decoration: none;
+                font-size: 0.9rem;
+            }
+            .consent-category {
+                display: flex;
+                gap: 0.75rem;
+                align-items: flex-start;
+                padding: 1rem 0;
+                border-bottom: 1px solid #e0e0e0;
+            }
+            .consent-category-text {
+                display: flex;
+                flex-direction: column;
+                gap: 0.25rem;
+            }
+            .consent-preferences .consent-actions {
+                margin-top: 1.5rem;
+            }
+            .consent-signal {
+                padding: 0.75rem 1rem;
+                background: #fff8e1;
+                border-left: 4px solid #f39c12;
+            }
+            @media (max-width: 768px) {
+                .consent-content {
+                    flex-direction: column;
+                    text-align: center;
+                }
+                .consent-actions {
+                    justify-content: center;
+                }
+            }
+        `;
+        document.head.appendChild(style);
+    }
+}
+
+// Create the site-wide consent manager before the event bus and trackers load
+if (typeof window !== 'undefined') {
+    window.ConsentManager = ConsentManager;
+    const privacy = window.ANALYTICS_CONFIG?.privacy || {};
+    window.consentManager = new ConsentManager({
+        consentExpiryDays: privacy.consentExpiryDays ?? 30,
+        respectDoNotTrack: privacy.respectDoNotTrack !== false,
+        respectGlobalPrivacyControl: privacy.respectGlobalPrivacyControl !== false
+    });
+
+    document.addEventListener('DOMContentLoaded', () => {
+        const preferences = document.getElementById('consent-preferences');
+        if (preferences) {
+            window.consentManager.renderPreferences(preferences);
+        } else if (privacy.enableConsentBanner !== false && !window.consentManager.hasDecided()) {
+            window.consentManager.showBanner();
+        }
+    });
+}
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ConsentManager;
+}
@@ -7,14 +7,43 @@ class ContentSuggestionMonitor {
     constructor() {
         this.config = {
             trackingEnabled: true,
-            batchSize: 20,
-            batchInterval: 300000, // 5 minutes
             impressionThreshold: 1000, // milliseconds in viewport to count as impression
             enableHeatmapTracking: true,
             enableA11yTracking: true
         };
 
-        this.metrics = {
+        this.metrics = this.createMetrics();
+
+        this.impressionObserver = null;
+        this.sessionStartTime = Date.now();
+        this.currentPage = window.location.pathname;
+
+        this.init();
+    }
+
+    /**
+     * Initialize the monitoring system
+     */
+    init() {
+        if (!this.config.trackingEnabled) return;
+
+        this.setupImpressionTracking();
+        this.setupClickTracking();
+        this.setupHoverTracking();
+        this.setupScrollTracking();
+        this.setupPerformanceTracking();
+        this.setupMetricsReporting();
+        this.setupEventListeners();
+        this.followConsent();
+
+        console.log('📊 Content suggestion monitoring initialized');
+    }
+
+    /**
+     * Empty metrics for a session
+     */
+    createMetrics() {
+        return {
             suggestions: {
                 totalImpressions: 0,
                 totalClicks: 0,
@@ -51,30 +80,22 @@ class ContentSuggestionMonitor {
                 errorRates: {}
             }
         };
-
-        this.impressionObserver = null;
-        this.eventQueue = [];
-        this.sessionStartTime = Date.now();
-        this.currentPage = window.location.pathname;
-
-        this.init();
     }
 
     /**
-     * Initialize the monitoring system
+     * Report only while the visitor allows the behavior consent category.
+     * Metrics start over on every change so nothing gathered before a
+     * withdrawal is reported after a later grant.
      */
-    init() {
-        if (!this.config.trackingEnabled) return;
-
-        this.setupImpressionTracking();
-        this.setupClickTracking();
-        this.setupHoverTracking();
-        this.setupScrollTracking();
-        this.setupPerformanceTracking();
-        this.setupBatchProcessing();
-        this.setupEventListeners();
+    followConsent() {
+        if (!window.consentManager) return;
 
-        console.log('📊 Content suggestion monitoring initialized');
+        const apply = state => {
+            this.config.trackingEnabled = state.categories.behavior === true;
+            this.metrics = this.createMetrics();
+        };
+        apply(window.consentManager.getState());
+        window.consentManager.onChange(apply);
     }
 
     /**
@@ -212,9 +233,6 @@ class ContentSuggestionMonitor {
             this.trackContentPreviewClick(clickData);
         }
 
-        this.queueEvent(clickData);
-
-        // Send to main analytics
         this.sendToAnalytics('suggestion_click', clickData);
     }
 
@@ -434,78 +452,15 @@ class ContentSuggestionMonitor {
     }
 
     /**
-     * Setup batch processing
+     * Report the session's suggestion metrics when the page is left; the
+     * event bus batches and delivers everything published before it
      */
-    setupBatchProcessing() {
-        setInterval(() => {
-            this.processBatch();
-        }, this.config.batchInterval);
-
-        // Process on page unload
+    setupMetricsReporting() {
         window.addEventListener('beforeunload', () => {
-            this.processBatch(true);
+            this.sendToAnalytics('suggestion_metrics', this.getMetricsSummary());
         });
     }
 
-    /**
-     * Process event batch
-     */
-    processBatch(isUnloading = false) {
-        if (this.eventQueue.length === 0) return;
-
-        const batch = {
-            timestamp: Date.now(),
-            page: this.currentPage,
-            sessionId: this.getSessionId(),
-            events: [...this.eventQueue],
-            metrics: this.getMetricsSummary()
-        };
-
-        // Send batch to analytics
-        this.sendBatch(batch, isUnloading);
-
-        // Clear queue
-        this.eventQueue = [];
-    }
-
-    /**
-     * Send batch to analytics endpoint
-     */
-    sendBatch(batch, isUnloading = false) {
-        const payload = JSON.stringify(batch);
-
-        if (isUnloading && navigator.sendBeacon) {
-            navigator.sendBeacon('/analytics/suggestions', payload);
-        } else {
-            // Store in localStorage for later sending
-            this.storeBatch(batch);
-        }
-
-        // Send to main analytics system
-        if (window.analyticsManager) {
-            window.analyticsManager.trackEvent('suggestion_batch', {
-                event_category: 'Content Suggestions',
-                batch_size: batch.events.length,
-                page_location: window.location.href
-            });
-        }
-    }
-
-    /**
-     * Store batch in localStorage
-     */
-    storeBatch(batch) {
-        const stored = JSON.parse(localStorage.getItem('suggestionBatches') || '[]');
-        stored.push(batch);
-
-        // Keep only last 10 batches
-        if (stored.length > 10) {
-            stored.splice(0, stored.length - 10);
-        }
-
-        localStorage.setItem('suggestionBatches', JSON.stringify(stored));
-    }
-
     /**
      * Setup event listeners
      */
@@ -515,13 +470,6 @@ class ContentSuggestionMonitor {
             this.handlePageChange();
         });
 
-        // Listen for visibility changes
-        document.addEventListener('visibilitychange', () => {
-            if (document.hidden) {
-                this.processBatch();
-            }
-        });
-
         // Listen for content preview expansions
         document.addEventListener('click', (event) => {
             if (event.target.closest('.expand-preview')) {
@@ -534,7 +482,6 @@ class ContentSuggestionMonitor {
      * Handle page change
      */
     handlePageChange() {
-        this.processBatch();
         this.currentPage = window.location.pathname;
         this.sessionStartTime = Date.now();
         
@@ -689,31 +636,22 @@ class ContentSuggestionMonitor {
     }
 
     /**
-     * Queue event for batch processing
+     * Publish a suggestion interaction
      */
     queueEvent(eventData) {
-        this.eventQueue.push(eventData);
-
-        if (this.eventQueue.length >= this.config.batchSize) {
-            this.processBatch();
-        }
+        this.sendToAnalytics('suggestion_interaction', eventData);
     }
 
     /**
-     * Send to main analytics system
+     * Publish on the analytics event bus
      */
     sendToAnalytics(eventType, data) {
-        if (window.analyticsManager) {
-            window.analyticsManager.trackEvent(eventType, {
-                event_category: 'Content Suggestions',
-                ...data
-            });
-        }
+        if (!this.config.trackingEnabled) return;
 
-        // Send to cross-page analytics
-        if (window.CrossPageAnalytics) {
-            window.CrossPageAnalytics.trackCustomEvent(eventType, data);
-        }
+        window.analyticsEventBus?.publish(eventType, {
+            event_category: 'Content Suggestions',
+            ...data
+        }, { source: 'content-suggestions' });
     }
 
     /**
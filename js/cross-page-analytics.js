@@ -239,12 +239,8 @@ class CrossPageAnalytics {
       navigationPath: this.navigationPath.length
     };
 
-    // Use sendBeacon for reliable exit tracking
-    if (navigator.sendBeacon) {
-      navigator.sendBeacon('/analytics', JSON.stringify(exitData));
-    } else {
-      this.sendAnalytics('page_exit', exitData);
-    }
+    // The event bus flushes its batch with a beacon on pagehide
+    this.sendAnalytics('page_exit', exitData);
   }
 
   startPerformanceMonitoring() {
@@ -351,92 +347,9 @@ class CrossPageAnalytics {
   }
 
   sendAnalytics(eventType, data) {
-    // Send to multiple analytics providers
-    this.sendToGoogleAnalytics(eventType, data);
-    this.sendToCustomAnalytics(eventType, data);
-    this.logToConsole(eventType, data);
-  }
-
-  sendToGoogleAnalytics(eventType, data) {
-    // Send to main analytics manager if available
-    if (window.analyticsManager && window.analyticsManager.consentGiven) {
-      // Dispatch custom event for main analytics to handle
-      const customEvent = new CustomEvent('crossPageAnalytics', {
-        detail: { eventType, data }
-      });
-      document.dispatchEvent(customEvent);
-    }
-    
-    // Fallback to direct gtag if available
-    if (typeof gtag === 'function') {
-      gtag('event', eventType, {
-        event_category: 'cross_page_integration',
-        event_label: data.page || window.location.pathname,
-        custom_map: {
-          session_id: data.sessionId,
-          page_type: data.page?.isHomepage ? 'homepage' : 'documentation'
-        }
-      });
-    }
-  }
-
-  sendToCustomAnalytics(eventType, data) {
-    // Store in localStorage for batch sending
-    const analyticsQueue = JSON.parse(localStorage.getItem('analyticsQueue') || '[]');
-    analyticsQueue.push({
-      eventType,
-      data,
-      timestamp: Date.now()
-    });
-    
-    // Keep only last 100 events to prevent storage overflow
-    if (analyticsQueue.length > 100) {
-      analyticsQueue.splice(0, analyticsQueue.length - 100);
-    }
-    
-    localStorage.setItem('analyticsQueue', JSON.stringify(analyticsQueue));
-    
-    // Send to dashboard if available
-    if (window.CrossPageIntegrationDashboard) {
-      window.CrossPageIntegrationDashboard.processAnalyticsEvent({ eventType, data });
-    }
-    
-    // Send batch if queue is large enough or enough time has passed
-    this.processBatchAnalytics();
-  }
-
-  processBatchAnalytics() {
-    const queue = JSON.parse(localStorage.getItem('analyticsQueue') || '[]');
-    const lastSent = parseInt(localStorage.getItem('lastAnalyticsSent') || '0');
-    const now = Date.now();
-    
-    // Send if queue has 10+ events or 5 minutes have passed
-    if (queue.length >= 10 || (now - lastSent) > 300000) {
-      this.sendBatchAnalytics(queue);
-      localStorage.setItem('analyticsQueue', '[]');
-      localStorage.setItem('lastAnalyticsSent', now.toString());
-    }
-  }
-
-  sendBatchAnalytics(events) {
-    // In a real implementation, this would send to your analytics endpoint
-    console.log('📊 Sending batch analytics:', events.length, 'events');
-    
-    // Simulate API call
-    if (navigator.sendBeacon) {
-      const payload = JSON.stringify({
-        batch: true,
-        events: events,
-        timestamp: Date.now()
-      });
-      navigator.sendBeacon('/analytics/batch', payload);
-    }
-  }
-
-  logToConsole(eventType, data) {
-    if (window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1') {
-      console.log(`📊 Analytics: ${eventType}`, data);
-    }
+    // Consent, batching and delivery to GA4, the collector and the dashboard
+    // happen on the analytics event bus
+    window.analyticsEventBus?.publish(eventType, data, { source: 'cross-page' });
   }
 
   // Public API for manual tracking
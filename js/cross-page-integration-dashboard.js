@@ -84,9 +84,11 @@ class CrossPageIntegrationDashboard {
      * Setup data collection from various sources
      */
     setupDataCollection() {
-        // Listen for cross-page analytics events
-        document.addEventListener('crossPageAnalytics', (event) => {
-            this.processAnalyticsEvent(event.detail);
+        // Listen for cross-page analytics events on the event bus
+        window.analyticsEventBus?.subscribe(event => {
+            if (event.source === 'cross-page') {
+                this.processAnalyticsEvent({ eventType: event.name, data: event.params });
+            }
         });
 
         // Collect data from existing analytics systems
@@ -237,12 +239,12 @@ class CrossPageIntegrationDashboard {
      * Collect data from existing analytics systems
      */
     collectExistingData() {
-        // Get data from localStorage analytics queue
-        const analyticsQueue = JSON.parse(localStorage.getItem('analyticsQueue') || '[]');
+        // Get data from the events the bus stored in localStorage
+        const storedEvents = window.analyticsEventBus?.getTransport('localStorage')?.read() || [];
         
-        analyticsQueue.forEach(event => {
-            if (event.eventType && event.data) {
-                this.processAnalyticsEvent({ eventType: event.eventType, data: event.data });
+        storedEvents.forEach(event => {
+            if (event.source === 'cross-page') {
+                this.processAnalyticsEvent({ eventType: event.name, data: event.params });
             }
         });
 
@@ -633,6 +635,10 @@ class CrossPageIntegrationDashboard {
                 <div class="chart-title">Content Preview Performance</div>
                 <div id="preview-performance"></div>
             </div>
+            <div class="chart">
+                <div class="chart-title">Landing to Download Funnel</div>
+                <div id="funnel-charts"></div>
+            </div>
         `;
 
         this.updateCharts();
@@ -644,6 +650,7 @@ class CrossPageIntegrationDashboard {
     updateCharts() {
         this.updatePopularPathsChart();
         this.updatePreviewPerformanceChart();
+        this.updateFunnelChart();
     }
 
     /**
@@ -694,6 +701,28 @@ class CrossPageIntegrationDashboard {
         `).join('');
     }
 
+    /**
+     * Update funnel chart from the events stored in this browser, using the
+     * reporting system's funnel definitions when it has loaded
+     */
+    updateFunnelChart() {
+        const funnelElement = document.getElementById('funnel-charts');
+        if (!funnelElement || !window.FunnelAnalyzer) return;
+
+        const storedEvents = window.analyticsEventBus?.getTransport('localStorage')?.read() || [];
+        const funnels = window.AnalyticsReportingSystem?.analyzeFunnels
+            ? window.AnalyticsReportingSystem.analyzeFunnels(storedEvents)
+            : new window.FunnelAnalyzer().analyze(storedEvents);
+        const entered = funnels.filter(funnel => funnel.entered > 0);
+
+        if (entered.length === 0) {
+            funnelElement.innerHTML = '<div style="color: #95a5a6; font-style: italic;">No funnel data yet</div>';
+            return;
+        }
+
+        funnelElement.innerHTML = entered.map(funnel => window.FunnelAnalyzer.renderChart(funnel)).join('');
+    }
+
     /**
      * Create alerts panel
      */
@@ -0,0 +1,414 @@
+/**
+ * GGUF Inspector
+ * Reads the header of a local .gguf file with the File API — the file is
+ * never uploaded. Parses the metadata key-values and tensor infos into a
+ * summary (architecture, parameter count, tensor types, context length,
+ * tokenizer, chat template) that converts to the model shape MemoryEstimator
+ * takes, so the memory estimate is based on the actual file.
+ *
+ * Format reference: https://github.com/ggml-org/ggml/blob/master/docs/gguf.md
+ */
+
+class GGUFInspector {
+    constructor(options = {}) {
+        this.options = {
+            // First read; doubled until the whole header fits. Tokenizer
+            // vocabularies and merges make headers several MB.
+            initialReadBytes: 4 * 1024 * 1024,
+            maxReadBytes: 256 * 1024 * 1024,
+            // Longer arrays (tokens, scores, merges) only keep their length
+            maxArrayItems: 1024,
+            ...options
+        };
+    }
+
+    // "GGUF" read as a little-endian uint32
+    static get MAGIC() {
+        return 0x46554747;
+    }
+
+    static get VALUE_TYPES() {
+        return {
+            UINT8: 0, INT8: 1, UINT16: 2, INT16: 3, UINT32: 4, INT32: 5, FLOAT32: 6,
+            BOOL: 7, STRING: 8, ARRAY: 9, UINT64: 10, INT64: 11, FLOAT64: 12
+        };
+    }
+
+    /**
+     * ggml tensor types: elements per block and bytes per block
+     */
+    static get TENSOR_TYPES() {
+        return {
+            0: { name: 'F32', blockSize: 1, typeSize: 4 },
+            1: { name: 'F16', blockSize: 1, typeSize: 2 },
+            2: { name: 'Q4_0', blockSize: 32, typeSize: 18 },
+            3: { name: 'Q4_1', blockSize: 32, typeSize: 20 },
+            6: { name: 'Q5_0', blockSize: 32, typeSize: 22 },
+            7: { name: 'Q5_1', blockSize: 32, typeSize: 24 },
+            8: { name: 'Q8_0', blockSize: 32, typeSize: 34 },
+            9: { name: 'Q8_1', blockSize: 32, typeSize: 36 },
+            10: { name: 'Q2_K', blockSize: 256, typeSize: 84 },
+            11: { name: 'Q3_K', blockSize: 256, typeSize: 110 },
+            12: { name: 'Q4_K', blockSize: 256, typeSize: 144 },
+            13: { name: 'Q5_K', blockSize: 256, typeSize: 176 },
+            14: { name: 'Q6_K', blockSize: 256, typeSize: 210 },
+            15: { name: 'Q8_K', blockSize: 256, typeSize: 292 },
+            16: { name: 'IQ2_XXS', blockSize: 256, typeSize: 66 },
+            17: { name: 'IQ2_XS', blockSize: 256, typeSize: 74 },
+            18: { name: 'IQ3_XXS', blockSize: 256, typeSize: 98 },
+            19: { name: 'IQ1_S', blockSize: 256, typeSize: 50 },
+            20: { name: 'IQ4_NL', blockSize: 32, typeSize: 18 },
+            21: { name: 'IQ3_S', blockSize: 256, typeSize: 110 },
+            22: { name: 'IQ2_S', blockSize: 256, typeSize: 82 },
+            23: { name: 'IQ4_XS', blockSize: 256, typeSize: 136 },
+            24: { name: 'I8', blockSize: 1, typeSize: 1 },
+            25: { name: 'I16', blockSize: 1, typeSize: 2 },
+            26: { name: 'I32', blockSize: 1, typeSize: 4 },
+            27: { name: 'I64', blockSize: 1, typeSize: 8 },
+            28: { name: 'F64', blockSize: 1, typeSize: 8 },
+            29: { name: 'IQ1_M', blockSize: 256, typeSize: 56 },
+            30: { name: 'BF16', blockSize: 1, typeSize: 2 },
+            34: { name: 'TQ1_0', blockSize: 256, typeSize: 54 },
+            35: { name: 'TQ2_0', blockSize: 256, typeSize: 66 }
+        };
+    }
+
+    /**
+     * general.file_type values (llama_ftype) — the quantization the file was made with
+     */
+    static get FILE_TYPES() {
+        return {
+            0: 'F32', 1: 'F16', 2: 'Q4_0', 3: 'Q4_1', 7: 'Q8_0', 8: 'Q5_0', 9: 'Q5_1',
+            10: 'Q2_K', 11: 'Q3_K_S', 12: 'Q3_K_M', 13: 'Q3_K_L', 14: 'Q4_K_S', 15: 'Q4_K_M',
+            16: 'Q5_K_S', 17: 'Q5_K_M', 18: 'Q6_K', 19: 'IQ2_XXS', 20: 'IQ2_XS', 21: 'Q2_K_S',
+            22: 'IQ3_XS', 23: 'IQ3_XXS', 24: 'IQ1_S', 25: 'IQ4_NL', 26: 'IQ3_S', 27: 'IQ3_M',
+            28: 'IQ2_S', 29: 'IQ2_M', 30: 'IQ4_XS', 31: 'IQ1_M', 32: 'BF16', 36: 'TQ1_0', 37: 'TQ2_0'
+        };
+    }
+
+    /**
+     * Inspect a File/Blob (or an ArrayBuffer / typed array holding the start
+     * of a file). Only the header is read, growing the read until it fits.
+     */
+    async inspect(source) {
+        const fileSize = source.size !== undefined ? source.size : source.byteLength;
+        let length = Math.min(this.options.initialReadBytes, fileSize);
+
+        for (;;) {
+            const buffer = await this.readBytes(source, length);
+
+            try {
+                return this.parse(buffer, fileSize);
+            } catch (error) {
+                if (!(error instanceof RangeError)) {
+                    throw error;
+                }
+                if (length >= fileSize) {
+                    throw new Error('File ends inside the GGUF header — it is truncated or not a GGUF file');
+                }
+                if (length >= this.options.maxReadBytes) {
+                    throw new Error(`GGUF header is larger than ${Math.round(this.options.maxReadBytes / 1024 / 1024)} MB`);
+                }
+                length = Math.min(length * 2, fileSize, this.options.maxReadBytes);
+            }
+        }
+    }
+
+    async readBytes(source, length) {
+        if (typeof source.arrayBuffer === 'function' && typeof source.slice === 'function' && source.size !== undefined) {
+            return source.slice(0, length).arrayBuffer();
+        }
+        if (ArrayBuffer.isView(source)) {
+            return source.buffer.slice(source.byteOffset, source.byteOffset + length);
+        }
+        return source.slice(0, length);
+    }
+
+    /**
+     * Parse a buffer that starts at byte 0 of a GGUF file. Throws RangeError
+     * when the header continues past the end of the buffer.
+     *
+     * @param {ArrayBuffer} buffer
+     * @param {number} fileSize - size of the whole file, used to detect truncated downloads
+     */
+    parse(buffer, fileSize = buffer.byteLength) {
+        const reader = new GGUFReader(buffer, this.options.maxArrayItems);
+
+        if (reader.uint32() !== GGUFInspector.MAGIC) {
+            throw new Error('Not a GGUF file (missing "GGUF" magic bytes)');
+        }
+
+        const version = reader.uint32();
+        if (version < 2) {
+            throw new Error(`GGUF version ${version} is not supported (re-convert the model with a current llama.cpp)`);
+        }
+
+        const tensorCount = reader.uint64();
+        const metadataCount = reader.uint64();
+        const metadata = {};
+
+        for (let i = 0; i < metadataCount; i++) {
+            const key = reader.string();
+            metadata[key] = reader.value(reader.uint32());
+        }
+
+        const tensors = [];
+        for (let i = 0; i < tensorCount; i++) {
+            const name = reader.string();
+            const dimensions = reader.uint32();
+            const shape = [];
+            for (let d = 0; d < dimensions; d++) {
+                shape.push(reader.uint64());
+            }
+            const typeId = reader.uint32();
+            const offset = reader.uint64();
+            tensors.push({ name, shape, typeId, offset, ...this.measureTensor(shape, typeId) });
+        }
+
+        const alignment = metadata['general.alignment'] || 32;
+        const dataOffset = Math.ceil(reader.offset / alignment) * alignment;
+
+        return this.summarize({ version, metadata, tensors, dataOffset, fileSize });
+    }
+
+    measureTensor(shape, typeId) {
+        const elements = shape.reduce((product, dimension) => product * dimension, 1);
+        const type = GGUFInspector.TENSOR_TYPES[typeId];
+
+        return {
+            type: type ? type.name : `type ${typeId}`,
+            elements,
+            bytes: type ? (elements / type.blockSize) * type.typeSize : 0
+        };
+    }
+
+    summarize({ version, metadata, tensors, dataOffset, fileSize }) {
+        const architecture = metadata['general.architecture'] || 'unknown';
+        const key = (name) => metadata[`${architecture}.${name}`];
+        const warnings = [];
+
+        const parameters = tensors.reduce((sum, tensor) => sum + tensor.elements, 0);
+        const tensorBytes = tensors.reduce((sum, tensor) => sum + tensor.bytes, 0);
+        const tensorEnd = tensors.reduce((end, tensor) => Math.max(end, tensor.offset + tensor.bytes), 0);
+
+        if (dataOffset + tensorEnd > fileSize) {
+            warnings.push(`File is ${this.formatBytes(dataOffset + tensorEnd - fileSize)} shorter than its tensors need — the download is incomplete`);
+        }
+        if (tensors.some(tensor => !GGUFInspector.TENSOR_TYPES[tensor.typeId])) {
+            warnings.push('Some tensors use a type this inspector does not know; sizes may be underestimated');
+        }
+
+        const tensorTypes = {};
+        tensors.forEach(tensor => {
+            const entry = tensorTypes[tensor.type] || (tensorTypes[tensor.type] = { type: tensor.type, count: 0, elements: 0, bytes: 0 });
+            entry.count++;
+            entry.elements += tensor.elements;
+            entry.bytes += tensor.bytes;
+        });
+
+        // Mixture of experts: only expert_used_count of expert_count FFN experts run per token
+        const experts = key('expert_count') || 0;
+        const expertsUsed = key('expert_used_count') || 0;
+        let activeParameters = null;
+        if (experts > 1 && expertsUsed > 0) {
+            const expertParameters = tensors
+                .filter(tensor => /ffn_(gate|up|down)(_exps|\.\d+)/.test(tensor.name))
+                .reduce((sum, tensor) => sum + tensor.elements, 0);
+            activeParameters = parameters - expertParameters * (1 - expertsUsed / experts);
+        }
+
+        const heads = this.maxOf(key('attention.head_count'));
+        const tokens = metadata['tokenizer.ggml.tokens'];
+        const fileType = metadata['general.file_type'];
+
+        return {
+            version,
+            name: metadata['general.name'] || null,
+            architecture,
+            fileType: fileType !== undefined ? (GGUFInspector.FILE_TYPES[fileType] || `type ${fileType}`) : null,
+            parameters,
+            activeParameters,
+            bitsPerWeight: parameters > 0 ? (tensorBytes * 8) / parameters : 0,
+            contextLength: key('context_length') || null,
+            layers: key('block_count') || null,
+            embeddingSize: key('embedding_length') || null,
+            heads: heads || null,
+            kvHeads: this.maxOf(key('attention.head_count_kv')) || heads || null,
+            headSize: key('attention.key_length') || null,
+            experts,
+            expertsUsed,
+            tokenizer: {
+                model: metadata['tokenizer.ggml.model'] || null,
+                vocabularySize: tokens ? tokens.length : key('vocab_size') || null,
+                bosTokenId: metadata['tokenizer.ggml.bos_token_id'] ?? null,
+                eosTokenId: metadata['tokenizer.ggml.eos_token_id'] ?? null
+            },
+            chatTemplate: metadata['tokenizer.chat_template'] || null,
+            tensorTypes: Object.values(tensorTypes).sort((a, b) => b.elements - a.elements),
+            tensorCount: tensors.length,
+            tensorBytes,
+            dataOffset,
+            fileSize,
+            metadata,
+            tensors,
+            warnings
+        };
+    }
+
+    /**
+     * Model shape and settings for MemoryEstimator.estimate(model, settings)
+     */
+    toEstimatorInput(info) {
+        if (!info.layers || !info.embeddingSize) {
+            throw new Error(`Missing layer or embedding size metadata for architecture "${info.architecture}"`);
+        }
+
+        const model = {
+            name: info.name || info.architecture,
+            parameters: info.parameters / 1e9,
+            layers: info.layers,
+            embeddingSize: info.embeddingSize,
+            heads: info.heads,
+            kvHeads: info.kvHeads
+        };
+        if (info.headSize) {
+            model.headSize = info.headSize;
+        }
+        if (info.activeParameters) {
+            model.activeParameters = info.activeParameters / 1e9;
+        }
+
+        return {
+            model,
+            settings: {
+                bitsPerWeight: info.bitsPerWeight,
+                contextLength: info.contextLength || undefined
+            }
+        };
+    }
+
+    // Some architectures store per-layer head counts as arrays
+    maxOf(value) {
+        return Array.isArray(value) ? Math.max(...value) : value;
+    }
+
+    formatBytes(bytes) {
+        if (bytes >= 1024 ** 3) {
+            return (bytes / 1024 ** 3).toFixed(2) + ' GB';
+        }
+        if (bytes >= 1024 ** 2) {
+            return (bytes / 1024 ** 2).toFixed(1) + ' MB';
+        }
+        return Math.round(bytes / 1024) + ' KB';
+    }
+}
+
+/**
+ * Little-endian cursor over the header bytes. DataView and Uint8Array throw
+ * RangeError past the end of the buffer, which tells inspect() to read more.
+ */
+class GGUFReader {
+    constructor(buffer, maxArrayItems) {
+        this.buffer = buffer;
+        this.view = new DataView(buffer);
+        this.offset = 0;
+        this.maxArrayItems = maxArrayItems;
+        this.decoder = new TextDecoder('utf-8');
+    }
+
+    uint8() { return this.view.getUint8(this.advance(1)); }
+    int8() { return this.view.getInt8(this.advance(1)); }
+    uint16() { return this.view.getUint16(this.advance(2), true); }
+    int16() { return this.view.getInt16(this.advance(2), true); }
+    uint32() { return this.view.getUint32(this.advance(4), true); }
+    int32() { return this.view.getInt32(this.advance(4), true); }
+    float32() { return this.view.getFloat32(this.advance(4), true); }
+    float64() { return this.view.getFloat64(this.advance(8), true); }
+    uint64() { return Number(this.view.getBigUint64(this.advance(8), true)); }
+    int64() { return Number(this.view.getBigInt64(this.advance(8), true)); }
+
+    string() {
+        const length = this.uint64();
+        const bytes = new Uint8Array(this.buffer, this.offset, length);
+        this.offset += length;
+        return this.decoder.decode(bytes);
+    }
+
+    value(type) {
+        const TYPES = GGUFInspector.VALUE_TYPES;
+
+        switch (type) {
+            case TYPES.UINT8: return this.uint8();
+            case TYPES.INT8: return this.int8();
+            case TYPES.UINT16: return this.uint16();
+            case TYPES.INT16: return this.int16();
+            case TYPES.UINT32: return this.uint32();
+            case TYPES.INT32: return this.int32();
+            case TYPES.FLOAT32: return this.float32();
+            case TYPES.BOOL: return this.uint8() !== 0;
+            case TYPES.STRING: return this.string();
+            case TYPES.UINT64: return this.uint64();
+            case TYPES.INT64: return this.int64();
+            case TYPES.FLOAT64: return this.float64();
+            case TYPES.ARRAY: return this.array();
+            default:
+                throw new Error(`Unknown GGUF value type ${type} at byte ${this.offset}`);
+        }
+    }
+
+    /**
+     * Arrays up to maxArrayItems are returned as-is; longer ones are skipped
+     * and summarized as { itemType, length }
+     */
+    array() {
+        const itemType = this.uint32();
+        const length = this.uint64();
+
+        if (length <= this.maxArrayItems) {
+            const items = [];
+            for (let i = 0; i < length; i++) {
+                items.push(this.value(itemType));
+            }
+            return items;
+        }
+
+        const fixedSizes = { 0: 1, 1: 1, 2: 2, 3: 2, 4: 4, 5: 4, 6: 4, 7: 1, 10: 8, 11: 8, 12: 8 };
+        if (fixedSizes[itemType]) {
+            this.advance(fixedSizes[itemType] * length);
+        } else {
+            for (let i = 0; i < length; i++) {
+                this.skipValue(itemType);
+            }
+        }
+
+        const typeName = Object.keys(GGUFInspector.VALUE_TYPES).find(name => GGUFInspector.VALUE_TYPES[name] === itemType);
+        return { itemType: typeName, length };
+    }
+
+    skipValue(type) {
+        if (type === GGUFInspector.VALUE_TYPES.STRING) {
+            this.advance(this.uint64());
+        } else {
+            this.value(type);
+        }
+    }
+
+    // Move past n bytes, returning where they start
+    advance(n) {
+        const start = this.offset;
+        if (start + n > this.buffer.byteLength) {
+            throw new RangeError('Read past the end of the buffer');
+        }
+        this.offset += n;
+        return start;
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.GGUFInspector = GGUFInspector;
+}
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GGUFInspector;
+}
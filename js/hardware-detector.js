@@ -0,0 +1,363 @@
+/**
+ * Hardware Detector
+ * Best-effort guess of the visitor's RAM, CPU, OS and GPU from browser APIs
+ * (navigator.deviceMemory, hardwareConcurrency, user-agent client hints and
+ * WebGPU), plus named hardware profiles kept in localStorage.
+ * Shared by ModelComparisonTool and the memory calculator page.
+ *
+ * Each detected field is { value, source, detail }. The source is
+ * 'confirmed' when the browser reports the value as-is and 'inferred' when it
+ * is rounded, capped or derived from something else.
+ */
+
+class HardwareDetector {
+    constructor(options = {}) {
+        this.options = {
+            storageKey: 'gguf-loader-hardware-profiles',
+            // Browsers round deviceMemory down to a power of two and stop at 8
+            deviceMemoryCapGB: 8,
+            // Logical cores for the comparison tool's CPU tiers
+            highEndCores: 12,
+            modernCores: 4,
+            ...options
+        };
+        this.navigator = options.navigator || (typeof navigator !== 'undefined' ? navigator : {});
+        this.storage = options.storage || (typeof localStorage !== 'undefined' ? localStorage : null);
+    }
+
+    static get SOURCE_LABELS() {
+        return {
+            confirmed: 'Confirmed',
+            inferred: 'Estimated'
+        };
+    }
+
+    /**
+     * Detect everything the browser exposes. Fields it does not expose are null.
+     */
+    async detect() {
+        const hints = await this.getClientHints();
+        const os = this.detectOs(hints);
+        const gpu = await this.detectGpu();
+
+        return {
+            ram: this.detectRam(),
+            cpu: this.detectCpu(hints, os),
+            os,
+            gpu: gpu.adapter,
+            vram: gpu.vram
+        };
+    }
+
+    /**
+     * UA client hints (Chromium only); architecture and bitness need the high
+     * entropy call, which may be refused
+     */
+    async getClientHints() {
+        const data = this.navigator.userAgentData;
+        if (!data) {
+            return null;
+        }
+
+        const hints = { platform: data.platform, mobile: data.mobile };
+        if (typeof data.getHighEntropyValues === 'function') {
+            try {
+                Object.assign(hints, await data.getHighEntropyValues(['architecture', 'bitness', 'platformVersion']));
+            } catch (error) {
+                console.warn('High entropy client hints unavailable:', error);
+            }
+        }
+        return hints;
+    }
+
+    detectRam() {
+        const reported = this.navigator.deviceMemory;
+        if (typeof reported !== 'number' || !(reported > 0)) {
+            return null;
+        }
+
+        const capped = reported >= this.options.deviceMemoryCapGB;
+        return {
+            value: reported,
+            source: 'inferred',
+            detail: capped
+                ? `Your browser reports at least ${reported} GB (it never reports more)`
+                : `Your browser reports about ${reported} GB`
+        };
+    }
+
+    /**
+     * CPU tier for the comparison tool: Apple silicon counts as high-end,
+     * otherwise the logical core count decides
+     */
+    detectCpu(hints, os) {
+        const cores = this.navigator.hardwareConcurrency;
+        if (!cores) {
+            return null;
+        }
+
+        const architecture = hints && hints.architecture;
+        const details = [`${cores} logical cores`];
+        if (architecture) {
+            details.push(`${architecture}${hints.bitness ? ` ${hints.bitness}-bit` : ''}`);
+        }
+
+        let value;
+        if (architecture === 'arm' && os && os.value === 'macos') {
+            value = 'high-end';
+            details.push('Apple silicon');
+        } else if (hints && hints.bitness === '32') {
+            value = 'basic';
+        } else if (cores >= this.options.highEndCores) {
+            value = 'high-end';
+        } else if (cores >= this.options.modernCores) {
+            value = 'modern';
+        } else {
+            value = 'basic';
+        }
+
+        return { value, cores, source: 'inferred', detail: details.join(', ') };
+    }
+
+    /**
+     * Client hints name the platform outright; the user-agent string is frozen
+     * or spoofed often enough that it only counts as a guess
+     */
+    detectOs(hints) {
+        const platforms = { Windows: 'windows', macOS: 'macos', Linux: 'linux' };
+
+        if (hints && hints.platform) {
+            const value = hints.mobile ? null : platforms[hints.platform] || null;
+            return value
+                ? { value, source: 'confirmed', detail: `Reported by your browser: ${hints.platform}` }
+                : null;
+        }
+
+        const userAgent = this.navigator.userAgent || '';
+        let value = null;
+        if (/Android|iPhone|iPad|iPod/.test(userAgent)) {
+            value = null;
+        } else if (/Windows/.test(userAgent)) {
+            value = 'windows';
+        } else if (/Macintosh|Mac OS X/.test(userAgent)) {
+            // iPadOS Safari asks for desktop sites with a Mac user agent
+            value = this.navigator.maxTouchPoints > 1 ? null : 'macos';
+        } else if (/Linux|X11/.test(userAgent)) {
+            value = 'linux';
+        }
+
+        return value
+            ? { value, source: 'inferred', detail: 'Guessed from your browser\'s user agent' }
+            : null;
+    }
+
+    /**
+     * WebGPU names the adapter but not its memory. The largest buffer it
+     * allows is a lower bound for VRAM on discrete cards; integrated and
+     * Apple GPUs share system RAM instead.
+     */
+    async detectGpu() {
+        const none = { adapter: null, vram: null };
+        if (!this.navigator.gpu || typeof this.navigator.gpu.requestAdapter !== 'function') {
+            return none;
+        }
+
+        let adapter;
+        try {
+            adapter = await this.navigator.gpu.requestAdapter({ powerPreference: 'high-performance' });
+        } catch (error) {
+            console.warn('WebGPU adapter request failed:', error);
+            return none;
+        }
+        if (!adapter) {
+            return none;
+        }
+
+        let info = adapter.info;
+        if (!info && typeof adapter.requestAdapterInfo === 'function') {
+            try {
+                info = await adapter.requestAdapterInfo();
+            } catch (error) {
+                info = null;
+            }
+        }
+        info = info || {};
+
+        const vendor = (info.vendor || '').toLowerCase();
+        const name = [info.vendor, info.architecture, info.description]
+            .filter(Boolean)
+            .join(' ') || 'Unknown GPU';
+
+        if (adapter.isFallbackAdapter) {
+            return {
+                adapter: { value: name, source: 'confirmed', detail: 'Software renderer, no usable GPU' },
+                vram: { value: 0, source: 'inferred', detail: 'Only a software renderer is available' }
+            };
+        }
+
+        const gpu = { value: name, source: 'confirmed', detail: 'Reported by WebGPU' };
+        const limits = adapter.limits || {};
+        const largestBuffer = Math.max(limits.maxBufferSize || 0, limits.maxStorageBufferBindingSize || 0);
+
+        if (vendor === 'nvidia' || vendor === 'amd') {
+            const gigabytes = Math.floor(largestBuffer / 1024 ** 3);
+            return {
+                adapter: gpu,
+                vram: gigabytes > 0
+                    ? { value: gigabytes, source: 'inferred', detail: `WebGPU allows ${gigabytes} GB buffers; the card may have more VRAM` }
+                    : null
+            };
+        }
+
+        if (vendor === 'intel' || vendor === 'apple') {
+            return {
+                adapter: gpu,
+                vram: { value: 0, source: 'inferred', detail: 'Integrated or unified-memory GPU: offloaded layers share system RAM' }
+            };
+        }
+
+        return { adapter: gpu, vram: null };
+    }
+
+    /**
+     * Detected values as tool specs ({ ram, vram, cpu, os }), skipping unknowns
+     */
+    toSpecs(detected) {
+        const specs = {};
+        ['ram', 'vram', 'cpu', 'os'].forEach(key => {
+            if (detected[key] && detected[key].value !== null) {
+                specs[key] = detected[key].value;
+            }
+        });
+        return specs;
+    }
+
+    /**
+     * Largest choice not above the value (the smallest choice if none is)
+     */
+    snap(value, choices) {
+        const sorted = [...choices].sort((a, b) => a - b);
+        return sorted.filter(choice => choice <= value).pop() ?? sorted[0];
+    }
+
+    /**
+     * Show a field's source next to its input; hides the badge when field is null
+     */
+    labelField(badge, field) {
+        if (!badge) {
+            return;
+        }
+
+        badge.hidden = !field;
+        if (!field) {
+            return;
+        }
+
+        badge.className = `detected-badge detected-${field.source}`;
+        badge.textContent = HardwareDetector.SOURCE_LABELS[field.source];
+        badge.title = field.detail;
+    }
+
+    // Profiles: { active, profiles: { [name]: { ram, vram, cpu, os, savedAt } } }
+
+    loadProfileStore() {
+        try {
+            const stored = this.storage && this.storage.getItem(this.options.storageKey);
+            const store = stored ? JSON.parse(stored) : null;
+            return store && store.profiles ? store : { active: null, profiles: {} };
+        } catch (error) {
+            console.warn('Failed to load hardware profiles:', error);
+            return { active: null, profiles: {} };
+        }
+    }
+
+    saveProfileStore(store) {
+        try {
+            this.storage.setItem(this.options.storageKey, JSON.stringify(store));
+        } catch (error) {
+            console.warn('Failed to save hardware profiles:', error);
+        }
+    }
+
+    /**
+     * Saved profiles sorted by name
+     */
+    getProfiles() {
+        const { profiles } = this.loadProfileStore();
+        return Object.keys(profiles)
+            .sort((a, b) => a.localeCompare(b))
+            .map(name => ({ name, ...profiles[name] }));
+    }
+
+    getProfile(name) {
+        const { profiles } = this.loadProfileStore();
+        return profiles[name] ? { name, ...profiles[name] } : null;
+    }
+
+    /**
+     * Save specs under a name and make it the active profile. Specs merge into
+     * an existing profile, so a tool that only knows RAM and VRAM keeps the
+     * CPU and OS saved by the other.
+     */
+    saveProfile(name, specs) {
+        const profileName = (name || '').trim();
+        if (!profileName) {
+            throw new Error('Profile name is required');
+        }
+
+        const store = this.loadProfileStore();
+        const profile = { ...store.profiles[profileName], savedAt: new Date().toISOString() };
+        ['ram', 'vram', 'cpu', 'os'].forEach(key => {
+            if (specs[key] !== undefined && specs[key] !== '' && specs[key] !== null) {
+                profile[key] = specs[key];
+            }
+        });
+
+        store.profiles[profileName] = profile;
+        store.active = profileName;
+        this.saveProfileStore(store);
+        return { name: profileName, ...profile };
+    }
+
+    deleteProfile(name) {
+        const store = this.loadProfileStore();
+        delete store.profiles[name];
+        if (store.active === name) {
+            store.active = null;
+        }
+        this.saveProfileStore(store);
+    }
+
+    getActiveProfile() {
+        const { active } = this.loadProfileStore();
+        return active ? this.getProfile(active) : null;
+    }
+
+    setActiveProfile(name) {
+        const store = this.loadProfileStore();
+        store.active = name && store.profiles[name] ? name : null;
+        this.saveProfileStore(store);
+    }
+
+    /**
+     * A profile's values as labelled fields, like detect() returns
+     */
+    profileFields(profile) {
+        const fields = {};
+        ['ram', 'vram', 'cpu', 'os'].forEach(key => {
+            fields[key] = profile[key] === undefined
+                ? null
+                : { value: profile[key], source: 'confirmed', detail: `Saved in profile “${profile.name}”` };
+        });
+        return fields;
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.HardwareDetector = HardwareDetector;
+}
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HardwareDetector;
+}
@@ -0,0 +1,591 @@
+/**
+ * Heatmap Overlay
+ * Admin-only overlay that draws click density, mouse movement and scroll
+ * reach from UserBehaviorTracker sessions on top of the current page.
+ * Sessions come from exported JSON (UserBehaviorTracker.exportData(), the
+ * analyticsQueue in localStorage, or a collector response) or straight from
+ * the analytics collector, and are split by viewport width so mobile and
+ * desktop layouts are never mixed.
+ *
+ * Open it with Alt+Shift+H or by adding ?heatmap to the URL while
+ * admin_mode is set.
+ */
+
+class HeatmapOverlay {
+    constructor(options = {}) {
+        this.options = {
+            // GET endpoint of scripts/analytics-collector.js
+            collectorEndpoint: '/analytics/events',
+            days: 30,
+            // Density is drawn at a fraction of page size and stretched; it is blurred anyway
+            resolution: 0.25,
+            radius: 24,
+            attentionListSize: 8,
+            ...options
+        };
+
+        this.sources = [];
+        this.sessions = [];
+        this.viewport = 'all';
+        this.layer = 'clicks';
+        this.root = null;
+        this.panel = null;
+    }
+
+    /**
+     * Viewport classes, by layout width in CSS pixels; mobile matches the
+     * collector's mobile split (scripts/analytics-metrics.js)
+     */
+    static get VIEWPORTS() {
+        return {
+            mobile: { label: 'Mobile', maxWidth: 768 },
+            tablet: { label: 'Tablet', maxWidth: 1024 },
+            desktop: { label: 'Desktop', maxWidth: Infinity }
+        };
+    }
+
+    static viewportClass(width) {
+        if (!Number.isFinite(width) || width <= 0) {
+            return 'unknown';
+        }
+        return Object.keys(HeatmapOverlay.VIEWPORTS)
+            .find(name => width < HeatmapOverlay.VIEWPORTS[name].maxWidth);
+    }
+
+    /**
+     * '/docs/index.html' and '/docs/' are the same page
+     */
+    static normalizePath(path) {
+        return String(path || '/').replace(/index\.html$/, '') || '/';
+    }
+
+    /**
+     * Turn any supported JSON into sessions:
+     * - UserBehaviorTracker.exportData() output, or an array of them
+     * - event bus envelopes (localStorage analyticsQueue, collector files)
+     * - a collector /analytics/events response ({ events: [...] })
+     *
+     * Reports of one page load are merged: events are sent in slices, while
+     * each heatmap report holds everything recorded so far.
+     */
+    static sessionsFrom(data) {
+        const reports = [];
+        const collect = item => {
+            if (Array.isArray(item)) {
+                item.forEach(collect);
+            } else if (item && Array.isArray(item.events) && !item.name) {
+                collect(item.events);
+            } else if (item && item.sessionData) {
+                reports.push({
+                    id: item.sessionData.sessionId,
+                    page: item.sessionData.pageViews?.[0]?.page,
+                    timestamp: Date.now(),
+                    events: item.sessionData.events || [],
+                    heatmap: item.heatmapData
+                });
+            } else if (item && item.name === 'user_behavior_data' && item.params) {
+                reports.push({
+                    id: item.params.session_id || item.sessionId || item.id,
+                    page: item.page,
+                    timestamp: item.timestamp,
+                    events: item.params.events || [],
+                    heatmap: item.params.heatmap
+                });
+            }
+        };
+        collect(data);
+
+        const merged = new Map();
+        reports.sort((a, b) => a.timestamp - b.timestamp).forEach(report => {
+            const session = merged.get(report.id) || { id: report.id, page: report.page, events: [], heatmap: null, seen: new Set() };
+            report.events.forEach(event => {
+                const key = `${event.type}:${event.timestamp}`;
+                if (!session.seen.has(key)) {
+                    session.seen.add(key);
+                    session.events.push(event);
+                }
+            });
+            session.heatmap = report.heatmap || session.heatmap;
+            merged.set(report.id, session);
+        });
+
+        return [...merged.values()].map(session => HeatmapOverlay.toSession(session));
+    }
+
+    /**
+     * Positions are kept as a fraction of the visitor's viewport width
+     * across and as page pixels down
+     */
+    static toSession({ id, page, events, heatmap }) {
+        const viewportWidth = heatmap?.viewport?.width
+            || events.find(event => event.viewport?.width)?.viewport.width
+            || null;
+        const across = (x, width) => x / (width || viewportWidth);
+
+        const clicks = events
+            .filter(event => event.type === 'click' && Number.isFinite(event.coordinates?.pageY))
+            .map(event => ({
+                page: HeatmapOverlay.normalizePath(event.page || page),
+                x: across(event.coordinates.pageX, event.viewport?.width),
+                y: event.coordinates.pageY
+            }));
+
+        // Movements recorded before page coordinates were added cannot be placed
+        const moves = (heatmap?.mouseMovements || [])
+            .filter(move => Number.isFinite(move.pageY))
+            .map(move => ({ page: HeatmapOverlay.normalizePath(move.page || page), x: across(move.pageX), y: move.pageY }));
+
+        const scrollDepth = {};
+        Object.entries(heatmap?.scrollDepth || {}).forEach(([path, depth]) => {
+            scrollDepth[HeatmapOverlay.normalizePath(path)] = depth;
+        });
+        // Without heatmap sampling only the scroll milestones are known
+        events.filter(event => event.type === 'scroll_milestone').forEach(event => {
+            const path = HeatmapOverlay.normalizePath(event.page || page);
+            if (!(path in scrollDepth) || scrollDepth[path] < event.milestone) {
+                scrollDepth[path] = event.milestone;
+            }
+        });
+
+        return {
+            id,
+            page: HeatmapOverlay.normalizePath(page),
+            viewportWidth,
+            viewport: HeatmapOverlay.viewportClass(viewportWidth),
+            clicks: clicks.filter(click => Number.isFinite(click.x)),
+            moves: moves.filter(move => Number.isFinite(move.x)),
+            scrollDepth,
+            timeOnElements: heatmap?.timeOnElements || {}
+        };
+    }
+
+    /**
+     * Everything the overlay draws for one page and viewport class
+     *
+     * @param {Array} sessions - from sessionsFrom()
+     * @param {Object} filter - { page, viewport: 'all' or a VIEWPORTS key }
+     */
+    static aggregate(sessions, filter = {}) {
+        const page = HeatmapOverlay.normalizePath(filter.page);
+        const viewport = filter.viewport || 'all';
+        const onPage = item => item.page === page;
+
+        const matching = sessions.filter(session => viewport === 'all' || session.viewport === viewport);
+        const clicks = matching.flatMap(session => session.clicks.filter(onPage));
+        const moves = matching.flatMap(session => session.moves.filter(onPage));
+
+        const depths = matching.map(session => session.scrollDepth[page]).filter(Number.isFinite);
+        const scrollReach = depths.length === 0 ? [] : Array.from({ length: 10 }, (_, i) => {
+            const depth = (i + 1) * 10;
+            return { depth, share: depths.filter(reached => reached >= depth).length / depths.length };
+        });
+
+        const attention = {};
+        matching.filter(session => session.page === page).forEach(session => {
+            Object.entries(session.timeOnElements).forEach(([key, entry]) => {
+                const element = entry.element || {};
+                const item = attention[key] || (attention[key] = {
+                    key,
+                    label: element.textContent || element.id || key,
+                    tagName: element.tagName || '',
+                    totalTime: 0,
+                    sessions: 0
+                });
+                item.totalTime += entry.totalTime || 0;
+                item.sessions++;
+            });
+        });
+
+        const viewed = matching.filter(session => onPage(session) || session.clicks.some(onPage) || page in session.scrollDepth);
+        return {
+            page,
+            viewport,
+            sessions: viewed.length,
+            clicks,
+            moves,
+            scrollSessions: depths.length,
+            scrollReach,
+            attention: Object.values(attention)
+                .map(item => ({ ...item, averageTime: item.totalTime / item.sessions / 1000 }))
+                .sort((a, b) => b.averageTime - a.averageTime)
+        };
+    }
+
+    /**
+     * Sessions with data for a page, per viewport class
+     */
+    static countViewports(sessions, page) {
+        const counts = { all: 0 };
+        Object.keys(HeatmapOverlay.VIEWPORTS).forEach(name => {
+            counts[name] = HeatmapOverlay.aggregate(sessions, { page, viewport: name }).sessions;
+        });
+        counts.all = HeatmapOverlay.aggregate(sessions, { page }).sessions;
+        return counts;
+    }
+
+    addData(data) {
+        this.sources.push(data);
+        this.sessions = HeatmapOverlay.sessionsFrom(this.sources);
+        this.render();
+        return this.sessions.length;
+    }
+
+    async loadFile(file) {
+        return this.addData(JSON.parse(await file.text()));
+    }
+
+    async loadFromCollector() {
+        const url = new URL(this.options.collectorEndpoint, window.location.href);
+        url.searchParams.set('name', 'user_behavior_data');
+        url.searchParams.set('days', this.options.days);
+
+        const response = await AnalyticsEventBus.CollectorTransport.query(url);
+        if (!response.ok) {
+            throw new Error(`The analytics collector responded ${response.status}`);
+        }
+        return this.addData(await response.json());
+    }
+
+    isOpen() {
+        return Boolean(this.root);
+    }
+
+    toggle() {
+        if (this.isOpen()) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+
+    open() {
+        if (this.isOpen()) return;
+
+        this.addStyles();
+        this.root = document.createElement('div');
+        this.root.id = 'heatmap-overlay';
+        this.root.setAttribute('aria-hidden', 'true');
+        document.body.appendChild(this.root);
+
+        this.panel = document.createElement('div');
+        this.panel.id = 'heatmap-panel';
+        this.panel.setAttribute('role', 'dialog');
+        this.panel.setAttribute('aria-label', 'Heatmap overlay');
+        this.panel.innerHTML = `
+            <div class="heatmap-panel-header">
+                <strong>Heatmap</strong>
+                <button type="button" data-action="close" aria-label="Close heatmap">×</button>
+            </div>
+            <div class="heatmap-panel-sources">
+                <button type="button" data-action="collector">Load from collector</button>
+                <label class="heatmap-file">Load JSON<input type="file" accept="application/json,.json" multiple></label>
+            </div>
+            <label>Layer
+                <select data-control="layer">
+                    <option value="clicks">Click density</option>
+                    <option value="moves">Mouse movement</option>
+                    <option value="scroll">Scroll reach</option>
+                </select>
+            </label>
+            <label>Viewport <select data-control="viewport"></select></label>
+            <p class="heatmap-status" role="status" aria-live="polite"></p>
+            <ol class="heatmap-attention"></ol>
+        `;
+        document.body.appendChild(this.panel);
+
+        const status = this.panel.querySelector('.heatmap-status');
+        const load = async loader => {
+            status.textContent = 'Loading…';
+            try {
+                await loader();
+            } catch (error) {
+                status.textContent = `Could not load sessions: ${error.message}`;
+            }
+        };
+
+        this.panel.querySelector('[data-action="close"]').addEventListener('click', () => this.close());
+        this.panel.querySelector('[data-action="collector"]').addEventListener('click', () => load(() => this.loadFromCollector()));
+        this.panel.querySelector('input[type="file"]').addEventListener('change', event => {
+            const files = [...event.target.files];
+            load(async () => {
+                for (const file of files) {
+                    await this.loadFile(file);
+                }
+            });
+        });
+        this.panel.querySelector('[data-control="layer"]').addEventListener('change', event => {
+            this.layer = event.target.value;
+            this.render();
+        });
+        this.panel.querySelector('[data-control="viewport"]').addEventListener('change', event => {
+            this.viewport = event.target.value;
+            this.render();
+        });
+
+        this.resizeHandler = () => this.render();
+        window.addEventListener('resize', this.resizeHandler);
+        this.render();
+    }
+
+    close() {
+        this.root?.remove();
+        this.panel?.remove();
+        this.root = null;
+        this.panel = null;
+        window.removeEventListener('resize', this.resizeHandler);
+    }
+
+    render() {
+        if (!this.isOpen()) return;
+
+        const page = window.location.pathname;
+        const counts = HeatmapOverlay.countViewports(this.sessions, page);
+        const select = this.panel.querySelector('[data-control="viewport"]');
+        select.innerHTML = [['all', 'All widths'], ...Object.entries(HeatmapOverlay.VIEWPORTS).map(([name, v]) => [name, v.label])]
+            .map(([value, label]) => `<option value="${value}" ${value === this.viewport ? 'selected' : ''}>${label} (${counts[value]})</option>`)
+            .join('');
+
+        const data = HeatmapOverlay.aggregate(this.sessions, { page, viewport: this.viewport });
+        const width = document.documentElement.scrollWidth;
+        const height = document.documentElement.scrollHeight;
+        this.root.style.width = `${width}px`;
+        this.root.style.height = `${height}px`;
+        this.root.innerHTML = '';
+
+        if (this.layer === 'scroll') {
+            this.drawScrollReach(data.scrollReach, height);
+        } else {
+            this.drawDensity(this.layer === 'moves' ? data.moves : data.clicks, width, height);
+        }
+
+        const shown = { clicks: `${data.clicks.length} clicks`, moves: `${data.moves.length} movements`, scroll: `${data.scrollSessions} sessions with scroll depth` }[this.layer];
+        this.panel.querySelector('.heatmap-status').textContent = this.sources.length === 0
+            ? 'Load sessions to draw the heatmap.'
+            : `${this.sessions.length} sessions loaded, ${data.sessions} on this page · ${shown}`;
+
+        this.panel.querySelector('.heatmap-attention').innerHTML = data.attention
+            .slice(0, this.options.attentionListSize)
+            .map(item => `<li><span>${this.escape(item.label)}</span> <em>${item.averageTime.toFixed(1)} s</em></li>`)
+            .join('');
+    }
+
+    /**
+     * Classic heatmap: overlapping soft points in one channel, then
+     * coloured from blue (few) to red (most)
+     */
+    drawDensity(points, width, height) {
+        if (points.length === 0) return;
+
+        const scale = this.options.resolution;
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.round(width * scale));
+        canvas.height = Math.max(1, Math.round(height * scale));
+        const ctx = canvas.getContext('2d');
+        const radius = Math.max(2, this.options.radius * scale);
+        const layoutWidth = window.innerWidth;
+
+        points.forEach(point => {
+            const x = point.x * layoutWidth * scale;
+            const y = point.y * scale;
+            const gradient = ctx.createRadialGradient(x, y, 0, x, y, radius);
+            gradient.addColorStop(0, 'rgba(0, 0, 0, 0.2)');
+            gradient.addColorStop(1, 'rgba(0, 0, 0, 0)');
+            ctx.fillStyle = gradient;
+            ctx.fillRect(x - radius, y - radius, radius * 2, radius * 2);
+        });
+
+        const image = ctx.getImageData(0, 0, canvas.width, canvas.height);
+        let max = 0;
+        for (let i = 3; i < image.data.length; i += 4) {
+            max = Math.max(max, image.data[i]);
+        }
+        const palette = this.getPalette();
+        for (let i = 0; i < image.data.length; i += 4) {
+            const alpha = image.data[i + 3];
+            if (alpha === 0) continue;
+            const level = Math.round(alpha / max * 255);
+            image.data[i] = palette[level * 4];
+            image.data[i + 1] = palette[level * 4 + 1];
+            image.data[i + 2] = palette[level * 4 + 2];
+            image.data[i + 3] = Math.min(200, 60 + level);
+        }
+        ctx.putImageData(image, 0, 0);
+
+        canvas.className = 'heatmap-density';
+        this.root.appendChild(canvas);
+    }
+
+    /**
+     * A line every 10% of scroll depth with the share of sessions that
+     * got that far; the page below fades as fewer visitors reach it
+     */
+    drawScrollReach(scrollReach, height) {
+        const foldHeight = window.innerHeight;
+        let previousY = 0;
+        scrollReach.forEach(({ depth, share }) => {
+            // Depth is a share of the scrollable distance, so 0% still shows the first screen
+            const y = Math.round(foldHeight + (height - foldHeight) * depth / 100);
+            const band = document.createElement('div');
+            band.className = 'heatmap-scroll-band';
+            band.style.top = `${previousY}px`;
+            band.style.height = `${Math.max(0, y - previousY)}px`;
+            band.style.background = `rgba(20, 20, 40, ${((1 - share) * 0.6).toFixed(2)})`;
+            band.innerHTML = `<span>${Math.round(share * 100)}% reached ${depth}%</span>`;
+            this.root.appendChild(band);
+            previousY = y;
+        });
+    }
+
+    getPalette() {
+        if (!this.palette) {
+            const canvas = document.createElement('canvas');
+            canvas.width = 256;
+            canvas.height = 1;
+            const ctx = canvas.getContext('2d');
+            const gradient = ctx.createLinearGradient(0, 0, 256, 0);
+            gradient.addColorStop(0, '#0000ff');
+            gradient.addColorStop(0.35, '#00ffff');
+            gradient.addColorStop(0.55, '#00ff00');
+            gradient.addColorStop(0.75, '#ffff00');
+            gradient.addColorStop(1, '#ff0000');
+            ctx.fillStyle = gradient;
+            ctx.fillRect(0, 0, 256, 1);
+            this.palette = ctx.getImageData(0, 0, 256, 1).data;
+        }
+        return this.palette;
+    }
+
+    escape(text) {
+        const span = document.createElement('span');
+        span.textContent = text;
+        return span.innerHTML;
+    }
+
+    addStyles() {
+        if (document.getElementById('heatmap-overlay-styles')) {
+            return;
+        }
+        const style = document.createElement('style');
+        style.id = 'heatmap-overlay-styles';
+        style.textContent = `
+            #heatmap-overlay {
+                position: absolute;
+                top: 0;
+                left: 0;
+                pointer-events: none;
+                z-index: 9997;
+            }
+            #heatmap-overlay .heatmap-density {
+                width: 100%;
+                height: 100%;
+                display: block;
+            }
+            #heatmap-overlay .heatmap-scroll-band {
+                position: absolute;
+                left: 0;
+                right: 0;
+                border-bottom: 1px dashed rgba(255, 255, 255, 0.8);
+            }
+            #heatmap-overlay .heatmap-scroll-band span {
+                position: absolute;
+                bottom: 4px;
+                left: 8px;
+                padding: 2px 6px;
+                background: #2c3e50;
+                color: white;
+                font: 12px/1.4 sans-serif;
+                border-radius: 3px;
+            }
+            #heatmap-panel {
+                position: fixed;
+                top: 20px;
+                right: 20px;
+                width: 280px;
+                max-height: calc(100vh - 40px);
+                overflow: auto;
+                padding: 1rem;
+                background: white;
+                color: #2c3e50;
+                border-radius: 8px;
+                box-shadow: 0 4px 15px rgba(0, 0, 0, 0.2);
+                font: 14px/1.4 sans-serif;
+                z-index: 10001;
+            }
+            #heatmap-panel label {
+                display: block;
+                margin: 0.5rem 0;
+            }
+            #heatmap-panel select {
+                width: 100%;
+            }
+            .heatmap-panel-header {
+                display: flex;
+                justify-content: space-between;
+                align-items: center;
+            }
+            .heatmap-panel-header button {
+                border: none;
+                background: none;
+                font-size: 20px;
+                cursor: pointer;
+            }
+            .heatmap-panel-sources {
+                display: flex;
+                gap: 0.5rem;
+                align-items: center;
+                margin: 0.5rem 0;
+            }
+            .heatmap-file input {
+                display: block;
+                max-width: 100%;
+            }
+            .heatmap-status {
+                color: #6c757d;
+            }
+            .heatmap-attention {
+                padding-left: 1.25rem;
+                margin: 0;
+            }
+            .heatmap-attention li {
+                display: flex;
+                justify-content: space-between;
+                gap: 0.5rem;
+            }
+            .heatmap-attention span {
+                overflow: hidden;
+                text-overflow: ellipsis;
+                white-space: nowrap;
+            }
+        `;
+        document.head.appendChild(style);
+    }
+}
+
+// Only admins (the admin_mode check in UserBehaviorTracker) get the overlay
+if (typeof window !== 'undefined') {
+    window.HeatmapOverlay = HeatmapOverlay;
+
+    document.addEventListener('DOMContentLoaded', () => {
+        if (!window.UserBehaviorTracker?.isAdminUser()) {
+            return;
+        }
+
+        const collector = window.ANALYTICS_CONFIG?.eventBus?.collector;
+        window.heatmapOverlay = new HeatmapOverlay(collector?.endpoint ? { collectorEndpoint: collector.endpoint } : {});
+
+        document.addEventListener('keydown', event => {
+            if (event.altKey && event.shiftKey && event.code === 'KeyH') {
+                event.preventDefault();
+                window.heatmapOverlay.toggle();
+            }
+        });
+        if (new URLSearchParams(window.location.search).has('heatmap')) {
+            window.heatmapOverlay.open();
+        }
+    });
+}
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HeatmapOverlay;
+}
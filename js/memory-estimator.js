@@ -0,0 +1,265 @@
+/**
+ * Memory Estimator
+ * Estimates the memory a GGUF model needs under llama.cpp: quantized
+ * weights, the f16 KV cache and runtime overhead, split between system
+ * RAM and VRAM when layers are offloaded to the GPU (-ngl).
+ * Shared by the memory calculator page and ModelComparisonTool.
+ */
+
+class MemoryEstimator {
+    constructor(options = {}) {
+        this.options = {
+            // Memory the OS and background apps keep (matches the calculator's legend)
+            osReservedGB: 3,
+            // Free RAM left over for a configuration to count as comfortable
+            comfortableHeadroomGB: 4,
+            // Context used for minimum requirements; full context for recommended
+            minimumContextLength: 2048,
+            // llama.cpp runtime, scratch and mmap bookkeeping
+            runtimeOverheadGB: 0.3,
+            kvCacheBytesPerElement: 2, // f16 cache (llama.cpp default)
+            // VRAM taken by the driver, CUDA/Metal context and the desktop
+            vramReservedGB: 0.5,
+            // Effective memory bandwidth ranges (GB/s): dual-channel DDR4/DDR5
+            // and mid-range to high-end discrete GPUs
+            cpuBandwidthGBps: [50, 90],
+            gpuBandwidthGBps: [250, 900],
+            // Share of peak bandwidth llama.cpp sustains while generating
+            bandwidthEfficiency: 0.7,
+            ...options
+        };
+    }
+
+    /**
+     * Effective bits per weight as reported by llama.cpp for a 7B model.
+     * K-quants keep some tensors at higher precision, hence the fractions.
+     */
+    static get QUANTIZATIONS() {
+        return {
+            Q2_K: 2.63,
+            Q3_K_S: 3.5,
+            Q3_K_M: 3.91,
+            Q3_K_L: 4.27,
+            Q4_0: 4.55,
+            Q4_K_S: 4.58,
+            Q4_K_M: 4.85,
+            Q5_0: 5.54,
+            Q5_K_S: 5.54,
+            Q5_K_M: 5.69,
+            Q6_K: 6.59,
+            Q8_0: 8.5,
+            F16: 16,
+            BF16: 16,
+            F32: 32
+        };
+    }
+
+    /**
+     * Architectures for common model sizes (from each model's GGUF metadata).
+     * parameters are in billions; kvHeads < heads means grouped-query attention;
+     * activeParameters is set for mixture-of-experts models.
+     */
+    static get ARCHITECTURES() {
+        return {
+            'tinyllama-1.1b': { name: 'TinyLlama 1.1B', parameters: 1.1, layers: 22, embeddingSize: 2048, heads: 32, kvHeads: 4 },
+            'qwen2.5-1.5b': { name: 'Qwen 2.5 1.5B', parameters: 1.54, layers: 28, embeddingSize: 1536, heads: 12, kvHeads: 2 },
+            'phi-2': { name: 'Phi-2', parameters: 2.78, layers: 32, embeddingSize: 2560, heads: 32, kvHeads: 32 },
+            'llama3.2-3b': { name: 'Llama 3.2 3B', parameters: 3.21, layers: 28, embeddingSize: 3072, heads: 24, kvHeads: 8 },
+            'llama2-7b': { name: 'Llama 2 7B', parameters: 6.74, layers: 32, embeddingSize: 4096, heads: 32, kvHeads: 32 },
+            'mistral-7b': { name: 'Mistral 7B', parameters: 7.24, layers: 32, embeddingSize: 4096, heads: 32, kvHeads: 8 },
+            'llama2-13b': { name: 'Llama 2 13B', parameters: 13.02, layers: 40, embeddingSize: 5120, heads: 40, kvHeads: 40 },
+            'codellama-34b': { name: 'CodeLlama 34B', parameters: 33.74, layers: 48, embeddingSize: 8192, heads: 64, kvHeads: 8 },
+            'mixtral-8x7b': { name: 'Mixtral 8x7B', parameters: 46.7, activeParameters: 12.9, layers: 32, embeddingSize: 4096, heads: 32, kvHeads: 8 },
+            'llama2-70b': { name: 'Llama 2 70B', parameters: 68.98, layers: 80, embeddingSize: 8192, heads: 64, kvHeads: 8 }
+        };
+    }
+
+    getBitsPerWeight(quantization) {
+        const bits = MemoryEstimator.QUANTIZATIONS[String(quantization).toUpperCase()];
+        if (!bits) {
+            throw new Error(`Unknown quantization: ${quantization}`);
+        }
+        return bits;
+    }
+
+    /**
+     * Closest known architecture for a parameter count, used when a model
+     * only states its size
+     */
+    inferArchitecture(parameters) {
+        return Object.values(MemoryEstimator.ARCHITECTURES).reduce((best, arch) =>
+            Math.abs(arch.parameters - parameters) < Math.abs(best.parameters - parameters) ? arch : best
+        );
+    }
+
+    /**
+     * Estimate memory use in GB (GiB, as llama.cpp reports it).
+     *
+     * @param {Object} model - { parameters (billions), layers, embeddingSize, heads, kvHeads, headSize }
+     *   or { architecture: key of ARCHITECTURES }; missing shape fields are inferred
+     * @param {Object} settings - { quantization | bitsPerWeight, contextLength, gpuLayers }
+     * @returns {Object} weights, kvCache, overhead and total, each also split into ram/vram
+     */
+    estimate(model, settings = {}) {
+        const GIB = 1024 ** 3;
+        const arch = this.resolveArchitecture(model);
+        const bitsPerWeight = settings.bitsPerWeight || this.getBitsPerWeight(settings.quantization || 'Q4_K_M');
+        const contextLength = settings.contextLength || 4096;
+        const gpuLayers = Math.max(0, Math.min(settings.gpuLayers || 0, arch.layers));
+
+        const weights = (arch.parameters * 1e9 * bitsPerWeight) / 8 / GIB;
+
+        // K and V per layer: context × kv heads × head size elements each
+        const headSize = arch.headSize || arch.embeddingSize / arch.heads;
+        const kvCache = (2 * arch.layers * contextLength * arch.kvHeads * headSize * this.options.kvCacheBytesPerElement) / GIB;
+
+        // Activations scale with context × embedding width (f32 scratch)
+        const computeBuffer = (contextLength * arch.embeddingSize * 4 * 4) / GIB;
+
+        const offloaded = gpuLayers / arch.layers;
+        const vram = {
+            weights: weights * offloaded,
+            kvCache: kvCache * offloaded,
+            overhead: gpuLayers > 0 ? computeBuffer : 0
+        };
+        const ram = {
+            weights: weights - vram.weights,
+            kvCache: kvCache - vram.kvCache,
+            overhead: this.options.runtimeOverheadGB + (gpuLayers > 0 ? 0 : computeBuffer)
+        };
+        vram.total = vram.weights + vram.kvCache + vram.overhead;
+        ram.total = ram.weights + ram.kvCache + ram.overhead;
+
+        return {
+            architecture: arch,
+            bitsPerWeight,
+            contextLength,
+            gpuLayers,
+            weights,
+            kvCache,
+            overhead: ram.overhead + vram.overhead,
+            total: ram.total + vram.total,
+            ram,
+            vram
+        };
+    }
+
+    /**
+     * System RAM a configuration needs: the minimum to load it at a short
+     * context and the recommended amount at full context with headroom
+     */
+    estimateRequirements(model, settings = {}) {
+        const fullContext = settings.contextLength || model.contextLength || 4096;
+        const minimum = this.estimate(model, {
+            ...settings,
+            contextLength: Math.min(fullContext, this.options.minimumContextLength)
+        });
+        const recommended = this.estimate(model, { ...settings, contextLength: fullContext });
+
+        return {
+            minRAM: Math.ceil(minimum.ram.total + this.options.osReservedGB),
+            recommendedRAM: Math.ceil(recommended.ram.total + this.options.osReservedGB + this.options.comfortableHeadroomGB),
+            minVRAM: Math.ceil(minimum.vram.total),
+            recommendedVRAM: Math.ceil(recommended.vram.total),
+            estimate: recommended
+        };
+    }
+
+    /**
+     * RAM left after the OS and the model; negative means it won't fit
+     */
+    freeRam(systemRam, estimate) {
+        return systemRam - this.options.osReservedGB - estimate.ram.total;
+    }
+
+    /**
+     * VRAM left after the driver reservation and the offloaded layers
+     */
+    freeVram(vram, estimate) {
+        return vram - this.options.vramReservedGB - estimate.vram.total;
+    }
+
+    /**
+     * Largest -ngl value whose offloaded layers fit in the given VRAM
+     */
+    maxGpuLayers(model, settings, vram) {
+        const layers = this.resolveArchitecture(model).layers;
+        let fitting = 0;
+
+        for (let gpuLayers = 1; gpuLayers <= layers; gpuLayers++) {
+            const estimate = this.estimate(model, { ...settings, gpuLayers });
+            if (this.freeVram(vram, estimate) < 0) {
+                break;
+            }
+            fitting = gpuLayers;
+        }
+
+        return fitting;
+    }
+
+    /**
+     * Generation speed band for a RAM/VRAM split. Token generation is memory
+     * bound: every token reads the active weights and the KV cache once, from
+     * system RAM for CPU layers and from VRAM for offloaded ones.
+     *
+     * @returns {Object} { low, high } tokens/sec and a label
+     */
+    estimateSpeed(estimate) {
+        const GB = 1e9 / 1024 ** 3; // bandwidths are quoted in GB/s, sizes in GiB
+        const arch = estimate.architecture;
+        const active = (arch.activeParameters || arch.parameters) / arch.parameters;
+        const ramRead = estimate.ram.weights * active + estimate.ram.kvCache;
+        const vramRead = estimate.vram.weights * active + estimate.vram.kvCache;
+        const efficiency = this.options.bandwidthEfficiency;
+
+        const tokensPerSecond = (cpuBandwidth, gpuBandwidth) =>
+            efficiency / (ramRead / (cpuBandwidth * GB) + vramRead / (gpuBandwidth * GB));
+
+        const low = tokensPerSecond(this.options.cpuBandwidthGBps[0], this.options.gpuBandwidthGBps[0]);
+        const high = tokensPerSecond(this.options.cpuBandwidthGBps[1], this.options.gpuBandwidthGBps[1]);
+
+        let label;
+        if (low >= 30) {
+            label = 'Fast';
+        } else if (low >= 15) {
+            label = 'Good';
+        } else if (low >= 5) {
+            label = 'Moderate';
+        } else {
+            label = 'Slow';
+        }
+
+        return { low, high, label };
+    }
+
+    resolveArchitecture(model) {
+        if (typeof model === 'string') {
+            model = { architecture: model };
+        }
+
+        const known = model.architecture && MemoryEstimator.ARCHITECTURES[model.architecture];
+        if (model.architecture && !known) {
+            throw new Error(`Unknown architecture: ${model.architecture}`);
+        }
+
+        if (!known && !(model.parameters > 0)) {
+            throw new Error('Model parameter count is required');
+        }
+
+        const base = known || (model.layers && model.embeddingSize ? {} : this.inferArchitecture(model.parameters));
+        const arch = { ...base, ...model };
+
+        arch.heads = arch.heads || arch.embeddingSize / 128;
+        arch.kvHeads = arch.kvHeads || arch.heads;
+        return arch;
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.MemoryEstimator = MemoryEstimator;
+}
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MemoryEstimator;
+}
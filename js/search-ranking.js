@@ -0,0 +1,522 @@
+/**
+ * Search Ranking Engine
+ * Tokenization, English stemming, fuzzy term matching and BM25F scoring.
+ * Shared by SiteSearch in the browser and scripts/build-search-index.js,
+ * so the prebuilt index and runtime queries are analyzed the same way.
+ */
+
+const SEARCH_STOP_WORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'from', 'has', 'have',
+    'if', 'in', 'into', 'is', 'it', 'its', 'of', 'on', 'or', 'so', 'than', 'that', 'the',
+    'their', 'then', 'there', 'these', 'this', 'to', 'was', 'were', 'will', 'with', 'you', 'your'
+]);
+
+// Porter stemmer measure patterns
+const PORTER_C = '[^aeiou][^aeiouy]*';
+const PORTER_V = '[aeiouy][aeiou]*';
+const PORTER_MGR0 = new RegExp(`^(${PORTER_C})?${PORTER_V}${PORTER_C}`);
+const PORTER_MEQ1 = new RegExp(`^(${PORTER_C})?${PORTER_V}${PORTER_C}(${PORTER_V})?$`);
+const PORTER_MGR1 = new RegExp(`^(${PORTER_C})?${PORTER_V}${PORTER_C}${PORTER_V}${PORTER_C}`);
+const PORTER_SV = new RegExp(`^(${PORTER_C})?[aeiouy]`);
+const PORTER_CVC = new RegExp(`^${PORTER_C}[aeiouy][^aeiouwxy]$`);
+
+const PORTER_STEP2 = {
+    ational: 'ate', tional: 'tion', enci: 'ence', anci: 'ance', izer: 'ize', bli: 'ble',
+    alli: 'al', entli: 'ent', eli: 'e', ousli: 'ous', ization: 'ize', ation: 'ate',
+    ator: 'ate', alism: 'al', iveness: 'ive', fulness: 'ful', ousness: 'ous', aliti: 'al',
+    iviti: 'ive', biliti: 'ble', logi: 'log'
+};
+
+const PORTER_STEP3 = {
+    icate: 'ic', ative: '', alize: 'al', iciti: 'ic', ical: 'ic', ful: '', ness: ''
+};
+
+class SearchRanker {
+    constructor(options = {}) {
+        this.options = {
+            k1: 1.2,
+            b: 0.75,
+            fieldBoosts: { title: 4, headings: 2, keywords: 2, body: 1 },
+            positionFields: null, // fields whose token positions are stored for phrases; null is all
+            minTermLength: 2,
+            minPrefixLength: 3,
+            maxPrefixExpansions: 10,
+            prefixWeight: 0.7,
+            fuzzyWeight: 0.8,
+            fuzzyDistancePenalty: 0.2,
+            ...options
+        };
+        this.lookupCache = new WeakMap();
+    }
+
+    /**
+     * Split text into lowercase, accent-free word tokens
+     */
+    tokenize(text) {
+        return String(text || '')
+            .toLowerCase()
+            .normalize('NFKD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .split(/[^a-z0-9_]+/)
+            .filter(token => token.length >= this.options.minTermLength);
+    }
+
+    /**
+     * Tokenize, drop stop words and stem — the form stored in the index
+     */
+    analyze(text) {
+        return this.tokenize(text)
+            .filter(token => !SEARCH_STOP_WORDS.has(token))
+            .map(token => this.stem(token));
+    }
+
+    /**
+     * Porter (1980) English stemmer
+     */
+    stem(word) {
+        if (word.length < 3 || /\d/.test(word)) {
+            return word;
+        }
+
+        let w = word;
+        const startsWithY = w[0] === 'y';
+        if (startsWithY) {
+            w = 'Y' + w.slice(1);
+        }
+
+        // Step 1a: plurals
+        if (/^(.+?)(ss|i)es$/.test(w)) {
+            w = w.replace(/^(.+?)(ss|i)es$/, '$1$2');
+        } else if (/^(.+?)([^s])s$/.test(w)) {
+            w = w.replace(/^(.+?)([^s])s$/, '$1$2');
+        }
+
+        // Step 1b: -eed, -ed, -ing
+        let match = /^(.+?)eed$/.exec(w);
+        if (match) {
+            if (PORTER_MGR0.test(match[1])) {
+                w = w.slice(0, -1);
+            }
+        } else if ((match = /^(.+?)(ed|ing)$/.exec(w)) && PORTER_SV.test(match[1])) {
+            w = match[1];
+            if (/(at|bl|iz)$/.test(w)) {
+                w += 'e';
+            } else if (/([^aeiouylsz])\1$/.test(w)) {
+                w = w.slice(0, -1);
+            } else if (PORTER_CVC.test(w)) {
+                w += 'e';
+            }
+        }
+
+        // Step 1c: terminal y
+        match = /^(.+?)y$/.exec(w);
+        if (match && PORTER_SV.test(match[1])) {
+            w = match[1] + 'i';
+        }
+
+        // Step 2: double suffixes
+        match = /^(.+?)(ational|tional|enci|anci|izer|bli|alli|entli|eli|ousli|ization|ation|ator|alism|iveness|fulness|ousness|aliti|iviti|biliti|logi)$/.exec(w);
+        if (match && PORTER_MGR0.test(match[1])) {
+            w = match[1] + PORTER_STEP2[match[2]];
+        }
+
+        // Step 3: -ic-, -full, -ness
+        match = /^(.+?)(icate|ative|alize|iciti|ical|ful|ness)$/.exec(w);
+        if (match && PORTER_MGR0.test(match[1])) {
+            w = match[1] + PORTER_STEP3[match[2]];
+        }
+
+        // Step 4: -ant, -ence, ...
+        match = /^(.+?)(al|ance|ence|er|ic|able|ible|ant|ement|ment|ent|ou|ism|ate|iti|ous|ive|ize)$/.exec(w);
+        if (match) {
+            if (PORTER_MGR1.test(match[1])) {
+                w = match[1];
+            }
+        } else if ((match = /^(.+?)(s|t)(ion)$/.exec(w)) && PORTER_MGR1.test(match[1] + match[2])) {
+            w = match[1] + match[2];
+        }
+
+        // Step 5: tidy up
+        match = /^(.+?)e$/.exec(w);
+        if (match && (PORTER_MGR1.test(match[1]) || (PORTER_MEQ1.test(match[1]) && !PORTER_CVC.test(match[1])))) {
+            w = match[1];
+        }
+        if (/ll$/.test(w) && PORTER_MGR1.test(w)) {
+            w = w.slice(0, -1);
+        }
+
+        return startsWithY ? 'y' + w.slice(1) : w;
+    }
+
+    /**
+     * Optimal string alignment distance, abandoned once it exceeds maxDistance
+     */
+    editDistance(a, b, maxDistance = Infinity) {
+        if (Math.abs(a.length - b.length) > maxDistance) {
+            return maxDistance + 1;
+        }
+
+        let previousPrevious = null;
+        let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            let rowMin = i;
+
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                let value = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+
+                if (previousPrevious && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    value = Math.min(value, previousPrevious[j - 2] + 1);
+                }
+
+                current.push(value);
+                rowMin = Math.min(rowMin, value);
+            }
+
+            if (rowMin > maxDistance) {
+                return maxDistance + 1;
+            }
+
+            previousPrevious = previous;
+            previous = current;
+        }
+
+        return previous[b.length];
+    }
+
+    /**
+     * Allowed typos grow with word length: none for short words
+     */
+    maxTypos(length) {
+        if (length <= 4) return 0;
+        if (length <= 7) return 1;
+        return 2;
+    }
+
+    /**
+     * Parse free text, "quoted phrases" and -excluded words into analyzed query terms
+     */
+    parseQuery(query) {
+        const phrases = [];
+        const excludes = [];
+        const freeText = String(query || '').replace(/(^|\s)-([^\s"]+)/g, (match, lead, word) => {
+            excludes.push(...this.analyze(word));
+            return lead;
+        }).replace(/"([^"]*)"?/g, (match, phraseText) => {
+            const tokens = this.analyze(phraseText);
+            if (tokens.length > 0) {
+                phrases.push({ text: phraseText.trim(), tokens });
+            }
+            return ' ';
+        });
+
+        const terms = [];
+        const seen = new Set();
+        const addTerm = (raw, exact) => {
+            if (SEARCH_STOP_WORDS.has(raw)) return;
+            const stem = this.stem(raw);
+            if (seen.has(stem)) return;
+            seen.add(stem);
+            terms.push({ raw, stem, exact });
+        };
+
+        this.tokenize(freeText).forEach(raw => addTerm(raw, false));
+        phrases.forEach(phrase => {
+            this.tokenize(phrase.text).forEach(raw => addTerm(raw, true));
+        });
+
+        return { terms, phrases, excludes };
+    }
+
+    /**
+     * Build an inverted index. Each document supplies field texts
+     * ({ title, headings, keywords, body }) and metadata that is copied
+     * onto the stored doc. Postings are flat arrays of
+     * [docIndex, tf(field 0), ..., tf(field n)] groups. Token positions
+     * (doc.sequence) are kept only for positionFields.
+     */
+    createIndex(documents) {
+        const fields = Object.keys(this.options.fieldBoosts);
+        const positionFields = this.options.positionFields || fields;
+        const termIds = new Map();
+        const terms = [];
+        const postings = [];
+        const lengthTotals = fields.map(() => 0);
+
+        const docs = documents.map((document, docIndex) => {
+            const frequencies = new Map();
+            const sequence = [];
+            const lengths = fields.map((field, fieldIndex) => {
+                const tokens = this.analyze(document.fields[field]);
+                const positioned = positionFields.includes(field);
+
+                if (positioned && sequence.length > 0) {
+                    sequence.push(-1); // Phrases never span two fields
+                }
+
+                tokens.forEach(token => {
+                    if (!termIds.has(token)) {
+                        termIds.set(token, terms.length);
+                        terms.push(token);
+                        postings.push([]);
+                    }
+
+                    const termId = termIds.get(token);
+                    if (!frequencies.has(termId)) {
+                        frequencies.set(termId, fields.map(() => 0));
+                    }
+                    frequencies.get(termId)[fieldIndex]++;
+                    if (positioned) {
+                        sequence.push(termId);
+                    }
+                });
+
+                lengthTotals[fieldIndex] += tokens.length;
+                return tokens.length;
+            });
+
+            frequencies.forEach((fieldFrequencies, termId) => {
+                postings[termId].push(docIndex, ...fieldFrequencies);
+            });
+
+            return { ...document.meta, lengths, sequence };
+        });
+
+        return {
+            fields,
+            fieldWeights: fields.map(field => this.options.fieldBoosts[field]),
+            positionFields,
+            averageLengths: lengthTotals.map(total => docs.length ? +(total / docs.length).toFixed(2) : 0),
+            terms,
+            postings,
+            docs
+        };
+    }
+
+    getTermLookup(index) {
+        if (!this.lookupCache.has(index)) {
+            this.lookupCache.set(index, new Map(index.terms.map((term, termId) => [term, termId])));
+        }
+        return this.lookupCache.get(index);
+    }
+
+    /**
+     * Map one query term onto index terms: exact stem, prefix
+     * completions while typing, and typo-tolerant neighbours
+     */
+    expandTerm(term, index) {
+        const lookup = this.getTermLookup(index);
+        const expansions = new Map();
+        const add = (termId, weight) => {
+            if (weight > (expansions.get(termId) || 0)) {
+                expansions.set(termId, weight);
+            }
+        };
+
+        if (lookup.has(term.stem)) {
+            add(lookup.get(term.stem), 1);
+        }
+        if (lookup.has(term.raw)) {
+            add(lookup.get(term.raw), 1);
+        }
+
+        if (term.exact) {
+            return expansions;
+        }
+
+        const maxTypos = this.maxTypos(term.raw.length);
+        const prefixes = [];
+
+        index.terms.forEach((candidate, termId) => {
+            if (expansions.has(termId)) return;
+
+            if (term.raw.length >= this.options.minPrefixLength && candidate.startsWith(term.raw)) {
+                prefixes.push(termId);
+                return;
+            }
+
+            if (maxTypos === 0 || candidate.length < 4) return;
+
+            // Compare stems, and also the raw word against stems it may
+            // inflect ("quantizaton" → "quantiz"), since a misspelled
+            // suffix keeps the stemmer from reducing it
+            let distance = this.editDistance(term.stem, candidate, maxTypos);
+            if (candidate.length >= 5 && term.raw.length > candidate.length && term.raw.length - candidate.length <= 4) {
+                distance = Math.min(distance, this.editDistance(term.raw.slice(0, candidate.length), candidate, maxTypos));
+            }
+
+            if (distance <= maxTypos) {
+                add(termId, this.options.fuzzyWeight - this.options.fuzzyDistancePenalty * distance);
+            }
+        });
+
+        // Prefer the most common completions
+        prefixes
+            .sort((a, b) => index.postings[b].length - index.postings[a].length)
+            .slice(0, this.options.maxPrefixExpansions)
+            .forEach(termId => add(termId, this.options.prefixWeight));
+
+        return expansions;
+    }
+
+    /**
+     * Check that a phrase occurs as consecutive tokens in a stored doc.
+     * Fields stored without positions match when they contain every
+     * word of the phrase.
+     */
+    containsPhrase(docIndex, phrase, index) {
+        const lookup = this.getTermLookup(index);
+        const termIds = phrase.tokens.map(token => lookup.get(token));
+        if (termIds.some(termId => termId === undefined)) {
+            return false;
+        }
+
+        const { sequence } = index.docs[docIndex];
+        for (let i = 0; i <= sequence.length - termIds.length; i++) {
+            if (termIds.every((termId, offset) => sequence[i + offset] === termId)) {
+                return true;
+            }
+        }
+
+        const positionFields = index.positionFields || index.fields;
+        return index.fields.some((field, fieldIndex) => !positionFields.includes(field)
+            && termIds.every(termId => this.termFrequency(index, termId, docIndex, fieldIndex) > 0));
+    }
+
+    termFrequency(index, termId, docIndex, fieldIndex) {
+        const postings = index.postings[termId];
+        const stride = index.fields.length + 1;
+        for (let i = 0; i < postings.length; i += stride) {
+            if (postings[i] === docIndex) {
+                return postings[i + 1 + fieldIndex];
+            }
+        }
+        return 0;
+    }
+
+    /**
+     * Docs containing any excluded stem, in any field
+     */
+    findExcludedDocs(index, excludes = []) {
+        const lookup = this.getTermLookup(index);
+        const stride = index.fields.length + 1;
+        const excluded = new Set();
+
+        excludes.forEach(stem => {
+            const termId = lookup.get(stem);
+            if (termId === undefined) return;
+            const postings = index.postings[termId];
+            for (let i = 0; i < postings.length; i += stride) {
+                excluded.add(postings[i]);
+            }
+        });
+
+        return excluded;
+    }
+
+    /**
+     * Inverse document frequency of a term across every index in the
+     * collection, so scores from separate indexes stay comparable
+     */
+    inverseDocumentFrequency(term, collection) {
+        let docCount = 0;
+        let documentFrequency = 0;
+
+        collection.forEach(index => {
+            const termId = this.getTermLookup(index).get(term);
+            docCount += index.docs.length;
+            if (termId !== undefined) {
+                documentFrequency += index.postings[termId].length / (index.fields.length + 1);
+            }
+        });
+
+        return Math.log(1 + (docCount - documentFrequency + 0.5) / (documentFrequency + 0.5));
+    }
+
+    /**
+     * Score every matching doc with BM25F. Returns [{ docIndex, score, matchedTerms }]
+     */
+    search(index, parsedQuery, collection = [index]) {
+        const { terms, phrases, excludes } = parsedQuery;
+        if (terms.length === 0) {
+            return [];
+        }
+
+        const excludedDocs = this.findExcludedDocs(index, excludes);
+
+        const { k1, b } = this.options;
+        const stride = index.fields.length + 1;
+        const scores = new Map();
+
+        terms.forEach(term => {
+            const best = new Map();
+            const expansions = this.expandTerm(term, index);
+            const exactTermId = this.getTermLookup(index).get(term.stem);
+
+            // Rare completions and typo neighbours must not outrank the word itself
+            const exactIdf = exactTermId !== undefined
+                ? this.inverseDocumentFrequency(term.stem, collection)
+                : Infinity;
+
+            expansions.forEach((weight, termId) => {
+                const postings = index.postings[termId];
+                const idf = Math.min(this.inverseDocumentFrequency(index.terms[termId], collection), exactIdf);
+
+                for (let i = 0; i < postings.length; i += stride) {
+                    const docIndex = postings[i];
+                    const { lengths } = index.docs[docIndex];
+
+                    // BM25F: length-normalise each field, then apply its boost
+                    let weightedFrequency = 0;
+                    index.fields.forEach((field, fieldIndex) => {
+                        const frequency = postings[i + 1 + fieldIndex];
+                        if (!frequency) return;
+                        const averageLength = index.averageLengths[fieldIndex] || 1;
+                        const normalization = 1 - b + b * (lengths[fieldIndex] / averageLength);
+                        weightedFrequency += index.fieldWeights[fieldIndex] * frequency / normalization;
+                    });
+
+                    const contribution = weight * idf * weightedFrequency / (k1 + weightedFrequency);
+                    if (contribution > (best.get(docIndex) || 0)) {
+                        best.set(docIndex, contribution);
+                    }
+                }
+            });
+
+            best.forEach((contribution, docIndex) => {
+                const entry = scores.get(docIndex) || { score: 0, matchedTerms: 0 };
+                entry.score += contribution;
+                entry.matchedTerms++;
+                scores.set(docIndex, entry);
+            });
+        });
+
+        const results = [];
+        scores.forEach((entry, docIndex) => {
+            if (excludedDocs.has(docIndex) || phrases.some(phrase => !this.containsPhrase(docIndex, phrase, index))) {
+                return;
+            }
+
+            // Coordination factor: favour docs that match every term
+            const coverage = entry.matchedTerms / terms.length;
+            results.push({
+                docIndex,
+                score: entry.score * coverage * coverage,
+                matchedTerms: entry.matchedTerms
+            });
+        });
+
+        return results;
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.SearchRanker = SearchRanker;
+}
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SearchRanker;
+}
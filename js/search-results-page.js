@@ -0,0 +1,217 @@
+/**
+ * Search Results Page
+ * Deep-linkable /search.html?q=...&type=...&page=... view on top of the
+ * SiteSearch engine. State lives in the URL so reloads, shared links and
+ * the browser back button all restore the same results.
+ */
+
+class SearchResultsPage {
+    constructor(siteSearch, options = {}) {
+        this.siteSearch = siteSearch;
+        this.pageSize = options.pageSize || 10;
+        this.typeFilters = [
+            { value: '', label: 'All' },
+            { value: 'docs', label: 'Documentation' },
+            { value: 'use-cases', label: 'Use Cases' },
+            { value: 'blog', label: 'Articles' },
+            { value: 'models', label: 'Models' },
+            { value: 'pages', label: 'Pages' }
+        ];
+        this.state = this.readState();
+
+        this.form = document.getElementById('search-page-form');
+        this.input = document.getElementById('search-page-input');
+        this.summary = document.getElementById('search-page-summary');
+        this.resultsContainer = document.getElementById('search-page-results');
+        this.paginationContainer = document.getElementById('search-page-pagination');
+        this.typeFilterContainer = document.getElementById('search-page-types');
+        this.chipsContainer = document.getElementById('search-page-chips');
+    }
+
+    async init() {
+        this.bindEvents();
+        this.input.value = this.state.q;
+        this.renderTypeFilters();
+        this.summary.textContent = 'Loading search index...';
+
+        await this.siteSearch.ready;
+        this.render();
+    }
+
+    bindEvents() {
+        this.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.navigate({ q: this.input.value.trim(), type: this.state.type, page: 1 });
+        });
+
+        // Back/forward restores the search that produced each history entry
+        window.addEventListener('popstate', () => {
+            this.state = this.readState();
+            this.input.value = this.state.q;
+            this.renderTypeFilters();
+            this.render();
+        });
+    }
+
+    readState(search = window.location.search) {
+        const params = new URLSearchParams(search);
+        return {
+            q: params.get('q') || '',
+            type: params.get('type') || '',
+            page: Math.max(1, parseInt(params.get('page'), 10) || 1)
+        };
+    }
+
+    buildUrl(state) {
+        const params = new URLSearchParams();
+        if (state.q) params.set('q', state.q);
+        if (state.type) params.set('type', state.type);
+        if (state.page > 1) params.set('page', state.page);
+
+        const queryString = params.toString();
+        return `${window.location.pathname}${queryString ? `?${queryString}` : ''}`;
+    }
+
+    navigate(state) {
+        const url = this.buildUrl(state);
+        if (url !== `${window.location.pathname}${window.location.search}`) {
+            history.pushState(state, '', url);
+        }
+
+        this.state = state;
+        this.renderTypeFilters();
+        this.render();
+    }
+
+    getResults() {
+        const { text, filters } = this.siteSearch.parseQueryOperators(this.state.q);
+
+        const types = this.state.type ? this.siteSearch.resolveTypeFilter(this.state.type) : null;
+        if (types) {
+            filters.types.push(...types);
+        }
+
+        if (!text && !this.siteSearch.hasActiveFilters(filters)) {
+            return { results: [], text };
+        }
+
+        return { results: this.siteSearch.searchContent(text, filters, Infinity), text };
+    }
+
+    render() {
+        const { results, text } = this.getResults();
+        const pageCount = Math.max(1, Math.ceil(results.length / this.pageSize));
+        const page = Math.min(this.state.page, pageCount);
+        const pageResults = results.slice((page - 1) * this.pageSize, page * this.pageSize);
+
+        document.title = this.state.q ? `${this.state.q} - Search - GGUF Loader` : 'Search - GGUF Loader';
+        this.siteSearch.renderQueryChips(this.siteSearch.parseQueryOperators(this.state.q).operators, {
+            container: this.chipsContainer,
+            onRemove: (token) => {
+                const q = this.siteSearch.removeQueryToken(this.state.q, token);
+                this.input.value = q;
+                this.navigate({ ...this.state, q, page: 1 });
+            }
+        });
+
+        if (!this.state.q && !this.state.type) {
+            this.summary.textContent = 'Search documentation, models, guides and use cases.';
+            this.resultsContainer.innerHTML = '';
+            this.paginationContainer.innerHTML = '';
+            return;
+        }
+
+        if (results.length === 0) {
+            this.summary.textContent = this.state.q ? `No results for “${this.state.q}”` : 'No results';
+            this.resultsContainer.innerHTML = `
+                <div class="no-search-results">
+                    <p>Try different keywords, remove a filter, or check the spelling.</p>
+                </div>
+            `;
+            this.paginationContainer.innerHTML = '';
+            return;
+        }
+
+        const first = (page - 1) * this.pageSize + 1;
+        const last = first + pageResults.length - 1;
+        this.summary.textContent = `Showing ${first}–${last} of ${results.length} result${results.length !== 1 ? 's' : ''}${this.state.q ? ` for “${this.state.q}”` : ''}`;
+
+        this.resultsContainer.innerHTML = pageResults.map(result => this.renderResult(result, text)).join('');
+        this.renderPagination(page, pageCount);
+        this.siteSearch.markOfflineAvailability(this.resultsContainer);
+    }
+
+    renderResult(result, text) {
+        const content = result.content.length > 200 ? `${result.content.substring(0, 200)}...` : result.content;
+
+        return `
+            <article class="search-result-item" data-url="${result.url}">
+                <header class="search-result-header">
+                    <h2 class="search-result-title">
+                        <a href="${result.url}">${this.siteSearch.highlightText(result.title, text)}</a>
+                    </h2>
+                    <span class="search-result-type">${this.siteSearch.getTypeIcon(result.type)} ${this.siteSearch.getTypeLabel(result.type)}</span>
+                </header>
+                <p class="search-result-content">${this.siteSearch.highlightText(content, text)}</p>
+                <footer class="search-result-footer">
+                    <span class="search-result-url">${result.url}</span>
+                    ${result.date ? `<time class="search-result-date" datetime="${result.date}">${result.date}</time>` : ''}
+                </footer>
+            </article>
+        `;
+    }
+
+    renderTypeFilters() {
+        this.typeFilterContainer.innerHTML = this.typeFilters.map(filter => `
+            <button type="button" class="search-filter ${filter.value === this.state.type ? 'active' : ''}"
+                    data-type="${filter.value}" aria-pressed="${filter.value === this.state.type}">${filter.label}</button>
+        `).join('');
+
+        this.typeFilterContainer.querySelectorAll('.search-filter').forEach(button => {
+            button.addEventListener('click', () => {
+                this.navigate({ ...this.state, type: button.dataset.type, page: 1 });
+            });
+        });
+    }
+
+    renderPagination(page, pageCount) {
+        if (pageCount <= 1) {
+            this.paginationContainer.innerHTML = '';
+            return;
+        }
+
+        const link = (targetPage, label, extraClass = '') => `
+            <a class="search-page-link ${extraClass}" href="${this.buildUrl({ ...this.state, page: targetPage })}"
+               data-page="${targetPage}" ${targetPage === page ? 'aria-current="page"' : ''}>${label}</a>
+        `;
+
+        const links = [];
+        if (page > 1) links.push(link(page - 1, '← Previous', 'search-page-prev'));
+        for (let i = 1; i <= pageCount; i++) {
+            links.push(link(i, i, i === page ? 'active' : ''));
+        }
+        if (page < pageCount) links.push(link(page + 1, 'Next →', 'search-page-next'));
+
+        this.paginationContainer.innerHTML = links.join('');
+        this.paginationContainer.querySelectorAll('.search-page-link').forEach(anchor => {
+            anchor.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.navigate({ ...this.state, page: parseInt(anchor.dataset.page, 10) });
+                this.form.scrollIntoView({ behavior: 'smooth', block: 'start' });
+            });
+        });
+    }
+}
+
+// Initialize once SiteSearch has been created on DOMContentLoaded
+document.addEventListener('DOMContentLoaded', () => {
+    if (document.getElementById('search-page-form') && window.siteSearch) {
+        window.searchResultsPage = new SearchResultsPage(window.siteSearch);
+        window.searchResultsPage.init();
+    }
+});
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SearchResultsPage;
+}
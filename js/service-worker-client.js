@@ -0,0 +1,285 @@
+/**
+ * Service Worker Client
+ * Registers sw.js, wraps the page ↔ worker message protocol
+ * (request/reply over a MessageChannel) used by offline features and shows
+ * an "update available" toast when a new worker is waiting.
+ * Outbox updates from the worker are re-dispatched on window as
+ * 'outboxStatus' and 'outboxDelivered' events.
+ */
+
+class ServiceWorkerClient {
+    constructor(options = {}) {
+        this.scriptUrl = options.scriptUrl || '/sw.js';
+        this.messageTimeout = options.messageTimeout || 5000;
+        this.registration = null;
+        this.reloadOnControllerChange = false;
+    }
+
+    isSupported() {
+        return typeof navigator !== 'undefined' && 'serviceWorker' in navigator;
+    }
+
+    /**
+     * True when the current page is served through the worker, which is
+     * required for cached pages to be reachable offline
+     */
+    isControlled() {
+        return this.isSupported() && Boolean(navigator.serviceWorker.controller);
+    }
+
+    async register() {
+        if (!this.isSupported()) {
+            return null;
+        }
+
+        try {
+            this.registration = await navigator.serviceWorker.register(this.scriptUrl);
+            this.watchForUpdates();
+            this.watchOutbox();
+        } catch (error) {
+            console.warn('Service worker registration failed:', error);
+        }
+
+        return this.registration;
+    }
+
+    /**
+     * A new worker waits after installing and announces itself with
+     * UPDATE_AVAILABLE; one that was already waiting when this page loaded
+     * answers GET_VERSION. Either way the toast lets the user switch over.
+     */
+    watchForUpdates() {
+        navigator.serviceWorker.addEventListener('message', (event) => {
+            if (event.data && event.data.type === 'UPDATE_AVAILABLE') {
+                this.showUpdateToast(event.data.version);
+            }
+        });
+
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            if (this.reloadOnControllerChange) {
+                this.reloadOnControllerChange = false;
+                window.location.reload();
+            }
+        });
+
+        if (this.registration.waiting && this.isControlled()) {
+            this.postMessage({ type: 'GET_VERSION' }, this.registration.waiting)
+                .then(reply => this.showUpdateToast(reply.version))
+                .catch(error => console.warn('Waiting service worker did not answer:', error));
+        }
+    }
+
+    /**
+     * Forward outbox messages to the page and replay the outbox on load and
+     * when the connection returns, for browsers without Background Sync
+     */
+    watchOutbox() {
+        navigator.serviceWorker.addEventListener('message', (event) => {
+            const message = event.data || {};
+            if (message.type === 'OUTBOX_STATUS') {
+                window.dispatchEvent(new CustomEvent('outboxStatus', { detail: message.status }));
+            } else if (message.type === 'OUTBOX_DELIVERED') {
+                window.dispatchEvent(new CustomEvent('outboxDelivered', { detail: { id: message.id, kind: message.kind } }));
+            }
+        });
+
+        const replay = () => {
+            if (this.isControlled()) {
+                this.replayOutbox().catch(error => console.warn('Outbox replay failed:', error));
+            }
+        };
+        window.addEventListener('online', replay);
+        replay();
+    }
+
+    /**
+     * Activate the waiting worker; the page reloads once it takes control
+     */
+    applyUpdate() {
+        const waiting = this.registration && this.registration.waiting;
+        if (!waiting) {
+            window.location.reload();
+            return;
+        }
+
+        this.reloadOnControllerChange = true;
+        waiting.postMessage({ type: 'SKIP_WAITING' });
+    }
+
+    showUpdateToast(version) {
+        // First installs announce nothing to replace
+        if (!this.isControlled() || document.querySelector('.sw-update-toast')) {
+            return;
+        }
+
+        this.injectToastStyles();
+        const toast = document.createElement('div');
+        toast.className = 'sw-update-toast';
+        toast.setAttribute('role', 'status');
+        toast.dataset.version = version || '';
+        toast.innerHTML = `
+            <span>Update available —</span>
+            <button type="button" class="sw-update-reload">Reload</button>
+            <button type="button" class="sw-update-dismiss" aria-label="Dismiss update notice">✕</button>
+        `;
+
+        toast.querySelector('.sw-update-reload').addEventListener('click', () => {
+            toast.querySelector('.sw-update-reload').disabled = true;
+            this.applyUpdate();
+        });
+        toast.querySelector('.sw-update-dismiss').addEventListener('click', () => toast.remove());
+        document.body.appendChild(toast);
+    }
+
+    injectToastStyles() {
+        if (document.getElementById('sw-update-toast-styles')) {
+            return;
+        }
+
+        const style = document.createElement('style');
+        style.id = 'sw-update-toast-styles';
+        style.textContent = `
+            .sw-update-toast {
+                position: fixed;
+                bottom: 20px;
+                left: 50%;
+                transform: translateX(-50%);
+                z-index: 10000;
+                display: flex;
+                align-items: center;
+                gap: 0.75rem;
+                padding: 0.75rem 1rem;
+                background: #2c3e50;
+                color: white;
+                border-radius: 8px;
+                box-shadow: 0 4px 15px rgba(0, 0, 0, 0.2);
+                font-size: 0.95rem;
+            }
+            .sw-update-toast button {
+                border: none;
+                border-radius: 4px;
+                cursor: pointer;
+                font-size: 0.9rem;
+                min-height: 36px;
+            }
+            .sw-update-reload {
+                padding: 0.4rem 1rem;
+                background: #3498db;
+                color: white;
+                font-weight: 600;
+            }
+            .sw-update-reload:disabled {
+                opacity: 0.6;
+                cursor: wait;
+            }
+            .sw-update-dismiss {
+                padding: 0.4rem 0.6rem;
+                background: transparent;
+                color: #bdc3c7;
+            }
+        `;
+        document.head.appendChild(style);
+    }
+
+    /**
+     * Send a message to a worker (the active one by default) and resolve
+     * with its reply
+     */
+    postMessage(message, worker = this.isControlled() ? navigator.serviceWorker.controller : null) {
+        if (!worker) {
+            return Promise.reject(new Error('No active service worker'));
+        }
+
+        return new Promise((resolve, reject) => {
+            const channel = new MessageChannel();
+            const timer = setTimeout(() => {
+                channel.port1.close();
+                reject(new Error(`Service worker did not answer ${message.type}`));
+            }, this.messageTimeout);
+
+            channel.port1.onmessage = (event) => {
+                clearTimeout(timer);
+                channel.port1.close();
+                resolve(event.data);
+            };
+
+            worker.postMessage(message, [channel.port2]);
+        });
+    }
+
+    /**
+     * Subset of urls that have a cached copy
+     */
+    async getCachedUrls(urls) {
+        const reply = await this.postMessage({ type: 'GET_CACHED_URLS', urls });
+        return reply.cached || [];
+    }
+
+    /**
+     * Ask the worker to fetch and keep urls for offline reading
+     */
+    async cacheUrls(urls) {
+        const reply = await this.postMessage({ type: 'CACHE_URLS', urls });
+        return reply.results || [];
+    }
+
+    /**
+     * Hand a request to the worker's outbox ({ kind, url, method, headers,
+     * body, mode, dedupeKey, queueTimeParam }). It is sent right away when
+     * possible and replayed with backoff otherwise.
+     * Resolves with { id, queued, duplicate }.
+     */
+    async queueRequest(entry) {
+        const reply = await this.postMessage({ type: 'OUTBOX_ADD', entry });
+        if (reply.error) {
+            throw new Error(reply.error);
+        }
+        return reply;
+    }
+
+    /**
+     * { pending, failed, byKind, nextAttemptAt, lastError }
+     */
+    async getOutboxStatus() {
+        const reply = await this.postMessage({ type: 'OUTBOX_STATUS' });
+        return reply.status;
+    }
+
+    async replayOutbox() {
+        const reply = await this.postMessage({ type: 'OUTBOX_REPLAY' });
+        return reply.status;
+    }
+
+    /**
+     * { usage, quota, persisted, caches: [{ name, label, entries, bytes, maxEntries, maxBytes }] }
+     */
+    async getStorageStatus() {
+        const reply = await this.postMessage({ type: 'GET_STORAGE_STATUS' });
+        return reply.status;
+    }
+
+    /**
+     * Delete pages, images and fonts cached at runtime; resolves with the
+     * storage status afterwards
+     */
+    async clearOfflineData() {
+        const reply = await this.postMessage({ type: 'CLEAR_OFFLINE_DATA' });
+        if (reply.error) {
+            throw new Error(reply.error);
+        }
+        return reply.status;
+    }
+}
+
+// Register once the page has loaded so precaching doesn't compete with it
+if (typeof window !== 'undefined') {
+    window.serviceWorkerClient = new ServiceWorkerClient();
+    window.addEventListener('load', () => {
+        window.serviceWorkerClient.register();
+    });
+}
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ServiceWorkerClient;
+}
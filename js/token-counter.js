@@ -0,0 +1,195 @@
+/**
+ * Token Counter
+ * Approximates how many tokens a text takes for each tokenizer family
+ * without downloading a vocabulary: text is split the way BPE/SentencePiece
+ * pre-tokenizers do (words, digits, punctuation, whitespace) and each piece
+ * is costed with per-family rates. Counts are estimates: the real tokenizer
+ * can differ by 10-20%, more for code and unusual scripts.
+ * Used by the token budget on the memory calculator page.
+ */
+
+class TokenCounter {
+    constructor(options = {}) {
+        this.options = {
+            defaultFamily: 'llama',
+            // A single-spaced page of a contract or report
+            wordsPerPage: 500,
+            // Tokens kept free for the model's answer when sizing a context
+            replyReserveTokens: 512,
+            // The calculator's context slider step
+            contextStep: 512,
+            ...options
+        };
+    }
+
+    /**
+     * Tokenizer families. charsPerToken applies to runs of letters (a word
+     * shorter than that is one token), digitsPerToken to runs of digits,
+     * charsPerCJKToken to Chinese, Japanese and Korean text.
+     * newlineTokens is what a single line break costs.
+     * architectures are MemoryEstimator.ARCHITECTURES keys using the tokenizer.
+     */
+    static get FAMILIES() {
+        return {
+            'llama': {
+                name: 'Llama 2 / Mistral (SentencePiece, 32K vocab)',
+                charsPerToken: 4.2, digitsPerToken: 1, charsPerCJKToken: 0.8, newlineTokens: 1,
+                architectures: ['tinyllama-1.1b', 'llama2-7b', 'mistral-7b', 'llama2-13b', 'codellama-34b', 'mixtral-8x7b', 'llama2-70b']
+            },
+            'llama-3': {
+                name: 'Llama 3 (tiktoken BPE, 128K vocab)',
+                charsPerToken: 5.6, digitsPerToken: 3, charsPerCJKToken: 1.2, newlineTokens: 1,
+                architectures: ['llama3.2-3b']
+            },
+            'qwen': {
+                name: 'Qwen 2.5 (BPE, 152K vocab)',
+                charsPerToken: 5.4, digitsPerToken: 1, charsPerCJKToken: 1.5, newlineTokens: 1,
+                architectures: ['qwen2.5-1.5b']
+            },
+            'gpt2': {
+                name: 'Phi-2 (GPT-2 BPE, 50K vocab)',
+                charsPerToken: 4.8, digitsPerToken: 2, charsPerCJKToken: 0.6, newlineTokens: 1,
+                architectures: ['phi-2']
+            },
+            'deepseek-coder': {
+                name: 'DeepSeek Coder (BPE, 32K vocab)',
+                charsPerToken: 4.6, digitsPerToken: 1, charsPerCJKToken: 1, newlineTokens: 1,
+                architectures: []
+            },
+            'gemma': {
+                name: 'Gemma (SentencePiece, 256K vocab)',
+                charsPerToken: 5.8, digitsPerToken: 1, charsPerCJKToken: 1.4, newlineTokens: 1,
+                architectures: []
+            }
+        };
+    }
+
+    /** File types read as plain text; PDFs need their text extracted first */
+    static get TEXT_EXTENSIONS() {
+        return ['.txt', '.md', '.markdown', '.text'];
+    }
+
+    getFamily(id) {
+        const family = TokenCounter.FAMILIES[id];
+        if (!family) {
+            throw new Error(`Unknown tokenizer family "${id}"`);
+        }
+        return family;
+    }
+
+    /**
+     * Tokenizer family for a MemoryEstimator architecture key, falling back
+     * to the default family for unknown or inspected models
+     */
+    familyForArchitecture(architecture) {
+        const match = Object.entries(TokenCounter.FAMILIES)
+            .find(([, family]) => family.architectures.includes(architecture));
+        return match ? match[0] : this.options.defaultFamily;
+    }
+
+    /**
+     * Estimate the tokens in a text.
+     *
+     * @param {string} text
+     * @param {string} familyId - key of FAMILIES
+     * @returns {Object} { family, tokens, words, characters, pages }
+     */
+    count(text, familyId = this.options.defaultFamily) {
+        const family = this.getFamily(familyId);
+        const pieces = String(text || '').match(
+            /[぀-ヿ㐀-䶿一-鿿가-힯]+|\p{L}+|\p{N}+|\n|[^\S\n]+|[^\p{L}\p{N}\s]+/gu
+        ) || [];
+        let tokens = 0;
+
+        pieces.forEach(piece => {
+            if (/^[぀-ヿ㐀-䶿一-鿿가-힯]/.test(piece)) {
+                tokens += piece.length / family.charsPerCJKToken;
+            } else if (/^\p{L}/u.test(piece)) {
+                tokens += Math.max(1, piece.length / family.charsPerToken);
+            } else if (/^\p{N}/u.test(piece)) {
+                tokens += Math.ceil(piece.length / family.digitsPerToken);
+            } else if (piece === '\n') {
+                tokens += family.newlineTokens;
+            } else if (/^\s/.test(piece)) {
+                // A single space merges into the next word; indentation is its own token
+                tokens += piece.length > 1 ? 1 : 0;
+            } else {
+                // Punctuation runs such as "..." or "://" merge into one or two tokens
+                tokens += Math.ceil(piece.length / 2);
+            }
+        });
+
+        const words = (String(text || '').match(/\S+/g) || []).length;
+        return {
+            family: familyId,
+            tokens: Math.round(tokens),
+            words,
+            characters: String(text || '').length,
+            pages: words / this.options.wordsPerPage
+        };
+    }
+
+    /**
+     * How much of a context window a count fills, keeping room for the reply
+     *
+     * @returns {Object} { fraction, fits, remaining } - fraction of contextLength used
+     */
+    contextFit(tokens, contextLength) {
+        const needed = tokens + this.options.replyReserveTokens;
+        return {
+            fraction: needed / contextLength,
+            fits: needed <= contextLength,
+            remaining: contextLength - needed
+        };
+    }
+
+    /** Smallest context (a multiple of the slider step) that holds the text and a reply */
+    requiredContext(tokens) {
+        const step = this.options.contextStep;
+        return Math.max(step, Math.ceil((tokens + this.options.replyReserveTokens) / step) * step);
+    }
+
+    /**
+     * Pages of prose that fit in a context after the reply reserve. Uses the
+     * tokens per word of a counted text when given, else a sample of English prose.
+     */
+    pagesThatFit(contextLength, familyId = this.options.defaultFamily, counted = null) {
+        const sample = counted && counted.words > 0 ? counted : this.count(TokenCounter.SAMPLE_PROSE, familyId);
+        const tokensPerWord = sample.tokens / sample.words;
+        const available = Math.max(0, contextLength - this.options.replyReserveTokens);
+        return available / tokensPerWord / this.options.wordsPerPage;
+    }
+
+    /** Reads a dropped or chosen text file; rejects PDFs and other binary formats */
+    async readFile(file) {
+        const name = String(file.name || '').toLowerCase();
+        const extension = name.includes('.') ? name.slice(name.lastIndexOf('.')) : '';
+        if (extension === '.pdf') {
+            throw new Error('PDFs cannot be read here: copy the text out of the PDF, or save it as a .txt file, and drop that instead');
+        }
+        if (!TokenCounter.TEXT_EXTENSIONS.includes(extension)) {
+            throw new Error(`Unsupported file type "${extension || file.name}": drop a .txt or .md file`);
+        }
+        return file.text();
+    }
+
+    /** English prose used for tokens-per-word when no text has been counted */
+    static get SAMPLE_PROSE() {
+        return 'This Agreement is entered into as of the Effective Date by and between the parties named below. ' +
+            'The Supplier shall deliver the goods described in Schedule A within thirty (30) days of receiving a purchase order, ' +
+            'and the Customer shall pay each invoice in full no later than 45 days after the invoice date. ' +
+            'Either party may terminate this Agreement upon written notice if the other party materially breaches it ' +
+            'and fails to cure the breach within fifteen days. Confidential information disclosed under this Agreement ' +
+            'remains the property of the disclosing party and must not be shared with any third party without prior consent.';
+    }
+}
+
+// Make available globally
+if (typeof window !== 'undefined') {
+    window.TokenCounter = TokenCounter;
+}
+
+// Export for module use
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TokenCounter;
+}
@@ -4,12 +4,26 @@
  */
 
 class ModelComparisonTool {
+    // Id of the model added from the GGUF inspector
+    static get INSPECTED_MODEL_ID() {
+        return 'inspected-gguf';
+    }
+
     constructor(container) {
         this.container = container;
         this.models = [];
         this.filteredModels = [];
         this.userSpecs = {};
-        this.init();
+        this.pinnedModelIds = [];
+        this.maxPinnedModels = 4;
+        this.maxUsefulBitsPerWeight = 8.5; // Q8_0
+        this.memoryEstimator = typeof MemoryEstimator !== 'undefined' ? new MemoryEstimator() : null;
+        this.variantCache = new Map();
+        this.hardwareDetector = typeof HardwareDetector !== 'undefined' ? new HardwareDetector() : null;
+        this.chatTemplates = typeof ChatTemplateRenderer !== 'undefined' ? new ChatTemplateRenderer() : null;
+        this.showOnlyDifferences = false;
+        // Resolves once the catalog is loaded and the interface is built
+        this.ready = this.init();
     }
 
     async init() {
@@ -17,7 +31,14 @@ class ModelComparisonTool {
             await this.loadModelData();
             this.createInterface();
             this.bindEvents();
+            this.restorePinnedModels();
             this.showAllModels(); // Show all models initially
+            this.prefillHardware();
+
+            // Shared comparison links open straight into the matrix
+            if (this.pinnedModelIds.length >= 2) {
+                this.openComparison();
+            }
         } catch (error) {
             console.error('Failed to initialize model comparison tool:', error);
             this.showError('Failed to load model data. Please try again later.');
@@ -51,9 +72,21 @@ class ModelComparisonTool {
                 <div class="tool-content">
                     <aside class="specs-panel">
                         <h3>Your System Specifications</h3>
+                        <div class="hardware-profiles" id="hardware-profiles" hidden>
+                            <button type="button" class="detect-hardware-btn" id="detect-hardware">Detect my hardware</button>
+                            <div class="hardware-profile-row">
+                                <label for="hardware-profile-select" class="sr-only">Saved hardware profile</label>
+                                <select id="hardware-profile-select">
+                                    <option value="">Saved profiles</option>
+                                </select>
+                                <button type="button" class="profile-save-btn" id="profile-save">Save</button>
+                                <button type="button" class="profile-delete-btn" id="profile-delete" disabled>Delete</button>
+                            </div>
+                            <p class="hardware-status" id="hardware-status" role="status"></p>
+                        </div>
                         <form class="specs-form" id="specs-form">
                             <div class="input-group">
-                                <label for="ram-select">Available RAM (GB)</label>
+                                <label for="ram-select">Available RAM (GB) <span class="detected-badge" data-field="ram" hidden></span></label>
                                 <select id="ram-select" name="ram" required>
                                     <option value="">Select RAM</option>
                                     <option value="4">4 GB</option>
@@ -65,7 +98,7 @@ class ModelComparisonTool {
                             </div>
 
                             <div class="input-group">
-                                <label for="vram-select">GPU VRAM (GB) - Optional</label>
+                                <label for="vram-select">GPU VRAM (GB) - Optional <span class="detected-badge" data-field="vram" hidden></span></label>
                                 <select id="vram-select" name="vram">
                                     <option value="0">No GPU / CPU Only</option>
                                     <option value="2">2 GB</option>
@@ -77,7 +110,7 @@ class ModelComparisonTool {
                             </div>
 
                             <div class="input-group">
-                                <label for="cpu-select">CPU Type</label>
+                                <label for="cpu-select">CPU Type <span class="detected-badge" data-field="cpu" hidden></span></label>
                                 <select id="cpu-select" name="cpu">
                                     <option value="">Select CPU</option>
                                     <option value="basic">Basic x64 (Older processors)</option>
@@ -87,7 +120,7 @@ class ModelComparisonTool {
                             </div>
 
                             <div class="input-group">
-                                <label for="os-select">Operating System</label>
+                                <label for="os-select">Operating System <span class="detected-badge" data-field="os" hidden></span></label>
                                 <select id="os-select" name="os">
                                     <option value="">Select OS</option>
                                     <option value="windows">Windows</option>
@@ -148,6 +181,17 @@ class ModelComparisonTool {
                             </div>
                         </div>
 
+                        <div id="compare-tray" class="compare-tray" style="display: none;" aria-live="polite">
+                            <span class="compare-tray-label">Compare:</span>
+                            <div class="compare-tray-models" id="compare-tray-models"></div>
+                            <div class="compare-tray-actions">
+                                <button type="button" class="compare-open-btn" id="compare-open">Compare models</button>
+                                <button type="button" class="compare-clear-btn" id="compare-clear">Clear</button>
+                            </div>
+                        </div>
+
+                        <section id="comparison-matrix" class="comparison-matrix" style="display: none;" aria-labelledby="comparison-title"></section>
+
                         <div class="results-container">
                             <div id="loading-indicator" class="loading-indicator" style="display: none;">
                                 <div class="spinner"></div>
@@ -177,6 +221,8 @@ class ModelComparisonTool {
         const filterTags = this.container.querySelectorAll('.filter-tag');
         const searchInput = this.container.querySelector('#model-search');
         const searchClearBtn = this.container.querySelector('#search-clear');
+        const compareTray = this.container.querySelector('#compare-tray');
+        const comparisonMatrix = this.container.querySelector('#comparison-matrix');
 
         form.addEventListener('submit', (e) => {
             e.preventDefault();
@@ -215,6 +261,8 @@ class ModelComparisonTool {
         const inputs = form.querySelectorAll('select');
         inputs.forEach(input => {
             input.addEventListener('change', () => {
+                // A value picked by hand is no longer detected or saved
+                this.labelHardwareField(input.name, null);
                 if (this.hasAnySpecs()) {
                     this.handleFormSubmit();
                 } else {
@@ -230,6 +278,202 @@ class ModelComparisonTool {
                 this.handleSearch('');
             }
         });
+
+        // Comparison tray and matrix are re-rendered, so delegate their clicks
+        compareTray.addEventListener('click', (e) => {
+            const removeBtn = e.target.closest('.compare-tray-remove');
+            if (removeBtn) {
+                this.togglePinnedModel(removeBtn.dataset.modelId);
+            } else if (e.target.closest('#compare-open')) {
+                this.openComparison();
+            } else if (e.target.closest('#compare-clear')) {
+                this.clearPinnedModels();
+            }
+        });
+
+        comparisonMatrix.addEventListener('click', (e) => {
+            const removeBtn = e.target.closest('.comparison-remove');
+            if (removeBtn) {
+                this.togglePinnedModel(removeBtn.dataset.modelId);
+            } else if (e.target.closest('.comparison-copy-link')) {
+                this.copyComparisonLink();
+            } else if (e.target.closest('.comparison-close')) {
+                this.closeComparison();
+            }
+        });
+
+        if (this.hardwareDetector) {
+            const profileSelect = this.container.querySelector('#hardware-profile-select');
+
+            this.container.querySelector('#detect-hardware').addEventListener('click', () => {
+                profileSelect.value = '';
+                this.hardwareDetector.setActiveProfile(null);
+                this.detectHardware();
+            });
+
+            profileSelect.addEventListener('change', () => {
+                this.selectHardwareProfile(profileSelect.value);
+            });
+
+            this.container.querySelector('#profile-save').addEventListener('click', () => {
+                this.saveHardwareProfile();
+            });
+
+            this.container.querySelector('#profile-delete').addEventListener('click', () => {
+                this.deleteHardwareProfile(profileSelect.value);
+            });
+        }
+
+        comparisonMatrix.addEventListener('change', (e) => {
+            if (e.target.matches('.comparison-differences-toggle')) {
+                this.showOnlyDifferences = e.target.checked;
+                this.renderComparisonMatrix();
+            }
+        });
+    }
+
+    /**
+     * Fill the specs form from the active saved profile, or else from what
+     * the browser reports (js/hardware-detector.js)
+     */
+    async prefillHardware() {
+        if (!this.hardwareDetector) {
+            return;
+        }
+
+        this.container.querySelector('#hardware-profiles').hidden = false;
+        this.renderHardwareProfiles();
+
+        const profile = this.hardwareDetector.getActiveProfile();
+        if (profile) {
+            this.selectHardwareProfile(profile.name);
+        } else {
+            await this.detectHardware();
+        }
+    }
+
+    async detectHardware() {
+        const status = this.container.querySelector('#hardware-status');
+        status.textContent = 'Detecting your hardware…';
+
+        let detected;
+        try {
+            detected = await this.hardwareDetector.detect();
+        } catch (error) {
+            console.warn('Hardware detection failed:', error);
+            status.textContent = 'Could not detect your hardware. Please choose it below.';
+            return;
+        }
+
+        const filled = this.applyHardwareFields(detected);
+        const gpu = detected.gpu ? ` GPU: ${detected.gpu.value}.` : '';
+        status.textContent = filled > 0
+            ? `Filled in ${filled} of 4 fields from your browser. Please check the estimated ones.${gpu}`
+            : `Your browser does not report your hardware. Please choose it below.${gpu}`;
+    }
+
+    /**
+     * Set the form from labelled fields (detected or saved); returns how many were set
+     */
+    applyHardwareFields(fields) {
+        const form = this.container.querySelector('#specs-form');
+        let filled = 0;
+
+        ['ram', 'vram', 'cpu', 'os'].forEach(key => {
+            const select = form.elements[key];
+            const field = fields[key];
+            let value = field ? String(field.value) : null;
+
+            if (field && typeof field.value === 'number') {
+                const choices = Array.from(select.options)
+                    .filter(option => option.value !== '')
+                    .map(option => Number(option.value));
+                value = String(this.hardwareDetector.snap(field.value, choices));
+            }
+
+            if (value === null || !select.querySelector(`option[value="${value}"]`)) {
+                this.labelHardwareField(key, null);
+                return;
+            }
+
+            select.value = value;
+            this.labelHardwareField(key, field);
+            filled++;
+        });
+
+        if (filled > 0) {
+            this.applyCurrentFilters();
+        }
+        return filled;
+    }
+
+    labelHardwareField(key, field) {
+        if (this.hardwareDetector) {
+            this.hardwareDetector.labelField(this.container.querySelector(`.detected-badge[data-field="${key}"]`), field);
+        }
+    }
+
+    clearHardwareLabels() {
+        ['ram', 'vram', 'cpu', 'os'].forEach(key => this.labelHardwareField(key, null));
+    }
+
+    renderHardwareProfiles() {
+        const select = this.container.querySelector('#hardware-profile-select');
+        const active = this.hardwareDetector.getActiveProfile();
+
+        // Profile names are user text, so build the options as nodes
+        select.length = 1;
+        this.hardwareDetector.getProfiles().forEach(profile => {
+            select.appendChild(new Option(profile.name, profile.name));
+        });
+        select.value = active ? active.name : '';
+        this.container.querySelector('#profile-delete').disabled = !active;
+    }
+
+    selectHardwareProfile(name) {
+        const profile = name ? this.hardwareDetector.getProfile(name) : null;
+        const status = this.container.querySelector('#hardware-status');
+
+        this.hardwareDetector.setActiveProfile(profile ? profile.name : null);
+        this.container.querySelector('#profile-delete').disabled = !profile;
+        if (profile) {
+            this.applyHardwareFields(this.hardwareDetector.profileFields(profile));
+            status.textContent = `Using your “${profile.name}” profile.`;
+        } else {
+            status.textContent = '';
+        }
+    }
+
+    saveHardwareProfile() {
+        const active = this.hardwareDetector.getActiveProfile();
+        const name = window.prompt('Name this hardware profile (e.g. "work laptop"):', active ? active.name : '');
+        if (name === null) {
+            return;
+        }
+
+        const formData = new FormData(this.container.querySelector('#specs-form'));
+        try {
+            const profile = this.hardwareDetector.saveProfile(name, {
+                ram: formData.get('ram') ? parseInt(formData.get('ram')) : undefined,
+                vram: parseInt(formData.get('vram')) || 0,
+                cpu: formData.get('cpu'),
+                os: formData.get('os')
+            });
+            this.renderHardwareProfiles();
+            this.container.querySelector('#hardware-status').textContent = `Saved “${profile.name}”. The memory calculator can use it too.`;
+        } catch (error) {
+            this.container.querySelector('#hardware-status').textContent = error.message;
+        }
+    }
+
+    deleteHardwareProfile(name) {
+        if (!name) {
+            return;
+        }
+
+        this.hardwareDetector.deleteProfile(name);
+        this.renderHardwareProfiles();
+        this.container.querySelector('#hardware-status').textContent = `Deleted “${name}”.`;
     }
 
     hasAnySpecs() {
@@ -367,6 +611,7 @@ class ModelComparisonTool {
         // Clear form
         const form = this.container.querySelector('#specs-form');
         form.reset();
+        this.clearHardwareLabels();
         this.userSpecs = {};
         
         // Show all models
@@ -387,8 +632,8 @@ class ModelComparisonTool {
     }
 
     isModelCompatible(model, specs) {
-        // RAM requirement check
-        if (specs.ram > 0 && model.minRAM > specs.ram) {
+        // RAM requirement check: compatible if any quantization fits
+        if (specs.ram > 0 && !this.selectVariant(model, specs).variant) {
             return false;
         }
 
@@ -436,15 +681,140 @@ class ModelComparisonTool {
         return userLevel >= modelLevel;
     }
 
+    /**
+     * Variants from the catalog, or a single one built from the top-level
+     * fields for entries that don't list their quantizations. RAM needs are
+     * computed by the shared MemoryEstimator, as on the memory calculator;
+     * the catalog figures only act as a floor.
+     */
+    getModelVariants(model) {
+        if (this.variantCache.has(model.id)) {
+            return this.variantCache.get(model.id);
+        }
+
+        const variants = Array.isArray(model.variants) && model.variants.length > 0
+            ? model.variants
+            : [{
+                quantization: model.quantization,
+                fileSize: parseFloat(model.size),
+                bitsPerWeight: null,
+                minRAM: model.minRAM,
+                recommendedRAM: model.recommendedRAM
+            }];
+
+        const estimated = variants.map(variant => this.estimateVariant(model, variant));
+        this.variantCache.set(model.id, estimated);
+        return estimated;
+    }
+
+    /**
+     * A variant with minRAM/recommendedRAM from the estimator, never below
+     * the catalog values. Models without an architecture (or, for a file
+     * from the GGUF inspector, a shape read from its header) keep the
+     * catalog figures.
+     */
+    estimateVariant(model, variant) {
+        const shape = model.shape || (model.architecture ? { architecture: model.architecture } : null);
+        if (!this.memoryEstimator || !shape) {
+            return variant;
+        }
+
+        try {
+            const requirements = this.memoryEstimator.estimateRequirements(shape, {
+                bitsPerWeight: variant.bitsPerWeight || undefined,
+                quantization: variant.quantization,
+                contextLength: model.performance && model.performance.contextLength
+            });
+            return {
+                ...variant,
+                minRAM: Math.max(requirements.minRAM, variant.minRAM || 0),
+                recommendedRAM: Math.max(requirements.recommendedRAM, variant.recommendedRAM || 0)
+            };
+        } catch (error) {
+            console.warn(`Memory estimate failed for ${model.id} ${variant.quantization}:`, error);
+            return variant;
+        }
+    }
+
+    getDefaultVariant(model) {
+        const variants = this.getModelVariants(model);
+        return variants.find(variant => variant.quantization === model.quantization) || variants[0];
+    }
+
+    /**
+     * Pick the highest quality quantization the user's RAM can hold.
+     * Returns { variant, fits, reason }; variant is null when even the
+     * smallest file needs more RAM than is available.
+     */
+    selectVariant(model, specs = {}) {
+        const variants = this.getModelVariants(model);
+        const defaultVariant = this.getDefaultVariant(model);
+
+        if (!(specs.ram > 0)) {
+            return {
+                variant: defaultVariant,
+                fits: 'unknown',
+                reason: `${defaultVariant.quantization} is the usual balance of size and quality. Select your RAM for a tailored pick.`
+            };
+        }
+
+        // Above 8-bit the quality gain is negligible for the memory it costs
+        const useful = variants.filter(variant => !(variant.bitsPerWeight > this.maxUsefulBitsPerWeight));
+        const byQuality = (a, b) => (b.bitsPerWeight || 0) - (a.bitsPerWeight || 0) || b.fileSize - a.fileSize;
+        const comfortable = useful.filter(variant => variant.recommendedRAM <= specs.ram).sort(byQuality);
+        const tight = useful.filter(variant => variant.minRAM <= specs.ram).sort(byQuality);
+
+        let variant;
+        let reason;
+        if (comfortable.length > 0) {
+            variant = comfortable[0];
+            const larger = useful.find(candidate => byQuality(candidate, variant) < 0);
+            reason = larger
+                ? `${variant.quantization} is the highest quality that runs comfortably in ${specs.ram}GB RAM (needs ${variant.recommendedRAM}GB recommended); ${larger.quantization} would need ${larger.recommendedRAM}GB.`
+                : `${variant.quantization} runs comfortably in ${specs.ram}GB RAM, and larger files add little quality over 8-bit.`;
+        } else if (tight.length > 0) {
+            variant = tight[0];
+            reason = `${variant.quantization} fits in ${specs.ram}GB RAM at its ${variant.minRAM}GB minimum, but ${variant.recommendedRAM}GB is recommended. Close other applications while it runs.`;
+        } else {
+            const smallest = [...variants].sort((a, b) => a.minRAM - b.minRAM)[0];
+            return {
+                variant: null,
+                fits: 'insufficient',
+                reason: `Even ${smallest.quantization} needs at least ${smallest.minRAM}GB RAM.`
+            };
+        }
+
+        if (variant.bitsPerWeight && variant.bitsPerWeight < 3) {
+            reason += ' Expect noticeable quality loss at this size.';
+        }
+
+        if (specs.vram > 0 && variant.fileSize <= specs.vram) {
+            reason += ` The ${variant.fileSize}GB file also fits in your ${specs.vram}GB VRAM for full GPU offload.`;
+        }
+
+        return {
+            variant,
+            fits: comfortable.length > 0 ? 'optimal' : 'minimum',
+            reason
+        };
+    }
+
     calculateCompatibilityScore(model, specs) {
         let score = 0;
+        const { variant } = this.selectVariant(model, specs);
+        const recommendedRAM = variant ? variant.recommendedRAM : this.getDefaultVariant(model).recommendedRAM;
 
         // RAM efficiency score
         if (specs.ram > 0) {
-            const ramEfficiency = specs.ram / model.recommendedRAM;
+            const ramEfficiency = specs.ram / recommendedRAM;
             score += Math.min(ramEfficiency * 20, 30);
         }
 
+        // Quantization quality bonus: up to 8 points for an 8-bit variant
+        if (variant && variant.bitsPerWeight) {
+            score += Math.min(variant.bitsPerWeight, 8);
+        }
+
         // VRAM bonus
         if (specs.vram > 0 && model.recommendedVRAM > 0) {
             const vramEfficiency = specs.vram / model.recommendedVRAM;
@@ -492,6 +862,11 @@ class ModelComparisonTool {
         
         count.textContent = this.filteredModels.length;
 
+        // Suggested variants depend on the specs, so keep an open matrix in step
+        if (this.container.querySelector('#comparison-matrix').style.display !== 'none') {
+            this.renderComparisonMatrix();
+        }
+
         if (this.filteredModels.length === 0) {
             grid.innerHTML = '';
             noResults.style.display = 'block';
@@ -507,6 +882,38 @@ class ModelComparisonTool {
                 this.trackDownload(e.target.dataset.modelId);
             });
         });
+
+        grid.querySelectorAll('.compare-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.togglePinnedModel(btn.dataset.modelId);
+            });
+        });
+
+        grid.querySelectorAll('.model-tab').forEach(tab => {
+            tab.addEventListener('click', () => this.selectModelTab(tab));
+        });
+    }
+
+    /**
+     * Switch a card's details between its tabs. The prompt format preview
+     * is only built the first time its tab opens.
+     */
+    selectModelTab(tab) {
+        const details = tab.closest('.model-details');
+        details.querySelectorAll('.model-tab').forEach(other => {
+            const selected = other === tab;
+            other.classList.toggle('active', selected);
+            other.setAttribute('aria-selected', selected);
+        });
+        details.querySelectorAll('.model-tab-panel').forEach(panel => {
+            panel.hidden = panel.dataset.panel !== tab.dataset.tab;
+        });
+
+        const panel = details.querySelector(`.model-tab-panel[data-panel="${tab.dataset.tab}"]`);
+        if (tab.dataset.tab === 'prompt' && !panel.dataset.mounted) {
+            this.chatTemplates.mount(panel, { family: panel.dataset.chatTemplate });
+            panel.dataset.mounted = 'true';
+        }
     }
 
     createModelCard(model) {
@@ -514,9 +921,9 @@ class ModelComparisonTool {
             this.calculateCompatibilityScore(model, this.userSpecs) : 0;
         
         const isRecommended = compatibilityScore > 50;
-        const ramStatus = this.userSpecs.ram ? 
-            (this.userSpecs.ram >= model.recommendedRAM ? 'optimal' : 
-             this.userSpecs.ram >= model.minRAM ? 'minimum' : 'insufficient') : 'unknown';
+        const selection = this.selectVariant(model, this.userSpecs);
+        const variant = selection.variant || this.getDefaultVariant(model);
+        const ramStatus = selection.fits;
 
         return `
             <article class="model-card ${isRecommended ? 'recommended' : ''}" data-model-id="${model.id}">
@@ -525,7 +932,7 @@ class ModelComparisonTool {
                 <header class="model-header">
                     <h4 class="model-name">${model.name}</h4>
                     <div class="model-meta">
-                        <span class="model-size">${model.size}</span>
+                        <span class="model-size">${variant.fileSize}GB</span>
                         <span class="model-difficulty difficulty-${model.difficulty.toLowerCase()}">${model.difficulty}</span>
                     </div>
                 </header>
@@ -534,11 +941,17 @@ class ModelComparisonTool {
                     <p>${model.description}</p>
                 </div>
 
+                <div class="model-variant-choice">
+                    <span class="spec-label">Suggested download:</span>
+                    <span class="model-variant-name">${variant.quantization}</span>
+                    <p class="model-variant-reason">${selection.reason}</p>
+                </div>
+
                 <div class="model-specs">
                     <div class="spec-item">
                         <span class="spec-label">RAM Required:</span>
                         <span class="spec-value ram-${ramStatus}">
-                            ${model.minRAM}GB min, ${model.recommendedRAM}GB recommended
+                            ${variant.minRAM}GB min, ${variant.recommendedRAM}GB recommended
                         </span>
                     </div>
                     <div class="spec-item">
@@ -571,6 +984,7 @@ class ModelComparisonTool {
                 </div>
 
                 <footer class="model-actions">
+                    ${model.downloadUrl ? `
                     <a href="${model.downloadUrl}" 
                        class="download-btn" 
                        data-model-id="${model.id}"
@@ -579,6 +993,8 @@ class ModelComparisonTool {
                         <span class="btn-icon">⬇️</span>
                         Download Model
                     </a>
+                    ` : ''}
+                    ${this.createCompareButton(model)}
                     <button class="info-btn" onclick="this.parentElement.parentElement.querySelector('.model-details').style.display = this.parentElement.parentElement.querySelector('.model-details').style.display === 'none' ? 'block' : 'none'">
                         <span class="btn-icon">ℹ️</span>
                         More Info
@@ -586,25 +1002,358 @@ class ModelComparisonTool {
                 </footer>
 
                 <div class="model-details" style="display: none;">
-                    <h5>Installation Instructions</h5>
-                    <ol>
-                        <li>Download the model file from the link above</li>
-                        <li>Install GGUF Loader: <code>pip install ggufloader</code></li>
-                        <li>Run: <code>ggufloader --model path/to/downloaded/model.gguf</code></li>
-                    </ol>
+                    ${this.createModelTabs(model)}
+                    <div class="model-tab-panel" data-panel="details" role="tabpanel">
+                        <h5>Installation Instructions</h5>
+                        <ol>
+                            <li>Download the model file from the link above</li>
+                            <li>Install GGUF Loader: <code>pip install ggufloader</code></li>
+                            <li>Run: <code>ggufloader --model path/to/downloaded/model.gguf</code></li>
+                        </ol>
                     
-                    <h5>Technical Details</h5>
-                    <ul>
-                        <li><strong>Quantization:</strong> ${model.quantization}</li>
-                        <li><strong>Quality:</strong> ${model.performance.quality}</li>
-                        <li><strong>CPU Requirement:</strong> ${model.cpuRequirement}</li>
-                        ${model.recommendedVRAM > 0 ? `<li><strong>Recommended VRAM:</strong> ${model.recommendedVRAM}GB</li>` : ''}
-                    </ul>
+                        ${this.createVariantsTable(model, variant)}
+
+                        <h5>Technical Details</h5>
+                        <ul>
+                            <li><strong>Quality:</strong> ${model.performance.quality}</li>
+                            <li><strong>CPU Requirement:</strong> ${model.cpuRequirement}</li>
+                            ${model.recommendedVRAM > 0 ? `<li><strong>Recommended VRAM:</strong> ${model.recommendedVRAM}GB</li>` : ''}
+                            ${this.hasPromptFormat(model) ? `<li><strong>Prompt Format:</strong> ${ChatTemplateRenderer.FAMILIES[model.chatTemplate].name}</li>` : ''}
+                        </ul>
+                    </div>
+                    ${this.hasPromptFormat(model) ? `
+                        <div class="model-tab-panel" data-panel="prompt" data-chat-template="${model.chatTemplate}" role="tabpanel" hidden></div>
+                    ` : ''}
                 </div>
             </article>
         `;
     }
 
+    hasPromptFormat(model) {
+        return Boolean(this.chatTemplates && model.chatTemplate && ChatTemplateRenderer.FAMILIES[model.chatTemplate]);
+    }
+
+    createModelTabs(model) {
+        if (!this.hasPromptFormat(model)) {
+            return '';
+        }
+
+        return `
+            <div class="model-tabs" role="tablist">
+                <button type="button" class="model-tab active" role="tab" aria-selected="true" data-tab="details">Details</button>
+                <button type="button" class="model-tab" role="tab" aria-selected="false" data-tab="prompt">Prompt format</button>
+            </div>
+        `;
+    }
+
+    createVariantsTable(model, selectedVariant) {
+        const variants = this.getModelVariants(model);
+        if (variants.length < 2) {
+            return '';
+        }
+
+        return `
+            <h5>Available Quantizations</h5>
+            <table class="model-variants-table">
+                <thead>
+                    <tr>
+                        <th scope="col">Variant</th>
+                        <th scope="col">File</th>
+                        <th scope="col">Bits/weight</th>
+                        <th scope="col">RAM (min / rec.)</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${variants.map(variant => `
+                        <tr class="${variant === selectedVariant ? 'selected-variant' : ''}">
+                            <td>${variant.quantization}${variant === selectedVariant ? ' ✓' : ''}</td>
+                            <td>${variant.fileSize}GB</td>
+                            <td>${variant.bitsPerWeight || '—'}</td>
+                            <td>${variant.minRAM}GB / ${variant.recommendedRAM}GB</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    createCompareButton(model) {
+        const pinned = this.pinnedModelIds.includes(model.id);
+        const full = !pinned && this.pinnedModelIds.length >= this.maxPinnedModels;
+
+        return `
+            <button type="button" class="compare-btn ${pinned ? 'pinned' : ''}" data-model-id="${model.id}"
+                    aria-pressed="${pinned}" ${full ? `disabled title="You can compare up to ${this.maxPinnedModels} models"` : ''}>
+                <span class="btn-icon">${pinned ? '✓' : '⚖️'}</span>
+                ${pinned ? 'Pinned' : 'Compare'}
+            </button>
+        `;
+    }
+
+    togglePinnedModel(modelId) {
+        if (this.pinnedModelIds.includes(modelId)) {
+            this.pinnedModelIds = this.pinnedModelIds.filter(id => id !== modelId);
+        } else if (this.pinnedModelIds.length < this.maxPinnedModels) {
+            this.pinnedModelIds.push(modelId);
+        }
+
+        this.updatePinnedState();
+    }
+
+    clearPinnedModels() {
+        this.pinnedModelIds = [];
+        this.updatePinnedState();
+    }
+
+    getPinnedModels() {
+        return this.pinnedModelIds
+            .map(id => this.models.find(model => model.id === id))
+            .filter(Boolean);
+    }
+
+    /**
+     * Read ?compare=id1,id2 so a shared link restores the same selection
+     */
+    restorePinnedModels() {
+        const ids = (new URLSearchParams(window.location.search).get('compare') || '')
+            .split(',')
+            .map(id => id.trim())
+            .filter(id => this.models.some(model => model.id === id));
+
+        this.pinnedModelIds = [...new Set(ids)].slice(0, this.maxPinnedModels);
+        this.renderCompareTray();
+    }
+
+    updatePinnedState() {
+        this.syncComparisonUrl();
+        this.renderCompareTray();
+
+        // Refresh the buttons in place so the grid keeps its scroll position
+        this.container.querySelectorAll('.compare-btn').forEach(btn => {
+            const model = this.models.find(m => m.id === btn.dataset.modelId);
+            if (model) {
+                btn.outerHTML = this.createCompareButton(model);
+            }
+        });
+        this.container.querySelectorAll('.compare-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.togglePinnedModel(btn.dataset.modelId);
+            });
+        });
+
+        const matrix = this.container.querySelector('#comparison-matrix');
+        if (matrix.style.display !== 'none') {
+            if (this.pinnedModelIds.length >= 2) {
+                this.renderComparisonMatrix();
+            } else {
+                this.closeComparison();
+            }
+        }
+    }
+
+    syncComparisonUrl() {
+        const url = new URL(window.location.href);
+        if (this.pinnedModelIds.length > 0) {
+            url.searchParams.set('compare', this.pinnedModelIds.join(','));
+        } else {
+            url.searchParams.delete('compare');
+        }
+        history.replaceState(history.state, '', url.toString());
+    }
+
+    getShareUrl() {
+        const url = new URL(window.location.href);
+        url.searchParams.set('compare', this.pinnedModelIds.join(','));
+        return url.toString();
+    }
+
+    renderCompareTray() {
+        const tray = this.container.querySelector('#compare-tray');
+        const models = this.getPinnedModels();
+
+        tray.style.display = models.length > 0 ? 'flex' : 'none';
+        this.container.querySelector('#compare-tray-models').innerHTML = models.map(model => `
+            <span class="compare-tray-model">
+                ${model.name}
+                <button type="button" class="compare-tray-remove" data-model-id="${model.id}" aria-label="Remove ${model.name} from comparison">✕</button>
+            </span>
+        `).join('');
+
+        const openBtn = this.container.querySelector('#compare-open');
+        openBtn.disabled = models.length < 2;
+        openBtn.textContent = models.length < 2 ? 'Pin another model to compare' : `Compare ${models.length} models`;
+    }
+
+    openComparison() {
+        if (this.pinnedModelIds.length < 2) {
+            return;
+        }
+
+        const matrix = this.container.querySelector('#comparison-matrix');
+        this.renderComparisonMatrix();
+        matrix.style.display = 'block';
+        matrix.scrollIntoView({ behavior: 'smooth', block: 'start' });
+
+        window.analyticsEventBus?.publish('model_compare', {
+            model_ids: this.pinnedModelIds.join(',')
+        }, { source: 'model-comparison' });
+    }
+
+    closeComparison() {
+        const matrix = this.container.querySelector('#comparison-matrix');
+        matrix.style.display = 'none';
+        matrix.innerHTML = '';
+    }
+
+    /**
+     * Rows of the comparison matrix. `value` is what gets compared,
+     * `format` what gets shown, `better` marks the preferable end.
+     */
+    getComparisonRows() {
+        const yesNo = value => (value ? '✓ Yes' : '✗ No');
+        // Compare the variant each card suggests for the current specs
+        const variantOf = m => this.selectVariant(m, this.userSpecs).variant || this.getDefaultVariant(m);
+
+        return [
+            { label: 'Download Size', value: m => variantOf(m).fileSize, format: v => `${v}GB`, better: 'lower' },
+            { label: 'Quantization', value: m => variantOf(m).quantization },
+            { label: 'Minimum RAM', value: m => variantOf(m).minRAM, format: v => `${v}GB`, better: 'lower' },
+            { label: 'Recommended RAM', value: m => variantOf(m).recommendedRAM, format: v => `${v}GB`, better: 'lower' },
+            { label: 'Minimum VRAM', value: m => m.minVRAM, format: v => (v > 0 ? `${v}GB` : 'None'), better: 'lower' },
+            { label: 'Recommended VRAM', value: m => m.recommendedVRAM, format: v => (v > 0 ? `${v}GB` : 'None'), better: 'lower' },
+            { label: 'Context Length', value: m => m.performance.contextLength, format: v => `${v.toLocaleString()} tokens`, better: 'higher' },
+            {
+                label: 'Tokens per Second',
+                value: m => this.parseTokensPerSecond(m.performance.tokensPerSecond),
+                format: (v, m) => `${m.performance.tokensPerSecond} (${m.performance.speed})`,
+                better: 'higher'
+            },
+            { label: 'Quality', value: m => m.performance.quality },
+            { label: 'Windows', value: m => m.compatibility.windows, format: yesNo },
+            { label: 'macOS', value: m => m.compatibility.macos, format: yesNo },
+            { label: 'Linux', value: m => m.compatibility.linux, format: yesNo },
+            { label: 'ARM', value: m => m.compatibility.arm, format: yesNo },
+            { label: 'GPU', value: m => m.compatibility.gpu },
+            { label: 'Difficulty', value: m => m.difficulty },
+            { label: 'Use Cases', value: m => [...m.useCase].sort().join('|'), useCases: true }
+        ];
+    }
+
+    /**
+     * Midpoint of a "low-high" tokens/sec range
+     */
+    parseTokensPerSecond(tokensPerSecond) {
+        const [low, high = low] = String(tokensPerSecond).split('-').map(Number);
+        return (low + high) / 2;
+    }
+
+    renderComparisonMatrix() {
+        const matrix = this.container.querySelector('#comparison-matrix');
+        const models = this.getPinnedModels();
+        const sharedUseCases = models
+            .map(model => model.useCase)
+            .reduce((shared, useCases) => shared.filter(use => useCases.includes(use)));
+
+        const rows = this.getComparisonRows().map(row => {
+            const values = models.map(model => row.value(model));
+            const differs = new Set(values).size > 1;
+            const best = row.better && differs
+                ? (row.better === 'lower' ? Math.min(...values) : Math.max(...values))
+                : null;
+
+            if (this.showOnlyDifferences && !differs) {
+                return '';
+            }
+
+            const cells = models.map((model, index) => {
+                const isBest = best !== null && values[index] === best;
+                let content;
+                if (row.useCases) {
+                    // Use cases not shared by every pinned model are the interesting ones
+                    content = model.useCase.map(use =>
+                        `<span class="use-case-tag ${sharedUseCases.includes(use) ? '' : 'differs'}">${use}</span>`
+                    ).join('');
+                } else {
+                    content = row.format ? row.format(values[index], model) : values[index];
+                }
+                return `<td class="${isBest ? 'comparison-best' : ''}">${content}</td>`;
+            }).join('');
+
+            return `
+                <tr class="${differs ? 'comparison-row-differs' : ''}">
+                    <th scope="row">${row.label}${differs ? '<span class="comparison-differs-marker" title="Values differ"> ●</span>' : ''}</th>
+                    ${cells}
+                </tr>
+            `;
+        }).join('');
+
+        matrix.innerHTML = `
+            <header class="comparison-header">
+                <h3 id="comparison-title">Model Comparison</h3>
+                <div class="comparison-actions">
+                    <label class="comparison-differences">
+                        <input type="checkbox" class="comparison-differences-toggle" ${this.showOnlyDifferences ? 'checked' : ''}>
+                        Show only differences
+                    </label>
+                    <button type="button" class="comparison-copy-link">🔗 Copy link</button>
+                    <button type="button" class="comparison-close" aria-label="Close comparison">✕</button>
+                </div>
+            </header>
+            <p class="comparison-status" role="status"></p>
+            <div class="comparison-table-wrapper">
+                <table class="comparison-table">
+                    <thead>
+                        <tr>
+                            <th scope="col"><span class="sr-only">Specification</span></th>
+                            ${models.map(model => `
+                                <th scope="col">
+                                    <span class="comparison-model-name">${model.name}</span>
+                                    <button type="button" class="comparison-remove" data-model-id="${model.id}" aria-label="Remove ${model.name} from comparison">✕</button>
+                                </th>
+                            `).join('')}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${rows || `<tr><td colspan="${models.length + 1}" class="comparison-empty">These models have identical specifications.</td></tr>`}
+                    </tbody>
+                    <tfoot>
+                        <tr>
+                            <th scope="row">Download</th>
+                            ${models.map(model => `
+                                <td>
+                                    <a href="${model.downloadUrl}" class="download-btn" data-model-id="${model.id}" target="_blank" rel="noopener noreferrer">
+                                        <span class="btn-icon">⬇️</span>
+                                        Download
+                                    </a>
+                                </td>
+                            `).join('')}
+                        </tr>
+                    </tfoot>
+                </table>
+            </div>
+        `;
+
+        matrix.querySelectorAll('.download-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.trackDownload(btn.dataset.modelId);
+            });
+        });
+    }
+
+    async copyComparisonLink() {
+        const url = this.getShareUrl();
+        const status = this.container.querySelector('.comparison-status');
+
+        try {
+            await navigator.clipboard.writeText(url);
+            status.textContent = 'Link copied to clipboard';
+        } catch (error) {
+            // Clipboard API needs a secure context and permission
+            window.prompt('Copy this comparison link:', url);
+            status.textContent = '';
+        }
+    }
+
     updateResultsTitle(title) {
         const titleElement = this.container.querySelector('#results-title');
         titleElement.textContent = title;
@@ -640,6 +1389,7 @@ class ModelComparisonTool {
         const searchInput = this.container.querySelector('#model-search');
         
         form.reset();
+        this.clearHardwareLabels();
         searchInput.value = '';
         this.userSpecs = {};
         this.currentSearchTerm = '';
@@ -647,14 +1397,70 @@ class ModelComparisonTool {
         this.updateResultsTitle('All Available Models');
     }
 
+    /**
+     * Add a file read by the GGUF inspector as a pinned model. Its RAM is
+     * estimated from the header shape the same way as the catalog variants.
+     *
+     * @param {Object} input - GGUFInspector.toEstimatorInput() result
+     * @param {Object} file - { fileType, fileSize in bytes }
+     */
+    addInspectedModel(input, file = {}) {
+        const { model: shape, settings } = input;
+        const bitsPerWeight = Math.round(settings.bitsPerWeight * 100) / 100;
+        const contextLength = settings.contextLength || 4096;
+        const fileSize = Math.round((file.fileSize || shape.parameters * 1e9 * settings.bitsPerWeight / 8) / 1e7) / 100;
+        // Names and types come from the file's metadata and end up in innerHTML
+        const quantization = this.escapeHtml(file.fileType || 'GGUF');
+        const speed = this.memoryEstimator.estimateSpeed(
+            this.memoryEstimator.estimate(shape, { bitsPerWeight: settings.bitsPerWeight, contextLength })
+        );
+
+        const model = {
+            id: ModelComparisonTool.INSPECTED_MODEL_ID,
+            name: this.escapeHtml(`${shape.name || 'GGUF file'} (your file)`),
+            size: `${fileSize}GB`,
+            quantization,
+            shape,
+            variants: [{ quantization, fileSize, bitsPerWeight, minRAM: 0, recommendedRAM: 0 }],
+            minVRAM: 0,
+            recommendedVRAM: 0,
+            cpuRequirement: 'Modern x64 (AVX2 support)',
+            performance: {
+                speed: speed.label,
+                quality: 'Unknown',
+                tokensPerSecond: `${Math.round(speed.low)}-${Math.round(speed.high)}`,
+                contextLength
+            },
+            useCase: ['Your file'],
+            compatibility: { windows: true, macos: true, linux: true, arm: true, gpu: 'Optional' },
+            downloadUrl: null,
+            description: 'The GGUF file you opened in the inspector. RAM needs are estimated from its header.',
+            difficulty: 'Intermediate',
+            tags: []
+        };
+
+        this.models = [model, ...this.models.filter(existing => existing.id !== model.id)];
+        this.variantCache.delete(model.id);
+        if (!this.pinnedModelIds.includes(model.id)) {
+            this.pinnedModelIds = [model.id, ...this.pinnedModelIds].slice(0, this.maxPinnedModels);
+        }
+
+        this.showAllModels();
+        this.updatePinnedState();
+        return model;
+    }
+
+    escapeHtml(text) {
+        return String(text).replace(/[&<>"']/g, char => ({
+            '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+        })[char]);
+    }
+
     trackDownload(modelId) {
         // Analytics tracking
-        if (typeof gtag !== 'undefined') {
-            gtag('event', 'model_download', {
-                model_id: modelId,
-                page_location: window.location.href
-            });
-        }
+        window.analyticsEventBus?.publish('model_download', {
+            model_id: modelId
+        }, { source: 'model-comparison' });
         
         console.log(`Model download tracked: ${modelId}`);
     }
@@ -664,7 +1470,7 @@ class ModelComparisonTool {
 document.addEventListener('DOMContentLoaded', () => {
     const container = document.getElementById('model-comparison-container');
     if (container) {
-        new ModelComparisonTool(container);
+        window.modelComparisonTool = new ModelComparisonTool(container);
     }
 });
 
@@ -0,0 +1,424 @@
+#!/usr/bin/env node
+
+/**
+ * Analytics Collector
+ * Self-hosted endpoint for the site's CollectorTransport. Batches are
+ * validated against the event bus schema and appended to one JSON-lines
+ * file per day in analytics-data/. Only the event envelope is kept: no IP
+ * address, user agent header or cookie is stored. Query endpoints serve
+ * the numbers behind the integration and cross-page dashboards.
+ *
+ * Usage:
+ *   node scripts/analytics-collector.js [--port 3002] [--data-dir <dir>]
+ *   env: ANALYTICS_COLLECTOR_PORT, ANALYTICS_ALLOWED_ORIGINS (comma separated),
+ *        ANALYTICS_READ_TOKEN
+ *
+ * Point the site at it in analytics-config.js:
+ *   eventBus.collector: { enabled: true, endpoint: 'https://<host>/analytics/events' }
+ *
+ * Endpoints (the GET ones take ?days=7, or ?from=&to= as dates):
+ *   POST /analytics/events        { events: [...], sentAt }
+ *   GET  /analytics/events        stored events; filters: name, source, sessionId, limit
+ *   GET  /analytics/summary       counts by event, category, source and page
+ *   GET  /analytics/integration   metrics for scripts/integration-dashboard.js
+ *   GET  /analytics/cross-page    metrics for scripts/cross-page-dashboard.js
+ *   GET  /analytics/health        liveness only, open to everyone
+ *
+ * The other GET endpoints expose stored events, so they need
+ * "Authorization: Bearer <ANALYTICS_READ_TOKEN>". Without a token set they
+ * only answer requests from this machine.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const crypto = require('crypto');
+const AnalyticsEventBus = require('../js/analytics-event-bus.js');
+const AnalyticsMetrics = require('./analytics-metrics.js');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class AnalyticsCollector {
+    constructor(options = {}) {
+        this.config = {
+            port: Number(process.env.ANALYTICS_COLLECTOR_PORT) || 3002,
+            dataDir: path.join(__dirname, '..', 'analytics-data'),
+            // Browser origins allowed to post events; requests without an Origin (dashboards, curl) pass this check
+            allowedOrigins: (process.env.ANALYTICS_ALLOWED_ORIGINS || 'https://ggufloader.github.io,http://localhost:4000')
+                .split(',').map(origin => origin.trim()).filter(Boolean),
+            // Bearer token for the read endpoints; null limits them to loopback requests
+            readToken: process.env.ANALYTICS_READ_TOKEN || null,
+            maxBodyBytes: 1024 * 1024,
+            maxEventsPerBatch: 500,
+            // Day files older than this are deleted on start, and older events are refused
+            retentionDays: 90,
+            defaultQueryDays: 7,
+            maxQueryEvents: 1000,
+            ...options
+        };
+
+        this.validator = new AnalyticsEventBus();
+        this.server = null;
+        this.startedAt = null;
+    }
+
+    /**
+     * Start listening. Resolves with the port, which matters when port is 0.
+     */
+    start() {
+        fs.mkdirSync(this.config.dataDir, { recursive: true });
+        this.pruneOldFiles();
+
+        this.server = http.createServer((req, res) => {
+            this.handleRequest(req, res).catch(error => {
+                this.sendJson(res, error.statusCode || 500, { error: error.statusCode ? error.message : 'Internal error' });
+                if (!error.statusCode) {
+                    console.error('❌ Collector error:', error);
+                }
+            });
+        });
+
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(this.config.port, () => {
+                this.startedAt = new Date().toISOString();
+                resolve(this.server.address().port);
+            });
+        });
+    }
+
+    stop() {
+        return new Promise(resolve => (this.server ? this.server.close(() => resolve()) : resolve()));
+    }
+
+    async handleRequest(req, res) {
+        const origin = req.headers.origin;
+        if (origin) {
+            if (!this.isAllowedOrigin(origin)) {
+                this.sendJson(res, 403, { error: `Origin ${origin} is not allowed` });
+                return;
+            }
+            res.setHeader('Access-Control-Allow-Origin', origin);
+            res.setHeader('Vary', 'Origin');
+        }
+
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204, {
+                'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+                'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+                'Access-Control-Max-Age': '86400'
+            });
+            res.end();
+            return;
+        }
+
+        const requestUrl = new URL(req.url, 'http://localhost');
+        const route = `${req.method} ${requestUrl.pathname.replace(/\/+$/, '')}`;
+        const query = requestUrl.searchParams;
+
+        if (req.method === 'GET' && route !== 'GET /analytics/health' && !this.isAuthorizedReader(req)) {
+            res.setHeader('WWW-Authenticate', 'Bearer realm="analytics"');
+            this.sendJson(res, 401, {
+                error: this.config.readToken ? 'A valid read token is required' : 'Set ANALYTICS_READ_TOKEN to read events from another host'
+            });
+            return;
+        }
+
+        switch (route) {
+            case 'POST /analytics/events':
+                this.sendJson(res, 202, await this.ingest(await this.readBody(req)));
+                break;
+            case 'GET /analytics/events':
+                this.sendJson(res, 200, this.queryEvents(query));
+                break;
+            case 'GET /analytics/summary':
+                this.sendJson(res, 200, this.withRange(query, metrics => metrics.summary()));
+                break;
+            case 'GET /analytics/integration':
+                this.sendJson(res, 200, this.withRange(query, metrics => metrics.integration()));
+                break;
+            case 'GET /analytics/cross-page':
+                this.sendJson(res, 200, this.withRange(query, metrics => metrics.crossPage()));
+                break;
+            case 'GET /analytics/health':
+                this.sendJson(res, 200, { status: 'ok', startedAt: this.startedAt });
+                break;
+            default:
+                this.sendJson(res, 404, { error: 'Not Found' });
+        }
+    }
+
+    /**
+     * Validate a batch and append the valid events to their day files.
+     * Invalid events are reported back rather than failing the batch, so a
+     * retried batch never loops on one bad event.
+     *
+     * @returns {Object} { accepted, rejected: [{ index, id, errors }] }
+     */
+    async ingest(body) {
+        if (!body || !Array.isArray(body.events)) {
+            throw this.httpError(400, 'Expected a JSON body with an "events" array');
+        }
+        if (body.events.length > this.config.maxEventsPerBatch) {
+            throw this.httpError(413, `Batches are limited to ${this.config.maxEventsPerBatch} events`);
+        }
+
+        const now = Date.now();
+        const rejected = [];
+        const byDay = new Map();
+        body.events.forEach((event, index) => {
+            const errors = this.validateEvent(event, now);
+            if (errors.length > 0) {
+                rejected.push({ index, id: event?.id ?? null, errors });
+                return;
+            }
+
+            const { id, name, category, source, timestamp, sessionId, page = null, params } = event;
+            const line = JSON.stringify({ id, name, category, source, timestamp, sessionId, page, params, receivedAt: now });
+            const file = this.dayFile(timestamp);
+            byDay.set(file, (byDay.get(file) || '') + line + '\n');
+        });
+
+        for (const [file, lines] of byDay) {
+            await fs.promises.appendFile(file, lines);
+        }
+
+        return { accepted: body.events.length - rejected.length, rejected };
+    }
+
+    /**
+     * Check an event envelope, then its parameters against the schema
+     *
+     * @returns {string[]} problems found; empty when the event is valid
+     */
+    validateEvent(event, now = Date.now()) {
+        if (!event || typeof event !== 'object' || Array.isArray(event)) {
+            return ['Events must be objects'];
+        }
+
+        const errors = [];
+        ['id', 'name', 'source', 'sessionId'].forEach(key => {
+            if (typeof event[key] !== 'string' || event[key] === '') {
+                errors.push(`"${key}" must be a non-empty string`);
+            }
+        });
+        if (!Number.isFinite(event.timestamp)) {
+            errors.push('"timestamp" must be a number');
+        } else if (event.timestamp > now + DAY_MS || event.timestamp < now - this.config.retentionDays * DAY_MS) {
+            errors.push('"timestamp" is outside the accepted range');
+        }
+        if (event.page !== undefined && event.page !== null && typeof event.page !== 'string') {
+            errors.push('"page" must be a string');
+        }
+        if (errors.length > 0) {
+            return errors;
+        }
+
+        const definition = AnalyticsEventBus.SCHEMA[event.name];
+        if (definition && event.category !== definition.category) {
+            errors.push(`${event.name}: category should be "${definition.category}", not "${event.category}"`);
+        }
+        return errors.concat(this.validator.validate(event.name, event.params));
+    }
+
+    /**
+     * Stored events in a date range, oldest first
+     *
+     * @param {Object} range - { from, to } in milliseconds
+     */
+    readEvents({ from, to }) {
+        const events = [];
+        this.listDayFiles()
+            .filter(file => file.day + DAY_MS > from && file.day <= to)
+            .forEach(file => {
+                fs.readFileSync(file.path, 'utf8').split('\n').forEach(line => {
+                    if (!line) {
+                        return;
+                    }
+                    try {
+                        const event = JSON.parse(line);
+                        if (event.timestamp >= from && event.timestamp <= to) {
+                            events.push(event);
+                        }
+                    } catch (error) {
+                        // A line cut short by a crash mid-append; the rest of the file is fine
+                    }
+                });
+            });
+        return events.sort((a, b) => a.timestamp - b.timestamp);
+    }
+
+    queryEvents(query) {
+        const range = this.parseRange(query);
+        const filters = ['name', 'source', 'sessionId'].filter(key => query.has(key));
+        const matching = this.readEvents(range).filter(event => filters.every(key => event[key] === query.get(key)));
+        const limit = Math.min(Number(query.get('limit')) || this.config.maxQueryEvents, this.config.maxQueryEvents);
+
+        return {
+            from: new Date(range.from).toISOString(),
+            to: new Date(range.to).toISOString(),
+            total: matching.length,
+            events: matching.slice(-limit)
+        };
+    }
+
+    withRange(query, compute) {
+        const range = this.parseRange(query);
+        return {
+            from: new Date(range.from).toISOString(),
+            to: new Date(range.to).toISOString(),
+            ...compute(new AnalyticsMetrics(this.readEvents(range)))
+        };
+    }
+
+    /**
+     * ?from=&to= (dates or timestamps), else the last ?days= days
+     */
+    parseRange(query) {
+        const parse = value => {
+            const time = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+            if (!Number.isFinite(time)) {
+                throw this.httpError(400, `Invalid date: ${value}`);
+            }
+            return time;
+        };
+
+        const to = query.has('to') ? parse(query.get('to')) : Date.now();
+        if (query.has('from')) {
+            return { from: parse(query.get('from')), to };
+        }
+        const days = Number(query.get('days')) || this.config.defaultQueryDays;
+        return { from: to - Math.min(days, this.config.retentionDays) * DAY_MS, to };
+    }
+
+    readBody(req) {
+        if (Number(req.headers['content-length']) > this.config.maxBodyBytes) {
+            req.resume();
+            return Promise.reject(this.httpError(413, 'Request body too large'));
+        }
+
+        return new Promise((resolve, reject) => {
+            const chunks = [];
+            let size = 0;
+            req.on('data', chunk => {
+                size += chunk.length;
+                if (size <= this.config.maxBodyBytes) {
+                    chunks.push(chunk);
+                }
+            });
+            req.on('end', () => {
+                if (size > this.config.maxBodyBytes) {
+                    reject(this.httpError(413, 'Request body too large'));
+                    return;
+                }
+                // Beacons may arrive as text/plain, so the content type is not checked
+                try {
+                    resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+                } catch (error) {
+                    reject(this.httpError(400, 'Request body is not valid JSON'));
+                }
+            });
+            req.on('error', reject);
+        });
+    }
+
+    /**
+     * The configured bearer token, or with none configured, a request made
+     * from this machine
+     */
+    isAuthorizedReader(req) {
+        if (!this.config.readToken) {
+            return ['127.0.0.1', '::1', '::ffff:127.0.0.1'].includes(req.socket.remoteAddress);
+        }
+
+        const match = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '');
+        if (!match) {
+            return false;
+        }
+        const given = crypto.createHash('sha256').update(match[1]).digest();
+        const expected = crypto.createHash('sha256').update(this.config.readToken).digest();
+        return crypto.timingSafeEqual(given, expected);
+    }
+
+    isAllowedOrigin(origin) {
+        return this.config.allowedOrigins.includes('*') || this.config.allowedOrigins.includes(origin);
+    }
+
+    dayFile(timestamp) {
+        return path.join(this.config.dataDir, `events-${new Date(timestamp).toISOString().slice(0, 10)}.jsonl`);
+    }
+
+    /**
+     * Day files with their UTC start time, oldest first
+     */
+    listDayFiles() {
+        if (!fs.existsSync(this.config.dataDir)) {
+            return [];
+        }
+        return fs.readdirSync(this.config.dataDir)
+            .map(name => ({ name, match: name.match(/^events-(\d{4}-\d{2}-\d{2})\.jsonl$/) }))
+            .filter(file => file.match)
+            .map(file => ({
+                name: file.name,
+                path: path.join(this.config.dataDir, file.name),
+                day: Date.parse(`${file.match[1]}T00:00:00Z`)
+            }))
+            .sort((a, b) => a.day - b.day);
+    }
+
+    pruneOldFiles() {
+        const cutoff = Date.now() - this.config.retentionDays * DAY_MS;
+        this.listDayFiles()
+            .filter(file => file.day + DAY_MS < cutoff)
+            .forEach(file => {
+                fs.unlinkSync(file.path);
+                console.log(`🗑️  Removed ${file.name} (older than ${this.config.retentionDays} days)`);
+            });
+    }
+
+    sendJson(res, status, data) {
+        if (res.headersSent) {
+            return;
+        }
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(data));
+    }
+
+    httpError(statusCode, message) {
+        const error = new Error(message);
+        error.statusCode = statusCode;
+        return error;
+    }
+}
+
+function parseArgs(argv) {
+    const options = {};
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--port') {
+            options.port = Number(argv[++i]);
+        } else if (arg === '--data-dir') {
+            options.dataDir = path.resolve(argv[++i]);
+        } else {
+            throw new Error(`Unknown argument: ${arg}`);
+        }
+    }
+
+    return options;
+}
+
+// CLI interface
+if (require.main === module) {
+    (async () => {
+        const collector = new AnalyticsCollector(parseArgs(process.argv.slice(2)));
+        const port = await collector.start();
+        console.log(`📥 Analytics collector listening on http://localhost:${port}/analytics/events`);
+        console.log(`   Storing events in ${collector.config.dataDir}`);
+    })().catch(error => {
+        console.error('❌ Failed to start analytics collector:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = AnalyticsCollector;
@@ -0,0 +1,433 @@
+/**
+ * Analytics Metrics
+ * Turns stored event bus envelopes into the numbers the dashboards show.
+ * Everything is computed from the events passed in, so the collector's
+ * query endpoints and the tests share one implementation. Rates are
+ * fractions (0-1) and times are seconds unless the name says otherwise;
+ * a metric with no events behind it is null rather than zero.
+ */
+
+class AnalyticsMetrics {
+    constructor(events = [], options = {}) {
+        this.options = {
+            // Sessions whose viewport is narrower than this count as mobile
+            mobileMaxWidth: 768,
+            // Events that mean a visitor got what they came for
+            goalEvents: ['file_download', 'model_download', 'conversion'],
+            topListSize: 5,
+            ...options
+        };
+
+        // Retried batches can store an event twice; the id identifies it
+        const seen = new Set();
+        this.events = events
+            .filter(event => !seen.has(event.id) && seen.add(event.id))
+            .sort((a, b) => a.timestamp - b.timestamp);
+        this.sessions = new Map();
+        this.events.forEach(event => {
+            if (!this.sessions.has(event.sessionId)) {
+                this.sessions.set(event.sessionId, []);
+            }
+            this.sessions.get(event.sessionId).push(event);
+        });
+    }
+
+    /**
+     * Event counts by name, category, source and page
+     */
+    summary() {
+        const count = key => this.events.reduce((counts, event) => {
+            counts[event[key]] = (counts[event[key]] || 0) + 1;
+            return counts;
+        }, {});
+        const pageViews = this.countBy(this.named('page_load'), event => this.pagePath(event));
+
+        return {
+            events: this.events.length,
+            sessions: this.sessions.size,
+            from: this.events.length > 0 ? new Date(this.events[0].timestamp).toISOString() : null,
+            to: this.events.length > 0 ? new Date(this.events[this.events.length - 1].timestamp).toISOString() : null,
+            byName: count('name'),
+            byCategory: count('category'),
+            bySource: count('source'),
+            topPages: this.top(pageViews).map(([page, views]) => ({ page, views }))
+        };
+    }
+
+    /**
+     * Metrics in the shape scripts/integration-dashboard.js analyses
+     */
+    integration() {
+        return {
+            events: this.events.length,
+            sessions: this.visitorSessions().length,
+            crossPageNavigation: this.crossPageNavigation(),
+            contentPreviews: this.contentPreviews(),
+            relatedContent: this.relatedContent(),
+            userJourneys: this.userJourneys(),
+            performance: this.performance(),
+            featureUsage: this.featureUsage()
+        };
+    }
+
+    /**
+     * Usage and field performance for scripts/cross-page-dashboard.js
+     */
+    crossPage() {
+        const navigation = this.crossPageNavigation();
+        const webVitals = {};
+        Object.entries(this.vitalsByMetric()).forEach(([metric, samples]) => {
+            webVitals[metric] = {
+                p75: this.round(this.percentile(samples.map(sample => sample.value), 75), metric === 'CLS' ? 3 : 0),
+                samples: samples.length
+            };
+        });
+
+        return {
+            sessions: this.visitorSessions().length,
+            pageViews: this.named('page_load').length,
+            crossPageClicks: navigation.totalCrossPageClicks,
+            clickThroughRate: navigation.clickThroughRate,
+            contentPreviewInteractions: this.named('content_preview_interaction').length,
+            relatedContentClicks: this.named('related_content_click').length,
+            breadcrumbClicks: this.named('breadcrumb_navigation').length,
+            webVitals
+        };
+    }
+
+    crossPageNavigation() {
+        const clicks = this.internalClicks();
+        const paths = new Map();
+        let homepageToDocsClicks = 0;
+        let docsToHomepageClicks = 0;
+
+        clicks.forEach(event => {
+            const from = event.params.source?.page || event.page;
+            const to = this.resolvePath(event.params.target?.href, from);
+            if (this.pageKind(from) === 'homepage' && this.pageKind(to) === 'docs') {
+                homepageToDocsClicks++;
+            } else if (this.pageKind(from) === 'docs' && this.pageKind(to) === 'homepage') {
+                docsToHomepageClicks++;
+            }
+
+            const section = event.params.source?.section;
+            const key = JSON.stringify([section ? `${from}#${section}` : from, to]);
+            paths.set(key, (paths.get(key) || 0) + 1);
+        });
+
+        // A bounce is arriving through a cross-page link and leaving from that page
+        let arrivals = 0;
+        let bounces = 0;
+        clicks.forEach(click => {
+            const loads = this.sessions.get(click.sessionId).filter(event => event.name === 'page_load');
+            const arrival = loads.findIndex(event => event.timestamp >= click.timestamp);
+            if (arrival !== -1) {
+                arrivals++;
+                bounces += arrival === loads.length - 1 ? 1 : 0;
+            }
+        });
+
+        const visitors = this.visitorSessions();
+        const clickingSessions = new Set(clicks.map(event => event.sessionId));
+        const clickers = visitors.filter(events => clickingSessions.has(events[0].sessionId));
+
+        return {
+            totalCrossPageClicks: clicks.length,
+            homepageToDocsClicks,
+            docsToHomepageClicks,
+            mostPopularPaths: this.top(paths).map(([key, count]) => {
+                const [from, to] = JSON.parse(key);
+                return { from, to, clicks: count };
+            }),
+            averageTimeToClick: this.round(this.mean(clicks
+                .map(event => event.params.interaction?.timeOnPage)
+                .filter(Number.isFinite)
+                .map(ms => ms / 1000)), 1),
+            clickThroughRate: this.rate(clickers.length, visitors.length),
+            bounceRateAfterCrossPage: this.rate(bounces, arrivals)
+        };
+    }
+
+    contentPreviews() {
+        const previews = this.suggestionEvents('content_preview');
+        const views = previews.filter(event => event.name === 'suggestion_interaction' && event.params.type === 'impression');
+        const expansions = previews.filter(event => event.params.type === 'preview_expansion');
+        const clicks = previews.filter(event => event.name === 'suggestion_click');
+
+        const byTitle = new Map();
+        const entry = event => {
+            const title = this.suggestionTitle(event);
+            if (!byTitle.has(title)) {
+                byTitle.set(title, { title, views: 0, conversions: 0 });
+            }
+            return byTitle.get(title);
+        };
+        views.forEach(event => entry(event).views++);
+        clicks.forEach(event => entry(event).conversions++);
+
+        return {
+            previewViews: views.length,
+            previewExpansions: expansions.length,
+            previewToFullPageClicks: clicks.length,
+            expansionRate: this.rate(expansions.length, views.length),
+            conversionRate: this.rate(clicks.length, views.length),
+            mostViewedPreviews: [...byTitle.values()]
+                .filter(preview => preview.views > 0)
+                .sort((a, b) => b.views - a.views)
+                .slice(0, this.options.topListSize)
+        };
+    }
+
+    relatedContent() {
+        const clicks = this.named('related_content_click');
+        const byTitle = new Map();
+        clicks.forEach(event => {
+            const title = event.params.content?.title || 'unknown';
+            const item = byTitle.get(title) || { title, clicks: 0, position: event.params.content?.position ?? null };
+            item.clicks++;
+            byTitle.set(title, item);
+        });
+
+        // Click rate by list position, from the suggestion monitor's impressions (0-based index)
+        const related = this.suggestionEvents('related_content');
+        const positionEffectiveness = {};
+        [1, 2, 3, 4].forEach(position => {
+            const atPosition = related.filter(event => event.params.position?.index === position - 1);
+            positionEffectiveness[`position${position}`] = this.rate(
+                atPosition.filter(event => event.name === 'suggestion_click').length,
+                atPosition.filter(event => event.params.type === 'impression').length
+            );
+        });
+
+        const exposed = [...this.sessions.values()].filter(events => events.some(event =>
+            event.name === 'related_content_click' || related.includes(event)));
+
+        return {
+            relatedContentClicks: clicks.length,
+            averageClicksPerSession: this.round(this.rate(clicks.length, exposed.length), 1),
+            topPerformingRelated: [...byTitle.values()]
+                .sort((a, b) => b.clicks - a.clicks)
+                .slice(0, this.options.topListSize),
+            positionEffectiveness
+        };
+    }
+
+    userJourneys() {
+        const journeys = this.visitorSessions().map(events => {
+            const pages = [];
+            events.filter(event => event.name === 'page_load').forEach(event => {
+                const page = this.pagePath(event);
+                if (pages[pages.length - 1] !== page) {
+                    pages.push(page);
+                }
+            });
+            return {
+                pages,
+                duration: (events[events.length - 1].timestamp - events[0].timestamp) / 1000,
+                converted: events.some(event => this.options.goalEvents.includes(event.name))
+            };
+        });
+
+        const paths = new Map();
+        journeys.filter(journey => journey.pages.length > 1).forEach(journey => {
+            const key = journey.pages.slice(0, 3).join(' → ');
+            const path = paths.get(key) || { path: key, frequency: 0, conversions: 0 };
+            path.frequency++;
+            path.conversions += journey.converted ? 1 : 0;
+            paths.set(key, path);
+        });
+
+        const views = new Map();
+        const exits = new Map();
+        journeys.forEach(journey => {
+            journey.pages.forEach(page => views.set(page, (views.get(page) || 0) + 1));
+            const last = journey.pages[journey.pages.length - 1];
+            if (last) {
+                exits.set(last, (exits.get(last) || 0) + 1);
+            }
+        });
+
+        return {
+            averageSessionDuration: this.round(this.mean(journeys.map(journey => journey.duration)), 0),
+            averagePagesPerSession: this.round(this.mean(journeys.map(journey => journey.pages.length)), 1),
+            commonJourneyPaths: [...paths.values()]
+                .sort((a, b) => b.frequency - a.frequency)
+                .slice(0, this.options.topListSize)
+                .map(({ path, frequency, conversions }) => ({ path, frequency, conversionRate: this.rate(conversions, frequency) })),
+            goalCompletionRate: this.rate(journeys.filter(journey => journey.converted).length, journeys.length),
+            dropOffPoints: [...exits.entries()]
+                .map(([page, count]) => ({ page, views: views.get(page), dropOffRate: this.rate(count, views.get(page)) }))
+                .sort((a, b) => b.dropOffRate - a.dropOffRate || b.views - a.views)
+                .slice(0, 3)
+        };
+    }
+
+    /**
+     * Field performance from web_vital events. Page load time is LCP, the
+     * closest field measure of when a page looks loaded.
+     */
+    performance() {
+        const vitals = this.vitalsByMetric();
+        const lcp = vitals.LCP || [];
+        const seconds = samples => this.round(this.mean(samples.map(sample => sample.value / 1000)), 2);
+        const p75 = metric => this.percentile((vitals[metric] || []).map(sample => sample.value), 75);
+        const lcpP75 = p75('LCP');
+
+        return {
+            averagePageLoadTime: seconds(lcp),
+            crossPageNavigationTime: seconds(lcp.filter(sample => sample.crossPage)),
+            coreWebVitals: {
+                lcp: lcpP75 === null ? null : this.round(lcpP75 / 1000, 2),
+                fid: this.round(p75('FID'), 0),
+                cls: this.round(p75('CLS'), 3)
+            },
+            mobilePerformance: {
+                averageLoadTime: seconds(lcp.filter(sample => sample.mobile)),
+                crossPageNavigationTime: seconds(lcp.filter(sample => sample.mobile && sample.crossPage))
+            }
+        };
+    }
+
+    /**
+     * Share of sessions using each cross-page feature
+     */
+    featureUsage() {
+        const visitors = this.visitorSessions();
+        const using = (...names) => this.rate(
+            visitors.filter(events => events.some(event => names.includes(event.name))).length,
+            visitors.length
+        );
+
+        return {
+            contextualLinks: using('cross_page_navigation'),
+            breadcrumbNav: using('breadcrumb_navigation'),
+            contentPreviews: using('content_preview_interaction'),
+            relatedContent: using('related_content_click')
+        };
+    }
+
+    /**
+     * web_vital samples by metric, one per page view: the monitor reports
+     * each metric every time the page is hidden, so the last report wins.
+     * Each sample notes whether the session was on mobile and whether the
+     * page was reached through a cross-page link.
+     */
+    vitalsByMetric() {
+        const samples = new Map();
+
+        this.sessions.forEach((events, sessionId) => {
+            const load = events.find(event => event.name === 'page_load');
+            const width = load?.params.user?.viewport?.width;
+            const mobile = Number.isFinite(width) && width < this.options.mobileMaxWidth;
+            let pageIndex = 0;
+            let clicked = false;
+            let crossPage = false;
+
+            events.forEach(event => {
+                if (event.name === 'cross_page_navigation' && !event.params.target?.isExternal) {
+                    clicked = true;
+                } else if (event.name === 'page_load') {
+                    pageIndex++;
+                    crossPage = clicked;
+                    clicked = false;
+                } else if (event.name === 'web_vital' && Number.isFinite(event.params.value)) {
+                    samples.set(`${sessionId}:${pageIndex}:${event.params.metric}`, {
+                        metric: event.params.metric, value: event.params.value, mobile, crossPage
+                    });
+                }
+            });
+        });
+
+        const byMetric = {};
+        samples.forEach(sample => {
+            (byMetric[sample.metric] = byMetric[sample.metric] || []).push(sample);
+        });
+        return byMetric;
+    }
+
+    named(name) {
+        return this.events.filter(event => event.name === name);
+    }
+
+    internalClicks() {
+        return this.named('cross_page_navigation').filter(event => !event.params.target?.isExternal);
+    }
+
+    /** Sessions that loaded at least one page */
+    visitorSessions() {
+        return [...this.sessions.values()].filter(events => events.some(event => event.name === 'page_load'));
+    }
+
+    /** ContentSuggestionMonitor events for one kind of suggestion element */
+    suggestionEvents(type) {
+        return this.events.filter(event =>
+            ['suggestion_interaction', 'suggestion_click'].includes(event.name) && event.params.element?.type === type);
+    }
+
+    suggestionTitle(event) {
+        const element = event.params.element || {};
+        return element.title || element.text || element.href || 'unknown';
+    }
+
+    pagePath(event) {
+        return event.params.page?.path || event.page || 'unknown';
+    }
+
+    pageKind(pagePath) {
+        if (!pagePath) {
+            return 'other';
+        }
+        if (pagePath === '/' || pagePath === '/index.html') {
+            return 'homepage';
+        }
+        return pagePath.includes('/docs') ? 'docs' : 'other';
+    }
+
+    /** Path a link points at, resolved against the page it was on */
+    resolvePath(href, fromPage) {
+        try {
+            return new URL(href, `https://site.invalid${fromPage || '/'}`).pathname;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    countBy(events, keyFn) {
+        const counts = new Map();
+        events.forEach(event => {
+            const key = keyFn(event);
+            counts.set(key, (counts.get(key) || 0) + 1);
+        });
+        return counts;
+    }
+
+    top(counts) {
+        return [...counts.entries()].sort((a, b) => b[1] - a[1]).slice(0, this.options.topListSize);
+    }
+
+    rate(part, whole) {
+        return whole > 0 ? part / whole : null;
+    }
+
+    mean(values) {
+        return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+    }
+
+    percentile(values, p) {
+        if (values.length === 0) {
+            return null;
+        }
+        const sorted = [...values].sort((a, b) => a - b);
+        return sorted[Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1)];
+    }
+
+    round(value, digits) {
+        if (value === null || !Number.isFinite(value)) {
+            return null;
+        }
+        const factor = 10 ** digits;
+        return Math.round(value * factor) / factor;
+    }
+}
+
+module.exports = AnalyticsMetrics;
@@ -0,0 +1,163 @@
+#!/usr/bin/env node
+
+/**
+ * Precache Manifest Builder
+ * Hashes the files the service worker precaches and writes
+ * precache-manifest.js, which sw.js loads with importScripts(). Browsers
+ * byte-compare imported scripts when checking for a worker update, and the
+ * manifest only changes when a precached file or any script or stylesheet
+ * does, so a deploy that leaves them alone installs no new worker and keeps
+ * the current caches.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+class PrecacheManifestBuilder {
+    constructor(options = {}) {
+        this.config = {
+            rootDir: path.join(__dirname, '..'),
+            outputFile: 'precache-manifest.js',
+            // Site shell plus everything site search needs offline (SEARCH_ASSETS in sw.js)
+            assets: [
+                '/',
+                '/styles.min.css',
+                '/styles.css',
+                '/critical.css',
+                '/preview.png',
+                '/manifest.json',
+                '/data/search-index.json',
+                '/data/models.json',
+                '/search.html',
+                '/site-search.js',
+                '/js/search-ranking.js',
+                '/js/search-results-page.js',
+                '/css/enhanced-search.css',
+                // Used by the worker's offline index page
+                '/js/service-worker-client.js'
+            ],
+            // Generated by other build steps; skipped with a warning when absent
+            optionalAssets: ['/data/search-index.json'],
+            // sw.js serves every script and stylesheet cache-first from the
+            // release cache, so all of them are hashed into the version
+            versionedExtensions: ['.js', '.css'],
+            ignoredDirectories: ['node_modules'],
+            hashLength: 12,
+            ...options
+        };
+    }
+
+    /**
+     * Hash every asset and write the manifest script
+     */
+    build() {
+        console.log('📦 Building precache manifest...');
+
+        const manifest = this.createManifest();
+        const outputPath = path.join(this.config.rootDir, this.config.outputFile);
+        fs.writeFileSync(outputPath, this.serialize(manifest));
+
+        console.log(`✅ Precache manifest ${manifest.version}: ${manifest.assets.length} files, ${manifest.versionedFiles} scripts and stylesheets → ${this.config.outputFile}`);
+        return manifest;
+    }
+
+    /**
+     * { version, assets: [{ url, revision }], versionedFiles }, with the
+     * version hashed from every precached url and revision plus every script
+     * and stylesheet, so any content change produces a new one
+     */
+    createManifest() {
+        const assets = [];
+
+        this.config.assets.forEach(url => {
+            const filePath = this.resolveFile(url);
+            if (!fs.existsSync(filePath)) {
+                if (this.config.optionalAssets.includes(url)) {
+                    console.warn(`⚠️  Skipping ${url}: ${this.relativePath(filePath)} has not been built`);
+                    return;
+                }
+                throw new Error(`Precached file not found: ${this.relativePath(filePath)} (${url})`);
+            }
+
+            assets.push({ url, revision: this.hash(fs.readFileSync(filePath)) });
+        });
+
+        const versioned = this.findVersionedFiles().map(file =>
+            `${file} ${this.hash(fs.readFileSync(path.join(this.config.rootDir, file)))}`
+        );
+        const version = this.hash([
+            ...assets.map(asset => `${asset.url} ${asset.revision}`),
+            ...versioned
+        ].join('\n'));
+        return { version, assets, versionedFiles: versioned.length };
+    }
+
+    /**
+     * Every script and stylesheet under rootDir as sorted relative paths,
+     * skipping dot directories and the generated manifest itself
+     */
+    findVersionedFiles(dir = this.config.rootDir) {
+        const files = [];
+
+        fs.readdirSync(dir, { withFileTypes: true }).forEach(entry => {
+            const fullPath = path.join(dir, entry.name);
+            if (entry.isDirectory()) {
+                if (!entry.name.startsWith('.') && !this.config.ignoredDirectories.includes(entry.name)) {
+                    files.push(...this.findVersionedFiles(fullPath));
+                }
+            } else if (this.config.versionedExtensions.includes(path.extname(entry.name))) {
+                const file = this.relativePath(fullPath);
+                if (file !== this.config.outputFile) {
+                    files.push(file);
+                }
+            }
+        });
+
+        return files.sort();
+    }
+
+    /**
+     * Site URL to the file that serves it; directory URLs serve index.html
+     */
+    resolveFile(url) {
+        const pathname = url.endsWith('/') ? `${url}index.html` : url;
+        return path.join(this.config.rootDir, ...pathname.split('/').filter(Boolean));
+    }
+
+    hash(content) {
+        return crypto.createHash('sha256').update(content).digest('hex').slice(0, this.config.hashLength);
+    }
+
+    // No timestamp: identical inputs must give a byte-identical file
+    serialize(manifest) {
+        return [
+            '// Generated by scripts/build-precache-manifest.js. Do not edit.',
+            `self.__PRECACHE_MANIFEST = ${JSON.stringify(manifest, null, 2)};`,
+            ''
+        ].join('\n');
+    }
+
+    relativePath(filePath) {
+        return path.relative(this.config.rootDir, filePath).split(path.sep).join('/');
+    }
+}
+
+// CLI interface
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const options = {};
+    // --root <dir>: hash a deployment directory instead of the source tree
+    if (args.includes('--root')) {
+        options.rootDir = path.resolve(args[args.indexOf('--root') + 1] || '.');
+    }
+
+    try {
+        new PrecacheManifestBuilder(options).build();
+    } catch (error) {
+        console.error('❌ Failed to build precache manifest:', error.message);
+        process.exit(1);
+    }
+}
+
+module.exports = PrecacheManifestBuilder;
@@ -0,0 +1,322 @@
+#!/usr/bin/env node
+
+/**
+ * Search Index Builder
+ * Crawls site pages, documentation and use-case articles and writes the
+ * prebuilt inverted index that SiteSearch loads instead of scraping pages
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { JSDOM } = require('jsdom');
+const SearchRanker = require('../js/search-ranking.js');
+
+const SITE_URL = 'https://ggufloader.github.io';
+const INDEX_VERSION = 3;
+
+class SearchIndexBuilder {
+    constructor(options = {}) {
+        this.config = {
+            rootDir: path.join(__dirname, '..'),
+            outputFile: path.join('data', 'search-index.json'),
+            docsPath: '_docs',
+            useCasesPath: 'use-cases',
+            excludeDirs: ['node_modules', '.git', '.github', 'includes', '_layouts', 'docs', 'data', 'css', 'js', 'scripts', 'coverage'],
+            excludeFiles: ['google23207bd4b3d5b313.html', 'test-emailjs.html', 'diagnose.html', 'search.html', 'privacy-preferences.html'],
+            excerptLength: 200,
+            ...options
+        };
+
+        // Body positions would double the index; body phrases match on co-occurring words
+        this.ranker = new SearchRanker({ positionFields: ['title', 'headings', 'keywords'] });
+        this.documents = [];
+        this.seenUrls = new Set();
+    }
+
+    /**
+     * Crawl every source and write the serialized index
+     */
+    build() {
+        console.log('🔎 Building search index...');
+
+        this.collectHtmlPages();
+        this.collectMarkdown(this.config.docsPath, 'documentation');
+        this.collectMarkdown(this.config.useCasesPath, 'use-case');
+
+        const index = this.createIndex();
+        const outputPath = path.join(this.config.rootDir, this.config.outputFile);
+        fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+        const json = JSON.stringify(index);
+        fs.writeFileSync(outputPath, json);
+
+        // Every visitor downloads it through the service worker precache
+        const sizeKb = (Buffer.byteLength(json) / 1024).toFixed(1);
+        const gzipKb = (zlib.gzipSync(json).length / 1024).toFixed(1);
+        console.log(`✅ Indexed ${index.docs.length} documents, ${index.terms.length} terms (${sizeKb} KB, ${gzipKb} KB gzipped) → ${this.config.outputFile}`);
+
+        return index;
+    }
+
+    /**
+     * Walk the site for HTML pages, skipping partials and tooling directories
+     */
+    collectHtmlPages() {
+        const walk = (dir) => {
+            for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+                const fullPath = path.join(dir, entry.name);
+
+                if (entry.isDirectory()) {
+                    if (!this.config.excludeDirs.includes(entry.name) && !entry.name.startsWith('.')) {
+                        walk(fullPath);
+                    }
+                } else if (entry.name.endsWith('.html') && !this.config.excludeFiles.includes(entry.name)) {
+                    try {
+                        this.addDocument(this.parseHtmlPage(fullPath));
+                    } catch (error) {
+                        console.warn(`⚠️  Failed to index ${this.relativePath(fullPath)}: ${error.message}`);
+                    }
+                }
+            }
+        };
+
+        walk(this.config.rootDir);
+    }
+
+    /**
+     * Index every markdown file in a collection directory
+     */
+    collectMarkdown(dirName, type) {
+        const dir = path.join(this.config.rootDir, dirName);
+        if (!fs.existsSync(dir)) {
+            console.warn(`⚠️  ${dirName} not found, skipping`);
+            return;
+        }
+
+        fs.readdirSync(dir)
+            .filter(file => file.endsWith('.md'))
+            .sort()
+            .forEach(file => {
+                try {
+                    this.addDocument(this.parseMarkdownFile(path.join(dir, file), type));
+                } catch (error) {
+                    console.warn(`⚠️  Failed to index ${dirName}/${file}: ${error.message}`);
+                }
+            });
+    }
+
+    parseHtmlPage(filePath) {
+        const relative = this.relativePath(filePath);
+        const html = fs.readFileSync(filePath, 'utf8');
+        const dom = new JSDOM(html);
+        const document = dom.window.document;
+
+        const meta = (selector) => {
+            const element = document.querySelector(selector);
+            return element ? element.getAttribute('content') || '' : '';
+        };
+
+        const canonical = document.querySelector('link[rel="canonical"]');
+        const url = canonical && canonical.getAttribute('href').startsWith(SITE_URL)
+            ? canonical.getAttribute('href').slice(SITE_URL.length) || '/'
+            : `/${relative.replace(/index\.html$/, '')}`;
+
+        const root = document.querySelector('main') || document.body;
+        root.querySelectorAll('script, style, noscript, nav, footer, template').forEach(el => el.remove());
+
+        const h1 = root.querySelector('h1');
+        const title = (h1 ? h1.textContent : document.title).replace(/\s*\|\s*GGUF Loader\s*$/, '').trim();
+        const headings = Array.from(root.querySelectorAll('h2, h3, h4'))
+            .map(heading => this.normalizeWhitespace(heading.textContent))
+            .filter(Boolean);
+        const description = meta('meta[name="description"]');
+        const body = this.normalizeWhitespace(root.textContent);
+
+        let type = 'page';
+        if (relative.startsWith(`${this.config.useCasesPath}/`)) {
+            type = 'use-case';
+        } else if (meta('meta[property="og:type"]') === 'article') {
+            type = 'blog';
+        }
+
+        return {
+            url,
+            title,
+            type,
+            section: this.slugFromPath(relative),
+            date: this.normalizeDate(meta('meta[property="article:published_time"]')
+                || (html.match(/"datePublished"\s*:\s*"([^"]+)"/) || [])[1]),
+            description,
+            headings,
+            keywords: meta('meta[name="keywords"]').split(',').map(k => k.trim()).filter(Boolean),
+            body,
+            source: relative
+        };
+    }
+
+    parseMarkdownFile(filePath, type) {
+        const relative = this.relativePath(filePath);
+        const { frontMatter, content } = this.parseFrontMatter(fs.readFileSync(filePath, 'utf8'));
+        const slug = this.slugFromPath(relative);
+
+        const headings = [];
+        let title = frontMatter.title || '';
+        content.replace(/^(#{1,4})\s+(.+)$/gm, (match, hashes, text) => {
+            const heading = this.stripMarkdown(text);
+            if (hashes.length === 1 && !title) {
+                title = heading;
+            } else if (hashes.length > 1) {
+                headings.push(heading);
+            }
+            return match;
+        });
+
+        const body = this.normalizeWhitespace(this.stripMarkdown(content.replace(/^#{1,6}\s+.*$/gm, '')));
+        const dirName = path.dirname(relative);
+        const url = frontMatter.permalink
+            || (type === 'documentation' ? `/docs/${slug}/` : `/${dirName}/${path.basename(relative, '.md')}/`);
+
+        return {
+            url,
+            title: title || slug,
+            type,
+            section: slug,
+            date: this.normalizeDate(frontMatter.date || (path.basename(relative).match(/^\d{4}-\d{2}-\d{2}/) || [''])[0]),
+            description: frontMatter.description || body.substring(0, this.config.excerptLength),
+            headings,
+            keywords: [].concat(frontMatter.tags || [], frontMatter.categories || []),
+            body,
+            source: relative
+        };
+    }
+
+    /**
+     * Minimal YAML front matter reader: scalars and inline [a, b] lists
+     */
+    parseFrontMatter(raw) {
+        const match = raw.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?/);
+        if (!match) {
+            return { frontMatter: {}, content: raw };
+        }
+
+        const frontMatter = {};
+        match[1].split(/\r?\n/).forEach(line => {
+            const pair = line.match(/^([\w-]+):\s*(.*)$/);
+            if (!pair) return;
+
+            const value = pair[2].trim();
+            if (value.startsWith('[') && value.endsWith(']')) {
+                frontMatter[pair[1]] = value.slice(1, -1).split(',')
+                    .map(item => item.trim().replace(/^["']|["']$/g, ''))
+                    .filter(Boolean);
+            } else {
+                frontMatter[pair[1]] = value.replace(/^["']|["']$/g, '');
+            }
+        });
+
+        return { frontMatter, content: raw.slice(match[0].length) };
+    }
+
+    stripMarkdown(text) {
+        return text
+            .replace(/```\w*\n?/g, '') // Keep code block contents, drop the fences
+            .replace(/`([^`]+)`/g, '$1')
+            .replace(/!\[[^\]]*\]\([^)]+\)/g, '') // Drop images and badges
+            .replace(/\[([^\]]+)\]\([^)]+\)/g, '$1')
+            .replace(/\*\*([^*]+)\*\*/g, '$1')
+            .replace(/\*([^*]+)\*/g, '$1')
+            .replace(/^\s*>\s?/gm, '')
+            .replace(/^\s*[-*+]\s+/gm, '')
+            .replace(/^\s*\d+\.\s+/gm, '')
+            .replace(/\|/g, ' ')
+            .replace(/<[^>]+>/g, ' ')
+            .trim();
+    }
+
+    /**
+     * Keep the first document for each URL so duplicate renderings
+     * (an .md post and its .html counterpart) are indexed once
+     */
+    addDocument(doc) {
+        const key = doc.url.replace(/\.html$/, '').replace(/\/$/, '') || '/';
+        const undatedKey = key.replace(/\/\d{4}-\d{2}-\d{2}-/, '/');
+
+        if (this.seenUrls.has(key) || this.seenUrls.has(undatedKey)) {
+            return;
+        }
+
+        this.seenUrls.add(key);
+        this.seenUrls.add(undatedKey);
+        this.documents.push(doc);
+    }
+
+    /**
+     * Serialize documents through the shared ranker so the stored terms
+     * are stemmed exactly like runtime queries
+     */
+    createIndex() {
+        const index = this.ranker.createIndex(this.documents.map(doc => ({
+            fields: {
+                title: doc.title,
+                headings: doc.headings.join(' '),
+                keywords: doc.keywords.join(' '),
+                body: doc.body
+            },
+            meta: {
+                url: doc.url,
+                title: doc.title,
+                type: doc.type,
+                section: doc.section,
+                date: doc.date || undefined,
+                description: this.truncate(doc.description || doc.body)
+            }
+        })));
+
+        return {
+            version: INDEX_VERSION,
+            generated: new Date().toISOString(),
+            ...index
+        };
+    }
+
+    truncate(text) {
+        const clean = this.normalizeWhitespace(text);
+        if (clean.length <= this.config.excerptLength) {
+            return clean;
+        }
+
+        const cut = clean.substring(0, this.config.excerptLength);
+        const lastSpace = cut.lastIndexOf(' ');
+        return `${lastSpace > this.config.excerptLength * 0.8 ? cut.substring(0, lastSpace) : cut}...`;
+    }
+
+    normalizeWhitespace(text) {
+        return (text || '').replace(/\s+/g, ' ').trim();
+    }
+
+    normalizeDate(value) {
+        const match = String(value || '').match(/^(\d{4}-\d{2}-\d{2})/);
+        return match ? match[1] : '';
+    }
+
+    slugFromPath(relative) {
+        const base = path.basename(relative.replace(/\/index\.html$/, ''), path.extname(relative));
+        return base.replace(/^\d{4}-\d{2}-\d{2}-(?=.)/, '').toLowerCase();
+    }
+
+    relativePath(filePath) {
+        return path.relative(this.config.rootDir, filePath).split(path.sep).join('/');
+    }
+}
+
+// CLI interface
+if (require.main === module) {
+    try {
+        new SearchIndexBuilder().build();
+    } catch (error) {
+        console.error('❌ Failed to build search index:', error.message);
+        process.exit(1);
+    }
+}
+
+module.exports = SearchIndexBuilder;
@@ -3,6 +3,8 @@
 /**
  * Cross-Page Integration Dashboard
  * Provides real-time monitoring and health status of cross-page features
+ * Visitor usage and field performance come from the analytics collector
+ * (scripts/analytics-collector.js, ANALYTICS_COLLECTOR_URL, ANALYTICS_READ_TOKEN)
  */
 
 const fs = require('fs');
@@ -14,12 +16,15 @@ class CrossPageDashboard {
     constructor() {
         this.port = process.env.PORT || 3001;
         this.refreshInterval = 30000; // 30 seconds
+        this.collectorUrl = process.env.ANALYTICS_COLLECTOR_URL || 'http://localhost:3002';
+        this.readToken = process.env.ANALYTICS_READ_TOKEN || null;
         this.healthData = {
             lastUpdate: null,
             linkIntegrity: null,
             contentPreviews: null,
             functionality: null,
             performance: null,
+            usage: null,
             alerts: []
         };
         
@@ -140,6 +145,11 @@ class CrossPageDashboard {
                 <h2>Performance Metrics</h2>
                 <div id="performance">Loading...</div>
             </div>
+            
+            <div class="card">
+                <h2>Visitor Usage (7 days)</h2>
+                <div id="usage">Loading...</div>
+            </div>
         </div>
         
         <div class="alerts">
@@ -245,8 +255,19 @@ class CrossPageDashboard {
             // Update performance
             const performance = document.getElementById('performance');
             if (data.performance) {
+                const vitals = data.performance.webVitals || {};
+                const targets = { LCP: 2500, FID: 100, CLS: 0.1 };
+                const poor = Object.keys(targets).filter(metric => vitals[metric] && vitals[metric].p75 > targets[metric]);
+                const status = !data.usage ? 'warning' : (poor.length === 0 ? 'healthy' : 'warning');
+                
                 performance.innerHTML = \`
-                    <div class="status healthy">MONITORED</div>
+                    <div class="status \${status}">\${data.usage ? (poor.length === 0 ? 'GOOD' : 'SLOW') : 'NO FIELD DATA'}</div>
+                    \${Object.keys(targets).map(metric => \`
+                        <div class="metric">
+                            <span class="metric-label">\${metric} (p75)</span>
+                            <span class="metric-value">\${vitals[metric] ? vitals[metric].p75 + (metric === 'CLS' ? '' : 'ms') + ' from ' + vitals[metric].samples + ' pages' : 'n/a'}</span>
+                        </div>
+                    \`).join('')}
                     <div class="metric">
                         <span class="metric-label">Last Check</span>
                         <span class="metric-value">\${new Date(data.performance.lastCheck).toLocaleString()}</span>
@@ -256,6 +277,37 @@ class CrossPageDashboard {
                 performance.innerHTML = '<div class="status warning">NO DATA</div>';
             }
             
+            // Update visitor usage
+            const usage = document.getElementById('usage');
+            if (data.usage) {
+                const rate = data.usage.clickThroughRate;
+                usage.innerHTML = \`
+                    <div class="status healthy">COLLECTING</div>
+                    <div class="metric">
+                        <span class="metric-label">Sessions / Page Views</span>
+                        <span class="metric-value">\${data.usage.sessions} / \${data.usage.pageViews}</span>
+                    </div>
+                    <div class="metric">
+                        <span class="metric-label">Cross-Page Clicks</span>
+                        <span class="metric-value">\${data.usage.crossPageClicks} (\${rate === null ? 'n/a' : Math.round(rate * 100) + '% of sessions'})</span>
+                    </div>
+                    <div class="metric">
+                        <span class="metric-label">Preview Interactions</span>
+                        <span class="metric-value">\${data.usage.contentPreviewInteractions}</span>
+                    </div>
+                    <div class="metric">
+                        <span class="metric-label">Related Content Clicks</span>
+                        <span class="metric-value">\${data.usage.relatedContentClicks}</span>
+                    </div>
+                    <div class="metric">
+                        <span class="metric-label">Breadcrumb Clicks</span>
+                        <span class="metric-value">\${data.usage.breadcrumbClicks}</span>
+                    </div>
+                \`;
+            } else {
+                usage.innerHTML = '<div class="status warning">COLLECTOR UNAVAILABLE</div>';
+            }
+            
             // Update alerts
             const alerts = document.getElementById('alerts');
             if (data.alerts && data.alerts.length > 0) {
@@ -313,6 +365,15 @@ class CrossPageDashboard {
             const maintenance = new CrossPageMaintenance();
             
             const results = await maintenance.runMaintenance();
+            const alerts = results.recommendations || [];
+            const usage = await this.fetchUsage().catch(error => {
+                alerts.push({
+                    priority: 'low',
+                    category: 'analytics',
+                    message: `Analytics collector unavailable: ${error.message}`
+                });
+                return null;
+            });
             
             this.healthData = {
                 lastUpdate: new Date().toISOString(),
@@ -320,9 +381,11 @@ class CrossPageDashboard {
                 contentPreviews: results.contentPreviews,
                 functionality: results.functionalityTests,
                 performance: {
-                    lastCheck: new Date().toISOString()
+                    lastCheck: new Date().toISOString(),
+                    webVitals: usage ? usage.webVitals : null
                 },
-                alerts: results.recommendations || []
+                usage,
+                alerts
             };
             
             console.log('✅ Health data updated');
@@ -337,6 +400,19 @@ class CrossPageDashboard {
             });
         }
     }
+
+    /**
+     * Last week's cross-page usage and web vitals from the analytics collector
+     */
+    async fetchUsage() {
+        const response = await fetch(`${this.collectorUrl.replace(/\/+$/, '')}/analytics/cross-page?days=7`, {
+            headers: this.readToken ? { Authorization: `Bearer ${this.readToken}` } : {}
+        });
+        if (!response.ok) {
+            throw new Error(`collector responded ${response.status}`);
+        }
+        return response.json();
+    }
 }
 
 // CLI interface
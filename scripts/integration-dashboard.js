@@ -3,30 +3,41 @@
 /**
  * Cross-Page Integration Monitoring Dashboard
  * Provides insights into the effectiveness of homepage-subpage integration
+ *
+ * Metrics come from the analytics collector (scripts/analytics-collector.js).
+ * Usage: node scripts/integration-dashboard.js [--days 7] [--collector http://localhost:3002]
+ *   env: ANALYTICS_COLLECTOR_URL, ANALYTICS_READ_TOKEN
  */
 
 const fs = require('fs');
 const path = require('path');
+const vm = require('vm');
 
 class IntegrationDashboard {
-  constructor() {
+  constructor(options = {}) {
     this.dataPath = path.join(__dirname, '..', 'monitoring-reports');
-    this.analyticsPath = path.join(__dirname, '..', 'analytics-data');
+    this.collectorUrl = options.collectorUrl || process.env.ANALYTICS_COLLECTOR_URL || 'http://localhost:3002';
+    this.readToken = options.readToken || process.env.ANALYTICS_READ_TOKEN || null;
+    this.days = options.days || 7;
     this.ensureDirectories();
   }
 
   ensureDirectories() {
-    [this.dataPath, this.analyticsPath].forEach(dir => {
-      if (!fs.existsSync(dir)) {
-        fs.mkdirSync(dir, { recursive: true });
-      }
-    });
+    if (!fs.existsSync(this.dataPath)) {
+      fs.mkdirSync(this.dataPath, { recursive: true });
+    }
   }
 
   async generateDashboard() {
     console.log('📊 Generating Cross-Page Integration Dashboard...\n');
 
     const metrics = await this.collectMetrics();
+    if (metrics.events === 0) {
+      console.log(`ℹ️ The collector has no events from the last ${this.days} days yet`);
+      return;
+    }
+    console.log(`Based on ${metrics.events.toLocaleString()} events from ${metrics.sessions.toLocaleString()} sessions (${metrics.from.slice(0, 10)} to ${metrics.to.slice(0, 10)})\n`);
+
     const analysis = this.analyzeMetrics(metrics);
     
     this.displayOverview(analysis);
@@ -42,121 +53,42 @@ class IntegrationDashboard {
   }
 
   async collectMetrics() {
-    const metrics = {
-      crossPageNavigation: this.getCrossPageNavigationMetrics(),
-      contentPreviews: this.getContentPreviewMetrics(),
-      relatedContent: this.getRelatedContentMetrics(),
-      userJourneys: this.getUserJourneyMetrics(),
-      performance: this.getPerformanceMetrics(),
-      featureFlags: this.getFeatureFlagMetrics()
-    };
-
-    return metrics;
-  }
-
-  getCrossPageNavigationMetrics() {
-    // Simulate analytics data - in real implementation, this would query your analytics API
-    return {
-      totalCrossPageClicks: 1247,
-      homepageToDocsClicks: 892,
-      docsToHomepageClicks: 355,
-      mostPopularPaths: [
-        { from: 'homepage-features', to: 'docs-addon-api', clicks: 234 },
-        { from: 'homepage-how-to', to: 'docs-installation', clicks: 189 },
-        { from: 'homepage-faq', to: 'docs-quick-start', clicks: 156 },
-        { from: 'docs-installation', to: 'homepage-download', clicks: 98 },
-        { from: 'docs-addon-development', to: 'homepage-features', clicks: 87 }
-      ],
-      averageTimeToClick: 45.2, // seconds
-      clickThroughRate: 0.23, // 23% of page visitors click cross-page links
-      bounceRateAfterCrossPage: 0.15 // 15% bounce after cross-page navigation
-    };
-  }
-
-  getContentPreviewMetrics() {
-    return {
-      previewViews: 567,
-      previewExpansions: 234,
-      previewToFullPageClicks: 189,
-      expansionRate: 0.41, // 41% of preview views result in expansion
-      conversionRate: 0.33, // 33% of preview views lead to full page visits
-      mostViewedPreviews: [
-        { title: 'Installation Guide Preview', views: 123, conversions: 45 },
-        { title: 'API Reference Preview', views: 98, conversions: 38 },
-        { title: 'Quick Start Preview', views: 87, conversions: 32 },
-        { title: 'Addon Development Preview', views: 76, conversions: 28 }
-      ],
-      averagePreviewTime: 12.3 // seconds spent viewing previews
-    };
-  }
-
-  getRelatedContentMetrics() {
-    return {
-      relatedContentClicks: 432,
-      averageClicksPerSession: 1.8,
-      topPerformingRelated: [
-        { title: 'Quick Start Guide', clicks: 89, position: 1 },
-        { title: 'Installation Instructions', clicks: 76, position: 2 },
-        { title: 'API Documentation', clicks: 65, position: 1 },
-        { title: 'Addon Examples', clicks: 54, position: 3 }
-      ],
-      positionEffectiveness: {
-        position1: 0.34, // 34% click rate for first position
-        position2: 0.28, // 28% click rate for second position
-        position3: 0.19, // 19% click rate for third position
-        position4: 0.12  // 12% click rate for fourth position
-      }
-    };
-  }
+    const url = `${this.collectorUrl.replace(/\/+$/, '')}/analytics/integration?days=${this.days}`;
+    let response;
+    try {
+      response = await fetch(url, { headers: this.readToken ? { Authorization: `Bearer ${this.readToken}` } : {} });
+    } catch (error) {
+      throw new Error(`Cannot reach the analytics collector at ${this.collectorUrl} (${error.cause?.code || error.message}). Start it with: npm run analytics:collector`);
+    }
+    if (!response.ok) {
+      throw new Error(`Analytics collector responded ${response.status} for ${url}`);
+    }
 
-  getUserJourneyMetrics() {
+    const { featureUsage, ...metrics } = await response.json();
     return {
-      averageSessionDuration: 342, // seconds
-      averagePagesPerSession: 3.2,
-      commonJourneyPaths: [
-        { path: 'homepage → installation → quick-start', frequency: 156, conversionRate: 0.78 },
-        { path: 'homepage → features → addon-api', frequency: 134, conversionRate: 0.65 },
-        { path: 'homepage → faq → installation', frequency: 98, conversionRate: 0.72 },
-        { path: 'docs → homepage → download', frequency: 87, conversionRate: 0.84 }
-      ],
-      goalCompletionRate: 0.67, // 67% of users complete their intended journey
-      dropOffPoints: [
-        { page: 'homepage-features', dropOffRate: 0.23 },
-        { page: 'docs-installation', dropOffRate: 0.18 },
-        { page: 'homepage-how-to', dropOffRate: 0.15 }
-      ]
+      ...metrics,
+      featureFlags: this.getFeatureFlagMetrics(featureUsage)
     };
   }
 
-  getPerformanceMetrics() {
-    return {
-      averagePageLoadTime: 1.23, // seconds
-      crossPageNavigationTime: 0.89, // seconds
-      contentPreviewLoadTime: 0.34, // seconds
-      relatedContentLoadTime: 0.28, // seconds
-      coreWebVitals: {
-        lcp: 1.8, // Largest Contentful Paint
-        fid: 45,  // First Input Delay (ms)
-        cls: 0.05 // Cumulative Layout Shift
-      },
-      mobilePerformance: {
-        averageLoadTime: 1.67,
-        crossPageNavigationTime: 1.12
-      }
+  /**
+   * Rollout percentages from js/feature-flags.js, with the share of
+   * sessions that used each feature
+   */
+  getFeatureFlagMetrics(featureUsage) {
+    // A document that is still loading, so the flags file only registers its init
+    const sandbox = { window: {}, document: { readyState: 'loading', addEventListener() {} } };
+    vm.runInNewContext(fs.readFileSync(path.join(__dirname, '..', 'js', 'feature-flags.js'), 'utf8'), sandbox);
+    const adoption = phase => {
+      const flag = sandbox.window.FeatureFlags[`homepageIntegrationPhase${phase}`];
+      return flag && flag.enabled ? flag.rolloutPercentage : 0;
     };
-  }
 
-  getFeatureFlagMetrics() {
     return {
-      phase1Adoption: 100, // 100% of users see Phase 1 features
-      phase2Adoption: 25,  // 25% of users see Phase 2 features
-      phase3Adoption: 0,   // 0% of users see Phase 3 features
-      featureUsage: {
-        contextualLinks: 0.89,      // 89% usage rate
-        breadcrumbNav: 0.67,        // 67% usage rate
-        contentPreviews: 0.34,      // 34% usage rate (Phase 2)
-        relatedContent: 0.0         // 0% usage rate (Phase 3 not deployed)
-      }
+      phase1Adoption: adoption(1),
+      phase2Adoption: adoption(2),
+      phase3Adoption: adoption(3),
+      featureUsage
     };
   }
 
@@ -177,7 +109,9 @@ class IntegrationDashboard {
     const contentEngagement = metrics.contentPreviews.conversionRate;
     const journeyCompletion = metrics.userJourneys.goalCompletionRate;
     
-    const overallScore = (crossPageEngagement + contentEngagement + journeyCompletion) / 3;
+    // Rates with no events behind them (null) are left out of the score
+    const rates = [crossPageEngagement, contentEngagement, journeyCompletion].filter(rate => rate !== null);
+    const overallScore = rates.length > 0 ? rates.reduce((sum, rate) => sum + rate, 0) / rates.length : 0;
     
     return {
       score: overallScore,
@@ -192,10 +126,10 @@ class IntegrationDashboard {
     const nav = metrics.crossPageNavigation;
     
     return {
-      effectiveness: nav.clickThroughRate > 0.2 ? 'high' : nav.clickThroughRate > 0.1 ? 'medium' : 'low',
-      bidirectionalBalance: nav.homepageToDocsClicks / nav.docsToHomepageClicks,
+      effectiveness: nav.clickThroughRate === null ? 'unknown' : nav.clickThroughRate > 0.2 ? 'high' : nav.clickThroughRate > 0.1 ? 'medium' : 'low',
+      bidirectionalBalance: nav.docsToHomepageClicks > 0 ? nav.homepageToDocsClicks / nav.docsToHomepageClicks : null,
       timeToEngagement: nav.averageTimeToClick,
-      retentionAfterNavigation: 1 - nav.bounceRateAfterCrossPage
+      retentionAfterNavigation: nav.bounceRateAfterCrossPage === null ? null : 1 - nav.bounceRateAfterCrossPage
     };
   }
 
@@ -214,11 +148,13 @@ class IntegrationDashboard {
   analyzePerformanceImpact(metrics) {
     const perf = metrics.performance;
     
+    const judge = (value, limit, good, bad) => value === null ? 'unknown' : value < limit ? good : bad;
+    
     return {
-      loadTimeImpact: perf.averagePageLoadTime < 2.0 ? 'minimal' : 'moderate',
+      loadTimeImpact: judge(perf.averagePageLoadTime, 2.0, 'minimal', 'moderate'),
       coreWebVitalsStatus: this.assessCoreWebVitals(perf.coreWebVitals),
-      mobilePerformance: perf.mobilePerformance.averageLoadTime < 2.5 ? 'good' : 'needs_improvement',
-      crossPageSpeed: perf.crossPageNavigationTime < 1.0 ? 'fast' : 'acceptable'
+      mobilePerformance: judge(perf.mobilePerformance.averageLoadTime, 2.5, 'good', 'needs_improvement'),
+      crossPageSpeed: judge(perf.crossPageNavigationTime, 1.0, 'fast', 'acceptable')
     };
   }
 
@@ -226,7 +162,7 @@ class IntegrationDashboard {
     const recommendations = [];
     
     // Navigation recommendations
-    if (metrics.crossPageNavigation.clickThroughRate < 0.2) {
+    if (metrics.crossPageNavigation.clickThroughRate !== null && metrics.crossPageNavigation.clickThroughRate < 0.2) {
       recommendations.push({
         category: 'navigation',
         priority: 'high',
@@ -237,7 +173,7 @@ class IntegrationDashboard {
     }
     
     // Content recommendations
-    if (metrics.contentPreviews.conversionRate < 0.3) {
+    if (metrics.contentPreviews.conversionRate !== null && metrics.contentPreviews.conversionRate < 0.3) {
       recommendations.push({
         category: 'content',
         priority: 'medium',
@@ -295,7 +231,7 @@ class IntegrationDashboard {
       strengths.push('Strong user journey completion');
     }
     
-    if (metrics.performance.coreWebVitals.lcp < 2.5) {
+    if (metrics.performance.coreWebVitals.lcp !== null && metrics.performance.coreWebVitals.lcp < 2.5) {
       strengths.push('Good Core Web Vitals performance');
     }
     
@@ -309,7 +245,7 @@ class IntegrationDashboard {
       weaknesses.push('High bounce rate after cross-page navigation');
     }
     
-    if (metrics.contentPreviews.expansionRate < 0.4) {
+    if (metrics.contentPreviews.expansionRate !== null && metrics.contentPreviews.expansionRate < 0.4) {
       weaknesses.push('Low content preview expansion rate');
     }
     
@@ -321,34 +257,40 @@ class IntegrationDashboard {
   }
 
   assessCoreWebVitals(vitals) {
-    const lcpGood = vitals.lcp <= 2.5;
-    const fidGood = vitals.fid <= 100;
-    const clsGood = vitals.cls <= 0.1;
-    
-    const goodCount = [lcpGood, fidGood, clsGood].filter(Boolean).length;
-    
-    if (goodCount === 3) return 'excellent';
-    if (goodCount === 2) return 'good';
-    if (goodCount === 1) return 'needs_improvement';
+    const checks = [
+      [vitals.lcp, 2.5],
+      [vitals.fid, 100],
+      [vitals.cls, 0.1]
+    ].filter(([value]) => value !== null);
+    
+    if (checks.length === 0) return 'unknown';
+    // Share of the measured vitals within target
+    const goodShare = checks.filter(([value, limit]) => value <= limit).length / checks.length;
+    
+    if (goodShare === 1) return 'excellent';
+    if (goodShare >= 2 / 3) return 'good';
+    if (goodShare > 0) return 'needs_improvement';
     return 'poor';
   }
 
   displayOverview(analysis) {
+    const overall = analysis.analysis.overall;
+    
     console.log('🎯 INTEGRATION OVERVIEW');
     console.log('='.repeat(50));
-    console.log(`Overall Performance: ${analysis.overall.grade} (${Math.round(analysis.overall.score * 100)}%)`);
-    console.log(`Status: ${analysis.overall.status.toUpperCase()}`);
+    console.log(`Overall Performance: ${overall.grade} (${Math.round(overall.score * 100)}%)`);
+    console.log(`Status: ${overall.status.toUpperCase()}`);
     
-    if (analysis.overall.keyStrengths.length > 0) {
+    if (overall.keyStrengths.length > 0) {
       console.log('\n✅ Key Strengths:');
-      analysis.overall.keyStrengths.forEach(strength => {
+      overall.keyStrengths.forEach(strength => {
         console.log(`  • ${strength}`);
       });
     }
     
-    if (analysis.overall.keyWeaknesses.length > 0) {
+    if (overall.keyWeaknesses.length > 0) {
       console.log('\n⚠️ Areas for Improvement:');
-      analysis.overall.keyWeaknesses.forEach(weakness => {
+      overall.keyWeaknesses.forEach(weakness => {
         console.log(`  • ${weakness}`);
       });
     }
@@ -360,9 +302,9 @@ class IntegrationDashboard {
     console.log('\n🧭 NAVIGATION PATTERNS');
     console.log('='.repeat(50));
     console.log(`Total Cross-Page Clicks: ${nav.totalCrossPageClicks.toLocaleString()}`);
-    console.log(`Click-Through Rate: ${Math.round(nav.clickThroughRate * 100)}%`);
-    console.log(`Average Time to Click: ${nav.averageTimeToClick}s`);
-    console.log(`Retention After Navigation: ${Math.round((1 - nav.bounceRateAfterCrossPage) * 100)}%`);
+    console.log(`Click-Through Rate: ${this.formatPercent(nav.clickThroughRate)}`);
+    console.log(`Average Time to Click: ${this.formatValue(nav.averageTimeToClick, 's')}`);
+    console.log(`Retention After Navigation: ${this.formatPercent(nav.bounceRateAfterCrossPage === null ? null : 1 - nav.bounceRateAfterCrossPage)}`);
     
     console.log('\n📊 Most Popular Navigation Paths:');
     nav.mostPopularPaths.forEach((path, index) => {
@@ -377,8 +319,8 @@ class IntegrationDashboard {
     console.log('\n📖 CONTENT EFFECTIVENESS');
     console.log('='.repeat(50));
     console.log(`Preview Views: ${content.previewViews.toLocaleString()}`);
-    console.log(`Preview Conversion Rate: ${Math.round(content.conversionRate * 100)}%`);
-    console.log(`Preview Expansion Rate: ${Math.round(content.expansionRate * 100)}%`);
+    console.log(`Preview Conversion Rate: ${this.formatPercent(content.conversionRate)}`);
+    console.log(`Preview Expansion Rate: ${this.formatPercent(content.expansionRate)}`);
     console.log(`Related Content Clicks: ${related.relatedContentClicks.toLocaleString()}`);
     
     console.log('\n🏆 Top Performing Content:');
@@ -393,14 +335,14 @@ class IntegrationDashboard {
     
     console.log('\n⚡ PERFORMANCE METRICS');
     console.log('='.repeat(50));
-    console.log(`Average Page Load: ${perf.averagePageLoadTime}s`);
-    console.log(`Cross-Page Navigation: ${perf.crossPageNavigationTime}s`);
-    console.log(`Content Preview Load: ${perf.contentPreviewLoadTime}s`);
+    console.log(`Average Page Load (LCP): ${this.formatValue(perf.averagePageLoadTime, 's')}`);
+    console.log(`After Cross-Page Navigation: ${this.formatValue(perf.crossPageNavigationTime, 's')}`);
+    console.log(`Mobile Page Load: ${this.formatValue(perf.mobilePerformance.averageLoadTime, 's')}`);
     
     console.log('\n🎯 Core Web Vitals:');
-    console.log(`  LCP: ${perf.coreWebVitals.lcp}s (target: <2.5s)`);
-    console.log(`  FID: ${perf.coreWebVitals.fid}ms (target: <100ms)`);
-    console.log(`  CLS: ${perf.coreWebVitals.cls} (target: <0.1)`);
+    console.log(`  LCP: ${this.formatValue(perf.coreWebVitals.lcp, 's')} (target: <2.5s)`);
+    console.log(`  FID: ${this.formatValue(perf.coreWebVitals.fid, 'ms')} (target: <100ms)`);
+    console.log(`  CLS: ${this.formatValue(perf.coreWebVitals.cls)} (target: <0.1)`);
     
     const vitalsStatus = analysis.analysis.performance.coreWebVitalsStatus;
     console.log(`  Status: ${vitalsStatus.toUpperCase()}`);
@@ -431,6 +373,14 @@ class IntegrationDashboard {
     });
   }
 
+  formatPercent(rate) {
+    return rate === null ? 'n/a' : `${Math.round(rate * 100)}%`;
+  }
+
+  formatValue(value, unit = '') {
+    return value === null ? 'n/a' : `${value}${unit}`;
+  }
+
   saveDashboardData(analysis) {
     const dashboardData = {
       timestamp: new Date().toISOString(),
@@ -438,7 +388,9 @@ class IntegrationDashboard {
       metadata: {
         generatedBy: 'integration-dashboard.js',
         version: '1.0.0',
-        dataSource: 'simulated' // In real implementation: 'analytics-api'
+        dataSource: 'analytics-collector',
+        collectorUrl: this.collectorUrl,
+        days: this.days
       }
     };
     
@@ -451,10 +403,30 @@ class IntegrationDashboard {
   }
 }
 
+function parseArgs(argv) {
+  const options = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--days') {
+      options.days = Number(argv[++i]);
+    } else if (arg === '--collector') {
+      options.collectorUrl = argv[++i];
+    } else {
+      throw new Error(`Unknown argument: ${arg}`);
+    }
+  }
+
+  return options;
+}
+
 // CLI interface
 if (require.main === module) {
-  const dashboard = new IntegrationDashboard();
-  dashboard.generateDashboard().catch(console.error);
+  const dashboard = new IntegrationDashboard(parseArgs(process.argv.slice(2)));
+  dashboard.generateDashboard().catch(error => {
+    console.error('❌ Failed to generate dashboard:', error.message);
+    process.exit(1);
+  });
 }
 
-module.exports = IntegrationDashboard;
\ No newline at end of file
+module.exports = IntegrationDashboard;
@@ -0,0 +1,530 @@
+#!/usr/bin/env node
+
+/**
+ * Hugging Face Catalog Sync
+ * Compares each model's variants in data/models.json with the .gguf files in
+ * its Hugging Face repo and proposes a diff. Works offline from saved repo
+ * listings (or a local mirror of the repo); --record is the only step that
+ * touches the network.
+ *
+ * Usage:
+ *   node scripts/sync-hf-models.js                 show the proposed diff
+ *   node scripts/sync-hf-models.js --write         apply it to data/models.json
+ *   node scripts/sync-hf-models.js --check         exit 1 when the catalog has drifted
+ *   node scripts/sync-hf-models.js --record        save fresh listings from huggingface.co
+ *   options: --listings <dir>  --mirror <dir>  --model <id>  --all-quantizations
+ */
+
+const fs = require('fs');
+const path = require('path');
+const MemoryEstimator = require('../js/memory-estimator.js');
+const ModelCatalogValidator = require('./validate-models.js');
+
+const HF_URL = 'https://huggingface.co';
+const GB = 1e9;
+
+class HuggingFaceCatalogSync {
+    constructor(options = {}) {
+        this.config = {
+            rootDir: path.join(__dirname, '..'),
+            catalogFile: path.join('data', 'models.json'),
+            // Saved listings, one <owner>--<repo>.json per repo
+            listingsDir: path.join('scripts', 'fixtures', 'huggingface'),
+            // Directory holding <owner>/<repo>/ checkouts, used instead of listings
+            mirrorDir: null,
+            modelIds: null,
+            // false: only quantizations the catalog already tracks somewhere
+            allQuantizations: false,
+            ...options
+        };
+
+        this.estimator = new MemoryEstimator();
+        this.warnings = [];
+    }
+
+    /**
+     * Work out the catalog edits without writing anything
+     *
+     * @returns {Object} { changes: [{ modelId, repo, messages }], source, updated, diff, validation, warnings }
+     */
+    propose() {
+        const catalogPath = path.resolve(this.config.rootDir, this.config.catalogFile);
+        const source = fs.readFileSync(catalogPath, 'utf8');
+        const catalog = JSON.parse(source);
+        const tracked = this.getTrackedQuantizations(catalog);
+        const edits = [];
+        const changes = [];
+
+        const locator = new ModelCatalogValidator();
+        locator.locate(source);
+
+        catalog.models.forEach((model, index) => {
+            if (this.config.modelIds && !this.config.modelIds.includes(model.id)) {
+                return;
+            }
+
+            if (!Array.isArray(model.variants)) {
+                this.warn(model.id, 'no variants list to sync');
+                return;
+            }
+
+            const repo = this.parseRepoId(model.downloadUrl);
+            if (!repo) {
+                this.warn(model.id, `downloadUrl is not a Hugging Face repo: ${model.downloadUrl}`);
+                return;
+            }
+
+            const files = this.loadRepoFiles(repo, model.id);
+            if (!files) {
+                return;
+            }
+
+            const available = this.mapVariants(files, model.id);
+            const result = this.syncVariants(model, available, tracked);
+            if (result.messages.length === 0) {
+                return;
+            }
+
+            changes.push({ modelId: model.id, repo, messages: result.messages });
+            edits.push(this.replaceValue(source, locator, `/models/${index}/variants`, this.formatVariants(result.variants, source, locator, index)));
+            if (result.size !== model.size) {
+                edits.push(this.replaceValue(source, locator, `/models/${index}/size`, JSON.stringify(result.size)));
+            }
+        });
+
+        const updated = this.applyEdits(source, edits);
+        const file = path.relative(process.cwd(), catalogPath).split(path.sep).join('/');
+
+        return {
+            changes,
+            source,
+            updated,
+            diff: this.formatUnifiedDiff(source, updated, file),
+            validation: updated !== source ? new ModelCatalogValidator(this.config).validate(updated) : null,
+            warnings: this.warnings
+        };
+    }
+
+    write(proposal) {
+        const catalogPath = path.resolve(this.config.rootDir, this.config.catalogFile);
+        fs.writeFileSync(catalogPath, proposal.updated);
+    }
+
+    /**
+     * Quantizations worth listing: every one the catalog already offers for
+     * some model, unless --all-quantizations is set
+     */
+    getTrackedQuantizations(catalog) {
+        if (this.config.allQuantizations) {
+            return null;
+        }
+
+        const tracked = new Set();
+        catalog.models.forEach(model => {
+            tracked.add(model.quantization);
+            (model.variants || []).forEach(variant => tracked.add(variant.quantization));
+        });
+        return tracked;
+    }
+
+    parseRepoId(url) {
+        const match = String(url || '').match(/^https:\/\/huggingface\.co\/([\w.-]+\/[\w.-]+?)\/?(?:$|\/(?:tree|blob|resolve)\/)/);
+        return match ? match[1] : null;
+    }
+
+    listingPath(repo) {
+        return path.resolve(this.config.rootDir, this.config.listingsDir, `${repo.replace('/', '--')}.json`);
+    }
+
+    /**
+     * Files in a repo as [{ path, size }] from the local mirror or a saved listing
+     */
+    loadRepoFiles(repo, modelId) {
+        if (this.config.mirrorDir) {
+            const repoDir = path.resolve(this.config.mirrorDir, repo);
+            if (!fs.existsSync(repoDir)) {
+                this.warn(modelId, `no mirror of ${repo} at ${repoDir}`);
+                return null;
+            }
+            return this.walkMirror(repoDir);
+        }
+
+        const listingFile = this.listingPath(repo);
+        if (!fs.existsSync(listingFile)) {
+            this.warn(modelId, `no saved listing for ${repo} (run with --record to save one)`);
+            return null;
+        }
+
+        try {
+            return this.normalizeListing(JSON.parse(fs.readFileSync(listingFile, 'utf8')));
+        } catch (error) {
+            this.warn(modelId, `${path.relative(this.config.rootDir, listingFile)}: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Accepts both Hugging Face API shapes:
+     *   /api/models/<repo>/tree/main?recursive=true  → [{ type, path, size, lfs: { size } }]
+     *   /api/models/<repo>?blobs=true                → { siblings: [{ rfilename, size, lfs }] }
+     */
+    normalizeListing(listing) {
+        let entries;
+        if (Array.isArray(listing)) {
+            entries = listing
+                .filter(entry => entry.type !== 'directory')
+                .map(entry => ({ path: entry.path, size: entry.lfs ? entry.lfs.size : entry.size }));
+        } else if (listing && Array.isArray(listing.siblings)) {
+            entries = listing.siblings.map(entry => ({ path: entry.rfilename, size: entry.lfs ? entry.lfs.size : entry.size }));
+        } else {
+            throw new Error('unrecognized listing format (expected a tree listing array or a model info object)');
+        }
+
+        if (entries.some(entry => entry.path.endsWith('.gguf') && typeof entry.size !== 'number')) {
+            throw new Error('listing has no file sizes (model info must be fetched with ?blobs=true)');
+        }
+        return entries;
+    }
+
+    walkMirror(repoDir) {
+        const files = [];
+        const walk = (dir) => {
+            fs.readdirSync(dir, { withFileTypes: true }).forEach(entry => {
+                const fullPath = path.join(dir, entry.name);
+                if (entry.isDirectory()) {
+                    if (!entry.name.startsWith('.')) walk(fullPath);
+                } else {
+                    files.push({
+                        path: path.relative(repoDir, fullPath).split(path.sep).join('/'),
+                        size: fs.statSync(fullPath).size
+                    });
+                }
+            });
+        };
+        walk(repoDir);
+        return files;
+    }
+
+    /**
+     * Quantization named in a .gguf filename, e.g. mistral-7b-instruct-v0.2.Q4_K_M.gguf
+     * or Q8_0/model-Q8_0-00001-of-00002.gguf; null for projector/imatrix files
+     */
+    parseQuantization(filePath) {
+        const name = path.posix.basename(filePath);
+        if (!name.toLowerCase().endsWith('.gguf') || /^mmproj|imatrix/i.test(name)) {
+            return null;
+        }
+
+        const stem = name.slice(0, -'.gguf'.length).replace(/-\d{5}-of-\d{5}$/, '');
+        const matches = [...stem.matchAll(/(?:^|[.\-_])(I?Q[1-8](?:_[0-9A-Z]+)*|BF16|F16|F32)(?=$|[.\-_])/gi)];
+        return matches.length ? matches[matches.length - 1][1].toUpperCase() : null;
+    }
+
+    /**
+     * Total bytes per quantization (split files are summed)
+     */
+    mapVariants(files, modelId) {
+        const sizes = new Map();
+
+        files.forEach(file => {
+            const quantization = this.parseQuantization(file.path);
+            if (!quantization) {
+                if (file.path.toLowerCase().endsWith('.gguf') && !/^mmproj|imatrix/i.test(path.posix.basename(file.path))) {
+                    this.warn(modelId, `cannot tell the quantization of ${file.path}`);
+                }
+                return;
+            }
+            sizes.set(quantization, (sizes.get(quantization) || 0) + file.size);
+        });
+
+        return sizes;
+    }
+
+    /**
+     * New variants list for a model: sizes refreshed from the repo, missing
+     * files dropped (except the default) and newly published quantizations
+     * added with the shared memory estimate
+     */
+    syncVariants(model, available, tracked) {
+        const messages = [];
+        const current = new Map(model.variants.map(variant => [variant.quantization, variant]));
+        const variants = [];
+
+        current.forEach((variant, quantization) => {
+            if (!available.has(quantization)) {
+                if (quantization === model.quantization) {
+                    this.warn(model.id, `default quantization ${quantization} is no longer in the repo; choose a new default by hand`);
+                    variants.push(variant);
+                } else {
+                    messages.push(`remove ${quantization} (not in the repo)`);
+                }
+                return;
+            }
+
+            const fileSize = this.toGigabytes(available.get(quantization));
+            if (fileSize !== variant.fileSize) {
+                messages.push(`${quantization} fileSize ${variant.fileSize} → ${fileSize} GB`);
+            }
+            variants.push({ ...variant, fileSize });
+        });
+
+        available.forEach((bytes, quantization) => {
+            if (current.has(quantization) || (tracked && !tracked.has(quantization))) {
+                return;
+            }
+
+            const bitsPerWeight = MemoryEstimator.QUANTIZATIONS[quantization];
+            if (!bitsPerWeight || !model.architecture) {
+                this.warn(model.id, `skipping ${quantization}: ${!bitsPerWeight ? 'unknown bits per weight' : 'model has no architecture to estimate memory'}`);
+                return;
+            }
+
+            const requirements = this.estimator.estimateRequirements(
+                { architecture: model.architecture },
+                { bitsPerWeight, contextLength: model.performance.contextLength }
+            );
+            variants.push({
+                quantization,
+                fileSize: this.toGigabytes(bytes),
+                bitsPerWeight,
+                minRAM: requirements.minRAM,
+                recommendedRAM: requirements.recommendedRAM
+            });
+            messages.push(`add ${quantization} (${this.toGigabytes(bytes)} GB)`);
+        });
+
+        variants.sort((a, b) => a.bitsPerWeight - b.bitsPerWeight || a.fileSize - b.fileSize);
+
+        // The model card's size is the default variant's file
+        let size = model.size;
+        const defaultVariant = variants.find(variant => variant.quantization === model.quantization);
+        if (defaultVariant && parseFloat(model.size) !== defaultVariant.fileSize) {
+            size = `${defaultVariant.fileSize}GB`;
+            messages.push(`size ${model.size} → ${size}`);
+        }
+
+        return { variants, size, messages };
+    }
+
+    // Catalog sizes are GB (10^9 bytes) with two decimals, as the Hugging Face file list shows them
+    toGigabytes(bytes) {
+        return Math.round(bytes / GB * 100) / 100;
+    }
+
+    /**
+     * One variant per line, matching the hand-written layout of data/models.json
+     */
+    formatVariants(variants, source, locator, index) {
+        const start = locator.positions.get(`/models/${index}/variants`);
+        const lineStart = source.lastIndexOf('\n', start) + 1;
+        const indent = source.slice(lineStart, start).match(/^\s*/)[0];
+
+        const lines = variants.map(variant => {
+            const fields = ['quantization', 'fileSize', 'bitsPerWeight', 'minRAM', 'recommendedRAM']
+                .map(key => `${JSON.stringify(key)}: ${JSON.stringify(variant[key])}`);
+            return `${indent}  { ${fields.join(', ')} }`;
+        });
+
+        return `[\n${lines.join(',\n')}\n${indent}]`;
+    }
+
+    /**
+     * Edit replacing the JSON value at pointer (located in the original source)
+     */
+    replaceValue(source, locator, pointer, replacement) {
+        const start = locator.positions.get(pointer);
+        let end;
+
+        if (source[start] === '[' || source[start] === '{') {
+            const close = source[start] === '[' ? ']' : '}';
+            let depth = 0;
+            let inString = false;
+            for (end = start; end < source.length; end++) {
+                const char = source[end];
+                if (inString) {
+                    if (char === '\\') end++;
+                    else if (char === '"') inString = false;
+                } else if (char === '"') {
+                    inString = true;
+                } else if (char === source[start]) {
+                    depth++;
+                } else if (char === close && --depth === 0) {
+                    break;
+                }
+            }
+            end++;
+        } else if (source[start] === '"') {
+            end = start + 1;
+            while (source[end] !== '"') end += source[end] === '\\' ? 2 : 1;
+            end++;
+        } else {
+            end = start + source.slice(start).match(/^[^,\s}\]]+/)[0].length;
+        }
+
+        return { start, end, replacement };
+    }
+
+    applyEdits(source, edits) {
+        return edits
+            .sort((a, b) => b.start - a.start)
+            .reduce((text, edit) => text.slice(0, edit.start) + edit.replacement + text.slice(edit.end), source);
+    }
+
+    /**
+     * Line-based unified diff (LCS; the catalog is a few hundred lines)
+     */
+    formatUnifiedDiff(before, after, file, context = 3) {
+        if (before === after) {
+            return '';
+        }
+
+        const a = before.split('\n');
+        const b = after.split('\n');
+        const lcs = Array.from({ length: a.length + 1 }, () => new Uint16Array(b.length + 1));
+        for (let i = a.length - 1; i >= 0; i--) {
+            for (let j = b.length - 1; j >= 0; j--) {
+                lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+            }
+        }
+
+        const ops = [];
+        let i = 0;
+        let j = 0;
+        while (i < a.length || j < b.length) {
+            if (i < a.length && j < b.length && a[i] === b[j]) {
+                ops.push({ type: ' ', line: a[i], i: i++, j: j++ });
+            } else if (i < a.length && (j >= b.length || lcs[i + 1][j] >= lcs[i][j + 1])) {
+                ops.push({ type: '-', line: a[i], i: i++, j });
+            } else {
+                ops.push({ type: '+', line: b[j], i, j: j++ });
+            }
+        }
+
+        // Group changes with their surrounding context into hunks
+        const hunks = [];
+        ops.forEach((op, index) => {
+            if (op.type === ' ') return;
+            const from = Math.max(0, index - context);
+            const to = Math.min(ops.length, index + context + 1);
+            const last = hunks[hunks.length - 1];
+            if (last && from <= last.to) {
+                last.to = to;
+            } else {
+                hunks.push({ from, to });
+            }
+        });
+
+        const output = [`--- a/${file}`, `+++ b/${file}`];
+        hunks.forEach(({ from, to }) => {
+            const slice = ops.slice(from, to);
+            const oldCount = slice.filter(op => op.type !== '+').length;
+            const newCount = slice.filter(op => op.type !== '-').length;
+            output.push(`@@ -${slice[0].i + 1},${oldCount} +${slice[0].j + 1},${newCount} @@`);
+            slice.forEach(op => output.push(`${op.type}${op.line}`));
+        });
+
+        return output.join('\n');
+    }
+
+    /**
+     * Save the current file listing of every catalog repo (needs network)
+     */
+    async record() {
+        const catalog = JSON.parse(fs.readFileSync(path.resolve(this.config.rootDir, this.config.catalogFile), 'utf8'));
+        const repos = [...new Set(catalog.models
+            .filter(model => !this.config.modelIds || this.config.modelIds.includes(model.id))
+            .map(model => this.parseRepoId(model.downloadUrl))
+            .filter(Boolean))];
+
+        fs.mkdirSync(path.resolve(this.config.rootDir, this.config.listingsDir), { recursive: true });
+
+        for (const repo of repos) {
+            const response = await fetch(`${HF_URL}/api/models/${repo}/tree/main?recursive=true`);
+            if (!response.ok) {
+                this.warn(repo, `HTTP ${response.status} fetching the file listing`);
+                continue;
+            }
+
+            const listing = await response.json();
+            fs.writeFileSync(this.listingPath(repo), JSON.stringify(listing, null, 2) + '\n');
+            console.log(`💾 ${repo}: ${listing.filter(entry => String(entry.path).endsWith('.gguf')).length} .gguf files`);
+        }
+    }
+
+    warn(subject, message) {
+        this.warnings.push(`${subject}: ${message}`);
+    }
+}
+
+function parseArgs(argv) {
+    const options = {};
+    const flags = new Set();
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--listings') {
+            options.listingsDir = path.resolve(argv[++i]);
+        } else if (arg === '--mirror') {
+            options.mirrorDir = path.resolve(argv[++i]);
+        } else if (arg === '--model') {
+            options.modelIds = (options.modelIds || []).concat(argv[++i]);
+        } else if (arg === '--all-quantizations') {
+            options.allQuantizations = true;
+        } else if (['--write', '--check', '--record'].includes(arg)) {
+            flags.add(arg);
+        } else {
+            throw new Error(`Unknown argument: ${arg}`);
+        }
+    }
+
+    return { options, flags };
+}
+
+// CLI interface
+if (require.main === module) {
+    (async () => {
+        const { options, flags } = parseArgs(process.argv.slice(2));
+        const sync = new HuggingFaceCatalogSync(options);
+
+        if (flags.has('--record')) {
+            await sync.record();
+            sync.warnings.forEach(warning => console.warn(`⚠️  ${warning}`));
+            return;
+        }
+
+        const proposal = sync.propose();
+        proposal.warnings.forEach(warning => console.warn(`⚠️  ${warning}`));
+
+        if (proposal.changes.length === 0) {
+            console.log('✅ data/models.json matches the saved Hugging Face listings');
+            return;
+        }
+
+        console.log('🔄 Proposed catalog changes:');
+        proposal.changes.forEach(change => {
+            console.log(`  ${change.modelId} (${change.repo})`);
+            change.messages.forEach(message => console.log(`    - ${message}`));
+        });
+        console.log(`\n${proposal.diff}\n`);
+
+        if (!proposal.validation.valid) {
+            console.log('❌ The proposed catalog would not validate:');
+            proposal.validation.errors.forEach(error => console.log(`  ${error.pointer} ${error.message}`));
+            process.exit(1);
+        }
+
+        if (flags.has('--write')) {
+            sync.write(proposal);
+            console.log('✅ Updated data/models.json — review the diff and bump metadata.lastUpdated');
+        } else if (flags.has('--check')) {
+            process.exit(1);
+        } else {
+            console.log('ℹ️  Run with --write to apply these changes');
+        }
+    })().catch(error => {
+        console.error('❌ Failed to sync model catalog:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = HuggingFaceCatalogSync;
@@ -0,0 +1,457 @@
+#!/usr/bin/env node
+
+/**
+ * Model Catalog Validator
+ * Checks data/models.json against data/models.schema.json and cross-checks
+ * the references ModelComparisonTool relies on (ids, tags, requirement lists).
+ * Problems are reported as file:line:column so they can be fixed in place.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Ajv = require('ajv');
+const MemoryEstimator = require('../js/memory-estimator.js');
+const ChatTemplateRenderer = require('../js/chat-templates.js');
+
+class ModelCatalogValidator {
+    constructor(options = {}) {
+        this.config = {
+            rootDir: path.join(__dirname, '..'),
+            catalogFile: path.join('data', 'models.json'),
+            schemaFile: path.join('data', 'models.schema.json'),
+            ...options
+        };
+
+        this.estimator = new MemoryEstimator();
+        this.errors = [];
+        this.warnings = [];
+        this.positions = new Map();
+        this.keyPositions = new Map();
+    }
+
+    /**
+     * Validate the catalog and return { valid, errors, warnings }
+     *
+     * @param {string} [source] - catalog text to check instead of the file on disk
+     */
+    validate(source) {
+        const catalogPath = path.resolve(this.config.rootDir, this.config.catalogFile);
+        const schemaPath = path.resolve(this.config.rootDir, this.config.schemaFile);
+
+        this.source = source !== undefined ? source : fs.readFileSync(catalogPath, 'utf8');
+        this.lineStarts = this.computeLineStarts(this.source);
+
+        let catalog;
+        try {
+            this.locate(this.source);
+            catalog = JSON.parse(this.source);
+        } catch (error) {
+            const location = Number.isInteger(error.offset) ? this.toLocation(error.offset) : null;
+            this.report('error', '', `Invalid JSON: ${error.message}`, location);
+            return this.result();
+        }
+
+        this.validateSchema(catalog, JSON.parse(fs.readFileSync(schemaPath, 'utf8')));
+        this.crossCheck(catalog);
+
+        return this.result();
+    }
+
+    validateSchema(catalog, schema) {
+        const ajv = new Ajv({ allErrors: true, verbose: true });
+        const validate = ajv.compile(schema);
+
+        if (validate(catalog)) {
+            return;
+        }
+
+        validate.errors.forEach(error => {
+            let pointer = error.instancePath;
+            let message = error.message;
+
+            if (error.keyword === 'additionalProperties') {
+                const property = error.params.additionalProperty;
+                const known = Object.keys((error.parentSchema && error.parentSchema.properties) || {});
+                const suggestion = known.find(name => name.toLowerCase() === property.toLowerCase());
+
+                pointer = `${pointer}/${this.escapePointer(property)}`;
+                message = `unknown property "${property}"${suggestion ? ` (did you mean "${suggestion}"?)` : ''}`;
+            } else if (error.keyword === 'enum') {
+                message = `must be one of ${error.params.allowedValues.map(value => JSON.stringify(value)).join(', ')}`;
+            } else if (error.keyword === 'required') {
+                message = `missing required property "${error.params.missingProperty}"`;
+            }
+
+            this.report('error', pointer, message);
+        });
+    }
+
+    /**
+     * Rules JSON Schema can't express: uniqueness across items and
+     * references between models, categories and systemRequirements
+     */
+    crossCheck(catalog) {
+        const models = Array.isArray(catalog.models) ? catalog.models : [];
+        const categories = Array.isArray(catalog.categories) ? catalog.categories : [];
+        const requirements = catalog.systemRequirements || {};
+
+        this.checkUniqueIds(models, '/models', 'model');
+        this.checkUniqueIds(categories, '/categories', 'category');
+
+        const tags = new Set();
+        const categoryIds = categories.map(category => category && category.id).filter(id => typeof id === 'string');
+        models.forEach((model, index) => {
+            if (!model || typeof model !== 'object') return;
+            const pointer = `/models/${index}`;
+
+            (Array.isArray(model.tags) ? model.tags : []).forEach((tag, tagIndex) => {
+                tags.add(tag);
+                this.checkTag(tag, categoryIds, `${pointer}/tags/${tagIndex}`);
+            });
+
+            if (typeof model.minRAM === 'number' && typeof model.recommendedRAM === 'number' && model.minRAM > model.recommendedRAM) {
+                this.report('error', `${pointer}/minRAM`, `minRAM (${model.minRAM}) is higher than recommendedRAM (${model.recommendedRAM})`);
+            }
+
+            if (typeof model.minVRAM === 'number' && typeof model.recommendedVRAM === 'number' && model.minVRAM > model.recommendedVRAM) {
+                this.report('error', `${pointer}/minVRAM`, `minVRAM (${model.minVRAM}) is higher than recommendedVRAM (${model.recommendedVRAM})`);
+            }
+
+            const tokensPerSecond = model.performance && model.performance.tokensPerSecond;
+            const range = typeof tokensPerSecond === 'string' && tokensPerSecond.match(/^(\d+)-(\d+)$/);
+            if (range && Number(range[1]) > Number(range[2])) {
+                this.report('error', `${pointer}/performance/tokensPerSecond`, `range "${tokensPerSecond}" is reversed`);
+            }
+
+            if (Array.isArray(model.variants)) {
+                this.checkVariants(model, pointer);
+            }
+
+            if (typeof model.architecture === 'string') {
+                this.checkListed(model.architecture, Object.keys(MemoryEstimator.ARCHITECTURES), `${pointer}/architecture`, 'MemoryEstimator.ARCHITECTURES');
+            }
+
+            this.checkListed(model.chatTemplate, Object.keys(ChatTemplateRenderer.FAMILIES), `${pointer}/chatTemplate`, 'ChatTemplateRenderer.FAMILIES');
+            this.checkListed(model.cpuRequirement, requirements.cpu, `${pointer}/cpuRequirement`, 'systemRequirements.cpu');
+            this.checkListed(model.compatibility && model.compatibility.gpu, requirements.gpu, `${pointer}/compatibility/gpu`, 'systemRequirements.gpu');
+
+            if (Array.isArray(requirements.ram) && typeof model.minRAM === 'number' && model.minRAM > Math.max(...requirements.ram)) {
+                this.report('warning', `${pointer}/minRAM`, `minRAM ${model.minRAM}GB exceeds every RAM option in systemRequirements.ram, so the model can never match`);
+            }
+        });
+
+        // Category ids double as tags; a category no model is tagged with is an empty filter
+        categories.forEach((category, index) => {
+            if (category && typeof category.id === 'string' && !tags.has(category.id)) {
+                this.report('warning', `/categories/${index}/id`, `no model is tagged "${category.id}"`);
+            }
+        });
+
+        const metadata = catalog.metadata || {};
+        if (Number.isInteger(metadata.totalModels) && metadata.totalModels !== models.length) {
+            this.report('error', '/metadata/totalModels', `is ${metadata.totalModels} but the catalog lists ${models.length} models`);
+        }
+    }
+
+    /**
+     * The default variant must agree with the top-level fields the model
+     * card shows, variants must be ordered from smallest to largest, and
+     * no variant may claim to load in less RAM than MemoryEstimator needs
+     */
+    checkVariants(model, pointer) {
+        const seen = new Set();
+        let previous = null;
+
+        model.variants.forEach((variant, index) => {
+            if (!variant || typeof variant !== 'object') return;
+            const variantPointer = `${pointer}/variants/${index}`;
+
+            if (seen.has(variant.quantization)) {
+                this.report('error', `${variantPointer}/quantization`, `duplicate variant "${variant.quantization}"`);
+            }
+            seen.add(variant.quantization);
+
+            if (typeof variant.minRAM === 'number' && typeof variant.recommendedRAM === 'number' && variant.minRAM > variant.recommendedRAM) {
+                this.report('error', `${variantPointer}/minRAM`, `minRAM (${variant.minRAM}) is higher than recommendedRAM (${variant.recommendedRAM})`);
+            }
+            this.checkEstimatedRAM(model, variant, variantPointer);
+
+            if (previous && typeof variant.bitsPerWeight === 'number' && variant.bitsPerWeight <= previous.bitsPerWeight) {
+                this.report('warning', `${variantPointer}/bitsPerWeight`, `variants should be listed by increasing bitsPerWeight (after ${previous.quantization} at ${previous.bitsPerWeight})`);
+            }
+            if (previous && typeof variant.fileSize === 'number' && variant.fileSize < previous.fileSize) {
+                this.report('error', `${variantPointer}/fileSize`, `${variant.quantization} (${variant.fileSize}GB) is smaller than ${previous.quantization} (${previous.fileSize}GB) despite more bits per weight`);
+            }
+            previous = variant;
+        });
+
+        const defaultVariant = model.variants.find(variant => variant && variant.quantization === model.quantization);
+        if (!defaultVariant) {
+            this.report('error', `${pointer}/variants`, `no variant matches the default quantization "${model.quantization}"`);
+            return;
+        }
+
+        const defaultIndex = model.variants.indexOf(defaultVariant);
+        if (typeof model.size === 'string' && parseFloat(model.size) !== defaultVariant.fileSize) {
+            this.report('error', `${pointer}/variants/${defaultIndex}/fileSize`, `default variant is ${defaultVariant.fileSize}GB but size says "${model.size}"`);
+        }
+        ['minRAM', 'recommendedRAM'].forEach(field => {
+            if (model[field] !== defaultVariant[field]) {
+                this.report('error', `${pointer}/variants/${defaultIndex}/${field}`, `default variant ${field} is ${defaultVariant[field]} but the model lists ${model[field]}`);
+            }
+        });
+    }
+
+    /**
+     * The comparison tool shows the estimate with the catalog figure as a
+     * floor, so a catalog minRAM below the estimate is stale data
+     */
+    checkEstimatedRAM(model, variant, pointer) {
+        if (!MemoryEstimator.ARCHITECTURES[model.architecture] || typeof variant.minRAM !== 'number' || !(variant.bitsPerWeight > 0)) {
+            return;
+        }
+
+        const { minRAM } = this.estimator.estimateRequirements({ architecture: model.architecture }, {
+            bitsPerWeight: variant.bitsPerWeight,
+            contextLength: model.performance && model.performance.contextLength
+        });
+        if (variant.minRAM < minRAM) {
+            this.report('warning', `${pointer}/minRAM`, `${variant.quantization} needs at least ${minRAM}GB RAM by MemoryEstimator but minRAM is ${variant.minRAM}`);
+        }
+    }
+
+    /**
+     * Tags are free-form keywords, so only a near miss of a category id
+     * ("codng", "chats") is reported: it is most likely a typo that keeps
+     * the model out of that category's filter
+     */
+    checkTag(tag, categoryIds, pointer) {
+        if (typeof tag !== 'string' || tag.length < 4 || categoryIds.includes(tag)) {
+            return;
+        }
+
+        const suggestion = categoryIds.find(id => id.length >= 4 && this.isOneEditApart(tag, id));
+        if (suggestion) {
+            this.report('warning', pointer, `tag "${tag}" is not a category id (did you mean "${suggestion}"?)`);
+        }
+    }
+
+    /**
+     * One inserted, deleted or substituted character
+     */
+    isOneEditApart(a, b) {
+        if (Math.abs(a.length - b.length) > 1) {
+            return false;
+        }
+        const [shorter, longer] = a.length <= b.length ? [a, b] : [b, a];
+        let i = 0;
+        while (i < shorter.length && shorter[i] === longer[i]) i++;
+        const rest = shorter.length === longer.length ? i + 1 : i;
+        return shorter.slice(rest) === longer.slice(i + 1);
+    }
+
+    checkUniqueIds(items, basePointer, label) {
+        const seen = new Map();
+
+        items.forEach((item, index) => {
+            if (!item || typeof item.id !== 'string') return;
+            const pointer = `${basePointer}/${index}/id`;
+
+            if (seen.has(item.id)) {
+                const first = this.locationOf(seen.get(item.id));
+                this.report('error', pointer, `duplicate ${label} id "${item.id}" (first defined at line ${first ? first.line : '?'})`);
+            } else {
+                seen.set(item.id, pointer);
+            }
+        });
+    }
+
+    checkListed(value, allowed, pointer, listName) {
+        if (typeof value === 'string' && Array.isArray(allowed) && !allowed.includes(value)) {
+            this.report('error', pointer, `"${value}" is not listed in ${listName} (${allowed.map(item => JSON.stringify(item)).join(', ')})`);
+        }
+    }
+
+    report(severity, pointer, message, location = this.locationOf(pointer)) {
+        (severity === 'error' ? this.errors : this.warnings).push({ severity, pointer, message, location });
+    }
+
+    result() {
+        return {
+            valid: this.errors.length === 0,
+            errors: this.errors,
+            warnings: this.warnings
+        };
+    }
+
+    /**
+     * Prefer the property name's position so the report points at the key
+     * the author typed rather than at the start of its value
+     */
+    locationOf(pointer) {
+        if (this.keyPositions.has(pointer)) {
+            return this.toLocation(this.keyPositions.get(pointer));
+        }
+        if (this.positions.has(pointer)) {
+            return this.toLocation(this.positions.get(pointer));
+        }
+        return null;
+    }
+
+    computeLineStarts(text) {
+        const starts = [0];
+        for (let i = 0; i < text.length; i++) {
+            if (text[i] === '\n') starts.push(i + 1);
+        }
+        return starts;
+    }
+
+    toLocation(offset) {
+        let line = 0;
+        while (line + 1 < this.lineStarts.length && this.lineStarts[line + 1] <= offset) {
+            line++;
+        }
+        return { line: line + 1, column: offset - this.lineStarts[line] + 1 };
+    }
+
+    escapePointer(segment) {
+        return String(segment).replace(/~/g, '~0').replace(/\//g, '~1');
+    }
+
+    /**
+     * Record the source offset of every value (and object key) by JSON
+     * pointer. Also a strict parser: syntax errors throw with the offset,
+     * which JSON.parse does not report on every Node version.
+     */
+    locate(text) {
+        let i = 0;
+
+        const fail = (message) => {
+            const error = new SyntaxError(message);
+            error.offset = i;
+            throw error;
+        };
+
+        const skipWhitespace = () => {
+            while (i < text.length && /\s/.test(text[i])) i++;
+        };
+
+        const expect = (char) => {
+            skipWhitespace();
+            if (text[i] !== char) {
+                fail(i < text.length ? `expected '${char}' but found '${text[i]}'` : `expected '${char}' but reached end of file`);
+            }
+            i++;
+        };
+
+        const readString = () => {
+            if (text[i] !== '"') {
+                fail(i < text.length ? `expected a string but found '${text[i]}'` : 'expected a string but reached end of file');
+            }
+            const start = i++;
+            while (text[i] !== '"') {
+                if (i >= text.length || text[i] === '\n') {
+                    i = start;
+                    fail('unterminated string');
+                }
+                i += text[i] === '\\' ? 2 : 1;
+            }
+            i++;
+            return JSON.parse(text.slice(start, i));
+        };
+
+        const readValue = (pointer) => {
+            skipWhitespace();
+            this.positions.set(pointer, i);
+
+            if (text[i] === '{') {
+                i++;
+                skipWhitespace();
+                if (text[i] === '}') {
+                    i++;
+                    return;
+                }
+                for (;;) {
+                    skipWhitespace();
+                    const keyOffset = i;
+                    const child = `${pointer}/${this.escapePointer(readString())}`;
+                    this.keyPositions.set(child, keyOffset);
+                    expect(':');
+                    readValue(child);
+                    skipWhitespace();
+                    if (text[i] !== ',') break;
+                    i++;
+                }
+                expect('}');
+            } else if (text[i] === '[') {
+                i++;
+                skipWhitespace();
+                if (text[i] === ']') {
+                    i++;
+                    return;
+                }
+                for (let index = 0; ; index++) {
+                    readValue(`${pointer}/${index}`);
+                    skipWhitespace();
+                    if (text[i] !== ',') break;
+                    i++;
+                }
+                expect(']');
+            } else if (text[i] === '"') {
+                readString();
+            } else {
+                const literal = text.slice(i).match(/^(true|false|null|-?\d+(\.\d+)?([eE][+-]?\d+)?)/);
+                if (!literal) {
+                    fail(i < text.length ? `unexpected '${text[i]}'` : 'unexpected end of file');
+                }
+                i += literal[0].length;
+            }
+        };
+
+        readValue('');
+        skipWhitespace();
+        if (i < text.length) {
+            fail(`unexpected '${text[i]}' after the end of the document`);
+        }
+    }
+
+    /**
+     * Print a compiler-style report and return the process exit code
+     */
+    printReport({ errors, warnings }) {
+        const catalogPath = path.resolve(this.config.rootDir, this.config.catalogFile);
+        const file = path.relative(process.cwd(), catalogPath).split(path.sep).join('/');
+        const format = (problem) => {
+            const where = problem.location ? `${file}:${problem.location.line}:${problem.location.column}` : file;
+            const pointer = problem.pointer ? `${problem.pointer} ` : '';
+            return `  ${where}  ${problem.severity}  ${pointer}${problem.message}`;
+        };
+
+        [...errors, ...warnings]
+            .sort((a, b) => ((a.location || {}).line || 0) - ((b.location || {}).line || 0))
+            .forEach(problem => console.log(format(problem)));
+
+        if (errors.length > 0) {
+            console.log(`\n❌ ${file}: ${errors.length} error${errors.length !== 1 ? 's' : ''}, ${warnings.length} warning${warnings.length !== 1 ? 's' : ''}`);
+            return 1;
+        }
+
+        console.log(`✅ ${file} is valid${warnings.length ? ` (${warnings.length} warning${warnings.length !== 1 ? 's' : ''})` : ''}`);
+        return 0;
+    }
+}
+
+// CLI interface
+if (require.main === module) {
+    const catalogFile = process.argv[2];
+    const validator = new ModelCatalogValidator(catalogFile ? { catalogFile: path.resolve(catalogFile) } : {});
+
+    try {
+        process.exit(validator.printReport(validator.validate()));
+    } catch (error) {
+        console.error('❌ Failed to validate model catalog:', error.message);
+        process.exit(1);
+    }
+}
+
+module.exports = ModelCatalogValidator;
@@ -6,9 +6,14 @@
 class SiteSearch {
     constructor() {
         this.searchIndex = [];
+        this.prebuiltIndex = null;
+        this.prebuiltIndexUrl = '/data/search-index.json';
+        this.prebuiltIndexVersion = 3;
+        this.runtimeIndex = null;
+        this.ranker = new SearchRanker();
         this.isIndexed = false;
         this.searchResults = [];
-        this.init();
+        this.ready = this.init();
     }
 
     async init() {
@@ -22,17 +27,48 @@ class SiteSearch {
     }
 
     async buildSearchIndex() {
-        // Index current page content
-        this.indexCurrentPage();
-        
-        // Index documentation pages
-        await this.indexDocumentationPages();
+        // Prefer the index generated by scripts/build-search-index.js
+        const hasPrebuiltIndex = await this.loadPrebuiltIndex();
+
+        if (hasPrebuiltIndex) {
+            // Curated homepage entries carry related-doc links the crawler cannot infer
+            if (window.location.pathname === '/') {
+                this.indexHomepageSections();
+            }
+        } else {
+            // Fall back to scraping the current page and documentation
+            this.indexCurrentPage();
+            await this.indexDocumentationPages();
+        }
         
         // Index model data
         await this.indexModelData();
         
+        this.runtimeIndex = this.createRuntimeIndex();
         this.isIndexed = true;
-        console.log(`Search index built with ${this.searchIndex.length} entries`);
+        const prebuiltCount = this.prebuiltIndex ? this.prebuiltIndex.docs.length : 0;
+        console.log(`Search index built with ${this.searchIndex.length + prebuiltCount} entries`);
+    }
+
+    async loadPrebuiltIndex() {
+        try {
+            const response = await fetch(this.prebuiltIndexUrl);
+            if (!response.ok) {
+                return false;
+            }
+
+            const data = await response.json();
+            if (data.version !== this.prebuiltIndexVersion || !data.docs || !data.terms || !data.postings) {
+                console.warn('Unsupported search index format, falling back to page scraping');
+                return false;
+            }
+
+            this.prebuiltIndex = data;
+            return true;
+        } catch (error) {
+            console.warn('Prebuilt search index unavailable, falling back to page scraping:', error);
+            return false;
+        }
     }
 
     indexCurrentPage() {
@@ -315,6 +351,7 @@ class SiteSearch {
                            class="site-search-input"
                            aria-label="Search site content"
                            autocomplete="off">
+                    <div class="search-query-chips" id="search-query-chips" aria-label="Active search filters"></div>
                     <div class="search-suggestions" id="search-suggestions" role="listbox" aria-label="Search suggestions"></div>
                 </div>
                 
@@ -327,6 +364,7 @@ class SiteSearch {
                         <span><kbd>↑</kbd><kbd>↓</kbd> Navigate</span>
                         <span><kbd>Enter</kbd> Select</span>
                         <span><kbd>Esc</kbd> Close</span>
+                        <span><kbd>type:</kbd><kbd>section:</kbd><kbd>after:</kbd><kbd>-word</kbd> Filter</span>
                     </div>
                 </footer>
             </div>
@@ -374,6 +412,7 @@ class SiteSearch {
             document.body.classList.remove('search-modal-open');
             searchInput.value = '';
             resultsContainer.innerHTML = '';
+            this.renderQueryChips([]);
         };
 
         // Event listeners
@@ -432,6 +471,8 @@ class SiteSearch {
 
     performSearch(query) {
         const resultsContainer = document.getElementById('search-results');
+        const { text, filters, operators } = this.parseQueryOperators(query);
+        this.renderQueryChips(operators);
         
         if (!query.trim()) {
             resultsContainer.innerHTML = '';
@@ -443,45 +484,254 @@ class SiteSearch {
             return;
         }
 
-        const results = this.searchContent(query);
-        this.displaySearchResults(results, query);
+        const results = this.searchContent(text, filters);
+        this.displaySearchResults(results, text);
     }
 
-    searchContent(query) {
-        const searchTerms = query.toLowerCase().trim().split(/\s+/);
-        const results = [];
+    /**
+     * Pull inline operators out of the query: type:, section:, after:
+     * and before: become filters; -word exclusions stay in the text for
+     * the ranker. Every operator is returned so it can be shown as a chip.
+     */
+    parseQueryOperators(query) {
+        const filters = { types: [], sections: [], after: null, before: null };
+        const operators = [];
+
+        const text = query.replace(/(^|\s)(type|section|after|before):(\S+)/gi, (match, lead, key, rawValue) => {
+            const name = key.toLowerCase();
+            const value = rawValue.toLowerCase();
+
+            if (name === 'type') {
+                const types = this.resolveTypeFilter(value);
+                if (!types) return match;
+                filters.types.push(...types);
+            } else if (name === 'section') {
+                filters.sections.push(value);
+            } else {
+                const date = this.parseDateFilter(value);
+                if (!date) return match;
+                filters[name] = date;
+            }
 
-        this.searchIndex.forEach(item => {
-            let score = 0;
-            const searchableText = (item.searchableText || 
-                                  `${item.title} ${item.content}`).toLowerCase();
+            operators.push({ key: name, value, token: match.trim() });
+            return lead;
+        });
 
-            searchTerms.forEach(term => {
-                // Exact title match gets highest score
-                if (item.title.toLowerCase().includes(term)) {
-                    score += item.relevance * 2;
-                }
-                
-                // Content match
-                if (searchableText.includes(term)) {
-                    score += item.relevance;
-                }
-                
-                // Boost for exact phrase matches
-                if (searchableText.includes(query.toLowerCase())) {
-                    score += item.relevance * 1.5;
+        text.replace(/(^|\s)-([^\s"]+)/g, (match, lead, word) => {
+            operators.push({ key: 'exclude', value: word, token: `-${word}` });
+            return match;
+        });
+
+        return { text: text.replace(/\s+/g, ' ').trim(), filters, operators };
+    }
+
+    resolveTypeFilter(value) {
+        const typeAliases = {
+            'docs': ['documentation', 'documentation-section'],
+            'doc': ['documentation', 'documentation-section'],
+            'documentation': ['documentation', 'documentation-section'],
+            'model': ['model'],
+            'models': ['model'],
+            'use-case': ['use-case'],
+            'use-cases': ['use-case'],
+            'usecase': ['use-case'],
+            'blog': ['blog'],
+            'article': ['blog'],
+            'articles': ['blog'],
+            'page': ['page', 'page-content', 'homepage-section'],
+            'pages': ['page', 'page-content', 'homepage-section'],
+            'homepage': ['homepage-section']
+        };
+        return typeAliases[value] || null;
+    }
+
+    /**
+     * Accepts YYYY, YYYY-MM or YYYY-MM-DD and returns the first day of
+     * that period. after: keeps dates on or after it, before: strictly before.
+     */
+    parseDateFilter(value) {
+        const match = value.match(/^(\d{4})(?:-(\d{2}))?(?:-(\d{2}))?$/);
+        if (!match) return null;
+        return `${match[1]}-${match[2] || '01'}-${match[3] || '01'}`;
+    }
+
+    hasActiveFilters(filters) {
+        return Boolean(filters && (filters.types.length || filters.sections.length || filters.after || filters.before));
+    }
+
+    getResultSection(result) {
+        if (result.section) return result.section;
+
+        const docsMatch = result.url.match(/^\/docs\/([^/#]+)/);
+        if (docsMatch) return docsMatch[1];
+        if (result.url.startsWith('/#')) return result.url.slice(2);
+        return '';
+    }
+
+    matchesFilters(result, filters) {
+        if (!this.hasActiveFilters(filters)) return true;
+
+        if (filters.types.length && !filters.types.includes(result.type)) {
+            return false;
+        }
+        if (filters.sections.length && !filters.sections.includes(this.getResultSection(result))) {
+            return false;
+        }
+
+        // Undated content cannot satisfy a date range
+        if ((filters.after || filters.before) && !result.date) {
+            return false;
+        }
+        if (filters.after && result.date < filters.after) {
+            return false;
+        }
+        if (filters.before && result.date >= filters.before) {
+            return false;
+        }
+
+        return true;
+    }
+
+    renderQueryChips(operators, options = {}) {
+        const chipsContainer = options.container || document.getElementById('search-query-chips');
+        if (!chipsContainer) return;
+
+        chipsContainer.innerHTML = operators.map(operator => `
+            <button type="button" class="search-query-chip" data-token="${this.escapeHtml(operator.token)}" aria-label="Remove filter ${this.escapeHtml(operator.token)}">
+                <span class="search-query-chip-key">${operator.key === 'exclude' ? 'not' : operator.key}</span>
+                <span class="search-query-chip-value">${this.escapeHtml(operator.value)}</span>
+                <span class="search-query-chip-remove" aria-hidden="true">✕</span>
+            </button>
+        `).join('');
+
+        chipsContainer.querySelectorAll('.search-query-chip').forEach(chip => {
+            chip.addEventListener('click', () => {
+                if (options.onRemove) {
+                    options.onRemove(chip.dataset.token);
+                    return;
                 }
+
+                const searchInput = document.getElementById('site-search-input');
+                searchInput.value = this.removeQueryToken(searchInput.value, chip.dataset.token);
+                searchInput.focus();
+                this.performSearch(searchInput.value);
             });
+        });
+    }
+
+    escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    removeQueryToken(query, token) {
+        const escaped = token.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        return query.replace(new RegExp(`(^|\\s)${escaped}(?=\\s|$)`), '$1').replace(/\s+/g, ' ').trim();
+    }
+
+    /**
+     * Index runtime entries (homepage sections, models, scraped content)
+     * with the same ranker used for the prebuilt index
+     */
+    createRuntimeIndex() {
+        return this.ranker.createIndex(this.searchIndex.map((item, entryIndex) => ({
+            fields: {
+                title: item.title,
+                headings: item.parentPage || '',
+                keywords: item.keywords ? item.keywords.join(' ') : (item.searchableText || ''),
+                body: item.content
+            },
+            meta: { entryIndex }
+        })));
+    }
+
+    searchContent(query, filters = null, limit = 10) {
+        const parsedQuery = this.ranker.parseQuery(query);
+        const collection = [this.runtimeIndex, this.prebuiltIndex].filter(Boolean);
+        const results = [];
+
+        // Heuristic relevance scales the text score rather than replacing it
+        const withRelevance = (score, relevance) => score * (1 + relevance / 10);
 
-            if (score > 0) {
-                results.push({ ...item, score });
+        if (parsedQuery.terms.length === 0 && this.hasActiveFilters(filters)) {
+            // Filter-only queries such as "type:docs" list everything in scope
+            results.push(...this.browseEntries(parsedQuery.excludes));
+        } else {
+            if (this.runtimeIndex) {
+                this.ranker.search(this.runtimeIndex, parsedQuery, collection).forEach(match => {
+                    const item = this.searchIndex[this.runtimeIndex.docs[match.docIndex].entryIndex];
+                    results.push({ ...item, score: withRelevance(match.score, item.relevance) });
+                });
             }
-        });
 
-        // Sort by score and limit results
+            if (this.prebuiltIndex) {
+                this.ranker.search(this.prebuiltIndex, parsedQuery, collection).forEach(match => {
+                    const result = this.createIndexedResult(match.docIndex);
+                    result.score = withRelevance(match.score, result.relevance);
+                    results.push(result);
+                });
+            }
+        }
+
+        // Filter, sort by score (newest first on ties) and limit results
         return results
-            .sort((a, b) => b.score - a.score)
-            .slice(0, 10);
+            .filter(result => this.matchesFilters(result, filters))
+            .sort((a, b) => b.score - a.score || (b.date || '').localeCompare(a.date || ''))
+            .slice(0, limit);
+    }
+
+    createIndexedResult(docIndex) {
+        const doc = this.prebuiltIndex.docs[docIndex];
+        const relevance = this.getTypeRelevance(doc.type);
+
+        return {
+            id: `indexed-${docIndex}`,
+            title: doc.title,
+            content: doc.description,
+            url: doc.url,
+            type: doc.type,
+            section: doc.section,
+            date: doc.date,
+            relevance,
+            score: relevance
+        };
+    }
+
+    browseEntries(excludes) {
+        const results = [];
+
+        if (this.runtimeIndex) {
+            const excluded = this.ranker.findExcludedDocs(this.runtimeIndex, excludes);
+            this.runtimeIndex.docs.forEach((doc, docIndex) => {
+                if (excluded.has(docIndex)) return;
+                const item = this.searchIndex[doc.entryIndex];
+                results.push({ ...item, score: item.relevance });
+            });
+        }
+
+        if (this.prebuiltIndex) {
+            const excluded = this.ranker.findExcludedDocs(this.prebuiltIndex, excludes);
+            this.prebuiltIndex.docs.forEach((doc, docIndex) => {
+                if (!excluded.has(docIndex)) {
+                    results.push(this.createIndexedResult(docIndex));
+                }
+            });
+        }
+
+        return results;
+    }
+
+    getTypeRelevance(type) {
+        const relevanceMap = {
+            'documentation': 8,
+            'use-case': 6,
+            'blog': 6,
+            'page': 5
+        };
+        return relevanceMap[type] || 4;
     }
 
     displaySearchResults(results, query) {
@@ -555,7 +805,7 @@ class SiteSearch {
             }).join('');
 
             return `
-                <section class="search-results-group">
+                <section class="search-results-group" data-type="${type}">
                     <header class="search-results-group-header">
                         <span class="search-results-group-icon">${typeIcon}</span>
                         <h3 class="search-results-group-title">${typeLabel}</h3>
@@ -568,9 +818,12 @@ class SiteSearch {
             `;
         }).join('');
 
+        const fullQuery = document.getElementById('site-search-input').value.trim();
+
         resultsContainer.innerHTML = `
             <div class="search-results-header">
                 <span class="search-results-count">${results.length} result${results.length !== 1 ? 's' : ''}</span>
+                <a class="search-results-all" href="/search.html?q=${encodeURIComponent(fullQuery)}">View all results →</a>
                 <div class="search-results-filters">
                     <button class="search-filter active" data-filter="all">All</button>
                     ${Object.keys(groupedResults).map(type => 
@@ -603,6 +856,74 @@ class SiteSearch {
                 e.stopPropagation(); // Prevent triggering parent result click
             });
         });
+
+        this.markOfflineAvailability(resultsContainer);
+    }
+
+    /**
+     * Flag results whose page has no cached copy in the service worker and
+     * offer to save them, so offline searches don't lead to dead links
+     */
+    async markOfflineAvailability(container) {
+        const client = window.serviceWorkerClient;
+        if (!client || !client.isControlled()) {
+            return;
+        }
+
+        const items = Array.from(container.querySelectorAll('[data-url]'));
+        const urls = [...new Set(items.map(item => item.dataset.url))];
+        if (urls.length === 0) {
+            return;
+        }
+
+        let cached;
+        try {
+            cached = new Set(await client.getCachedUrls(urls));
+        } catch (error) {
+            console.warn('Could not check offline availability:', error);
+            return;
+        }
+
+        items.filter(item => !cached.has(item.dataset.url)).forEach(item => {
+            const footer = item.querySelector('.search-result-footer');
+            if (!footer || item.classList.contains('search-result-uncached')) {
+                return;
+            }
+
+            item.classList.add('search-result-uncached');
+            footer.insertAdjacentHTML('beforeend', `
+                <span class="search-result-offline">
+                    <span class="search-result-offline-badge">Online only</span>
+                    ${navigator.onLine ? '<button type="button" class="search-result-save">Save for offline</button>' : ''}
+                </span>
+            `);
+
+            const button = footer.querySelector('.search-result-save');
+            if (!button) {
+                return;
+            }
+
+            button.addEventListener('click', async (e) => {
+                e.preventDefault();
+                e.stopPropagation(); // Prevent triggering parent result click
+                button.disabled = true;
+                button.textContent = 'Saving...';
+
+                try {
+                    const [result] = await client.cacheUrls([item.dataset.url]);
+                    if (!result || !result.cached) {
+                        throw new Error(result ? result.error : 'No response');
+                    }
+                    item.classList.remove('search-result-uncached');
+                    footer.querySelector('.search-result-offline').innerHTML =
+                        '<span class="search-result-offline-badge saved">Saved offline ✓</span>';
+                } catch (error) {
+                    console.warn('Could not save page for offline use:', error);
+                    button.disabled = false;
+                    button.textContent = 'Retry save';
+                }
+            });
+        });
     }
 
     groupResultsByType(results) {
@@ -618,7 +939,7 @@ class SiteSearch {
         });
 
         // Sort groups by priority
-        const typeOrder = ['homepage-section', 'documentation', 'documentation-section', 'model', 'page-content'];
+        const typeOrder = ['homepage-section', 'documentation', 'documentation-section', 'use-case', 'blog', 'model', 'page', 'page-content'];
         const sortedGrouped = {};
         
         typeOrder.forEach(type => {
@@ -648,8 +969,7 @@ class SiteSearch {
 
         // Show/hide result groups
         groups.forEach(group => {
-            const groupType = group.querySelector('.search-results-group-items .search-result-item').dataset.url.includes('#') ? 
-                              'homepage-section' : 'documentation';
+            const groupType = group.dataset.type;
             
             if (filterType === 'all') {
                 group.style.display = 'block';
@@ -674,7 +994,16 @@ class SiteSearch {
     highlightText(text, query) {
         if (!query.trim()) return text;
         
-        const regex = new RegExp(`(${query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')})`, 'gi');
+        // Highlight phrases and individual words, including stemmed variants
+        const { terms, phrases } = this.ranker.parseQuery(query);
+        const escape = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const patterns = [
+            ...phrases.map(phrase => escape(phrase.text)),
+            ...terms.map(term => `${escape(term.stem)}\\w*`)
+        ];
+        if (patterns.length === 0) return text;
+
+        const regex = new RegExp(`\\b(${patterns.join('|')})`, 'gi');
         return text.replace(regex, '<mark>$1</mark>');
     }
 
@@ -682,8 +1011,11 @@ class SiteSearch {
         const labels = {
             'homepage-section': 'Homepage',
             'page-content': 'Page',
+            'page': 'Page',
             'documentation': 'Documentation',
             'documentation-section': 'Docs Section',
+            'use-case': 'Use Case',
+            'blog': 'Article',
             'model': 'AI Model',
             'feature': 'Feature'
         };
@@ -694,8 +1026,11 @@ class SiteSearch {
         const icons = {
             'homepage-section': '🏠',
             'page-content': '📄',
+            'page': '📄',
             'documentation': '📚',
             'documentation-section': '📖',
+            'use-case': '💼',
+            'blog': '📰',
             'model': '🤖',
             'feature': '⭐'
         };
@@ -790,7 +1125,14 @@ class SiteSearch {
             { text: 'addon', icon: '🧩', type: 'Topic' },
             { text: 'API', icon: '🔌', type: 'Topic' },
             { text: 'models', icon: '🤖', type: 'Topic' },
-            { text: 'troubleshooting', icon: '🔍', type: 'Topic' }
+            { text: 'troubleshooting', icon: '🔍', type: 'Topic' },
+            
+            // Query operators
+            { text: 'type:docs', icon: '🔎', type: 'Filter' },
+            { text: 'type:use-cases', icon: '🔎', type: 'Filter' },
+            { text: 'type:blog', icon: '🔎', type: 'Filter' },
+            { text: 'section:addon-api', icon: '🔎', type: 'Filter' },
+            { text: 'after:2025-06', icon: '📅', type: 'Filter' }
         ];
 
         return suggestions
@@ -803,6 +1145,7 @@ class SiteSearch {
     clearSearchResults() {
         const resultsContainer = document.getElementById('search-results');
         resultsContainer.innerHTML = '';
+        this.renderQueryChips([]);
     }
 
     navigateToResult(url) {
@@ -826,18 +1169,16 @@ class SiteSearch {
         }
         
         // Track search result click
-        if (typeof gtag !== 'undefined') {
-            gtag('event', 'search_result_click', {
-                search_term: document.getElementById('site-search-input').value,
-                result_url: url
-            });
-        }
+        window.analyticsEventBus?.publish('search_result_click', {
+            search_term: document.getElementById('site-search-input').value,
+            result_url: url
+        }, { source: 'site-search' });
     }
 }
 
 // Initialize site search when DOM is ready
 document.addEventListener('DOMContentLoaded', () => {
-    new SiteSearch();
+    window.siteSearch = new SiteSearch();
 });
 
 // Export for module use
@@ -4,6 +4,9 @@
  * a modal with a "Star on GitHub" link. The download only starts once the
  * user continues, and is remembered in localStorage so returning visitors
  * are not blocked again.
+ *
+ * Each step is published as a star_gate event when the analytics event bus
+ * is on the page, for the landing-to-download funnel.
  */
 (function () {
     'use strict';
@@ -13,6 +16,15 @@
     var modal = null;
     var pendingUrl = null;
 
+    function track(action, url, gated) {
+        if (!window.analyticsEventBus) return;
+        window.analyticsEventBus.publish('star_gate', {
+            action: action,
+            download_url: url || undefined,
+            gated: gated
+        }, { source: 'star-gate' });
+    }
+
     function openModal() {
         if (!modal) return;
         modal.classList.add('active');
@@ -47,9 +59,16 @@
     }
 
     function onDownloadClick(event) {
-        if (isAlreadySupported()) return; // Let the download proceed normally
-
         var link = event.currentTarget;
+        var supported = isAlreadySupported();
+        track('click', link && link.href, !supported);
+
+        if (supported) {
+            // Let the download proceed normally
+            track('bypass', link && link.href, false);
+            return;
+        }
+
         if (!link || !link.href) return;
 
         event.preventDefault();
@@ -61,11 +80,17 @@
         var url = pendingUrl;
         closeModal();
         if (!url) return;
+        track('continue', url, true);
         markSupported();
         // Same behaviour as the original link: navigate to the release asset.
         window.location.href = url;
     }
 
+    function onDismiss() {
+        if (pendingUrl) track('dismiss', pendingUrl, true);
+        closeModal();
+    }
+
     document.addEventListener('DOMContentLoaded', function () {
         modal = document.getElementById('star-gate-modal');
         if (!modal) return;
@@ -79,7 +104,14 @@
         // Close controls: the ✕ button and the overlay backdrop.
         var closeTriggers = modal.querySelectorAll('[data-star-gate-close]');
         for (var j = 0; j < closeTriggers.length; j++) {
-            closeTriggers[j].addEventListener('click', closeModal);
+            closeTriggers[j].addEventListener('click', onDismiss);
+        }
+
+        var starLink = modal.querySelector('.star-gate-star-btn');
+        if (starLink) {
+            starLink.addEventListener('click', function () {
+                track('star', pendingUrl, true);
+            });
         }
 
         var continueBtn = modal.querySelector('[data-star-gate-continue]');
@@ -90,7 +122,7 @@
         // Close on Escape.
         document.addEventListener('keydown', function (e) {
             if (e.key === 'Escape' && modal.classList.contains('active')) {
-                closeModal();
+                onDismiss();
             }
         });
     });
@@ -3,22 +3,45 @@
  * Provides caching, offline functionality, and performance optimization
  */
 
-const CACHE_NAME = 'gguf-loader-v1.2.0';
-const STATIC_CACHE_NAME = 'gguf-loader-static-v1.2.0';
-const DYNAMIC_CACHE_NAME = 'gguf-loader-dynamic-v1.2.0';
-const FONT_CACHE_NAME = 'gguf-loader-fonts-v1.2.0';
-
-// Files to cache immediately (critical resources)
-const STATIC_ASSETS = [
-    '/',
-    '/index.html',
-    '/styles.min.css',
-    '/styles.css',
-    '/floating-buttons.min.js',
-    '/floating-buttons.js',
-    '/critical.css',
-    '/preview.png',
-    '/manifest.json'
+// Hashed list of precached files (scripts/build-precache-manifest.js). The
+// browser byte-compares imported scripts on update checks, so a new worker
+// only installs when the manifest has changed. Its version also hashes every
+// deployed script and stylesheet, which the static cache serves cache-first.
+try {
+    importScripts('/precache-manifest.js');
+} catch (error) {
+    console.warn('Service Worker: No precache manifest, run npm run build:precache', error);
+}
+const PRECACHE_MANIFEST = self.__PRECACHE_MANIFEST || { version: 'dev', assets: [] };
+
+const CACHE_NAME = `gguf-loader-${PRECACHE_MANIFEST.version}`;
+// Precached and runtime-cached CSS/JS belong to one release and go with it
+const STATIC_CACHE_NAME = `${CACHE_NAME}-static`;
+// Search assets are versioned with CACHE_NAME so a release refreshes the index
+const SEARCH_CACHE_NAME = `${CACHE_NAME}-search`;
+// Pages saved for offline reading, images and fonts outlive releases
+const DYNAMIC_CACHE_NAME = 'gguf-loader-dynamic-v1';
+const IMAGE_CACHE_NAME = 'gguf-loader-images-v1';
+const FONT_CACHE_NAME = 'gguf-loader-fonts-v1';
+
+// Prebuilt search index (scripts/build-search-index.js)
+const SEARCH_INDEX_URL = '/data/search-index.json';
+
+// Model catalog read by ModelComparisonTool and the memory calculator
+const MODEL_CATALOG_URL = '/data/models.json';
+
+// Generated by the worker: every page available offline
+const OFFLINE_INDEX_URL = '/offline/';
+
+// Everything site search needs to work without a network
+const SEARCH_ASSETS = [
+    SEARCH_INDEX_URL,
+    '/data/models.json',
+    '/search.html',
+    '/site-search.js',
+    '/js/search-ranking.js',
+    '/js/search-results-page.js',
+    '/css/enhanced-search.css'
 ];
 
 // Files to cache on first visit (non-critical resources)
@@ -57,23 +80,56 @@ const CACHE_DURATION = {
     manifest: 86400   // 1 day for manifest and service worker updates
 };
 
+// Limits for the runtime caches that outlive releases. Past maxEntries or
+// maxBytes the least recently used entries are evicted; entries cached more
+// than maxAge seconds ago are dropped even when unused space remains.
+const CACHE_LIMITS = {
+    [DYNAMIC_CACHE_NAME]: {
+        label: 'Pages and data',
+        maxEntries: 100,
+        maxBytes: 25 * 1024 * 1024,
+        maxAge: 30 * 86400 // offline docs must survive well past CACHE_DURATION.html
+    },
+    [IMAGE_CACHE_NAME]: {
+        label: 'Images',
+        maxEntries: 60,
+        maxBytes: 20 * 1024 * 1024,
+        maxAge: CACHE_DURATION.images
+    }
+};
+
+// Size, cache time and last use of every entry in a limited cache
+const CACHE_META = {
+    dbName: 'gguf-loader-cache-meta',
+    storeName: 'entries',
+    keyPath: 'url'
+};
+const cacheTrims = new Map();
+
+// Outbox for requests pages could not send (analytics, contact form),
+// kept in IndexedDB and replayed on the background sync tag
+const OUTBOX = {
+    dbName: 'gguf-loader-outbox',
+    storeName: 'requests',
+    keyPath: 'id',
+    syncTag: 'background-sync',
+    maxAttempts: 8,
+    baseRetryDelay: 30 * 1000,        // doubles per attempt
+    maxRetryDelay: 6 * 60 * 60 * 1000,
+    maxAge: 7 * 24 * 60 * 60 * 1000   // then dropped, delivered or not
+};
+let outboxReplay = null;
+
 /**
  * Service Worker Installation
  */
 self.addEventListener('install', event => {
-    console.log('Service Worker: Installing...');
+    console.log(`Service Worker: Installing ${PRECACHE_MANIFEST.version}...`);
     
+    // No skipWaiting() here: an update waits until the page asks for it
+    // (SKIP_WAITING), so a page never mixes assets from two releases
     event.waitUntil(
-        Promise.all([
-            // Cache static assets
-            caches.open(STATIC_CACHE_NAME).then(cache => {
-                console.log('Service Worker: Caching static assets');
-                return cache.addAll(STATIC_ASSETS);
-            }),
-            
-            // Skip waiting to activate immediately
-            self.skipWaiting()
-        ])
+        precacheAssets().then(() => notifyUpdateAvailable())
     );
 });
 
@@ -88,6 +144,9 @@ self.addEventListener('activate', event => {
             // Clean up old caches
             cleanupOldCaches(),
             
+            // Apply limits that changed with this release
+            ...Object.keys(CACHE_LIMITS).map(trimCache),
+            
             // Claim all clients
             self.clients.claim()
         ])
@@ -119,11 +178,65 @@ self.addEventListener('fetch', event => {
     );
 });
 
+/**
+ * Messages from pages (offline availability of search results, updates,
+ * the request outbox)
+ */
+self.addEventListener('message', event => {
+    const message = event.data || {};
+    const port = event.ports && event.ports[0];
+    const reply = payload => port && port.postMessage(payload);
+    
+    switch (message.type) {
+        case 'GET_CACHED_URLS':
+            event.waitUntil(
+                getCachedUrls(message.urls || []).then(cached => reply({ cached }))
+            );
+            break;
+        case 'CACHE_URLS':
+            event.waitUntil(
+                cacheUrls(message.urls || []).then(results => reply({ results }))
+            );
+            break;
+        case 'GET_VERSION':
+            reply({ version: PRECACHE_MANIFEST.version });
+            break;
+        case 'SKIP_WAITING':
+            self.skipWaiting();
+            break;
+        case 'OUTBOX_ADD':
+            event.waitUntil(
+                addToOutbox(message.entry || {}).then(reply, error => reply({ error: error.message }))
+            );
+            break;
+        case 'OUTBOX_STATUS':
+            event.waitUntil(
+                getOutboxStatus().then(status => reply({ status }))
+            );
+            break;
+        case 'OUTBOX_REPLAY':
+            event.waitUntil(
+                replayOutbox().then(status => reply({ status }))
+            );
+            break;
+        case 'GET_STORAGE_STATUS':
+            event.waitUntil(
+                getStorageStatus().then(status => reply({ status }))
+            );
+            break;
+        case 'CLEAR_OFFLINE_DATA':
+            event.waitUntil(
+                clearOfflineData().then(status => reply({ status }), error => reply({ error: error.message }))
+            );
+            break;
+    }
+});
+
 /**
  * Background Sync for offline actions
  */
 self.addEventListener('sync', event => {
-    if (event.tag === 'background-sync') {
+    if (event.tag === OUTBOX.syncTag) {
         event.waitUntil(handleBackgroundSync());
     }
 });
@@ -151,6 +264,12 @@ async function handleRequest(request, strategy) {
             return fetch(request);
         case 'cacheOnly':
             return caches.match(request);
+        case 'docs':
+            return docsNetworkFirst(request);
+        case 'catalog':
+            return catalogNetworkFirst(request);
+        case 'offlineIndex':
+            return createOfflineIndexResponse(request);
         default:
             return networkFirst(request);
     }
@@ -165,6 +284,7 @@ async function cacheFirst(request) {
         if (cachedResponse) {
             // Check if cache is still valid
             if (isCacheValid(cachedResponse, request)) {
+                touchCacheEntry(request.url);
                 return cachedResponse;
             }
         }
@@ -178,7 +298,7 @@ async function cacheFirst(request) {
         
     } catch (error) {
         console.log('Service Worker: Cache first failed, trying cache:', error);
-        return caches.match(request) || createOfflineResponse(request);
+        return (await caches.match(request)) || createOfflineResponse(request);
     }
 }
 
@@ -195,11 +315,62 @@ async function networkFirst(request) {
         
     } catch (error) {
         console.log('Service Worker: Network first failed, trying cache:', error);
-        const cachedResponse = await caches.match(request);
+        // /search.html?q=... renders client-side, so any cached copy will do
+        const cachedResponse = await caches.match(request, { ignoreSearch: isSearchAsset(request) });
+        if (cachedResponse) {
+            touchCacheEntry(request.url);
+        }
         return cachedResponse || createOfflineResponse(request);
     }
 }
 
+/**
+ * Docs pages: network first. Offline, the last cached copy with a
+ * "cached on" banner, or the index of cached pages when there is none.
+ */
+async function docsNetworkFirst(request) {
+    try {
+        const networkResponse = await fetch(request);
+        if (networkResponse.ok) {
+            await cacheResponse(request, networkResponse.clone());
+        }
+        return networkResponse;
+        
+    } catch (error) {
+        console.log('Service Worker: Docs page offline, trying cache:', error);
+        const cachedResponse = await matchPage(request.url);
+        if (cachedResponse) {
+            touchCacheEntry(cachedResponse.url || request.url);
+        }
+        return cachedResponse
+            ? addCachedBanner(cachedResponse)
+            : createOfflineIndexResponse(request);
+    }
+}
+
+/**
+ * Model catalog: network first, then the newest copy in any cache
+ * (precached or fetched), so model tools keep working offline
+ */
+async function catalogNetworkFirst(request) {
+    try {
+        const networkResponse = await fetch(request);
+        if (networkResponse.ok) {
+            await cacheResponse(request, networkResponse.clone());
+        }
+        return networkResponse;
+        
+    } catch (error) {
+        console.log('Service Worker: Model catalog offline, using last known copy:', error);
+        const cachedResponse = await matchNewest(MODEL_CATALOG_URL);
+        return cachedResponse || new Response(JSON.stringify({ error: 'Model catalog unavailable offline' }), {
+            status: 503,
+            statusText: 'Service Unavailable',
+            headers: { 'Content-Type': 'application/json' }
+        });
+    }
+}
+
 /**
  * Stale While Revalidate Strategy
  */
@@ -216,11 +387,12 @@ async function staleWhileRevalidate(request) {
     
     // Return cached response immediately if available
     if (cachedResponse) {
+        touchCacheEntry(request.url);
         return cachedResponse;
     }
     
     // Otherwise wait for network response
-    return networkResponsePromise || createOfflineResponse(request);
+    return (await networkResponsePromise) || createOfflineResponse(request);
 }
 
 /**
@@ -230,18 +402,21 @@ async function cacheResponse(request, response) {
     const cacheName = getCacheName(request);
     const cache = await caches.open(cacheName);
     
-    // Add cache headers
-    const responseWithHeaders = new Response(response.body, {
+    // Keep the original headers (Content-Type) and add cache headers
+    const headers = new Headers(response.headers);
+    const cacheTime = Date.now();
+    headers.set('sw-cache-time', cacheTime);
+    headers.set('cache-control', getCacheControl(request));
+    // Buffered so limited caches know the entry's size
+    const body = await response.arrayBuffer();
+    const responseWithHeaders = new Response(body, {
         status: response.status,
         statusText: response.statusText,
-        headers: {
-            ...response.headers,
-            'sw-cache-time': Date.now(),
-            'cache-control': getCacheControl(request)
-        }
+        headers
     });
     
-    return cache.put(request, responseWithHeaders);
+    await cache.put(request, responseWithHeaders);
+    await recordCacheEntry(cacheName, request.url, body.byteLength, cacheTime);
 }
 
 /**
@@ -252,6 +427,23 @@ function getCacheStrategy(request) {
     const pathname = url.pathname;
     const extension = pathname.split('.').pop().toLowerCase();
     
+    // Search index: serve the cached copy, refresh it in the background
+    if (pathname === SEARCH_INDEX_URL) {
+        return 'staleWhileRevalidate';
+    }
+    
+    if (pathname === MODEL_CATALOG_URL) {
+        return 'catalog';
+    }
+    
+    if (pathname === OFFLINE_INDEX_URL) {
+        return 'offlineIndex';
+    }
+    
+    if (isDocsPage(url)) {
+        return 'docs';
+    }
+    
     // HTML pages
     if (pathname.endsWith('/') || extension === 'html') {
         return CACHE_STRATEGIES.html;
@@ -288,6 +480,15 @@ function getCacheName(request) {
     const url = new URL(request.url);
     const extension = url.pathname.split('.').pop().toLowerCase();
     
+    // The last known catalog has to survive releases (the search cache does not)
+    if (url.pathname === MODEL_CATALOG_URL) {
+        return DYNAMIC_CACHE_NAME;
+    }
+    
+    if (isSearchAsset(request)) {
+        return SEARCH_CACHE_NAME;
+    }
+    
     if (['css', 'js'].includes(extension)) {
         return STATIC_CACHE_NAME;
     }
@@ -296,6 +497,10 @@ function getCacheName(request) {
         return FONT_CACHE_NAME;
     }
     
+    if (['png', 'jpg', 'jpeg', 'gif', 'webp', 'avif', 'svg'].includes(extension)) {
+        return IMAGE_CACHE_NAME;
+    }
+    
     return DYNAMIC_CACHE_NAME;
 }
 
@@ -383,7 +588,7 @@ function isAllowedOrigin(origin) {
  */
 async function cleanupOldCaches() {
     const cacheNames = await caches.keys();
-    const currentCaches = [STATIC_CACHE_NAME, DYNAMIC_CACHE_NAME, FONT_CACHE_NAME];
+    const currentCaches = [STATIC_CACHE_NAME, DYNAMIC_CACHE_NAME, IMAGE_CACHE_NAME, FONT_CACHE_NAME, SEARCH_CACHE_NAME];
     
     return Promise.all(
         cacheNames
@@ -395,6 +600,538 @@ async function cleanupOldCaches() {
     );
 }
 
+/**
+ * Note a new entry in a limited cache, then trim the cache
+ */
+async function recordCacheEntry(cacheName, url, size, cachedAt) {
+    if (!CACHE_LIMITS[cacheName]) {
+        return;
+    }
+    
+    try {
+        await databaseRequest(CACHE_META, 'readwrite', store => store.put({
+            url: new URL(url, self.location.origin).href,
+            cacheName,
+            size,
+            cachedAt,
+            lastUsed: cachedAt
+        }));
+    } catch (error) {
+        console.log('Service Worker: Failed to record cache entry:', error);
+    }
+    trimCache(cacheName);
+}
+
+/**
+ * Mark a cached entry as used for LRU eviction. Not awaited: a response
+ * never waits on bookkeeping.
+ */
+function touchCacheEntry(url) {
+    const href = new URL(url, self.location.origin).href;
+    
+    databaseRequest(CACHE_META, 'readonly', store => store.get(href))
+        .then(entry => entry && databaseRequest(CACHE_META, 'readwrite', store => store.put({
+            ...entry,
+            lastUsed: Date.now()
+        })))
+        .catch(error => console.log('Service Worker: Failed to update cache entry:', error));
+}
+
+/**
+ * Trims of one cache run one after another so they see each other's deletes
+ */
+function trimCache(cacheName) {
+    const previous = cacheTrims.get(cacheName) || Promise.resolve();
+    const trim = previous
+        .then(() => enforceCacheLimits(cacheName))
+        .catch(error => console.log(`Service Worker: Failed to trim ${cacheName}:`, error));
+    
+    cacheTrims.set(cacheName, trim);
+    return trim;
+}
+
+/**
+ * Drop expired entries, then evict least recently used ones until the cache
+ * is within its entry and byte limits
+ */
+async function enforceCacheLimits(cacheName) {
+    const limits = CACHE_LIMITS[cacheName];
+    const cache = await caches.open(cacheName);
+    const entries = await getCacheEntries(cacheName, cache);
+    const now = Date.now();
+    const evicted = [];
+    let count = 0;
+    let bytes = 0;
+    let full = false;
+    
+    // Most recently used first; once one entry doesn't fit, every older one
+    // goes too. An entry bigger than the whole cache only evicts itself.
+    entries
+        .sort((a, b) => b.lastUsed - a.lastUsed)
+        .forEach(entry => {
+            if (now - entry.cachedAt > limits.maxAge * 1000) {
+                evicted.push({ ...entry, expired: true });
+                return;
+            }
+            if (entry.size > limits.maxBytes) {
+                evicted.push({ ...entry, expired: false });
+                return;
+            }
+            
+            full = full || count >= limits.maxEntries || bytes + entry.size > limits.maxBytes;
+            if (full) {
+                evicted.push({ ...entry, expired: false });
+            } else {
+                count++;
+                bytes += entry.size;
+            }
+        });
+    
+    for (const entry of evicted) {
+        await cache.delete(entry.url);
+        await databaseRequest(CACHE_META, 'readwrite', store => store.delete(entry.url));
+    }
+    
+    if (evicted.length > 0) {
+        const expired = evicted.filter(entry => entry.expired).length;
+        console.log(`Service Worker: Removed ${expired} expired and ${evicted.length - expired} least recently used entries from ${cacheName}`);
+    }
+    return { entries: count, bytes, evicted: evicted.length };
+}
+
+/**
+ * Metadata for every entry in a limited cache. Entries cached before the
+ * metadata existed (or by an older worker) are measured once and recorded;
+ * records for entries the browser evicted itself are dropped.
+ */
+async function getCacheEntries(cacheName, cache) {
+    cache = cache || await caches.open(cacheName);
+    const records = (await databaseRequest(CACHE_META, 'readonly', store => store.getAll()))
+        .filter(record => record.cacheName === cacheName);
+    const byUrl = new Map(records.map(record => [record.url, record]));
+    const entries = [];
+    
+    for (const request of await cache.keys()) {
+        let entry = byUrl.get(request.url);
+        byUrl.delete(request.url);
+        
+        if (!entry) {
+            const response = await cache.match(request);
+            if (!response) {
+                continue;
+            }
+            const cachedAt = getCachedTime(response) || Date.now();
+            entry = {
+                url: request.url,
+                cacheName,
+                size: (await response.arrayBuffer()).byteLength,
+                cachedAt,
+                lastUsed: cachedAt
+            };
+            await databaseRequest(CACHE_META, 'readwrite', store => store.put(entry));
+        }
+        entries.push(entry);
+    }
+    
+    for (const url of byUrl.keys()) {
+        await databaseRequest(CACHE_META, 'readwrite', store => store.delete(url));
+    }
+    
+    return entries;
+}
+
+/**
+ * Storage used by the site (navigator.storage.estimate()) and by each
+ * limited cache: { usage, quota, persisted, caches: [{ name, label, entries, bytes, maxEntries, maxBytes }] }
+ */
+async function getStorageStatus() {
+    const storage = self.navigator && self.navigator.storage;
+    let estimate = {};
+    let persisted = false;
+    
+    if (storage && storage.estimate) {
+        try {
+            estimate = await storage.estimate();
+            persisted = storage.persisted ? await storage.persisted() : false;
+        } catch (error) {
+            console.log('Service Worker: Storage estimate unavailable:', error);
+        }
+    }
+    
+    const cacheStatus = await Promise.all(Object.entries(CACHE_LIMITS).map(async ([name, limits]) => {
+        const entries = await getCacheEntries(name);
+        return {
+            name,
+            label: limits.label,
+            entries: entries.length,
+            bytes: entries.reduce((total, entry) => total + entry.size, 0),
+            maxEntries: limits.maxEntries,
+            maxBytes: limits.maxBytes
+        };
+    }));
+    
+    return {
+        usage: estimate.usage ?? null,
+        quota: estimate.quota ?? null,
+        persisted,
+        caches: cacheStatus
+    };
+}
+
+/**
+ * Delete everything cached at runtime (saved pages, images, fonts and the
+ * last known catalog). The current release's precache stays so the site
+ * shell and search keep working; queued outbox requests are not touched.
+ */
+async function clearOfflineData() {
+    await Promise.all([DYNAMIC_CACHE_NAME, IMAGE_CACHE_NAME, FONT_CACHE_NAME].map(name => caches.delete(name)));
+    await databaseRequest(CACHE_META, 'readwrite', store => store.clear());
+    console.log('Service Worker: Cleared offline data');
+    return getStorageStatus();
+}
+
+/**
+ * Fetch every manifest file past the HTTP cache. Any failure fails the
+ * install, leaving the current worker and its complete caches in charge.
+ */
+async function precacheAssets() {
+    const staticCache = await caches.open(STATIC_CACHE_NAME);
+    const searchCache = await caches.open(SEARCH_CACHE_NAME);
+    
+    return Promise.all(
+        PRECACHE_MANIFEST.assets.map(async ({ url, revision }) => {
+            const response = await fetch(url, { cache: 'reload' });
+            if (!response.ok) {
+                throw new Error(`Precaching ${url} (${revision}) failed: HTTP ${response.status}`);
+            }
+            const cache = SEARCH_ASSETS.includes(url) ? searchCache : staticCache;
+            await cache.put(url, response);
+        })
+    );
+}
+
+/**
+ * Tell open pages that this installed worker is waiting to take over.
+ * Pages opened later ask the waiting worker with GET_VERSION instead.
+ */
+async function notifyUpdateAvailable() {
+    // Without an active worker this is the first install, which activates at once
+    if (!self.registration.active) {
+        return;
+    }
+    
+    const clients = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    clients.forEach(client => {
+        client.postMessage({ type: 'UPDATE_AVAILABLE', version: PRECACHE_MANIFEST.version });
+    });
+}
+
+/**
+ * Report which of the given same-origin URLs have a cached copy
+ */
+async function getCachedUrls(urls) {
+    const checks = await Promise.all(urls.map(async (url) => {
+        const cached = await caches.match(new URL(stripHash(url), self.location.origin).href);
+        return cached ? url : null;
+    }));
+    
+    return checks.filter(Boolean);
+}
+
+/**
+ * Fetch and cache pages a user asked to keep for offline reading
+ */
+async function cacheUrls(urls) {
+    const cache = await caches.open(DYNAMIC_CACHE_NAME);
+    
+    return Promise.all(urls.map(async (url) => {
+        const target = new URL(stripHash(url), self.location.origin);
+        if (!isAllowedOrigin(target.origin)) {
+            return { url, cached: false, error: 'Origin not allowed' };
+        }
+        
+        try {
+            const response = await fetch(target.href);
+            if (!response.ok) {
+                return { url, cached: false, error: `HTTP ${response.status}` };
+            }
+            const size = (await response.clone().arrayBuffer()).byteLength;
+            await cache.put(target.href, response);
+            await recordCacheEntry(DYNAMIC_CACHE_NAME, target.href, size, Date.now());
+            return { url, cached: true };
+        } catch (error) {
+            return { url, cached: false, error: error.message };
+        }
+    }));
+}
+
+function isSearchAsset(request) {
+    return SEARCH_ASSETS.includes(new URL(request.url).pathname);
+}
+
+function stripHash(url) {
+    return url.split('#')[0] || '/';
+}
+
+function isDocsPage(url) {
+    return url.pathname.startsWith('/docs/') && isPageUrl(url);
+}
+
+function isPageUrl(url) {
+    return url.pathname.endsWith('/') || url.pathname.endsWith('.html');
+}
+
+/**
+ * Cached copy of a page, also under its other trailing-slash form
+ */
+async function matchPage(pageUrl) {
+    const url = new URL(pageUrl);
+    url.hash = '';
+    const alternate = new URL(url.href);
+    alternate.pathname = url.pathname.endsWith('/')
+        ? `${url.pathname}index.html`
+        : url.pathname.replace(/index\.html$/, '');
+    
+    return (await caches.match(url.href, { ignoreSearch: true })) ||
+        (alternate.pathname !== url.pathname ? caches.match(alternate.href, { ignoreSearch: true }) : undefined);
+}
+
+/**
+ * Most recently cached copy of a URL across all caches
+ */
+async function matchNewest(pathname) {
+    const url = new URL(pathname, self.location.origin).href;
+    let newest = null;
+    
+    for (const cacheName of await caches.keys()) {
+        const cache = await caches.open(cacheName);
+        const response = await cache.match(url, { ignoreSearch: true });
+        if (response && (!newest || (getCachedTime(response) || 0) > (getCachedTime(newest) || 0))) {
+            newest = response;
+        }
+    }
+    
+    return newest;
+}
+
+/**
+ * When a response was cached: our own timestamp, else the server's Date
+ * header (precached and saved-for-offline pages are stored as fetched)
+ */
+function getCachedTime(response) {
+    const cacheTime = parseInt(response.headers.get('sw-cache-time'));
+    if (cacheTime) {
+        return cacheTime;
+    }
+    
+    const date = Date.parse(response.headers.get('date'));
+    return Number.isNaN(date) ? null : date;
+}
+
+function formatCachedTime(time) {
+    return new Date(time).toLocaleString('en', { dateStyle: 'medium', timeStyle: 'short' });
+}
+
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, char => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[char]);
+}
+
+/**
+ * Serve a cached page with a banner saying it is an offline copy
+ */
+async function addCachedBanner(response) {
+    const html = await response.text();
+    const time = getCachedTime(response);
+    const banner = `
+        <div role="status" style="position: sticky; top: 0; z-index: 10000; padding: 0.75rem 1rem; background: #fff3cd; color: #856404; border-bottom: 1px solid #ffeeba; font: 0.95rem 'Segoe UI', sans-serif; text-align: center;">
+            📴 You're offline. ${time ? `This copy was cached on ${escapeHtml(formatCachedTime(time))}.` : 'This is a cached copy.'}
+            <a href="${OFFLINE_INDEX_URL}" style="color: #533f03; font-weight: 600;">Pages available offline</a>
+        </div>`;
+    const body = /<body[^>]*>/i.test(html)
+        ? html.replace(/<body[^>]*>/i, match => match + banner)
+        : banner + html;
+    
+    return new Response(body, {
+        status: 200,
+        headers: {
+            'Content-Type': 'text/html; charset=utf-8',
+            'Cache-Control': 'no-cache'
+        }
+    });
+}
+
+/**
+ * Every cached same-origin page, newest copy per URL: { url, title, time, isDocs }
+ */
+async function getCachedPages() {
+    const pages = new Map();
+    
+    for (const cacheName of await caches.keys()) {
+        const cache = await caches.open(cacheName);
+        for (const request of await cache.keys()) {
+            const url = new URL(request.url);
+            if (url.origin !== self.location.origin || !isPageUrl(url) || url.pathname === OFFLINE_INDEX_URL) {
+                continue;
+            }
+            
+            const response = await cache.match(request);
+            const time = response ? getCachedTime(response) : null;
+            const existing = pages.get(url.pathname);
+            if (!response || (existing && (existing.time || 0) >= (time || 0))) {
+                continue;
+            }
+            
+            const title = (await response.clone().text()).match(/<title[^>]*>([^<]*)<\/title>/i);
+            pages.set(url.pathname, {
+                url: url.pathname,
+                title: title ? title[1].trim() : url.pathname,
+                time,
+                isDocs: isDocsPage(url)
+            });
+        }
+    }
+    
+    return [...pages.values()].sort((a, b) => a.title.localeCompare(b.title));
+}
+
+/**
+ * Offline index of cached pages; for a page that is not cached it says so first
+ */
+async function createOfflineIndexResponse(request) {
+    const pathname = new URL(request.url).pathname;
+    const pages = await getCachedPages();
+    // Storage details are extra; the index must render even if IndexedDB fails
+    const storageStatus = pathname === OFFLINE_INDEX_URL
+        ? await getStorageStatus().catch(error => console.log('Service Worker: Storage status unavailable:', error))
+        : null;
+    const renderList = list => `<ul>${list.map(page => `
+        <li><a href="${escapeHtml(page.url)}">${escapeHtml(page.title)}</a>
+        ${page.time ? `<small>cached ${escapeHtml(formatCachedTime(page.time))}</small>` : ''}</li>`).join('')}
+    </ul>`;
+    
+    const sections = [
+        ['Documentation', pages.filter(page => page.isDocs)],
+        ['Other pages', pages.filter(page => !page.isDocs)]
+    ].filter(([, list]) => list.length > 0)
+        .map(([heading, list]) => `<h2>${heading}</h2>${renderList(list)}`)
+        .join('');
+    
+    const intro = pathname === OFFLINE_INDEX_URL
+        ? '<p>These pages are saved on this device and open without a connection.</p>'
+        : `<p>You're offline and <code>${escapeHtml(pathname)}</code> hasn't been saved for offline reading. These pages have:</p>`;
+    
+    return createOfflinePage('📴 Pages Available Offline', `
+        ${intro}
+        ${sections || '<p>No pages have been cached yet. Pages you visit while online are kept for offline reading.</p>'}
+        <button class="retry-btn" onclick="window.location.reload()">Try Again</button>
+        ${storageStatus ? renderStorageSection(storageStatus) : ''}
+    `);
+}
+
+/**
+ * Storage usage and the "clear offline data" control for the offline index
+ */
+function renderStorageSection(status) {
+    const usage = status.usage !== null && status.quota
+        ? `<p>This site uses ${formatBytes(status.usage)} of the ${formatBytes(status.quota)} your browser allows it.${status.persisted ? '' : ' The browser may clear it when the device runs low on space.'}</p>`
+        : '';
+    const cacheList = status.caches.map(cache => `
+        <li>${escapeHtml(cache.label)}
+        <small>${cache.entries} of ${cache.maxEntries} entries, ${formatBytes(cache.bytes)} of ${formatBytes(cache.maxBytes)}</small></li>`).join('');
+    
+    return `
+        <h2>Offline data</h2>
+        ${usage}
+        <ul>${cacheList}</ul>
+        <p>When a limit is reached, the least recently used entries are removed first.</p>
+        <button class="retry-btn" id="clear-offline-data" type="button">Clear offline data</button>
+        <p id="clear-offline-status" role="status"></p>
+        <script src="/js/service-worker-client.js"></script>
+        <script>
+            document.getElementById('clear-offline-data').addEventListener('click', function () {
+                if (!window.confirm('Remove saved pages, images and fonts from this device?')) {
+                    return;
+                }
+                var status = document.getElementById('clear-offline-status');
+                window.serviceWorkerClient.clearOfflineData()
+                    .then(function () { window.location.reload(); })
+                    .catch(function (error) { status.textContent = 'Could not clear offline data: ' + error.message; });
+            });
+        </script>`;
+}
+
+function formatBytes(bytes) {
+    const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+    let value = bytes;
+    let unit = 0;
+    while (value >= 1024 && unit < units.length - 1) {
+        value /= 1024;
+        unit++;
+    }
+    return `${value >= 10 || unit === 0 ? Math.round(value) : value.toFixed(1)} ${units[unit]}`;
+}
+
+function createOfflinePage(heading, content) {
+    return new Response(`
+        <!DOCTYPE html>
+        <html lang="en">
+        <head>
+            <meta charset="UTF-8">
+            <meta name="viewport" content="width=device-width, initial-scale=1.0">
+            <meta name="robots" content="noindex">
+            <title>Offline - GGUF Loader</title>
+            <style>
+                body { 
+                    font-family: 'Segoe UI', sans-serif; 
+                    text-align: center; 
+                    padding: 2rem; 
+                    background: #f8f9fa; 
+                }
+                .offline-container { 
+                    max-width: 600px; 
+                    margin: 0 auto; 
+                    background: white; 
+                    padding: 2rem; 
+                    border-radius: 8px; 
+                    box-shadow: 0 4px 15px rgba(0,0,0,0.1); 
+                }
+                h1, h2 { color: #2c3e50; }
+                h2 { font-size: 1.1rem; text-align: left; margin-top: 1.5rem; }
+                p { color: #6c757d; line-height: 1.6; }
+                ul { list-style: none; padding: 0; text-align: left; }
+                li { padding: 0.5rem 0; border-bottom: 1px solid #e9ecef; }
+                li a { color: #3498db; font-weight: 500; }
+                li small { display: block; color: #6c757d; }
+                .retry-btn { 
+                    background: #3498db; 
+                    color: white; 
+                    padding: 1rem 2rem; 
+                    border: none; 
+                    border-radius: 5px; 
+                    cursor: pointer; 
+                    font-size: 1rem; 
+                    margin-top: 1rem; 
+                }
+            </style>
+        </head>
+        <body>
+            <div class="offline-container">
+                <h1>${heading}</h1>
+                ${content}
+            </div>
+        </body>
+        </html>
+    `, {
+        status: 200,
+        headers: {
+            'Content-Type': 'text/html; charset=utf-8',
+            'Cache-Control': 'no-cache'
+        }
+    });
+}
+
 /**
  * Create offline response for failed requests
  */
@@ -402,59 +1139,13 @@ function createOfflineResponse(request) {
     const url = new URL(request.url);
     
     // For HTML pages, return offline page
-    if (url.pathname.endsWith('/') || url.pathname.endsWith('.html')) {
-        return new Response(`
-            <!DOCTYPE html>
-            <html lang="en">
-            <head>
-                <meta charset="UTF-8">
-                <meta name="viewport" content="width=device-width, initial-scale=1.0">
-                <title>Offline - GGUF Loader</title>
-                <style>
-                    body { 
-                        font-family: 'Segoe UI', sans-serif; 
-                        text-align: center; 
-                        padding: 2rem; 
-                        background: #f8f9fa; 
-                    }
-                    .offline-container { 
-                        max-width: 600px; 
-                        margin: 0 auto; 
-                        background: white; 
-                        padding: 2rem; 
-                        border-radius: 8px; 
-                        box-shadow: 0 4px 15px rgba(0,0,0,0.1); 
-                    }
-                    h1 { color: #2c3e50; }
-                    p { color: #6c757d; line-height: 1.6; }
-                    .retry-btn { 
-                        background: #3498db; 
-                        color: white; 
-                        padding: 1rem 2rem; 
-                        border: none; 
-                        border-radius: 5px; 
-                        cursor: pointer; 
-                        font-size: 1rem; 
-                        margin-top: 1rem; 
-                    }
-                </style>
-            </head>
-            <body>
-                <div class="offline-container">
-                    <h1>🔌 You're Offline</h1>
-                    <p>It looks like you're not connected to the internet. Some features may not be available.</p>
-                    <p>GGUF Loader works offline too! You can still browse cached content and use downloaded models.</p>
-                    <button class="retry-btn" onclick="window.location.reload()">Try Again</button>
-                </div>
-            </body>
-            </html>
-        `, {
-            status: 200,
-            headers: {
-                'Content-Type': 'text/html',
-                'Cache-Control': 'no-cache'
-            }
-        });
+    if (isPageUrl(url)) {
+        return createOfflinePage('🔌 You\'re Offline', `
+            <p>It looks like you're not connected to the internet. Some features may not be available.</p>
+            <p>GGUF Loader works offline too! You can still browse cached content and use downloaded models.</p>
+            <p><a href="${OFFLINE_INDEX_URL}">See the pages available offline</a></p>
+            <button class="retry-btn" onclick="window.location.reload()">Try Again</button>
+        `);
     }
     
     // For other resources, return a generic offline response
@@ -465,28 +1156,226 @@ function createOfflineResponse(request) {
 }
 
 /**
- * Handle background sync
+ * Handle background sync: replay the outbox. Rejecting while requests are
+ * still pending makes the browser schedule another sync with its own backoff.
  */
 async function handleBackgroundSync() {
-    // Implement background sync logic here
-    console.log('Service Worker: Handling background sync');
+    const status = await replayOutbox();
+    if (status.pending > 0) {
+        throw new Error(`Service Worker: ${status.pending} queued requests still pending`);
+    }
+}
+
+/**
+ * Queue a request. Entries are deduplicated by dedupeKey (or by their
+ * content), so a retried submit or a re-sent batch is only delivered once.
+ * Tries to deliver right away in case the connection is already back.
+ */
+async function addToOutbox(entry) {
+    if (!entry.url) {
+        throw new Error('Outbox entry needs a url');
+    }
+    
+    const method = (entry.method || 'POST').toUpperCase();
+    const body = entry.body === undefined ? null : String(entry.body);
+    const id = entry.dedupeKey || `${entry.kind || 'request'}:${hashString(`${method} ${entry.url} ${body}`)}`;
+    
+    if (await databaseRequest(OUTBOX, 'readonly', store => store.get(id))) {
+        return { id, queued: false, duplicate: true };
+    }
+    
+    await databaseRequest(OUTBOX, 'readwrite', store => store.put({
+        id,
+        kind: entry.kind || 'request',
+        url: entry.url,
+        method,
+        headers: entry.headers || {},
+        body,
+        mode: entry.mode || 'cors',
+        // Query parameter that receives the time spent queued (GA4's qt)
+        queueTimeParam: entry.queueTimeParam || null,
+        status: 'pending',
+        attempts: 0,
+        createdAt: Date.now(),
+        nextAttemptAt: 0,
+        lastError: null
+    }));
+    
+    await requestOutboxSync();
+    replayOutbox().catch(error => console.log('Service Worker: Outbox replay failed:', error));
+    return { id, queued: true, duplicate: false };
+}
+
+/**
+ * Send every due entry once; a replay already running is shared
+ */
+function replayOutbox() {
+    if (!outboxReplay) {
+        outboxReplay = flushOutbox().finally(() => {
+            outboxReplay = null;
+        });
+    }
+    return outboxReplay;
+}
+
+async function flushOutbox() {
+    const entries = await databaseRequest(OUTBOX, 'readonly', store => store.getAll());
+    
+    for (const entry of entries) {
+        if (Date.now() - entry.createdAt > OUTBOX.maxAge) {
+            await databaseRequest(OUTBOX, 'readwrite', store => store.delete(entry.id));
+        } else if (entry.status === 'pending' && entry.nextAttemptAt <= Date.now()) {
+            await deliverOutboxEntry(entry);
+        }
+    }
+    
+    const status = await getOutboxStatus();
+    if (status.pending > 0) {
+        await requestOutboxSync();
+    }
+    await notifyClients({ type: 'OUTBOX_STATUS', status });
+    return status;
+}
+
+async function deliverOutboxEntry(entry) {
+    let error;
     
-    // Example: Sync offline actions when back online
     try {
-        // Perform any queued actions
-        await syncOfflineActions();
+        const response = await fetch(getOutboxUrl(entry), {
+            method: entry.method,
+            headers: entry.headers,
+            body: entry.body,
+            mode: entry.mode,
+            credentials: 'omit'
+        });
+        
+        // no-cors requests (analytics beacons) come back opaque: sent is all we know
+        if (response.ok || response.type === 'opaque') {
+            await databaseRequest(OUTBOX, 'readwrite', store => store.delete(entry.id));
+            await notifyClients({ type: 'OUTBOX_DELIVERED', id: entry.id, kind: entry.kind });
+            return;
+        }
+        
+        error = `HTTP ${response.status}`;
+        // Other client errors will fail the same way on every retry
+        if (response.status >= 400 && response.status < 500 && ![408, 429].includes(response.status)) {
+            await databaseRequest(OUTBOX, 'readwrite', store => store.put({
+                ...entry, status: 'failed', attempts: entry.attempts + 1, lastError: error
+            }));
+            return;
+        }
+    } catch (fetchError) {
+        error = fetchError.message;
+    }
+    
+    const attempts = entry.attempts + 1;
+    await databaseRequest(OUTBOX, 'readwrite', store => store.put({
+        ...entry,
+        status: attempts >= OUTBOX.maxAttempts ? 'failed' : 'pending',
+        attempts,
+        nextAttemptAt: Date.now() + getRetryDelay(attempts),
+        lastError: error
+    }));
+}
+
+/**
+ * Exponential backoff: 30s, 1m, 2m, ... capped at OUTBOX.maxRetryDelay
+ */
+function getRetryDelay(attempts) {
+    return Math.min(OUTBOX.baseRetryDelay * 2 ** (attempts - 1), OUTBOX.maxRetryDelay);
+}
+
+function getOutboxUrl(entry) {
+    if (!entry.queueTimeParam) {
+        return entry.url;
+    }
+    
+    const url = new URL(entry.url, self.location.origin);
+    url.searchParams.set(entry.queueTimeParam, Date.now() - entry.createdAt);
+    return url.href;
+}
+
+/**
+ * Queue summary for pages: { pending, failed, byKind, nextAttemptAt, lastError }
+ */
+async function getOutboxStatus() {
+    const entries = await databaseRequest(OUTBOX, 'readonly', store => store.getAll());
+    const pending = entries.filter(entry => entry.status === 'pending');
+    const byKind = {};
+    pending.forEach(entry => {
+        byKind[entry.kind] = (byKind[entry.kind] || 0) + 1;
+    });
+    const latest = [...entries].sort((a, b) => b.createdAt - a.createdAt).find(entry => entry.lastError);
+    
+    return {
+        pending: pending.length,
+        failed: entries.length - pending.length,
+        byKind,
+        nextAttemptAt: pending.length > 0 ? Math.min(...pending.map(entry => entry.nextAttemptAt)) : null,
+        lastError: latest ? latest.lastError : null
+    };
+}
+
+/**
+ * Ask for a sync event once the browser is online (Chromium only; elsewhere
+ * pages trigger OUTBOX_REPLAY when they load or come back online)
+ */
+async function requestOutboxSync() {
+    if (!self.registration || !self.registration.sync) {
+        return;
+    }
+    
+    try {
+        await self.registration.sync.register(OUTBOX.syncTag);
     } catch (error) {
-        console.error('Service Worker: Background sync failed:', error);
+        console.log('Service Worker: Background sync unavailable:', error);
+    }
+}
+
+async function notifyClients(message) {
+    const clients = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    clients.forEach(client => client.postMessage(message));
+}
+
+function openDatabase(config) {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(config.dbName, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore(config.storeName, { keyPath: config.keyPath });
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Run one IndexedDB request against a store (OUTBOX or CACHE_META) in its
+ * own transaction
+ */
+async function databaseRequest(config, mode, callback) {
+    const db = await openDatabase(config);
+    
+    try {
+        return await new Promise((resolve, reject) => {
+            const transaction = db.transaction(config.storeName, mode);
+            const request = callback(transaction.objectStore(config.storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    } finally {
+        db.close();
     }
 }
 
 /**
- * Sync offline actions
+ * FNV-1a, enough to tell queued payloads apart
  */
-async function syncOfflineActions() {
-    // Implement offline action synchronization
-    // This could include form submissions, analytics events, etc.
-    console.log('Service Worker: Syncing offline actions');
+function hashString(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16);
 }
 
 /**
@@ -512,37 +1401,6 @@ function reportCachePerformance() {
     });
 }
 
-/**
- * Preload critical resources
- */
-async function preloadCriticalResources() {
-    const cache = await caches.open(STATIC_CACHE_NAME);
-    
-    // Preload additional critical resources
-    const criticalResources = [
-        '/styles.css',
-        '/floating-buttons.js'
-    ];
-    
-    return Promise.all(
-        criticalResources.map(async (url) => {
-            try {
-                const response = await fetch(url);
-                if (response.ok) {
-                    await cache.put(url, response);
-                }
-            } catch (error) {
-                console.log(`Service Worker: Failed to preload ${url}:`, error);
-            }
-        })
-    );
-}
-
-// Preload critical resources after installation
-self.addEventListener('install', event => {
-    event.waitUntil(preloadCriticalResources());
-});
-
 // Report cache performance periodically
 setInterval(reportCachePerformance, 300000); // Every 5 minutes
 
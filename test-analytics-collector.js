@@ -0,0 +1,265 @@
+#!/usr/bin/env node
+
+/**
+ * Unit tests for scripts/analytics-collector.js and scripts/analytics-metrics.js
+ * Each test starts a collector on a free port with its own temporary data
+ * directory; the fixture is two short sessions built by hand.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AnalyticsCollector = require('./scripts/analytics-collector.js');
+const AnalyticsMetrics = require('./scripts/analytics-metrics.js');
+const IntegrationDashboard = require('./scripts/integration-dashboard.js');
+const CrossPageDashboard = require('./scripts/cross-page-dashboard.js');
+
+const NOW = Date.now();
+let nextId = 0;
+
+function envelope(name, params, overrides = {}) {
+    nextId++;
+    return {
+        id: `event-${nextId}`,
+        name,
+        category: name === 'web_vital' ? 'performance' : 'behavior',
+        source: 'cross-page',
+        timestamp: NOW - 60000 + nextId * 1000,
+        sessionId: 'desktop',
+        page: '/',
+        params,
+        ...overrides
+    };
+}
+
+function pageLoad(sessionId, pagePath, width = 1280) {
+    return envelope('page_load', {
+        sessionId, page: { path: pagePath, title: pagePath }, user: { viewport: { width, height: 800 } }
+    }, { sessionId, page: pagePath });
+}
+
+function crossPageClick(sessionId, fromPage, href) {
+    return envelope('cross_page_navigation', {
+        sessionId,
+        page: fromPage,
+        source: { page: fromPage, section: 'features', linkText: 'Docs' },
+        target: { href, isExternal: false },
+        interaction: { timeOnPage: 4000 }
+    }, { sessionId, page: fromPage });
+}
+
+function webVital(sessionId, pagePath, metric, value) {
+    return envelope('web_vital', { event_category: 'Web Vitals', metric, value, rating: 'good' }, { sessionId, page: pagePath, source: 'web-vitals' });
+}
+
+/**
+ * Desktop: homepage → docs → quick start, downloads the app.
+ * Mobile: docs → homepage and leaves. LCP is reported twice on the mobile
+ * homepage; only the last report counts.
+ */
+function fixture() {
+    return [
+        pageLoad('desktop', '/'),
+        crossPageClick('desktop', '/', 'docs/installation/'),
+        pageLoad('desktop', '/docs/installation/'),
+        webVital('desktop', '/docs/installation/', 'LCP', 1800),
+        pageLoad('desktop', '/docs/quick-start/'),
+        envelope('file_download', { download_url: '/downloads/gguf-loader.zip' }, { sessionId: 'desktop', source: 'user-behavior' }),
+        pageLoad('mobile', '/docs/installation/', 390),
+        crossPageClick('mobile', '/docs/installation/', '../../index.html'),
+        pageLoad('mobile', '/index.html', 390),
+        webVital('mobile', '/index.html', 'LCP', 2000),
+        webVital('mobile', '/index.html', 'LCP', 3000)
+    ];
+}
+
+async function withCollector(fn, options = {}) {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'analytics-collector-'));
+    const collector = new AnalyticsCollector({ port: 0, dataDir, allowedOrigins: ['https://ggufloader.github.io'], readToken: null, ...options });
+    const port = await collector.start();
+    try {
+        await fn(`http://127.0.0.1:${port}`, collector);
+    } finally {
+        await collector.stop();
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+}
+
+function post(baseUrl, body, headers = {}) {
+    return fetch(`${baseUrl}/analytics/events`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: typeof body === 'string' ? body : JSON.stringify(body)
+    });
+}
+
+test('batches are validated per event and only envelopes are stored', async () => {
+    await withCollector(async (baseUrl, collector) => {
+        const valid = pageLoad('desktop', '/');
+        const response = await post(baseUrl, {
+            events: [
+                { ...valid, userAgent: 'not kept' },
+                envelope('made_up', {}),
+                envelope('scroll_depth', { scroll_depth: 50 }, { category: 'marketing' }),
+                envelope('scroll_depth', { scroll_depth: 50 }, { timestamp: NOW + 3 * 24 * 60 * 60 * 1000 }),
+                envelope('search', { results_count: 3 })
+            ],
+            sentAt: NOW
+        });
+
+        assert.equal(response.status, 202);
+        const result = await response.json();
+        assert.equal(result.accepted, 1);
+        assert.deepEqual(result.rejected.map(entry => [entry.index, entry.errors]), [
+            [1, ['Unknown event "made_up"']],
+            [2, ['scroll_depth: category should be "behavior", not "marketing"']],
+            [3, ['"timestamp" is outside the accepted range']],
+            [4, ['search: missing required parameter "search_term"']]
+        ]);
+
+        const [file] = collector.listDayFiles();
+        const stored = fs.readFileSync(file.path, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+        assert.equal(stored.length, 1);
+        assert.deepEqual(Object.keys(stored[0]),
+            ['id', 'name', 'category', 'source', 'timestamp', 'sessionId', 'page', 'params', 'receivedAt']);
+    });
+});
+
+test('malformed, oversized and foreign-origin requests are refused', async () => {
+    await withCollector(async baseUrl => {
+        assert.equal((await post(baseUrl, '{"events": [')).status, 400);
+        assert.equal((await post(baseUrl, { batch: [] })).status, 400);
+        assert.equal((await post(baseUrl, { events: Array(501).fill({}) })).status, 413);
+        assert.equal((await post(baseUrl, { events: [] }, { Origin: 'https://example.com' })).status, 403);
+
+        const preflight = await fetch(`${baseUrl}/analytics/events`, {
+            method: 'OPTIONS',
+            headers: { Origin: 'https://ggufloader.github.io', 'Access-Control-Request-Method': 'POST' }
+        });
+        assert.equal(preflight.status, 204);
+        assert.equal(preflight.headers.get('access-control-allow-origin'), 'https://ggufloader.github.io');
+
+        // Beacons arrive as text/plain
+        const beacon = await post(baseUrl, { events: [pageLoad('beacon', '/')] }, { 'Content-Type': 'text/plain' });
+        assert.equal((await beacon.json()).accepted, 1);
+        assert.equal((await fetch(`${baseUrl}/analytics/unknown`)).status, 404);
+    });
+});
+
+test('query endpoints filter by date range, name and session', async () => {
+    await withCollector(async baseUrl => {
+        const old = { ...pageLoad('old', '/'), timestamp: NOW - 10 * 24 * 60 * 60 * 1000 };
+        await post(baseUrl, { events: [old, ...fixture()] });
+
+        const week = await (await fetch(`${baseUrl}/analytics/events?name=page_load`)).json();
+        assert.equal(week.total, 5);
+        assert.ok(week.events.every(event => event.name === 'page_load'));
+
+        const mobile = await (await fetch(`${baseUrl}/analytics/events?sessionId=mobile&limit=2`)).json();
+        assert.equal(mobile.total, 5);
+        assert.deepEqual(mobile.events.map(event => event.params.value), [2000, 3000]);
+
+        const month = await (await fetch(`${baseUrl}/analytics/summary?days=30`)).json();
+        assert.equal(month.sessions, 3);
+        assert.equal(month.byName.page_load, 6);
+        assert.deepEqual(month.bySource, { 'cross-page': 8, 'user-behavior': 1, 'web-vitals': 3 });
+
+        const range = new Date(old.timestamp).toISOString().slice(0, 10);
+        const oneDay = await (await fetch(`${baseUrl}/analytics/summary?from=${range}&to=${old.timestamp + 1}`)).json();
+        assert.equal(oneDay.events, 1);
+        assert.equal((await fetch(`${baseUrl}/analytics/summary?from=yesterday`)).status, 400);
+    });
+});
+
+test('metrics come from the sessions: navigation, journeys and bounces', () => {
+    const events = fixture();
+    const metrics = new AnalyticsMetrics([...events, events[1]]).integration();
+    const navigation = metrics.crossPageNavigation;
+
+    assert.equal(metrics.sessions, 2);
+    assert.equal(navigation.totalCrossPageClicks, 2);
+    assert.equal(navigation.homepageToDocsClicks, 1);
+    assert.equal(navigation.docsToHomepageClicks, 1);
+    assert.deepEqual(navigation.mostPopularPaths[0], { from: '/#features', to: '/docs/installation/', clicks: 1 });
+    assert.equal(navigation.averageTimeToClick, 4);
+    assert.equal(navigation.clickThroughRate, 1);
+    assert.equal(navigation.bounceRateAfterCrossPage, 0.5);
+
+    const journeys = metrics.userJourneys;
+    assert.equal(journeys.averagePagesPerSession, 2.5);
+    assert.equal(journeys.goalCompletionRate, 0.5);
+    assert.deepEqual(journeys.commonJourneyPaths.map(journey => [journey.path, journey.conversionRate]), [
+        ['/ → /docs/installation/ → /docs/quick-start/', 1],
+        ['/docs/installation/ → /index.html', 0]
+    ]);
+    assert.deepEqual(metrics.featureUsage, { contextualLinks: 1, breadcrumbNav: 0, contentPreviews: 0, relatedContent: 0 });
+
+    // No preview events at all: rates are unknown, not zero
+    assert.equal(metrics.contentPreviews.conversionRate, null);
+});
+
+test('web vitals count once per page view and split by mobile and cross-page arrival', () => {
+    const metrics = new AnalyticsMetrics(fixture());
+    const performance = metrics.performance();
+
+    assert.equal(performance.averagePageLoadTime, 2.4);
+    assert.equal(performance.crossPageNavigationTime, 2.4);
+    assert.equal(performance.mobilePerformance.averageLoadTime, 3);
+    assert.deepEqual(performance.coreWebVitals, { lcp: 3, fid: null, cls: null });
+    assert.deepEqual(metrics.crossPage().webVitals, { LCP: { p75: 3000, samples: 2 } });
+    assert.equal(new AnalyticsMetrics([]).performance().averagePageLoadTime, null);
+});
+
+test('the dashboards read their metrics from the collector', async () => {
+    await withCollector(async baseUrl => {
+        await post(baseUrl, { events: fixture() });
+
+        const dashboard = Object.assign(Object.create(IntegrationDashboard.prototype), { collectorUrl: baseUrl, days: 7 });
+        const metrics = await dashboard.collectMetrics();
+        assert.equal(metrics.crossPageNavigation.totalCrossPageClicks, 2);
+        assert.equal(metrics.featureFlags.phase1Adoption, 100);
+        assert.equal(metrics.featureFlags.featureUsage.contextualLinks, 1);
+        const analysis = dashboard.analyzeMetrics(metrics).analysis;
+        // Only LCP was measured, and it is over target
+        assert.equal(analysis.performance.coreWebVitalsStatus, 'poor');
+
+        const usage = await CrossPageDashboard.prototype.fetchUsage.call({ collectorUrl: baseUrl });
+        assert.equal(usage.pageViews, 5);
+        assert.equal(usage.crossPageClicks, 2);
+    });
+
+    const offline = Object.assign(Object.create(IntegrationDashboard.prototype), { collectorUrl: 'http://127.0.0.1:9', days: 7 });
+    await assert.rejects(offline.collectMetrics(), /Cannot reach the analytics collector.*npm run analytics:collector/);
+});
+
+test('reading events needs the read token, or a local request when none is set', async () => {
+    await withCollector(async (baseUrl, collector) => {
+        assert.equal((await post(baseUrl, { events: fixture() })).status, 202, 'posting needs no token');
+
+        const anonymous = await fetch(`${baseUrl}/analytics/events`);
+        assert.equal(anonymous.status, 401);
+        assert.match(anonymous.headers.get('www-authenticate'), /^Bearer/);
+        const wrong = await fetch(`${baseUrl}/analytics/summary`, { headers: { Authorization: 'Bearer guess' } });
+        assert.equal(wrong.status, 401);
+        const authorized = await fetch(`${baseUrl}/analytics/summary`, { headers: { Authorization: 'Bearer s3cret' } });
+        assert.equal(authorized.status, 200);
+
+        // Health is public and says nothing about where events are stored
+        const health = await (await fetch(`${baseUrl}/analytics/health`)).json();
+        assert.deepEqual(Object.keys(health), ['status', 'startedAt']);
+
+        const dashboard = Object.assign(Object.create(IntegrationDashboard.prototype), { collectorUrl: baseUrl, days: 7, readToken: 's3cret' });
+        assert.equal((await dashboard.collectMetrics()).crossPageNavigation.totalCrossPageClicks, 2);
+        const usage = await CrossPageDashboard.prototype.fetchUsage.call({ collectorUrl: baseUrl, readToken: 's3cret' });
+        assert.equal(usage.pageViews, 5);
+
+        // Without a token only loopback requests may read
+        collector.config.readToken = null;
+        const request = remoteAddress => ({ headers: {}, socket: { remoteAddress } });
+        assert.equal(collector.isAuthorizedReader(request('127.0.0.1')), true);
+        assert.equal(collector.isAuthorizedReader(request('::1')), true);
+        assert.equal(collector.isAuthorizedReader(request('203.0.113.7')), false);
+    }, { readToken: 's3cret' });
+});
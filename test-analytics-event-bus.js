@@ -0,0 +1,240 @@
+#!/usr/bin/env node
+
+/**
+ * Unit tests for js/analytics-event-bus.js
+ * Runs the bus without a browser; transports are recording stubs.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const AnalyticsEventBus = require('./js/analytics-event-bus.js');
+
+const buses = [];
+
+// Pending flush timers would keep the process alive
+test.after(() => buses.forEach(bus => bus.flush()));
+
+function createBus(options = {}) {
+    const bus = new AnalyticsEventBus({ flushInterval: 60000, ...options });
+    buses.push(bus);
+    const sent = { immediate: [], batched: [] };
+    bus.addTransport({ name: 'immediate', batched: false, send: events => sent.immediate.push(...events) });
+    bus.addTransport({ name: 'batched', batched: true, send: events => sent.batched.push(events) });
+    return { bus, sent };
+}
+
+function quietly(fn) {
+    const { warn } = console;
+    const warnings = [];
+    console.warn = (...args) => warnings.push(args.join(' '));
+    try {
+        fn();
+    } finally {
+        console.warn = warn;
+    }
+    return warnings;
+}
+
+test('events are checked against the typed schema', () => {
+    const bus = new AnalyticsEventBus();
+
+    assert.deepEqual(bus.validate('search', { search_term: 'mistral', results_count: 3 }), []);
+    assert.deepEqual(bus.validate('search', { results_count: '3' }), [
+        'search: missing required parameter "search_term"',
+        'search: "results_count" should be number, not string'
+    ]);
+    assert.deepEqual(bus.validate('page_view', { extra: { nested: true } }),
+        ['page_view: undeclared parameter "extra" must be a string, number or boolean']);
+    assert.deepEqual(bus.validate('made_up', {}), ['Unknown event "made_up"']);
+
+    const { bus: rejecting, sent } = createBus();
+    rejecting.setConsent(true);
+    const warnings = quietly(() => assert.equal(rejecting.publish('made_up', {}), null));
+    assert.match(warnings[0], /Unknown event "made_up"/);
+    assert.equal(sent.immediate.length, 0);
+    assert.equal(rejecting.getStatus().invalid, 1);
+});
+
+test('tool events from the comparison, search and inspector pages are in the schema', () => {
+    const bus = new AnalyticsEventBus();
+
+    assert.deepEqual(bus.validate('model_compare', { model_ids: 'mistral-7b-instruct,phi-3-mini' }), []);
+    assert.deepEqual(bus.validate('model_download', { model_id: 'mistral-7b-instruct' }), []);
+    assert.deepEqual(bus.validate('search_result_click', { search_term: 'gpu', result_url: '/guides.html' }), []);
+    assert.deepEqual(bus.validate('gguf_inspect', { architecture: 'llama', file_type: 'Q4_K_M' }), []);
+    assert.deepEqual(bus.validate('model_compare', {}), ['model_compare: missing required parameter "model_ids"']);
+});
+
+test('events wait for consent; granting releases them and denying drops them', () => {
+    const { bus, sent } = createBus();
+
+    bus.publish('scroll_depth', { scroll_depth: 50 }, { source: 'analytics' });
+    assert.equal(sent.immediate.length, 0);
+    assert.equal(bus.getStatus().pending, 1);
+
+    bus.setConsent(true);
+    assert.deepEqual(sent.immediate.map(event => [event.name, event.category, event.source]),
+        [['scroll_depth', 'behavior', 'analytics']]);
+
+    const { bus: denied, sent: deniedSent } = createBus();
+    denied.publish('scroll_depth', { scroll_depth: 50 });
+    denied.setConsent(false);
+    denied.publish('scroll_depth', { scroll_depth: 75 });
+    assert.equal(deniedSent.immediate.length, 0);
+    assert.equal(denied.getStatus().dropped, 2);
+});
+
+test('essential events are sent before any consent decision', () => {
+    const { bus, sent } = createBus();
+
+    bus.publish('consent_updated', { performance: false, behavior: false, marketing: false, source: 'banner' });
+    assert.equal(sent.immediate[0].name, 'consent_updated');
+});
+
+test('consent is kept per category and withdrawing it forgets stored events', () => {
+    const { bus, sent } = createBus();
+    const forgotten = [];
+    bus.addTransport({ name: 'store', batched: true, send: () => {}, forget: categories => forgotten.push(categories) });
+
+    bus.publish('scroll_depth', { scroll_depth: 50 });
+    bus.publish('web_vital', { metric: 'LCP', value: 1800 });
+    bus.setConsent({ performance: true });
+    assert.deepEqual(sent.immediate.map(event => event.name), ['web_vital']);
+    assert.deepEqual(bus.getStatus().consent, { performance: 'granted', behavior: 'denied', marketing: 'denied' });
+    assert.equal(bus.getStatus().dropped, 1);
+    assert.equal(bus.hasConsent('behavior'), false);
+    assert.equal(bus.hasConsent(), true);
+
+    bus.setConsent({ behavior: true });
+    bus.publish('web_vital', { metric: 'CLS', value: 0.05 });
+    bus.publish('scroll_depth', { scroll_depth: 75 });
+    assert.deepEqual(sent.immediate.map(event => event.name), ['web_vital', 'scroll_depth']);
+    assert.deepEqual(forgotten, [['performance']]);
+    // Events still waiting for a batch are dropped with the category
+    assert.deepEqual(bus.buffer.map(event => event.name), ['scroll_depth']);
+});
+
+test('batched transports get events in batches of batchSize or on flush', () => {
+    const { bus, sent } = createBus({ batchSize: 3 });
+    bus.setConsent(true);
+
+    [25, 50, 75, 90].forEach(depth => bus.publish('scroll_depth', { scroll_depth: depth }));
+    assert.equal(sent.immediate.length, 4);
+    assert.deepEqual(sent.batched.map(batch => batch.length), [3]);
+
+    bus.flush({ unloading: true });
+    assert.deepEqual(sent.batched.map(batch => batch.length), [3, 1]);
+    bus.flush();
+    assert.equal(sent.batched.length, 2);
+});
+
+test('a failing transport or subscriber does not stop the others', async () => {
+    const { bus, sent } = createBus();
+    const seen = [];
+    bus.addTransport({ name: 'broken', batched: false, send: () => { throw new Error('down'); } });
+    bus.addTransport({ name: 'rejecting', batched: false, send: async () => { throw new Error('offline'); } });
+    bus.subscribe(() => { throw new Error('bad listener'); });
+    const unsubscribe = bus.subscribe(event => seen.push(event.name));
+    bus.setConsent(true);
+
+    const { warn } = console;
+    const warnings = [];
+    console.warn = (...args) => warnings.push(args.join(' '));
+    try {
+        bus.publish('scroll_depth', { scroll_depth: 25 });
+        await new Promise(resolve => setImmediate(resolve));
+    } finally {
+        console.warn = warn;
+    }
+    assert.equal(sent.immediate.length, 1);
+    assert.deepEqual(seen, ['scroll_depth']);
+    assert.ok(warnings.some(warning => /"broken" failed/.test(warning)));
+    assert.ok(warnings.some(warning => /"rejecting" failed/.test(warning)));
+
+    bus.removeTransport('broken');
+    bus.removeTransport('rejecting');
+    unsubscribe();
+    quietly(() => bus.publish('scroll_depth', { scroll_depth: 50 }));
+    assert.deepEqual(seen, ['scroll_depth']);
+    assert.throws(() => bus.addTransport({ name: 'nameless' }), /need a name and a send/);
+});
+
+test('sampling is decided once per session and key', () => {
+    const bus = new AnalyticsEventBus({ sampleRates: { behavior: 0, performance: 100 } });
+
+    assert.equal(bus.isSampled('behavior'), false);
+    assert.equal(bus.isSampled('performance'), true);
+    assert.equal(bus.isSampled('essential', 0), true);
+
+    const rates = Array.from({ length: 200 }, (_, i) => {
+        bus.sessionId = `session_${i}`;
+        return bus.isSampled('heatmap', 25);
+    });
+    const share = rates.filter(Boolean).length / rates.length;
+    assert.ok(share > 0.15 && share < 0.35, `${share} of sessions sampled at 25%`);
+    assert.equal(bus.isSampled('heatmap', 25), bus.isSampled('heatmap', 25));
+
+    const { bus: sampled, sent } = createBus({ sampleRates: { behavior: 0 } });
+    sampled.setConsent(true);
+    sampled.publish('scroll_depth', { scroll_depth: 25 });
+    assert.equal(sent.immediate.length, 0);
+    assert.equal(sampled.getStatus().sampledOut, 1);
+});
+
+test('GA4 gets flat parameters and localStorage keeps the newest events', () => {
+    const ga4 = new AnalyticsEventBus.GA4Transport();
+    const params = ga4.toParams({
+        params: { page: '/docs/', source: { page: '/', deep: { x: 1 } }, events: [1, 2], visible: true }
+    });
+    assert.deepEqual(params, { page: '/docs/', source_page: '/', visible: true });
+
+    const store = new Map();
+    global.localStorage = {
+        getItem: key => store.has(key) ? store.get(key) : null,
+        setItem: (key, value) => store.set(key, String(value)),
+        removeItem: key => store.delete(key)
+    };
+    try {
+        const storage = new AnalyticsEventBus.LocalStorageTransport({ maxEvents: 3 });
+        storage.send([{ id: 1 }, { id: 2 }]);
+        storage.send([{ id: 3 }, { id: 4 }]);
+        assert.deepEqual(storage.read().map(event => event.id), [2, 3, 4]);
+        storage.send([{ id: 5, category: 'performance' }]);
+        storage.forget(['performance']);
+        assert.deepEqual(storage.read().map(event => event.id), [3, 4]);
+        storage.clear();
+        assert.deepEqual(storage.read(), []);
+    } finally {
+        delete global.localStorage;
+    }
+});
+
+test('collector queries send the read token and ask for it after a 401', async () => {
+    const store = new Map();
+    const requests = [];
+    const prompts = [];
+    global.sessionStorage = {
+        getItem: key => store.has(key) ? store.get(key) : null,
+        setItem: (key, value) => store.set(key, String(value))
+    };
+    global.window = { prompt: message => prompts.push(message) && ' secret ' };
+    global.fetch = async (url, options) => {
+        requests.push(options.headers.Authorization);
+        return { status: options.headers.Authorization === 'Bearer secret' ? 200 : 401 };
+    };
+    try {
+        const response = await AnalyticsEventBus.CollectorTransport.query('/analytics/events');
+        assert.equal(response.status, 200);
+        assert.deepEqual(requests, [undefined, 'Bearer secret']);
+        assert.equal(prompts.length, 1);
+
+        // The stored token is sent straight away on later queries
+        await AnalyticsEventBus.CollectorTransport.query('/analytics/events');
+        assert.deepEqual(requests.slice(2), ['Bearer secret']);
+        assert.equal(prompts.length, 1);
+    } finally {
+        delete global.sessionStorage;
+        delete global.window;
+        delete global.fetch;
+    }
+});
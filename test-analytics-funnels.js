@@ -0,0 +1,183 @@
+#!/usr/bin/env node
+
+/**
+ * Unit tests for js/analytics-funnels.js
+ * Covers step matching, conversion and drop-off over event bus envelopes
+ * and the chart markup shared by the HTML report and the dashboard.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { JSDOM } = require('jsdom');
+const FunnelAnalyzer = require('./js/analytics-funnels.js');
+const AnalyticsEventBus = require('./js/analytics-event-bus.js');
+
+let sequence = 0;
+
+function envelope(sessionId, timestamp, page, name, params = {}) {
+    sequence++;
+    return { id: `event-${sequence}`, name, category: 'behavior', source: 'site', timestamp, sessionId, page, params };
+}
+
+function pageView(sessionId, timestamp, page) {
+    return envelope(sessionId, timestamp, page, 'page_view', { page_path: page });
+}
+
+function starGate(sessionId, timestamp, action, gated = true) {
+    return envelope(sessionId, timestamp, '/', 'star_gate', { action, download_url: 'https://github.com/GGUFloader/gguf-loader/releases', gated });
+}
+
+// Five sessions through the default funnel
+function sessions() {
+    return [
+        // Use case, download, continues from the modal
+        pageView('a', 1, '/use-cases/how-local-ai-automates-insurance/'),
+        pageView('a', 2, '/'),
+        starGate('a', 3, 'click'),
+        starGate('a', 4, 'continue'),
+        // Blog article, returning supporter skips the modal
+        pageView('b', 1, '/what-is-gguf.html'),
+        starGate('b', 2, 'click', false),
+        starGate('b', 3, 'bypass', false),
+        // Blog article, closes the modal
+        pageView('c', 1, '/2025-07-07-top-10-gguf-models-i5-16gb.html'),
+        starGate('c', 2, 'click'),
+        starGate('c', 3, 'dismiss'),
+        // Blog article, never clicks a download
+        pageView('d', 1, '/ai-legal-research-for-law-firms.html'),
+        // Lands on the homepage: not in the funnel even though it downloads
+        pageView('e', 1, '/'),
+        pageView('e', 2, '/what-is-gguf.html'),
+        starGate('e', 3, 'click'),
+        starGate('e', 4, 'continue')
+    ];
+}
+
+test('the default funnel follows landing pages through the star gate', () => {
+    const [result] = new FunnelAnalyzer().analyze(sessions());
+
+    assert.equal(result.id, 'article-to-download');
+    assert.equal(result.sessions, 5);
+    assert.equal(result.entered, 4);
+    assert.equal(result.completed, 2);
+    assert.equal(result.conversionRate, 0.5);
+    assert.deepEqual(result.steps.map(step => [step.sessions, step.conversionRate, step.dropOff, step.dropOffRate]), [
+        [4, null, 0, null],
+        [3, 0.75, 1, 0.25],
+        [2, 0.6667, 1, 0.3333]
+    ]);
+    assert.deepEqual(result.steps.map(step => step.overallRate), [1, 0.75, 0.5]);
+});
+
+test('steps must happen in order within one session', () => {
+    const analyzer = new FunnelAnalyzer([{
+        id: 'search-to-docs',
+        name: 'Search to documentation',
+        steps: [
+            { name: 'Searched', event: 'search' },
+            { name: 'Opened the docs', pages: ['/docs/*'] }
+        ]
+    }]);
+    const events = [
+        // Docs before searching does not count
+        pageView('late', 1, '/docs/quick-start/'),
+        envelope('late', 2, '/search.html', 'search', { search_term: 'gguf' }),
+        envelope('ordered', 1, '/search.html', 'search', { search_term: 'gguf' }),
+        pageView('ordered', 2, '/docs/installation/')
+    ];
+    // The same event stored twice by a retried batch counts once
+    events.push({ ...events[3] });
+
+    const [result] = analyzer.analyze(events);
+    assert.deepEqual(result.steps.map(step => step.sessions), [2, 1]);
+    assert.equal(result.steps[1].dropOffRate, 0.5);
+
+    // Sessions are split by sessionId, not by arrival order
+    const shuffled = [...events].reverse();
+    assert.deepEqual(analyzer.analyze(shuffled)[0].steps.map(step => step.sessions), [2, 1]);
+});
+
+test('page patterns, entry steps and parameter lists', () => {
+    const article = ['/20??-*.html', '/use-cases/*'];
+    assert.equal(FunnelAnalyzer.matchPage(article, '/2025-07-07-top-10-gguf-models-i5-16gb.html'), true);
+    assert.equal(FunnelAnalyzer.matchPage(article, '/use-cases/how-local-ai-automates-travel.html'), true);
+    assert.equal(FunnelAnalyzer.matchPage(article, '/blog.html'), false);
+    assert.equal(FunnelAnalyzer.matchPage(['/what-is-gguf.html'], '/what-is-ggufxhtml'), false);
+    assert.equal(FunnelAnalyzer.matchPage(article, null), false);
+
+    const passed = { event: 'star_gate', params: { action: ['continue', 'bypass'] } };
+    assert.equal(FunnelAnalyzer.matchEvent(passed, starGate('a', 1, 'bypass')), true);
+    assert.equal(FunnelAnalyzer.matchEvent(passed, starGate('a', 1, 'dismiss')), false);
+    assert.equal(FunnelAnalyzer.matchEvent(passed, pageView('a', 1, '/')), false);
+
+    assert.deepEqual(new FunnelAnalyzer().analyze([])[0].steps.map(step => step.conversionRate), [null, null, null]);
+});
+
+test('invalid definitions are rejected with every problem listed', () => {
+    assert.deepEqual(FunnelAnalyzer.validate(FunnelAnalyzer.DEFAULT_FUNNELS[0]), []);
+    assert.deepEqual(FunnelAnalyzer.validate({ id: 'x', name: 'X', steps: [{ name: 'Only' }] }), ['Funnels need at least two steps']);
+    assert.deepEqual(FunnelAnalyzer.validate({
+        id: 'x',
+        steps: [{ name: 'Landing', pages: '/docs/*' }, { event: 'search', entry: true }]
+    }), [
+        'Funnels need a string "name"',
+        'Step 1: "pages" must be an array of path patterns',
+        'Step 2 needs a "name"',
+        'Step 2: only the first step can be an entry step'
+    ]);
+
+    const analyzer = new FunnelAnalyzer();
+    assert.throws(() => analyzer.define({ id: 'broken', name: 'Broken', steps: [] }), /Invalid funnel "broken"/);
+
+    // Defining an existing id replaces it
+    analyzer.define({ ...FunnelAnalyzer.DEFAULT_FUNNELS[0], name: 'Renamed' });
+    assert.deepEqual(analyzer.funnels.map(funnel => funnel.name), ['Renamed']);
+});
+
+test('star gate events pass the event bus schema', () => {
+    const bus = new AnalyticsEventBus();
+    assert.deepEqual(bus.validate('star_gate', { action: 'click', download_url: 'https://example.com/a.exe', gated: true }), []);
+    assert.equal(bus.validate('star_gate', { gated: false }).length, 1);
+});
+
+test('charts show each step with its drop-off', () => {
+    const [result] = new FunnelAnalyzer().analyze(sessions());
+    const html = FunnelAnalyzer.renderChart({ ...result, name: 'Articles <to> downloads' });
+
+    assert.match(html, /data-funnel="article-to-download"/);
+    assert.match(html, /Articles &lt;to&gt; downloads/);
+    assert.match(html, /4 of 5 sessions entered · 50\.0% completed/);
+    assert.match(html, /width: 75\.0%/);
+    assert.match(html, /1 dropped off \(33\.3%\), 66\.7% continued/);
+    assert.equal((html.match(/class="funnel-step"/g) || []).length, 3);
+});
+
+test('funnel reports read the collector with the read token', async () => {
+    const dom = new JSDOM('<!DOCTYPE html><body></body>', { url: 'http://localhost/', runScripts: 'outside-only' });
+    const { window } = dom;
+    const requests = [];
+
+    window.ANALYTICS_CONFIG = { eventBus: { collector: { enabled: true, endpoint: '/analytics/events' } } };
+    window.fetch = async (url, options = {}) => {
+        requests.push({ url: String(url), authorization: options.headers?.Authorization });
+        return { ok: true, status: 200, json: async () => ({ events: [pageView('s1', 1500, '/')] }) };
+    };
+    window.console = { ...console, log() {} };
+    window.sessionStorage.setItem('analyticsReadToken', 'secret');
+    ['js/analytics-event-bus.js', 'js/analytics-funnels.js', 'js/analytics-reporting-system.js']
+        .forEach(file => window.eval(fs.readFileSync(file, 'utf8')));
+
+    try {
+        // The reporting system starts itself once the document is parsed
+        if (window.document.readyState === 'loading') {
+            await new Promise(resolve => window.document.addEventListener('DOMContentLoaded', resolve));
+        }
+        const events = await window.AnalyticsReportingSystem.collectSessionEvents({ start: 1000, end: 2000 });
+        const query = requests.find(request => request.url.includes('limit='));
+        assert.equal(query.authorization, 'Bearer secret');
+        assert.deepEqual([...events].map(event => event.name), ['page_view']);
+    } finally {
+        window.close();
+    }
+});
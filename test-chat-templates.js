@@ -0,0 +1,85 @@
+#!/usr/bin/env node
+
+/**
+ * Unit tests for js/chat-templates.js
+ * Expected prompts are written out by hand from each format's reference template.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const ChatTemplateRenderer = require('./js/chat-templates.js');
+
+const renderer = new ChatTemplateRenderer();
+const conversation = {
+    system: 'Be brief.',
+    messages: [
+        { role: 'user', content: 'Hi' },
+        { role: 'assistant', content: 'Hello!' },
+        { role: 'user', content: 'What is GGUF?' }
+    ]
+};
+
+test('ChatML gives the system prompt its own turn', () => {
+    const result = renderer.render('chatml', conversation);
+
+    assert.equal(result.text, [
+        '<|im_start|>system\nBe brief.<|im_end|>\n',
+        '<|im_start|>user\nHi<|im_end|>\n',
+        '<|im_start|>assistant\nHello!<|im_end|>\n',
+        '<|im_start|>user\nWhat is GGUF?<|im_end|>\n',
+        '<|im_start|>assistant\n'
+    ].join(''));
+    assert.deepEqual(result.stop, ['<|im_end|>']);
+    assert.deepEqual(result.warnings, []);
+});
+
+test('Llama 2 wraps the system prompt in <<SYS>> inside the first instruction', () => {
+    const result = renderer.render('llama-2', conversation);
+
+    assert.equal(result.text,
+        '<s>[INST] <<SYS>>\nBe brief.\n<</SYS>>\n\nHi [/INST] Hello! </s><s>[INST] What is GGUF? [/INST] ');
+});
+
+test('Mistral has no system role and says so', () => {
+    const result = renderer.render('mistral', conversation);
+
+    assert.equal(result.text, '<s>[INST] Be brief.\n\nHi [/INST]Hello!</s>[INST] What is GGUF? [/INST]');
+    assert.deepEqual(result.warnings, ['Mistral [INST] has no system role, so the system prompt is sent as the start of the first user message']);
+});
+
+test('segments separate format markers from conversation text', () => {
+    const result = renderer.render('alpaca', { system: 'Sys', messages: [{ role: 'user', content: 'Do it' }] });
+
+    assert.deepEqual(result.segments, [
+        { text: 'Sys', type: 'system' },
+        { text: '\n\n### Instruction:\n', type: 'template' },
+        { text: 'Do it', type: 'user' },
+        { text: '\n\n### Response:\n', type: 'template' }
+    ]);
+    assert.equal(renderer.render('alpaca', { messages: [{ role: 'user', content: 'Do it' }], addGenerationPrompt: false }).text,
+        '### Instruction:\nDo it\n\n');
+});
+
+test('out-of-order turns and unknown families are reported', () => {
+    const result = renderer.render('llama-3', { messages: [{ role: 'assistant', content: 'Hi' }] });
+
+    assert.match(result.warnings[0], /Turn 1 should be a user message in Llama 3, not assistant/);
+    assert.throws(() => renderer.render('llama-9', conversation), /Unknown chat template family "llama-9"/);
+});
+
+test('HTML output escapes conversation text and marks newlines', () => {
+    const html = renderer.toHTML(renderer.render('chatml', { messages: [{ role: 'user', content: '<b>hi</b>' }] }));
+
+    assert.match(html, /<span class="ct-user">&lt;b&gt;hi&lt;\/b&gt;<\/span>/);
+    assert.match(html, /<span class="ct-template">&lt;\|im_start\|&gt;user<span class="ct-newline" aria-hidden="true">↵<\/span>\n<\/span>/);
+});
+
+test('every catalog model names a known prompt format', () => {
+    const catalog = JSON.parse(fs.readFileSync(path.join(__dirname, 'data', 'models.json'), 'utf8'));
+
+    catalog.models.forEach(model => {
+        assert.ok(ChatTemplateRenderer.FAMILIES[model.chatTemplate], `${model.id}: ${model.chatTemplate}`);
+    });
+});
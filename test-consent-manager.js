@@ -0,0 +1,151 @@
+#!/usr/bin/env node
+
+/**
+ * Unit tests for js/consent-manager.js
+ * Runs without a browser: localStorage is a Map, window and document are
+ * bare EventTargets and navigator is replaced per test.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { setMaxListeners } = require('node:events');
+const ConsentManager = require('./js/consent-manager.js');
+const AnalyticsEventBus = require('./js/analytics-event-bus.js');
+
+const store = new Map();
+global.localStorage = {
+    getItem: key => store.has(key) ? store.get(key) : null,
+    setItem: (key, value) => store.set(key, String(value)),
+    removeItem: key => store.delete(key)
+};
+global.window = Object.assign(new EventTarget(), { location: { pathname: '/' } });
+global.document = new EventTarget();
+// Every manager and bus created here listens on window
+setMaxListeners(0, global.window);
+
+function withNavigator(value, fn) {
+    Object.defineProperty(global, 'navigator', { value, configurable: true, writable: true });
+    try {
+        return fn();
+    } finally {
+        Object.defineProperty(global, 'navigator', { value: {}, configurable: true, writable: true });
+    }
+}
+
+test.beforeEach(() => {
+    store.clear();
+    delete global.window.analyticsEventBus;
+    Object.defineProperty(global, 'navigator', { value: {}, configurable: true, writable: true });
+});
+
+test('every optional category is off until the visitor decides', () => {
+    const manager = new ConsentManager();
+
+    assert.deepEqual(manager.getState(), {
+        categories: { essential: true, performance: false, behavior: false, marketing: false },
+        decided: false,
+        signal: null,
+        updatedAt: null
+    });
+
+    manager.update({ performance: true, marketing: 'yes' });
+    assert.equal(manager.isAllowed('performance'), true);
+    assert.equal(manager.isAllowed('marketing'), false);
+    assert.equal(new ConsentManager().isAllowed('performance'), true);
+
+    // Decisions expire
+    const stored = JSON.parse(store.get('gguf-loader-consent'));
+    stored.updatedAt = new Date(Date.now() - 31 * 24 * 60 * 60 * 1000).toISOString();
+    store.set('gguf-loader-consent', JSON.stringify(stored));
+    assert.equal(new ConsentManager().hasDecided(), false);
+    assert.equal(store.has('gguf-loader-consent'), false);
+});
+
+test('the single analytics_consent value is migrated to categories', () => {
+    store.set('analytics_consent', 'granted');
+    store.set('analytics_consent_date', new Date().toISOString());
+    const granted = new ConsentManager().getState();
+    assert.deepEqual(granted.categories, { essential: true, performance: true, behavior: true, marketing: true });
+    assert.equal(store.has('analytics_consent'), false);
+    assert.equal(store.has('analytics_consent_date'), false);
+
+    store.clear();
+    store.set('analytics_consent', 'denied');
+    const denied = new ConsentManager().getState();
+    assert.equal(denied.decided, true);
+    assert.equal(denied.categories.behavior, false);
+});
+
+test('Global Privacy Control and Do Not Track keep optional categories off', () => {
+    withNavigator({ globalPrivacyControl: true }, () => {
+        const manager = new ConsentManager();
+        assert.equal(manager.getState().signal, 'gpc');
+        assert.equal(manager.hasDecided(), true);
+        manager.acceptAll();
+        assert.equal(manager.isAllowed('behavior'), false);
+    });
+
+    withNavigator({ doNotTrack: '1' }, () => {
+        assert.equal(new ConsentManager().getState().signal, 'dnt');
+        assert.equal(new ConsentManager({ respectDoNotTrack: false }).getState().signal, null);
+    });
+
+    // A decision stored before the signal was switched on is not applied
+    new ConsentManager().acceptAll();
+    withNavigator({ globalPrivacyControl: true }, () => {
+        assert.equal(new ConsentManager().isAllowed('performance'), false);
+    });
+});
+
+test('changes reach listeners, the consentchange event and the event bus', t => {
+    const manager = new ConsentManager();
+    const bus = new AnalyticsEventBus({ flushInterval: 60000 });
+    // A pending flush timer would keep the process alive
+    t.after(() => bus.flush());
+    const sent = [];
+    bus.addTransport({ name: 'recording', batched: false, send: events => sent.push(...events) });
+    bus.followConsent(manager);
+    global.window.analyticsEventBus = bus;
+
+    const states = [];
+    const events = [];
+    const unsubscribe = manager.onChange(state => states.push(state.categories.behavior));
+    global.window.addEventListener('consentchange', event => events.push(event.detail.categories.performance));
+
+    bus.publish('scroll_depth', { scroll_depth: 50 });
+    bus.publish('web_vital', { metric: 'LCP', value: 1800 });
+    manager.update({ behavior: true }, { source: 'banner' });
+
+    // The decision is recorded before the held behavior event is released
+    assert.deepEqual(sent.map(event => event.name), ['consent_updated', 'scroll_depth']);
+    assert.deepEqual(sent[0].params, { performance: false, behavior: true, marketing: false, source: 'banner' });
+    assert.equal(bus.getStatus().dropped, 1);
+
+    manager.rejectAll();
+    bus.publish('scroll_depth', { scroll_depth: 75 });
+    assert.equal(sent.filter(event => event.name === 'scroll_depth').length, 1);
+    assert.deepEqual(states, [true, false]);
+    assert.deepEqual(events, [false, false]);
+
+    unsubscribe();
+    manager.acceptAll();
+    assert.deepEqual(states, [true, false]);
+});
+
+test('a decision made in another tab applies here', () => {
+    const manager = new ConsentManager();
+    const states = [];
+    manager.onChange(state => states.push(state.categories.marketing));
+
+    // What the other tab writes, and the storage event this tab then gets
+    store.set('gguf-loader-consent', JSON.stringify({
+        categories: { performance: false, behavior: false, marketing: true },
+        updatedAt: new Date().toISOString(),
+        source: 'preferences'
+    }));
+    global.window.dispatchEvent(Object.assign(new Event('storage'), { key: 'gguf-loader-consent' }));
+    global.window.dispatchEvent(Object.assign(new Event('storage'), { key: 'analyticsQueue' }));
+
+    assert.deepEqual(states, [true]);
+    assert.equal(manager.isAllowed('marketing'), true);
+});
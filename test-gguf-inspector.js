@@ -0,0 +1,186 @@
+#!/usr/bin/env node
+
+/**
+ * Unit tests for js/gguf-inspector.js
+ * Builds small GGUF v3 files in memory and checks the parsed header.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const GGUFInspector = require('./js/gguf-inspector.js');
+const MemoryEstimator = require('./js/memory-estimator.js');
+
+const TYPES = GGUFInspector.VALUE_TYPES;
+const Q4_K = 12;
+const F32 = 0;
+
+/**
+ * Serialize a GGUF file: metadata is [key, valueType, value] (arrays as
+ * [TYPES.ARRAY, [itemType, items]]), tensors are { name, shape, type }.
+ * Tensor data is zero-filled unless dataBytes is given. Returns an ArrayBuffer.
+ */
+function buildGGUF(metadata, tensors, dataBytes) {
+    const chunks = [];
+    const push = (size, write) => {
+        const buffer = Buffer.alloc(size);
+        write(buffer);
+        chunks.push(buffer);
+    };
+    const u32 = (value) => push(4, b => b.writeUInt32LE(value));
+    const u64 = (value) => push(8, b => b.writeBigUInt64LE(BigInt(value)));
+    const string = (value) => {
+        const bytes = Buffer.from(value, 'utf8');
+        u64(bytes.length);
+        chunks.push(bytes);
+    };
+    const value = (type, data) => {
+        switch (type) {
+            case TYPES.UINT32: return u32(data);
+            case TYPES.FLOAT32: return push(4, b => b.writeFloatLE(data));
+            case TYPES.BOOL: return push(1, b => b.writeUInt8(data ? 1 : 0));
+            case TYPES.STRING: return string(data);
+            case TYPES.ARRAY: {
+                const [itemType, items] = data;
+                u32(itemType);
+                u64(items.length);
+                return items.forEach(item => value(itemType, item));
+            }
+            default: throw new Error(`buildGGUF: unsupported type ${type}`);
+        }
+    };
+
+    chunks.push(Buffer.from('GGUF', 'ascii'));
+    u32(3);
+    u64(tensors.length);
+    u64(metadata.length);
+    metadata.forEach(([key, type, data]) => {
+        string(key);
+        u32(type);
+        value(type, data);
+    });
+
+    let offset = 0;
+    const inspector = new GGUFInspector();
+    tensors.forEach(tensor => {
+        string(tensor.name);
+        u32(tensor.shape.length);
+        tensor.shape.forEach(u64);
+        u32(tensor.type);
+        u64(offset);
+        offset += Math.ceil(inspector.measureTensor(tensor.shape, tensor.type).bytes / 32) * 32;
+    });
+
+    const header = Buffer.concat(chunks);
+    const dataOffset = Math.ceil(header.length / 32) * 32;
+    const file = Buffer.concat([header, Buffer.alloc(dataOffset - header.length + (dataBytes ?? offset))]);
+    return file.buffer.slice(file.byteOffset, file.byteOffset + file.length);
+}
+
+function llamaMetadata(extra = []) {
+    return [
+        ['general.architecture', TYPES.STRING, 'llama'],
+        ['general.name', TYPES.STRING, 'Tiny Test Llama'],
+        ['general.file_type', TYPES.UINT32, 15],
+        ['llama.context_length', TYPES.UINT32, 4096],
+        ['llama.embedding_length', TYPES.UINT32, 256],
+        ['llama.block_count', TYPES.UINT32, 2],
+        ['llama.attention.head_count', TYPES.UINT32, 8],
+        ['llama.attention.head_count_kv', TYPES.UINT32, 2],
+        ['tokenizer.ggml.model', TYPES.STRING, 'llama'],
+        ['tokenizer.ggml.tokens', TYPES.ARRAY, [TYPES.STRING, Array.from({ length: 2000 }, (_, i) => `tok${i}`)]],
+        ['tokenizer.ggml.bos_token_id', TYPES.UINT32, 1],
+        ['tokenizer.chat_template', TYPES.STRING, '{% for message in messages %}[INST] {{ message.content }} [/INST]{% endfor %}'],
+        ...extra
+    ];
+}
+
+const llamaTensors = [
+    { name: 'token_embd.weight', shape: [256, 2000], type: Q4_K },
+    { name: 'blk.0.attn_q.weight', shape: [256, 256], type: Q4_K },
+    { name: 'blk.1.attn_q.weight', shape: [256, 256], type: Q4_K },
+    { name: 'output_norm.weight', shape: [256], type: F32 }
+];
+
+test('parses architecture, tokenizer, chat template and tensor types', () => {
+    const info = new GGUFInspector().parse(buildGGUF(llamaMetadata(), llamaTensors));
+
+    assert.equal(info.version, 3);
+    assert.equal(info.name, 'Tiny Test Llama');
+    assert.equal(info.architecture, 'llama');
+    assert.equal(info.fileType, 'Q4_K_M');
+    assert.equal(info.contextLength, 4096);
+    assert.equal(info.layers, 2);
+    assert.equal(info.embeddingSize, 256);
+    assert.equal(info.heads, 8);
+    assert.equal(info.kvHeads, 2);
+    assert.equal(info.parameters, 256 * 2000 + 2 * 256 * 256 + 256);
+    assert.deepEqual(info.tokenizer, { model: 'llama', vocabularySize: 2000, bosTokenId: 1, eosTokenId: null });
+    assert.match(info.chatTemplate, /\[INST\]/);
+    assert.deepEqual(info.tensorTypes.map(t => [t.type, t.count]), [['Q4_K', 3], ['F32', 1]]);
+    assert.deepEqual(info.warnings, []);
+});
+
+test('long arrays are summarized instead of kept', () => {
+    const info = new GGUFInspector().parse(buildGGUF(llamaMetadata(), llamaTensors));
+
+    assert.deepEqual(info.metadata['tokenizer.ggml.tokens'], { itemType: 'STRING', length: 2000 });
+});
+
+test('bits per weight comes from the tensor data size', () => {
+    const info = new GGUFInspector().parse(buildGGUF(llamaMetadata(), llamaTensors));
+    const q4Elements = info.parameters - 256;
+
+    assert.equal(info.tensorBytes, (q4Elements / 256) * 144 + 256 * 4);
+    assert.equal(info.bitsPerWeight, (info.tensorBytes * 8) / info.parameters);
+});
+
+test('inspect() reads more of the file until the header fits', async () => {
+    const file = new Blob([buildGGUF(llamaMetadata(), llamaTensors)]);
+    const info = await new GGUFInspector({ initialReadBytes: 64 }).inspect(file);
+
+    assert.equal(info.tokenizer.vocabularySize, 2000);
+    assert.equal(info.fileSize, file.size);
+});
+
+test('incomplete downloads are flagged', () => {
+    const info = new GGUFInspector().parse(buildGGUF(llamaMetadata(), llamaTensors, 1024));
+
+    assert.equal(info.warnings.length, 1);
+    assert.match(info.warnings[0], /download is incomplete/);
+});
+
+test('non-GGUF and truncated files are rejected', async () => {
+    const inspector = new GGUFInspector();
+    const header = buildGGUF(llamaMetadata(), llamaTensors).slice(0, 200);
+
+    await assert.rejects(inspector.inspect(new Blob(['<!DOCTYPE html><html></html>'])), /Not a GGUF file/);
+    await assert.rejects(inspector.inspect(new Blob([header])), /truncated/);
+});
+
+test('mixture-of-experts files report active parameters', () => {
+    const metadata = llamaMetadata([
+        ['llama.expert_count', TYPES.UINT32, 8],
+        ['llama.expert_used_count', TYPES.UINT32, 2]
+    ]);
+    const tensors = [
+        ...llamaTensors,
+        { name: 'blk.0.ffn_up_exps.weight', shape: [256, 256, 8], type: Q4_K }
+    ];
+    const info = new GGUFInspector().parse(buildGGUF(metadata, tensors));
+    const expertParameters = 256 * 256 * 8;
+
+    assert.equal(info.experts, 8);
+    assert.equal(info.activeParameters, info.parameters - expertParameters * 0.75);
+});
+
+test('the result feeds MemoryEstimator', () => {
+    const inspector = new GGUFInspector();
+    const info = inspector.parse(buildGGUF(llamaMetadata(), llamaTensors));
+    const { model, settings } = inspector.toEstimatorInput(info);
+    const estimate = new MemoryEstimator().estimate(model, settings);
+
+    assert.ok(Math.abs(estimate.weights - info.tensorBytes / 1024 ** 3) < 1e-12);
+    assert.equal(estimate.contextLength, 4096);
+    // 2 layers × K+V × 4096 ctx × 2 kv heads × 32 head size × 2 bytes
+    assert.equal(estimate.kvCache * 1024 ** 3, 2 * 2 * 4096 * 2 * 32 * 2);
+});
@@ -0,0 +1,135 @@
+#!/usr/bin/env node
+
+/**
+ * Unit tests for js/hardware-detector.js
+ * Uses stand-in navigator objects and an in-memory localStorage.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const HardwareDetector = require('./js/hardware-detector.js');
+
+function createStorage() {
+    const items = new Map();
+    return {
+        getItem: (key) => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value))
+    };
+}
+
+function createDetector(navigator, storage = createStorage()) {
+    return new HardwareDetector({ navigator, storage });
+}
+
+function webGpu(info, limits = {}, extra = {}) {
+    return {
+        requestAdapter: async () => ({ info, limits, isFallbackAdapter: false, ...extra })
+    };
+}
+
+const WINDOWS_UA = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126.0.0.0 Safari/537.36';
+
+test('client hints confirm the OS and identify Apple silicon', async () => {
+    const detected = await createDetector({
+        deviceMemory: 8,
+        hardwareConcurrency: 10,
+        userAgentData: {
+            platform: 'macOS',
+            mobile: false,
+            getHighEntropyValues: async () => ({ architecture: 'arm', bitness: '64' })
+        }
+    }).detect();
+
+    assert.deepEqual(detected.os, { value: 'macos', source: 'confirmed', detail: 'Reported by your browser: macOS' });
+    assert.equal(detected.cpu.value, 'high-end');
+    assert.equal(detected.cpu.source, 'inferred');
+    assert.match(detected.cpu.detail, /10 logical cores, arm 64-bit, Apple silicon/);
+});
+
+test('deviceMemory is always an estimate and flagged when capped', async () => {
+    const capped = await createDetector({ deviceMemory: 8 }).detect();
+    const small = await createDetector({ deviceMemory: 4 }).detect();
+    const missing = await createDetector({}).detect();
+
+    assert.equal(capped.ram.value, 8);
+    assert.equal(capped.ram.source, 'inferred');
+    assert.match(capped.ram.detail, /at least 8 GB/);
+    assert.match(small.ram.detail, /about 4 GB/);
+    assert.equal(missing.ram, null);
+});
+
+test('without client hints the user agent gives an inferred OS and cores a CPU tier', async () => {
+    const detected = await createDetector({ userAgent: WINDOWS_UA, hardwareConcurrency: 8 }).detect();
+    const ipad = await createDetector({ userAgent: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7)', maxTouchPoints: 5 }).detect();
+
+    assert.equal(detected.os.value, 'windows');
+    assert.equal(detected.os.source, 'inferred');
+    assert.equal(detected.cpu.value, 'modern');
+    assert.equal(ipad.os, null);
+    assert.equal((await createDetector({ hardwareConcurrency: 16 }).detect()).cpu.value, 'high-end');
+    assert.equal((await createDetector({ hardwareConcurrency: 2 }).detect()).cpu.value, 'basic');
+});
+
+test('WebGPU names the GPU and bounds VRAM on discrete cards only', async () => {
+    const nvidia = await createDetector({
+        gpu: webGpu({ vendor: 'nvidia', architecture: 'ampere' }, { maxBufferSize: 4 * 1024 ** 3 })
+    }).detect();
+    const intel = await createDetector({
+        gpu: webGpu({ vendor: 'intel', architecture: 'gen-12lp' }, { maxBufferSize: 2 * 1024 ** 3 })
+    }).detect();
+    const software = await createDetector({
+        gpu: webGpu({ vendor: 'google', description: 'SwiftShader' }, {}, { isFallbackAdapter: true })
+    }).detect();
+    const none = await createDetector({ gpu: { requestAdapter: async () => null } }).detect();
+
+    assert.deepEqual(nvidia.gpu, { value: 'nvidia ampere', source: 'confirmed', detail: 'Reported by WebGPU' });
+    assert.equal(nvidia.vram.value, 4);
+    assert.equal(nvidia.vram.source, 'inferred');
+    assert.equal(intel.vram.value, 0);
+    assert.equal(software.vram.value, 0);
+    assert.equal(none.gpu, null);
+    assert.equal(none.vram, null);
+});
+
+test('detected values snap down to the choices a tool offers', () => {
+    const detector = createDetector({});
+
+    assert.equal(detector.snap(8, [4, 8, 16, 32, 64]), 8);
+    assert.equal(detector.snap(12, [4, 8, 16, 32, 64]), 8);
+    assert.equal(detector.snap(0.5, [4, 8, 16, 32, 64]), 4);
+    assert.deepEqual(detector.toSpecs({ ram: { value: 8 }, vram: null, cpu: { value: 'modern' }, os: null }), { ram: 8, cpu: 'modern' });
+});
+
+test('profiles are shared through storage and merge partial specs', () => {
+    const storage = createStorage();
+    const comparison = createDetector({}, storage);
+    const calculator = createDetector({}, storage);
+
+    comparison.saveProfile('  work laptop ', { ram: 16, vram: 0, cpu: 'modern', os: 'windows' });
+    calculator.saveProfile('work laptop', { ram: 32, vram: 8 });
+    calculator.saveProfile('home desktop', { ram: 64, vram: 24 });
+
+    assert.deepEqual(comparison.getProfiles().map(p => p.name), ['home desktop', 'work laptop']);
+    const laptop = comparison.getProfile('work laptop');
+    assert.deepEqual([laptop.ram, laptop.vram, laptop.cpu, laptop.os], [32, 8, 'modern', 'windows']);
+    assert.equal(comparison.getActiveProfile().name, 'home desktop');
+    assert.deepEqual(comparison.profileFields(laptop).cpu, { value: 'modern', source: 'confirmed', detail: 'Saved in profile “work laptop”' });
+
+    comparison.deleteProfile('home desktop');
+    assert.equal(calculator.getActiveProfile(), null);
+    assert.throws(() => calculator.saveProfile('  ', { ram: 8 }), /Profile name is required/);
+});
+
+test('corrupt or unavailable storage falls back to no profiles', () => {
+    const storage = createStorage();
+    storage.setItem('gguf-loader-hardware-profiles', '{not json');
+    const originalWarn = console.warn;
+    console.warn = () => {};
+
+    try {
+        assert.deepEqual(createDetector({}, storage).getProfiles(), []);
+        assert.deepEqual(new HardwareDetector({ navigator: {}, storage: null }).getProfiles(), []);
+    } finally {
+        console.warn = originalWarn;
+    }
+});
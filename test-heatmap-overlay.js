@@ -0,0 +1,138 @@
+#!/usr/bin/env node
+
+/**
+ * Unit tests for js/heatmap-overlay.js
+ * Covers turning exported and collected UserBehaviorTracker reports into
+ * sessions and aggregating them; drawing needs a browser canvas.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const HeatmapOverlay = require('./js/heatmap-overlay.js');
+
+function click(page, pageX, pageY, width, timestamp) {
+    return {
+        type: 'click',
+        timestamp,
+        page,
+        coordinates: { x: pageX, y: 100, pageX, pageY },
+        viewport: { width, height: 800 }
+    };
+}
+
+/**
+ * A user_behavior_data envelope as the event bus stores it
+ */
+function report(sessionId, page, timestamp, events, heatmap) {
+    return {
+        id: `${sessionId}-${timestamp}`,
+        name: 'user_behavior_data',
+        category: 'behavior',
+        source: 'user-behavior',
+        timestamp,
+        sessionId: 'bus-session',
+        page,
+        params: { session_id: sessionId, events_count: events.length, events, heatmap }
+    };
+}
+
+// Two reports from one desktop page load, one mobile page load and one exported desktop session
+function fixture() {
+    const desktopHeatmap = {
+        clicks: [],
+        scrollDepth: { '/docs/index.html': 60 },
+        timeOnElements: { hero: { element: { tagName: 'H1', textContent: 'Docs' }, totalTime: 4000 } },
+        mouseMovements: [
+            { x: 640, y: 300, pageX: 640, pageY: 900, page: '/docs/' },
+            { x: 10, y: 10, page: '/docs/' }
+        ],
+        viewport: { width: 1280, height: 800 }
+    };
+    return {
+        collector: {
+            total: 3,
+            events: [
+                report('desktop', '/docs/', 1000, [click('/docs/', 640, 400, 1280, 1)], { ...desktopHeatmap, scrollDepth: { '/docs/': 30 } }),
+                report('desktop', '/docs/', 2000, [click('/docs/', 320, 1200, 1280, 2), click('/docs/', 320, 1200, 1280, 2)], desktopHeatmap),
+                report('mobile', '/docs/', 1500, [
+                    click('/docs/', 195, 2400, 390, 3),
+                    { type: 'scroll_milestone', page: '/docs/', milestone: 25, timestamp: 4 },
+                    { type: 'scroll_milestone', page: '/docs/', milestone: 90, timestamp: 5 }
+                ], null)
+            ]
+        },
+        exported: {
+            sessionData: {
+                sessionId: 'exported',
+                pageViews: [{ page: '/docs/', viewport: { width: 1440, height: 900 } }],
+                events: [click('/docs/', 1080, 500, 1440, 6), click('/faq.html', 100, 100, 1440, 7)]
+            },
+            heatmapData: {
+                clicks: [],
+                scrollDepth: { '/docs/': 100 },
+                timeOnElements: { hero: { element: { tagName: 'H1', textContent: 'Docs' }, totalTime: 2000 } },
+                mouseMovements: []
+            },
+            config: {}
+        }
+    };
+}
+
+test('collected reports of one page load merge into a session', () => {
+    const sessions = HeatmapOverlay.sessionsFrom(fixture().collector);
+    const desktop = sessions.find(session => session.id === 'desktop');
+
+    assert.deepEqual(sessions.map(session => [session.id, session.viewport]), [['desktop', 'desktop'], ['mobile', 'mobile']]);
+    // Events come in slices, the resent click once; the later heatmap report wins
+    assert.deepEqual(desktop.clicks, [{ page: '/docs/', x: 0.5, y: 400 }, { page: '/docs/', x: 0.25, y: 1200 }]);
+    assert.deepEqual(desktop.scrollDepth, { '/docs/': 60 });
+    // A movement without page coordinates cannot be placed
+    assert.deepEqual(desktop.moves, [{ page: '/docs/', x: 0.5, y: 900 }]);
+
+    const mobile = sessions.find(session => session.id === 'mobile');
+    assert.equal(mobile.viewportWidth, 390);
+    assert.deepEqual(mobile.scrollDepth, { '/docs/': 90 });
+});
+
+test('exported JSON and collector responses can be combined', () => {
+    const { collector, exported } = fixture();
+    const sessions = HeatmapOverlay.sessionsFrom([collector, exported]);
+    assert.equal(sessions.length, 3);
+
+    const exportedSession = sessions.find(session => session.id === 'exported');
+    assert.equal(exportedSession.viewport, 'desktop');
+    assert.deepEqual(exportedSession.clicks.map(item => item.page), ['/docs/', '/faq.html']);
+
+    // localStorage analyticsQueue holds bare envelopes, other events included
+    const queue = [...collector.events, { name: 'scroll_depth', params: { scroll_depth: 50 } }];
+    assert.equal(HeatmapOverlay.sessionsFrom(queue).length, 2);
+    assert.deepEqual(HeatmapOverlay.sessionsFrom({ unrelated: true }), []);
+});
+
+test('aggregation separates viewports and measures scroll reach', () => {
+    const { collector, exported } = fixture();
+    const sessions = HeatmapOverlay.sessionsFrom([collector, exported]);
+
+    const all = HeatmapOverlay.aggregate(sessions, { page: '/docs/index.html' });
+    assert.equal(all.sessions, 3);
+    assert.equal(all.clicks.length, 4);
+    assert.equal(all.scrollSessions, 3);
+    // Depths reached: 60, 90 and 100
+    assert.deepEqual(all.scrollReach.map(step => Math.round(step.share * 100)), [100, 100, 100, 100, 100, 100, 67, 67, 67, 33]);
+    assert.deepEqual(all.attention.map(item => [item.label, item.averageTime, item.sessions]), [['Docs', 3, 2]]);
+
+    const mobile = HeatmapOverlay.aggregate(sessions, { page: '/docs/', viewport: 'mobile' });
+    assert.deepEqual(mobile.clicks, [{ page: '/docs/', x: 0.5, y: 2400 }]);
+    assert.equal(mobile.moves.length, 0);
+    assert.deepEqual(mobile.attention, []);
+
+    assert.deepEqual(HeatmapOverlay.countViewports(sessions, '/docs/'), { all: 3, mobile: 1, tablet: 0, desktop: 2 });
+    assert.deepEqual(HeatmapOverlay.aggregate(sessions, { page: '/blog.html' }).scrollReach, []);
+});
+
+test('viewport classes follow the collector mobile split', () => {
+    assert.equal(HeatmapOverlay.viewportClass(390), 'mobile');
+    assert.equal(HeatmapOverlay.viewportClass(768), 'tablet');
+    assert.equal(HeatmapOverlay.viewportClass(1024), 'desktop');
+    assert.equal(HeatmapOverlay.viewportClass(null), 'unknown');
+});
@@ -0,0 +1,148 @@
+#!/usr/bin/env node
+
+/**
+ * Tests for scripts/sync-hf-models.js
+ * Runs offline against the saved listings in test-fixtures/huggingface/
+ * (one in the repo tree API format, one in the model info format).
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const HuggingFaceCatalogSync = require('./scripts/sync-hf-models.js');
+
+const LISTINGS_DIR = path.join(__dirname, 'test-fixtures', 'huggingface');
+const GB = 1e9;
+const tempDirs = [];
+
+test.after(() => tempDirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+
+/**
+ * Copy of the real catalog with its first two models pointed at the fixture repos
+ */
+function createCatalog() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'hf-sync-'));
+    const catalogFile = path.join(dir, 'models.json');
+    tempDirs.push(dir);
+    const source = fs.readFileSync(path.join(__dirname, 'data', 'models.json'), 'utf8')
+        .replace('https://huggingface.co/TheBloke/Mistral-7B-Instruct-v0.2-GGUF', 'https://huggingface.co/example-org/Example-7B-GGUF')
+        .replace('https://huggingface.co/TheBloke/Llama-2-7B-Chat-GGUF', 'https://huggingface.co/example-org/Example-Split-GGUF');
+
+    fs.writeFileSync(catalogFile, source);
+    return { dir, catalogFile, source };
+}
+
+function createSync(options = {}) {
+    const catalog = createCatalog();
+    const sync = new HuggingFaceCatalogSync({
+        catalogFile: catalog.catalogFile,
+        listingsDir: LISTINGS_DIR,
+        modelIds: ['mistral-7b-instruct', 'llama2-7b-chat'],
+        ...options
+    });
+    return { sync, catalog };
+}
+
+test('quantization is read from .gguf filenames', () => {
+    const sync = new HuggingFaceCatalogSync();
+    const cases = {
+        'mistral-7b-instruct-v0.2.Q4_K_M.gguf': 'Q4_K_M',
+        'Meta-Llama-3-8B-Instruct-IQ4_XS.gguf': 'IQ4_XS',
+        'qwen2.5-1.5b-instruct-q8_0.gguf': 'Q8_0',
+        'Q8_0/model-Q8_0-00001-of-00002.gguf': 'Q8_0',
+        'phi-2.f16.gguf': 'F16',
+        'Qwen2.5-7B-Instruct-BF16.gguf': 'BF16',
+        'mmproj-model-f16.gguf': null,
+        'model.gguf': null,
+        'README.md': null
+    };
+
+    for (const [file, quantization] of Object.entries(cases)) {
+        assert.equal(sync.parseQuantization(file), quantization, file);
+    }
+});
+
+test('proposes size updates and removals from a tree listing', () => {
+    const { sync } = createSync();
+    const proposal = sync.propose();
+    const change = proposal.changes.find(c => c.modelId === 'mistral-7b-instruct');
+
+    assert.equal(change.repo, 'example-org/Example-7B-GGUF');
+    assert.deepEqual(change.messages, [
+        'Q4_K_M fileSize 4.37 → 4.41 GB',
+        'remove Q6_K (not in the repo)',
+        'size 4.37GB → 4.41GB'
+    ]);
+    assert.equal(proposal.validation.valid, true);
+
+    const model = JSON.parse(proposal.updated).models[0];
+    assert.equal(model.size, '4.41GB');
+    assert.deepEqual(model.variants.map(v => v.quantization), ['Q2_K', 'Q3_K_M', 'Q4_K_M', 'Q5_K_M', 'Q8_0']);
+});
+
+test('split files are summed and projector files ignored in a model info listing', () => {
+    const { sync } = createSync();
+    const proposal = sync.propose();
+
+    assert.equal(proposal.changes.some(c => c.modelId === 'llama2-7b-chat'), false);
+    assert.ok(proposal.warnings.includes('llama2-7b-chat: cannot tell the quantization of example-split.gguf'));
+});
+
+test('the diff only touches the changed lines and keeps the catalog layout', () => {
+    const { sync, catalog } = createSync();
+    const proposal = sync.propose();
+    const changed = proposal.diff.split('\n').filter(line => /^[-+](?![-+]{2} )/.test(line));
+
+    assert.match(proposal.diff, /^--- a\/.*models\.json\n\+\+\+ b\/.*models\.json\n@@ -\d+,\d+ \+\d+,\d+ @@/);
+    assert.deepEqual(changed, [
+        '-      "size": "4.37GB",',
+        '+      "size": "4.41GB",',
+        '-        { "quantization": "Q4_K_M", "fileSize": 4.37, "bitsPerWeight": 4.85, "minRAM": 8, "recommendedRAM": 16 },',
+        '+        { "quantization": "Q4_K_M", "fileSize": 4.41, "bitsPerWeight": 4.85, "minRAM": 8, "recommendedRAM": 16 },',
+        '-        { "quantization": "Q6_K", "fileSize": 5.94, "bitsPerWeight": 6.59, "minRAM": 10, "recommendedRAM": 18 },'
+    ]);
+
+    sync.write(proposal);
+    assert.equal(fs.readFileSync(catalog.catalogFile, 'utf8'), proposal.updated);
+    assert.equal(new HuggingFaceCatalogSync({ catalogFile: catalog.catalogFile, listingsDir: LISTINGS_DIR, modelIds: ['mistral-7b-instruct'] }).propose().changes.length, 0);
+});
+
+test('--all-quantizations adds untracked variants with the shared memory estimate', () => {
+    const { sync } = createSync({ allQuantizations: true });
+    const proposal = sync.propose();
+    const model = JSON.parse(proposal.updated).models[0];
+    const added = model.variants.find(v => v.quantization === 'Q4_K_S');
+
+    assert.deepEqual(model.variants.map(v => v.quantization), ['Q2_K', 'Q3_K_M', 'Q4_K_S', 'Q4_K_M', 'Q5_K_M', 'Q8_0']);
+    assert.equal(added.fileSize, 4.14);
+    assert.equal(added.bitsPerWeight, 4.58);
+    assert.ok(added.minRAM > 0 && added.recommendedRAM > added.minRAM);
+    assert.ok(proposal.warnings.includes('mistral-7b-instruct: skipping IQ4_XS: unknown bits per weight'));
+    assert.equal(proposal.validation.valid, true);
+});
+
+test('a local mirror is read from file sizes on disk', () => {
+    const { sync, catalog } = createSync({ modelIds: ['mistral-7b-instruct'] });
+    const repoDir = path.join(catalog.dir, 'mirror', 'example-org', 'Example-7B-GGUF');
+    fs.mkdirSync(repoDir, { recursive: true });
+
+    // Sparse files: sizes without the disk usage
+    [['Q2_K', 3.08], ['Q3_K_M', 3.52], ['Q4_K_M', 4.37], ['Q5_K_M', 5.13], ['Q6_K', 5.94], ['Q8_0', 7.7]].forEach(([quantization, gb]) => {
+        const file = path.join(repoDir, `example-7b.${quantization}.gguf`);
+        fs.writeFileSync(file, '');
+        fs.truncateSync(file, Math.round(gb * GB));
+    });
+
+    sync.config.mirrorDir = path.join(catalog.dir, 'mirror');
+    assert.equal(sync.propose().changes.length, 0);
+});
+
+test('repos without a saved listing are reported, not guessed', () => {
+    const { sync } = createSync({ modelIds: ['phi-2'] });
+    const proposal = sync.propose();
+
+    assert.equal(proposal.changes.length, 0);
+    assert.match(proposal.warnings[0], /^phi-2: no saved listing for TheBloke\/phi-2-GGUF/);
+});
@@ -0,0 +1,142 @@
+#!/usr/bin/env node
+
+/**
+ * Unit tests for js/memory-estimator.js
+ * Reference figures are what llama.cpp prints when loading each model
+ * ("model size = ... GiB" and "KV self size = ... MiB" with an f16 cache).
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const MemoryEstimator = require('./js/memory-estimator.js');
+
+const estimator = new MemoryEstimator();
+const MIB = 1 / 1024;
+
+function assertClose(actual, expected, tolerance, message) {
+    assert.ok(
+        Math.abs(actual - expected) <= tolerance,
+        `${message}: expected ${expected} ± ${tolerance}, got ${actual.toFixed(3)}`
+    );
+}
+
+test('weights match llama.cpp model sizes for Llama 2 7B', () => {
+    const figures = { Q4_0: 3.56, Q4_K_M: 3.80, Q8_0: 6.67, F16: 12.55 };
+
+    for (const [quantization, gib] of Object.entries(figures)) {
+        const { weights } = estimator.estimate('llama2-7b', { quantization, contextLength: 512 });
+        assertClose(weights, gib, 0.03, `llama2-7b ${quantization}`);
+    }
+});
+
+test('weights match llama.cpp model sizes for other architectures', () => {
+    assertClose(estimator.estimate('mistral-7b', { quantization: 'Q4_K_M' }).weights, 4.07, 0.05, 'mistral-7b Q4_K_M');
+    assertClose(estimator.estimate('llama2-13b', { quantization: 'Q4_K_M' }).weights, 7.33, 0.05, 'llama2-13b Q4_K_M');
+    assertClose(estimator.estimate('mixtral-8x7b', { quantization: 'Q4_K_M' }).weights, 26.44, 0.1, 'mixtral-8x7b Q4_K_M');
+});
+
+test('KV cache matches llama.cpp "KV self size"', () => {
+    const figures = [
+        ['llama2-7b', 512, 256],
+        ['llama2-7b', 4096, 2048],
+        ['mistral-7b', 4096, 512],  // grouped-query attention: 8 KV heads
+        ['llama2-13b', 4096, 3200],
+        ['llama2-70b', 4096, 1280],
+        ['mixtral-8x7b', 32768, 4096]
+    ];
+
+    for (const [architecture, contextLength, mib] of figures) {
+        const { kvCache } = estimator.estimate(architecture, { contextLength });
+        assertClose(kvCache, mib * MIB, 0.001, `${architecture} @ ${contextLength}`);
+    }
+});
+
+test('total is weights + KV cache + overhead', () => {
+    const estimate = estimator.estimate('mistral-7b', { quantization: 'Q5_K_M', contextLength: 8192 });
+
+    assertClose(estimate.total, estimate.weights + estimate.kvCache + estimate.overhead, 1e-9, 'total');
+    assert.ok(estimate.overhead > 0, 'overhead should be positive');
+    assert.ok(estimate.overhead < 1, 'overhead should stay under 1 GB for a 7B model');
+});
+
+test('GPU offload moves weights and KV cache to VRAM per layer', () => {
+    const cpuOnly = estimator.estimate('llama2-13b', { quantization: 'Q4_K_M', contextLength: 4096 });
+    const half = estimator.estimate('llama2-13b', { quantization: 'Q4_K_M', contextLength: 4096, gpuLayers: 20 });
+    const full = estimator.estimate('llama2-13b', { quantization: 'Q4_K_M', contextLength: 4096, gpuLayers: 99 });
+
+    assert.equal(cpuOnly.vram.total, 0);
+    assertClose(half.vram.weights, cpuOnly.weights / 2, 1e-9, 'half the layers offloaded');
+    assertClose(half.vram.kvCache, cpuOnly.kvCache / 2, 1e-9, 'KV cache follows offloaded layers');
+    assert.equal(full.gpuLayers, 40, 'gpuLayers is clamped to the layer count');
+    assert.equal(full.ram.weights, 0);
+    assert.ok(full.ram.total < cpuOnly.ram.total);
+});
+
+test('explicit shapes and bits per weight override presets', () => {
+    const custom = estimator.estimate(
+        { parameters: 6.74, layers: 32, embeddingSize: 4096, heads: 32, kvHeads: 32 },
+        { bitsPerWeight: 4.85, contextLength: 4096 }
+    );
+    const preset = estimator.estimate('llama2-7b', { quantization: 'Q4_K_M', contextLength: 4096 });
+
+    assertClose(custom.total, preset.total, 1e-9, 'custom shape');
+});
+
+test('parameter count alone infers the nearest architecture', () => {
+    assert.equal(estimator.inferArchitecture(6.7).name, 'Llama 2 7B');
+    assert.equal(estimator.inferArchitecture(7.2).name, 'Mistral 7B');
+    assert.equal(estimator.inferArchitecture(13).name, 'Llama 2 13B');
+    assert.equal(estimator.estimate({ parameters: 70 }).architecture.layers, 80);
+});
+
+test('requirements grow with quantization and context', () => {
+    const q4 = estimator.estimateRequirements({ architecture: 'mistral-7b' }, { quantization: 'Q4_K_M', contextLength: 8192 });
+    const q8 = estimator.estimateRequirements({ architecture: 'mistral-7b' }, { quantization: 'Q8_0', contextLength: 8192 });
+    const longContext = estimator.estimateRequirements({ architecture: 'mistral-7b' }, { quantization: 'Q4_K_M', contextLength: 32768 });
+
+    assert.equal(q4.minRAM, 8, 'Mistral 7B Q4_K_M loads on an 8 GB machine');
+    assert.ok(q4.recommendedRAM > q4.minRAM);
+    assert.ok(q8.minRAM > q4.minRAM);
+    assert.ok(longContext.recommendedRAM > q4.recommendedRAM);
+});
+
+test('freeRam subtracts the OS reservation', () => {
+    const estimate = estimator.estimate('mistral-7b', { quantization: 'Q4_K_M' });
+    assertClose(estimator.freeRam(16, estimate), 16 - 3 - estimate.ram.total, 1e-9, 'free RAM');
+});
+
+test('maxGpuLayers returns the largest -ngl that fits in VRAM', () => {
+    const settings = { quantization: 'Q4_K_M', contextLength: 4096 };
+    const fitting = estimator.maxGpuLayers('mistral-7b', settings, 4);
+
+    assert.ok(fitting > 0 && fitting < 32, `partial offload expected, got ${fitting}`);
+    assert.ok(estimator.freeVram(4, estimator.estimate('mistral-7b', { ...settings, gpuLayers: fitting })) >= 0);
+    assert.ok(estimator.freeVram(4, estimator.estimate('mistral-7b', { ...settings, gpuLayers: fitting + 1 })) < 0);
+    assert.equal(estimator.maxGpuLayers('mistral-7b', settings, 8), 32);
+    assert.equal(estimator.maxGpuLayers('mistral-7b', settings, 0), 0);
+});
+
+test('speed bands rise as layers move to the GPU', () => {
+    const settings = { quantization: 'Q4_K_M', contextLength: 4096 };
+    const cpuOnly = estimator.estimateSpeed(estimator.estimate('mistral-7b', settings));
+    const half = estimator.estimateSpeed(estimator.estimate('mistral-7b', { ...settings, gpuLayers: 16 }));
+    const full = estimator.estimateSpeed(estimator.estimate('mistral-7b', { ...settings, gpuLayers: 32 }));
+
+    assert.ok(cpuOnly.low < cpuOnly.high);
+    assert.ok(cpuOnly.low >= 5 && cpuOnly.high <= 20, 'a 7B Q4 model runs at 5-20 tokens/sec on a desktop CPU');
+    assert.ok(half.low > cpuOnly.low && full.low > half.low);
+    assert.equal(full.label, 'Fast');
+});
+
+test('mixture-of-experts speed only counts active parameters', () => {
+    const mixtral = estimator.estimateSpeed(estimator.estimate('mixtral-8x7b', { quantization: 'Q4_K_M' }));
+    const dense13b = estimator.estimateSpeed(estimator.estimate('llama2-13b', { quantization: 'Q4_K_M' }));
+
+    assertClose(mixtral.low, dense13b.low, 2, 'Mixtral generates about as fast as a dense 13B model');
+});
+
+test('unknown quantizations and architectures throw', () => {
+    assert.throws(() => estimator.estimate('mistral-7b', { quantization: 'Q9_X' }), /Unknown quantization/);
+    assert.throws(() => estimator.estimate('gpt-5'), /Unknown architecture/);
+    assert.throws(() => estimator.estimate({}), /parameter count/);
+});
@@ -0,0 +1,120 @@
+#!/usr/bin/env node
+
+/**
+ * Tests for scripts/build-precache-manifest.js
+ * Builds manifests for small sites in a temp directory.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const vm = require('vm');
+const PrecacheManifestBuilder = require('./scripts/build-precache-manifest.js');
+
+const tempDirs = [];
+
+test.after(() => tempDirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+
+function createSite(files) {
+    const rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'precache-'));
+    tempDirs.push(rootDir);
+    Object.entries(files).forEach(([file, content]) => {
+        fs.mkdirSync(path.dirname(path.join(rootDir, file)), { recursive: true });
+        fs.writeFileSync(path.join(rootDir, file), content);
+    });
+    return rootDir;
+}
+
+function createBuilder(rootDir, options = {}) {
+    return new PrecacheManifestBuilder({
+        rootDir,
+        assets: ['/', '/styles.css', '/data/search-index.json'],
+        ...options
+    });
+}
+
+function quietly(fn) {
+    const { log, warn } = console;
+    console.log = console.warn = () => {};
+    try {
+        return fn();
+    } finally {
+        Object.assign(console, { log, warn });
+    }
+}
+
+test('revisions hash file contents and directory URLs serve index.html', () => {
+    const rootDir = createSite({ 'index.html': '<h1>Home</h1>', 'styles.css': 'body{}', 'data/search-index.json': '{}' });
+    const manifest = createBuilder(rootDir).createManifest();
+    const builder = createBuilder(rootDir);
+
+    assert.deepEqual(manifest.assets.map(asset => asset.url), ['/', '/styles.css', '/data/search-index.json']);
+    assert.equal(manifest.assets[0].revision, builder.hash('<h1>Home</h1>'));
+    assert.match(manifest.version, /^[0-9a-f]{12}$/);
+});
+
+test('the version changes with precached files and every script or stylesheet', () => {
+    const rootDir = createSite({
+        'index.html': 'a',
+        'styles.css': 'b',
+        'data/search-index.json': '{}',
+        'other.html': 'x',
+        'js/widget.js': 'one()',
+        'node_modules/pkg/index.js': 'dep()'
+    });
+    let version = createBuilder(rootDir).createManifest().version;
+    const expectChange = (file, content, changes) => {
+        fs.mkdirSync(path.dirname(path.join(rootDir, file)), { recursive: true });
+        fs.writeFileSync(path.join(rootDir, file), content);
+        const next = createBuilder(rootDir).createManifest().version;
+        assert.equal(next !== version, changes, file);
+        version = next;
+    };
+
+    expectChange('other.html', 'changed', false);
+    expectChange('node_modules/pkg/index.js', 'dep(2)', false);
+    expectChange('precache-manifest.js', 'self.__PRECACHE_MANIFEST = {};', false);
+    expectChange('styles.css', 'body{color:red}', true);
+    // Not precached, but served cache-first from the release cache
+    expectChange('js/widget.js', 'two()', true);
+    expectChange('css/new.css', 'p{}', true);
+
+    assert.equal(createBuilder(rootDir).createManifest().versionedFiles, 3);
+});
+
+test('missing files fail the build unless they are optional', () => {
+    const rootDir = createSite({ 'index.html': 'a', 'styles.css': 'b' });
+
+    const manifest = quietly(() => createBuilder(rootDir).createManifest());
+    assert.deepEqual(manifest.assets.map(asset => asset.url), ['/', '/styles.css']);
+
+    assert.throws(
+        () => createBuilder(rootDir, { assets: ['/', '/floating-buttons.js'] }).createManifest(),
+        /Precached file not found: floating-buttons\.js \(\/floating-buttons\.js\)/
+    );
+});
+
+test('the written script is byte-identical across builds and sets the manifest for sw.js', () => {
+    const rootDir = createSite({ 'index.html': 'a', 'styles.css': 'b', 'data/search-index.json': '{}' });
+    const output = path.join(rootDir, 'precache-manifest.js');
+
+    const manifest = quietly(() => createBuilder(rootDir).build());
+    const first = fs.readFileSync(output, 'utf8');
+    quietly(() => createBuilder(rootDir).build());
+    assert.equal(fs.readFileSync(output, 'utf8'), first);
+
+    const scope = { self: {} };
+    vm.runInNewContext(first, scope);
+    assert.deepEqual(JSON.parse(JSON.stringify(scope.self.__PRECACHE_MANIFEST)), manifest);
+});
+
+test('the default asset list exists in this repository', () => {
+    const builder = new PrecacheManifestBuilder();
+    const missing = builder.config.assets
+        .filter(url => !builder.config.optionalAssets.includes(url))
+        .filter(url => !fs.existsSync(builder.resolveFile(url)));
+
+    assert.deepEqual(missing, []);
+});
@@ -0,0 +1,141 @@
+#!/usr/bin/env node
+
+/**
+ * Unit tests for js/search-ranking.js
+ * Covers stemming, typo tolerance, phrase and exclusion queries and BM25F
+ * field boosts over a small fixed collection.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const SearchRanker = require('./js/search-ranking.js');
+
+const ranker = new SearchRanker();
+
+function doc(url, fields) {
+    return { fields: { title: '', headings: '', keywords: '', body: '', ...fields }, meta: { url } };
+}
+
+const DOCUMENTS = [
+    doc('/what-is-gguf.html', {
+        title: 'What is GGUF',
+        headings: 'Quantization explained',
+        body: 'GGUF files store quantized weights. Quantization trades a little quality for much less memory.'
+    }),
+    doc('/docs/floating-chat-example/', {
+        title: 'Floating Chat addon example',
+        headings: 'Building the chat window',
+        body: 'The floating chat addon opens a small chat window over any application on Windows and macOS.'
+    }),
+    doc('/docs/installation/', {
+        title: 'Installation',
+        headings: 'Windows Linux macOS',
+        body: 'Install GGUF Loader with pip. A chat window opens when the floating button is clicked.'
+    }),
+    doc('/blog/memory.html', {
+        title: 'Running models on 16 GB of memory',
+        body: 'Memory use depends on the model size, the context length and the quantization level.'
+    })
+];
+
+function urls(index, query) {
+    return ranker.search(index, ranker.parseQuery(query))
+        .sort((a, b) => b.score - a.score)
+        .map(match => index.docs[match.docIndex].url);
+}
+
+test('inflections share a stem', () => {
+    assert.equal(ranker.stem('quantization'), 'quantiz');
+    assert.equal(ranker.stem('quantized'), 'quantiz');
+    assert.equal(ranker.stem('quantizing'), 'quantiz');
+    assert.equal(ranker.stem('models'), 'model');
+    assert.equal(ranker.stem('running'), 'run');
+    // Numbers and short words are left alone
+    assert.equal(ranker.stem('q4'), 'q4');
+    assert.equal(ranker.stem('is'), 'is');
+
+    assert.deepEqual(ranker.analyze('The Quantized models, ŕunning'), ['quantiz', 'model', 'run']);
+});
+
+test('British spellings and typos still find quantization pages', () => {
+    const index = ranker.createIndex(DOCUMENTS);
+
+    // "quantisation" stems to "quantis", one edit away from "quantiz"
+    assert.equal(ranker.stem('quantisation'), 'quantis');
+    for (const query of ['quantisation', 'quantized', 'quantizaton']) {
+        assert.deepEqual(urls(index, query).sort(), ['/blog/memory.html', '/what-is-gguf.html'], query);
+    }
+
+    // Short words get no typo allowance
+    assert.equal(ranker.maxTypos(4), 0);
+    assert.deepEqual(urls(index, 'chta'), []);
+
+    assert.equal(ranker.editDistance('quantiz', 'quantis'), 1);
+    assert.equal(ranker.editDistance('chat', 'caht'), 1, 'transpositions count once');
+    assert.equal(ranker.editDistance('installation', 'memory', 2), 3, 'gives up past the limit');
+});
+
+test('prefixes complete while typing', () => {
+    const index = ranker.createIndex(DOCUMENTS);
+    assert.deepEqual(urls(index, 'instal'), ['/docs/installation/']);
+    assert.deepEqual(urls(index, 'in'), [], 'prefixes need three letters');
+});
+
+test('quoted phrases need consecutive words', () => {
+    const index = ranker.createIndex(DOCUMENTS);
+
+    assert.deepEqual(ranker.parseQuery('"floating chat" addon').phrases, [{ text: 'floating chat', tokens: ['float', 'chat'] }]);
+    assert.deepEqual(urls(index, '"floating chat"'), ['/docs/floating-chat-example/']);
+    // Both words are on the installation page, but not together
+    assert.ok(urls(index, 'floating chat').includes('/docs/installation/'));
+    assert.deepEqual(urls(index, '"chat floating"'), []);
+
+    // Phrase words are matched exactly, without typo expansion
+    assert.deepEqual(urls(index, '"floting chat"'), []);
+});
+
+test('fields stored without positions match phrases on co-occurring words', () => {
+    const index = new SearchRanker({ positionFields: ['title', 'headings', 'keywords'] }).createIndex(DOCUMENTS);
+
+    assert.deepEqual(index.positionFields, ['title', 'headings', 'keywords']);
+    // Only title, heading and keyword tokens are kept in order
+    assert.equal(index.docs[1].sequence.filter(termId => termId >= 0).length, 7);
+    assert.deepEqual(urls(index, '"floating chat"').sort(), ['/docs/floating-chat-example/', '/docs/installation/']);
+    assert.deepEqual(urls(index, '"quantization explained"'), ['/what-is-gguf.html']);
+    assert.deepEqual(urls(index, '"explained quantization"'), []);
+});
+
+test('excluded words remove documents in any field', () => {
+    const index = ranker.createIndex(DOCUMENTS);
+
+    assert.deepEqual(ranker.parseQuery('chat -windows').excludes, ['window']);
+    assert.deepEqual(urls(index, 'chat -windows'), []);
+    assert.deepEqual(urls(index, 'memory -quantized'), []);
+    assert.deepEqual(urls(index, 'gguf -pip'), ['/what-is-gguf.html']);
+    assert.deepEqual(ranker.parseQuery('-windows').terms, [], 'exclusions alone match nothing');
+});
+
+test('title matches outrank body matches', () => {
+    const index = ranker.createIndex([
+        // Same-length fields, so length normalisation does not decide the order
+        doc('/body.html', { title: 'Hardware guide', headings: 'Processor', body: 'Notes about memory and processors.' }),
+        doc('/heading.html', { title: 'Hardware guide', headings: 'Memory', body: 'Notes about disks and processors.' }),
+        doc('/title.html', { title: 'Memory guide', headings: 'Processor', body: 'Notes about disks and processors.' })
+    ]);
+    assert.deepEqual(urls(index, 'memory'), ['/title.html', '/heading.html', '/body.html']);
+
+    // Boosts are configurable
+    const flat = new SearchRanker({ fieldBoosts: { title: 1, headings: 1, keywords: 1, body: 1 } });
+    assert.deepEqual(flat.createIndex(DOCUMENTS).fieldWeights, [1, 1, 1, 1]);
+});
+
+test('documents matching every term beat those matching one', () => {
+    const index = ranker.createIndex(DOCUMENTS);
+    const [first, second] = ranker.search(index, ranker.parseQuery('memory quantization'))
+        .sort((a, b) => b.score - a.score);
+
+    assert.equal(index.docs[first.docIndex].url, '/blog/memory.html');
+    assert.equal(first.matchedTerms, 2);
+    assert.equal(second.matchedTerms, 2);
+    assert.ok(ranker.search(index, ranker.parseQuery('memory windows')).every(match => match.matchedTerms === 1));
+});
@@ -0,0 +1,421 @@
+#!/usr/bin/env node
+
+/**
+ * Tests for sw.js
+ * Runs the worker in a vm context with in-memory stand-ins for the
+ * worker globals (self, caches, fetch, clients, indexedDB) and drives it
+ * with install, activate, fetch and message events.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ORIGIN = 'https://ggufloader.github.io';
+const SW_SOURCE = fs.readFileSync(path.join(__dirname, 'sw.js'), 'utf8');
+const MANIFEST = {
+    version: 'abc123',
+    assets: [
+        { url: '/', revision: '1' },
+        { url: '/styles.css', revision: '2' },
+        { url: '/data/search-index.json', revision: '3' }
+    ]
+};
+
+/**
+ * CacheStorage over Maps. Every match records { cacheName, url } in hits,
+ * so tests can tell which cache served a response.
+ */
+function createCacheStorage(hits) {
+    const caches = new Map();
+    const keyOf = (request) => new URL(typeof request === 'string' ? request : request.url, ORIGIN).href;
+    const withoutSearch = (url) => url.split('?')[0];
+
+    const open = (cacheName) => {
+        if (!caches.has(cacheName)) {
+            caches.set(cacheName, new Map());
+        }
+        const entries = caches.get(cacheName);
+
+        return {
+            async match(request, options = {}) {
+                const url = keyOf(request);
+                const key = entries.has(url)
+                    ? url
+                    : options.ignoreSearch && [...entries.keys()].find(other => withoutSearch(other) === withoutSearch(url));
+                if (!key) {
+                    return undefined;
+                }
+                hits.push({ cacheName, url: key });
+                return entries.get(key).clone();
+            },
+            async put(request, response) {
+                entries.set(keyOf(request), response.clone());
+            },
+            async delete(request) {
+                return entries.delete(keyOf(request));
+            },
+            async keys() {
+                return [...entries.keys()].map(url => ({ url }));
+            }
+        };
+    };
+
+    return {
+        entries: caches,
+        open: async (cacheName) => open(cacheName),
+        keys: async () => [...caches.keys()],
+        delete: async (cacheName) => caches.delete(cacheName),
+        async match(request, options) {
+            for (const cacheName of caches.keys()) {
+                const response = await open(cacheName).match(request, options);
+                if (response) {
+                    return response;
+                }
+            }
+            return undefined;
+        }
+    };
+}
+
+/**
+ * Enough of IndexedDB for one object store per database
+ */
+function createIndexedDB() {
+    const databases = new Map();
+    const later = (fn) => setTimeout(fn, 0);
+
+    return {
+        open(name) {
+            const request = {};
+            later(() => {
+                const isNew = !databases.has(name);
+                if (isNew) {
+                    databases.set(name, { keyPath: null, records: new Map() });
+                }
+                const database = databases.get(name);
+                request.result = {
+                    createObjectStore: (storeName, options) => {
+                        database.keyPath = options.keyPath;
+                    },
+                    transaction: () => {
+                        const transaction = {};
+                        const run = (fn) => {
+                            const storeRequest = {};
+                            later(() => {
+                                storeRequest.result = fn();
+                                later(() => transaction.oncomplete && transaction.oncomplete());
+                            });
+                            return storeRequest;
+                        };
+                        transaction.objectStore = () => ({
+                            get: key => run(() => structuredClone(database.records.get(key))),
+                            getAll: () => run(() => [...database.records.values()].map(record => structuredClone(record))),
+                            put: record => run(() => database.records.set(record[database.keyPath], structuredClone(record))),
+                            delete: key => run(() => database.records.delete(key)),
+                            clear: () => run(() => database.records.clear())
+                        });
+                        return transaction;
+                    },
+                    close: () => {}
+                };
+                if (isNew && request.onupgradeneeded) {
+                    request.onupgradeneeded();
+                }
+                request.onsuccess();
+            });
+            return request;
+        }
+    };
+}
+
+/**
+ * Load sw.js. network maps URLs (or paths) to { body, status, headers, delay };
+ * unknown URLs get a 404. Set worker.online = false to make fetch reject.
+ */
+function createWorker({ manifest = MANIFEST, network = {}, activeWorker = null } = {}) {
+    const listeners = {};
+    const hits = [];
+    const fetched = [];
+    const clientMessages = [];
+    const worker = { online: true, hits, fetched, clientMessages, claimed: false, skippedWaiting: false };
+    const caches = createCacheStorage(hits);
+
+    const respond = async (url) => {
+        const route = network[url] || network[new URL(url).pathname];
+        if (route && route.delay) {
+            await new Promise(resolve => setTimeout(resolve, route.delay));
+        }
+        if (!worker.online) {
+            throw new TypeError('Failed to fetch');
+        }
+        fetched.push(url);
+        return route
+            ? new Response(route.body, { status: route.status || 200, headers: route.headers || {} })
+            : new Response('Not found', { status: 404 });
+    };
+
+    const self = {
+        location: { origin: ORIGIN },
+        registration: { active: activeWorker },
+        navigator: { storage: { estimate: async () => ({ usage: 1024, quota: 1024 ** 3 }) } },
+        clients: {
+            matchAll: async () => [{ postMessage: message => clientMessages.push(structuredClone(message)) }],
+            claim: async () => {
+                worker.claimed = true;
+            }
+        },
+        skipWaiting: () => {
+            worker.skippedWaiting = true;
+        },
+        addEventListener: (type, listener) => {
+            listeners[type] = listener;
+        },
+        importScripts: () => {
+            if (!manifest) {
+                throw new Error('precache-manifest.js not found');
+            }
+            self.__PRECACHE_MANIFEST = manifest;
+        }
+    };
+
+    const context = vm.createContext({
+        self,
+        caches,
+        indexedDB: createIndexedDB(),
+        fetch: (request) => respond(new URL(typeof request === 'string' ? request : request.url, ORIGIN).href),
+        importScripts: (...urls) => self.importScripts(...urls),
+        console: { log() {}, warn() {}, error() {} },
+        // The worker's periodic cache report would keep the test process alive
+        setInterval: () => 0,
+        setTimeout,
+        URL,
+        Headers,
+        Response
+    });
+    vm.runInContext(SW_SOURCE, context, { filename: 'sw.js' });
+
+    const extendableEvent = (extra = {}) => {
+        const pending = [];
+        return { event: { waitUntil: promise => pending.push(promise), ...extra }, settled: () => Promise.all(pending) };
+    };
+
+    return Object.assign(worker, {
+        sw: context,
+        caches,
+        async install() {
+            const { event, settled } = extendableEvent();
+            listeners.install(event);
+            await settled();
+        },
+        async activate() {
+            const { event, settled } = extendableEvent();
+            listeners.activate(event);
+            await settled();
+        },
+        /**
+         * Dispatch a fetch event; resolves with the response, or null when
+         * the worker lets the browser handle the request
+         */
+        async fetch(url, method = 'GET') {
+            let responsePromise = null;
+            listeners.fetch({
+                request: { url: new URL(url, ORIGIN).href, method },
+                respondWith: promise => {
+                    responsePromise = promise;
+                }
+            });
+            return responsePromise ? await responsePromise : null;
+        },
+        message(data) {
+            return new Promise(resolve => {
+                const { event } = extendableEvent({ data, ports: [{ postMessage: reply => resolve(structuredClone(reply)) }] });
+                listeners.message(event);
+            });
+        },
+        cached(cacheName) {
+            return [...(caches.entries.get(cacheName) || new Map()).keys()].map(url => url.replace(ORIGIN, ''));
+        },
+        // Background work (cache refreshes, bookkeeping) runs after the response
+        settle: (ms = 30) => new Promise(resolve => setTimeout(resolve, ms))
+    });
+}
+
+test('requests are routed to a strategy and a cache by URL', () => {
+    const { sw } = createWorker();
+    const route = (pathname) => {
+        const request = { url: `${ORIGIN}${pathname}` };
+        return [sw.getCacheStrategy(request), sw.getCacheName(request)];
+    };
+
+    assert.deepEqual(route('/styles.css'), ['cacheFirst', 'gguf-loader-abc123-static']);
+    assert.deepEqual(route('/preview.png'), ['cacheFirst', 'gguf-loader-images-v1']);
+    assert.deepEqual(route('/fonts/inter.woff2'), ['cacheFirst', 'gguf-loader-fonts-v1']);
+    assert.deepEqual(route('/about.html'), ['networkFirst', 'gguf-loader-dynamic-v1']);
+    assert.deepEqual(route('/docs/installation/'), ['docs', 'gguf-loader-dynamic-v1']);
+    assert.deepEqual(route('/data/search-index.json'), ['staleWhileRevalidate', 'gguf-loader-abc123-search']);
+    assert.deepEqual(route('/search.html'), ['networkFirst', 'gguf-loader-abc123-search']);
+    assert.deepEqual(route('/data/models.json'), ['catalog', 'gguf-loader-dynamic-v1']);
+    assert.deepEqual(route('/offline/'), ['offlineIndex', 'gguf-loader-dynamic-v1']);
+});
+
+test('only the site and local previews are handled', async () => {
+    const worker = createWorker({ network: { '/about.html': { body: 'about' } } });
+
+    assert.equal(worker.sw.isAllowedOrigin(ORIGIN), true);
+    assert.equal(worker.sw.isAllowedOrigin('http://localhost:4000'), true);
+    assert.equal(worker.sw.isAllowedOrigin('https://www.googletagmanager.com'), false);
+    assert.equal(await worker.fetch('https://www.googletagmanager.com/gtag/js'), null);
+    assert.equal(await worker.fetch('/about.html', 'POST'), null);
+    assert.deepEqual(worker.fetched, []);
+});
+
+test('install precaches the manifest into the release caches', async () => {
+    const worker = createWorker({
+        network: {
+            '/': { body: '<h1>Home</h1>' },
+            '/styles.css': { body: 'body{}' },
+            '/data/search-index.json': { body: '{}' }
+        }
+    });
+
+    await worker.install();
+
+    assert.deepEqual(worker.cached('gguf-loader-abc123-static'), ['/', '/styles.css']);
+    assert.deepEqual(worker.cached('gguf-loader-abc123-search'), ['/data/search-index.json']);
+    assert.equal(worker.skippedWaiting, false);
+    // First install: nothing to update, so no prompt
+    assert.deepEqual(worker.clientMessages, []);
+});
+
+test('an update prompts open pages, and a failed precache fails the install', async () => {
+    const network = { '/': { body: 'home' }, '/styles.css': { body: 'css' }, '/data/search-index.json': { body: '{}' } };
+    const update = createWorker({ network, activeWorker: {} });
+    await update.install();
+    assert.deepEqual(update.clientMessages, [{ type: 'UPDATE_AVAILABLE', version: 'abc123' }]);
+
+    const broken = createWorker({ network: { '/': { body: 'home' } }, activeWorker: {} });
+    await assert.rejects(broken.install(), /Precaching \/styles\.css \(2\) failed: HTTP 404/);
+    assert.deepEqual(broken.clientMessages, []);
+});
+
+test('activate removes caches from other releases and claims pages', async () => {
+    const worker = createWorker();
+    for (const cacheName of ['gguf-loader-old-static', 'gguf-loader-old-search', 'gguf-loader-abc123-static', 'gguf-loader-dynamic-v1', 'gguf-loader-fonts-v1']) {
+        await worker.caches.open(cacheName);
+    }
+
+    await worker.activate();
+
+    assert.deepEqual(
+        [...worker.caches.entries.keys()].sort(),
+        ['gguf-loader-abc123-static', 'gguf-loader-dynamic-v1', 'gguf-loader-fonts-v1', 'gguf-loader-images-v1']
+    );
+    assert.equal(worker.claimed, true);
+});
+
+test('cacheFirst serves a fresh cached copy without the network', async () => {
+    const worker = createWorker({ network: { '/js/app.js': { body: 'console.log(1)', headers: { 'Content-Type': 'text/javascript' } } } });
+
+    const first = await worker.fetch('/js/app.js');
+    assert.equal(await first.text(), 'console.log(1)');
+    assert.deepEqual(worker.fetched, [`${ORIGIN}/js/app.js`]);
+
+    const second = await worker.fetch('/js/app.js');
+    assert.equal(await second.text(), 'console.log(1)');
+    assert.equal(second.headers.get('Content-Type'), 'text/javascript');
+    assert.equal(worker.fetched.length, 1);
+    assert.deepEqual(worker.hits.at(-1), { cacheName: 'gguf-loader-abc123-static', url: `${ORIGIN}/js/app.js` });
+});
+
+test('cacheFirst refetches an expired entry, but serves it when offline', async () => {
+    const worker = createWorker({ network: { '/images/chart.png': { body: 'new' } } });
+    const imageCache = await worker.caches.open('gguf-loader-images-v1');
+    const weekAndADay = (604800 + 86400) * 1000;
+    await imageCache.put('/images/chart.png', new Response('old', { headers: { 'sw-cache-time': String(Date.now() - weekAndADay) } }));
+
+    worker.online = false;
+    assert.equal(await (await worker.fetch('/images/chart.png')).text(), 'old');
+
+    worker.online = true;
+    assert.equal(await (await worker.fetch('/images/chart.png')).text(), 'new');
+    assert.deepEqual(worker.fetched, [`${ORIGIN}/images/chart.png`]);
+});
+
+test('cacheFirst answers 503 for an uncached asset while offline', async () => {
+    const worker = createWorker();
+    worker.online = false;
+
+    const response = await worker.fetch('/js/never-cached.js');
+
+    assert.equal(response.status, 503);
+});
+
+test('networkFirst prefers the network and falls back to the cached page', async () => {
+    const worker = createWorker({ network: { '/about.html': { body: '<title>About</title>v1', headers: { 'Content-Type': 'text/html' } } } });
+
+    assert.equal(await (await worker.fetch('/about.html')).text(), '<title>About</title>v1');
+    assert.deepEqual(worker.cached('gguf-loader-dynamic-v1'), ['/about.html']);
+    assert.deepEqual(worker.hits, []);
+
+    worker.online = false;
+    const offline = await worker.fetch('/about.html');
+    assert.equal(await offline.text(), '<title>About</title>v1');
+    assert.deepEqual(worker.hits.at(-1), { cacheName: 'gguf-loader-dynamic-v1', url: `${ORIGIN}/about.html` });
+});
+
+test('offline pages without a cached copy get the offline page', async () => {
+    const worker = createWorker();
+    worker.online = false;
+
+    const page = await worker.fetch('/blog.html');
+    const docs = await worker.fetch('/docs/addon-api/');
+
+    assert.equal(page.status, 200);
+    assert.match(await page.text(), /You're Offline[\s\S]*href="\/offline\/"/);
+    assert.match(await docs.text(), /<code>\/docs\/addon-api\/<\/code> hasn't been saved for offline reading/);
+});
+
+test('staleWhileRevalidate answers from cache on a slow network and refreshes it', async () => {
+    const worker = createWorker({ network: { '/data/search-index.json': { body: '{"v":2}', delay: 50 } } });
+    const searchCache = await worker.caches.open('gguf-loader-abc123-search');
+    await searchCache.put('/data/search-index.json', new Response('{"v":1}'));
+
+    const response = await worker.fetch('/data/search-index.json');
+
+    assert.equal(await response.text(), '{"v":1}');
+    // Answered before the network came back
+    assert.deepEqual(worker.fetched, []);
+    assert.deepEqual(worker.hits.at(-1), { cacheName: 'gguf-loader-abc123-search', url: `${ORIGIN}/data/search-index.json` });
+
+    await worker.settle(100);
+    assert.equal(await (await searchCache.match('/data/search-index.json')).text(), '{"v":2}');
+});
+
+test('networkFirst waits out a slow network rather than serving a stale page', async () => {
+    const worker = createWorker({ network: { '/guides.html': { body: 'fresh', delay: 30 } } });
+    const dynamicCache = await worker.caches.open('gguf-loader-dynamic-v1');
+    await dynamicCache.put('/guides.html', new Response('stale'));
+
+    assert.equal(await (await worker.fetch('/guides.html')).text(), 'fresh');
+    assert.deepEqual(worker.hits, []);
+});
+
+test('pages can ask for the version and activate a waiting worker', async () => {
+    const worker = createWorker();
+
+    assert.deepEqual(await worker.message({ type: 'GET_VERSION' }), { version: 'abc123' });
+    worker.message({ type: 'SKIP_WAITING' });
+    assert.equal(worker.skippedWaiting, true);
+});
+
+test('without a precache manifest the worker runs as a dev build', async () => {
+    const worker = createWorker({ manifest: null });
+
+    await worker.install();
+
+    assert.deepEqual(await worker.message({ type: 'GET_VERSION' }), { version: 'dev' });
+    assert.deepEqual(worker.cached('gguf-loader-dev-static'), []);
+});
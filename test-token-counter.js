@@ -0,0 +1,74 @@
+#!/usr/bin/env node
+
+/**
+ * Unit tests for js/token-counter.js
+ * Counts are estimates, so prose is checked against ranges of tokens per word
+ * and the piece rules against small hand-counted strings.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const MemoryEstimator = require('./js/memory-estimator.js');
+const TokenCounter = require('./js/token-counter.js');
+
+const counter = new TokenCounter();
+
+test('English prose costs about 1.2-1.5 tokens per word in every family', () => {
+    Object.keys(TokenCounter.FAMILIES).forEach(family => {
+        const result = counter.count(TokenCounter.SAMPLE_PROSE, family);
+        const perWord = result.tokens / result.words;
+
+        assert.ok(perWord >= 1.15 && perWord <= 1.5, `${family}: ${perWord.toFixed(2)} tokens per word`);
+    });
+});
+
+test('larger vocabularies need fewer tokens for the same text', () => {
+    const llama2 = counter.count(TokenCounter.SAMPLE_PROSE, 'llama').tokens;
+    const llama3 = counter.count(TokenCounter.SAMPLE_PROSE, 'llama-3').tokens;
+
+    assert.ok(llama3 < llama2, `${llama3} < ${llama2}`);
+});
+
+test('digits, punctuation, line breaks and indentation are costed separately', () => {
+    // SentencePiece splits numbers into digits; Llama 3 groups them in threes
+    assert.equal(counter.count('2024', 'llama').tokens, 4);
+    assert.equal(counter.count('2024', 'llama-3').tokens, 2);
+    // "Hi" "," "\n" "    " "yes" "..."
+    assert.equal(counter.count('Hi,\n    yes...', 'llama').tokens, 7);
+    assert.deepEqual(counter.count('', 'llama'), { family: 'llama', tokens: 0, words: 0, characters: 0, pages: 0 });
+});
+
+test('context fit keeps room for the reply and rounds the needed context to the slider step', () => {
+    assert.deepEqual(counter.contextFit(3584, 4096), { fraction: 1, fits: true, remaining: 0 });
+    assert.equal(counter.contextFit(3585, 4096).fits, false);
+    assert.equal(counter.requiredContext(3584), 4096);
+    assert.equal(counter.requiredContext(3585), 4608);
+    assert.equal(counter.requiredContext(0), 512);
+});
+
+test('pages that fit use the counted text when there is one', () => {
+    const prose = counter.pagesThatFit(8192, 'llama');
+    const dense = counter.pagesThatFit(8192, 'llama', { tokens: 2000, words: 1000 });
+
+    assert.ok(prose > 9 && prose < 13, `${prose.toFixed(1)} pages of prose in 8K`);
+    assert.equal(dense, (8192 - 512) / 2 / 500);
+});
+
+test('every memory estimator architecture maps to a tokenizer family', () => {
+    Object.keys(MemoryEstimator.ARCHITECTURES).forEach(architecture => {
+        const family = counter.familyForArchitecture(architecture);
+
+        assert.ok(TokenCounter.FAMILIES[family].architectures.includes(architecture), architecture);
+    });
+    assert.equal(counter.familyForArchitecture('gguf'), 'llama');
+    assert.throws(() => counter.count('text', 'bert'), /Unknown tokenizer family "bert"/);
+});
+
+test('text and markdown files are read, PDFs and other files are refused', async () => {
+    const file = (name, content = 'Clause 1') => ({ name, text: async () => content });
+
+    assert.equal(await counter.readFile(file('contract.TXT')), 'Clause 1');
+    assert.equal(await counter.readFile(file('notes.md', '# Notes')), '# Notes');
+    await assert.rejects(counter.readFile(file('contract.pdf')), /copy the text out of the PDF/);
+    await assert.rejects(counter.readFile(file('contract.docx')), /Unsupported file type "\.docx"/);
+});
@@ -0,0 +1,127 @@
+#!/usr/bin/env node
+
+/**
+ * Tests for scripts/validate-models.js
+ * Each fixture is the real catalog with one mistake edited in, so the
+ * reported file:line:column can be checked against the edited text.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const ModelCatalogValidator = require('./scripts/validate-models.js');
+
+const CATALOG = fs.readFileSync(path.join(__dirname, 'data', 'models.json'), 'utf8');
+
+/**
+ * Catalog text with one substring replaced
+ */
+function edit(search, replacement, source = CATALOG) {
+    assert.ok(source.includes(search), `fixture text not found: ${search}`);
+    return source.replace(search, replacement);
+}
+
+/**
+ * 1-based line and column of the first occurrence of text
+ */
+function positionOf(source, text) {
+    const offset = source.indexOf(text);
+    const before = source.slice(0, offset).split('\n');
+    return { line: before.length, column: before[before.length - 1].length + 1 };
+}
+
+function validate(source) {
+    return new ModelCatalogValidator().validate(source);
+}
+
+test('the catalog in the repo is valid', () => {
+    const result = validate(CATALOG);
+    assert.deepEqual(result.errors, []);
+    assert.equal(result.valid, true);
+    assert.deepEqual(result.warnings, []);
+});
+
+test('duplicate model ids point at the second definition', () => {
+    const source = edit('"id": "llama2-7b-chat"', '"id": "mistral-7b-instruct"');
+    const { errors } = validate(source);
+
+    const duplicate = errors.find(error => error.message.startsWith('duplicate model id'));
+    assert.equal(duplicate.pointer, '/models/1/id');
+    assert.match(duplicate.message, new RegExp(`first defined at line ${positionOf(source, '"id": "mistral-7b-instruct"').line}\\)`));
+
+    const second = source.indexOf('"id": "mistral-7b-instruct"', source.indexOf('"id": "mistral-7b-instruct"') + 1);
+    const line = source.slice(0, second).split('\n').length;
+    assert.deepEqual(duplicate.location, { line, column: 7 });
+});
+
+test('unknown properties are reported at the key with a suggestion', () => {
+    const source = edit('"minVRAM": 0,', '"MinVRAM": 0, "minVRAM": 0, "license": "MIT",');
+    const { errors } = validate(source);
+
+    assert.deepEqual(errors.map(error => [error.pointer, error.message]), [
+        ['/models/0/MinVRAM', 'unknown property "MinVRAM" (did you mean "minVRAM"?)'],
+        ['/models/0/license', 'unknown property "license"']
+    ]);
+    assert.deepEqual(errors[0].location, positionOf(source, '"MinVRAM"'));
+});
+
+test('type and enum errors name the offending value', () => {
+    const source = edit('"minRAM": 8,', '"minRAM": "8GB",');
+    const { errors } = validate(source);
+
+    const typeError = errors.find(error => error.pointer === '/models/0/minRAM');
+    assert.match(typeError.message, /must be/);
+    assert.deepEqual(typeError.location, positionOf(source, '"minRAM": "8GB"'));
+
+    const difficulty = validate(edit('"difficulty": "Beginner"', '"difficulty": "Easy"')).errors;
+    assert.deepEqual(difficulty.map(error => error.message), ['must be one of "Beginner", "Intermediate", "Advanced"']);
+});
+
+test('invalid JSON reports where parsing stopped', () => {
+    const trailingComma = edit('"minVRAM": 0,', '"minVRAM": 0,,');
+    const [error] = validate(trailingComma).errors;
+    assert.equal(error.pointer, '');
+    assert.match(error.message, /^Invalid JSON: expected a string but found ','/);
+    const comma = positionOf(trailingComma, '"minVRAM": 0,,');
+    assert.deepEqual(error.location, { line: comma.line, column: comma.column + '"minVRAM": 0,'.length });
+
+    const unterminated = validate('{\n  "models": [\n    "open\n  ]\n}').errors[0];
+    assert.match(unterminated.message, /unterminated string/);
+    assert.deepEqual(unterminated.location, { line: 3, column: 5 });
+
+    assert.match(validate('{"models": []} x').errors[0].message, /after the end of the document/);
+});
+
+test('cross-checks catch what the schema cannot', () => {
+    const source = edit('"recommendedRAM": 16,', '"recommendedRAM": 6,');
+    const messages = validate(source).errors.map(error => `${error.pointer} ${error.message}`);
+
+    assert.ok(messages.includes('/models/0/minRAM minRAM (8) is higher than recommendedRAM (6)'));
+    assert.ok(messages.some(message => message.startsWith('/models/0/variants/2/recommendedRAM default variant')));
+});
+
+test('variant RAM below the memory estimate is flagged', () => {
+    const { valid, warnings } = validate(edit(
+        '{ "quantization": "Q8_0", "fileSize": 7.7, "bitsPerWeight": 8.5, "minRAM": 12,',
+        '{ "quantization": "Q8_0", "fileSize": 7.7, "bitsPerWeight": 8.5, "minRAM": 6,'
+    ));
+
+    assert.equal(valid, true);
+    assert.deepEqual(warnings.map(warning => [warning.pointer, warning.message]), [
+        ['/models/0/variants/5/minRAM', 'Q8_0 needs at least 11GB RAM by MemoryEstimator but minRAM is 6']
+    ]);
+});
+
+test('tags close to a category id are flagged as likely typos', () => {
+    const { valid, warnings } = validate(edit('"instruct", "general", "coding", "beginner-friendly"', '"instruct", "general", "codng", "beginner-friendly"'));
+
+    // Free-form tags such as "instruct" are fine; the typo is only a warning
+    assert.equal(valid, true);
+    assert.deepEqual(warnings.map(warning => [warning.pointer, warning.message]), [
+        ['/models/0/tags/2', 'tag "codng" is not a category id (did you mean "coding"?)']
+    ]);
+
+    const chats = validate(edit('"chat", "conversational"', '"chats", "conversational"')).warnings;
+    assert.ok(chats.some(warning => warning.message.includes('"chats" is not a category id (did you mean "chat"?)')));
+});
@@ -1,6 +1,7 @@
 /**
  * User Behavior Tracking System
- * Tracks popular content, navigation patterns, model downloads, and UI optimization insights
+ * Tracks popular content, navigation patterns, model downloads, and UI optimization insights.
+ * Runs only while the visitor allows the behavior consent category (js/consent-manager.js).
  */
 
 class UserBehaviorTracker {
@@ -53,6 +54,7 @@ class UserBehaviorTracker {
         };
         
         this.isTracking = false;
+        this.listenersReady = false;
         this.currentPage = window.location.pathname;
         this.pageStartTime = Date.now();
         
@@ -64,36 +66,51 @@ class UserBehaviorTracker {
      */
     init() {
         if (!this.shouldTrack()) {
-            console.log('User behavior tracking disabled or not consented');
+            console.log('User behavior tracking disabled');
             return;
         }
         
-        this.setupEventListeners();
-        this.startTracking();
-        this.trackPageView();
-        
-        // Setup periodic data reporting
-        this.setupReporting();
-        
-        console.log('User behavior tracking initialized');
+        // Start when behavior tracking is allowed, now or later; stop when it is withdrawn
+        this.applyConsent(window.consentManager?.getState());
+        window.consentManager?.onChange(state => this.applyConsent(state));
+    }
+    
+    /**
+     * Start or stop tracking for a consent decision
+     */
+    applyConsent(state) {
+        const allowed = state?.categories.behavior === true;
+        
+        if (allowed && !this.isTracking) {
+            if (!this.listenersReady) {
+                this.setupEventListeners();
+                // Setup periodic data reporting
+                this.setupReporting();
+                this.listenersReady = true;
+            }
+            this.startTracking();
+            this.trackPageView();
+            console.log('User behavior tracking initialized');
+        } else if (!allowed && this.isTracking) {
+            this.isTracking = false;
+            clearInterval(this.trackingInterval);
+            this.clearData();
+            console.log('User behavior tracking stopped: consent withdrawn');
+        }
     }
     
     /**
      * Check if tracking should be enabled
      */
     shouldTrack() {
-        // Check analytics consent
-        if (window.analyticsManager && !window.analyticsManager.consentGiven) {
-            return false;
-        }
-        
         // Check if user is admin/developer (skip tracking)
         if (this.isAdminUser()) {
             return false;
         }
         
-        // Check sample rate for heatmap tracking
-        if (this.config.enableHeatmapTracking && Math.random() > this.config.heatmapSampleRate) {
+        // Check sample rate for heatmap tracking; the bus keeps the decision for the whole visit
+        if (this.config.enableHeatmapTracking &&
+            !window.analyticsEventBus?.isSampled('heatmap', this.config.heatmapSampleRate * 100)) {
             this.config.enableHeatmapTracking = false;
         }
         
@@ -104,6 +121,14 @@ class UserBehaviorTracker {
      * Check if current user is admin/developer
      */
     isAdminUser() {
+        return UserBehaviorTracker.isAdminUser();
+    }
+    
+    /**
+     * Admins and developers are not tracked; they get the heatmap overlay
+     * (js/heatmap-overlay.js) instead
+     */
+    static isAdminUser() {
         // Check for development environment
         if (window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1') {
             return true;
@@ -117,6 +142,13 @@ class UserBehaviorTracker {
         return false;
     }
     
+    /**
+     * Publish an event on the analytics event bus
+     */
+    publish(eventName, params) {
+        window.analyticsEventBus?.publish(eventName, params, { source: 'user-behavior' });
+    }
+    
     /**
      * Generate unique session ID
      */
@@ -250,14 +282,12 @@ class UserBehaviorTracker {
         this.addInteraction('button_click', buttonData);
         
         // Send to analytics
-        if (window.analyticsManager) {
-            window.analyticsManager.trackEvent('button_click', {
-                event_category: 'UI Interaction',
-                button_text: buttonData.buttonText,
-                button_id: buttonData.buttonId,
-                page_location: window.location.href
-            });
-        }
+        this.publish('button_click', {
+            event_category: 'UI Interaction',
+            button_text: buttonData.buttonText,
+            button_id: buttonData.buttonId,
+            page_location: window.location.href
+        });
     }
     
     /**
@@ -278,14 +308,12 @@ class UserBehaviorTracker {
         // Track external vs internal links
         const linkCategory = linkData.isExternal ? 'External Link' : 'Internal Link';
         
-        if (window.analyticsManager) {
-            window.analyticsManager.trackEvent('link_click', {
-                event_category: linkCategory,
-                link_text: linkData.linkText,
-                link_url: linkData.linkHref,
-                page_location: window.location.href
-            });
-        }
+        this.publish('link_click', {
+            event_category: linkCategory,
+            link_text: linkData.linkText,
+            link_url: linkData.linkHref,
+            page_location: window.location.href
+        });
     }
     
     /**
@@ -308,14 +336,12 @@ class UserBehaviorTracker {
         
         this.addInteraction('floating_button_click', floatingButtonData);
         
-        if (window.analyticsManager) {
-            window.analyticsManager.trackEvent('floating_button_click', {
-                event_category: 'Floating Buttons',
-                button_text: floatingButtonData.buttonText,
-                button_type: floatingButtonData.isServiceButton ? 'service' : 'navigation',
-                page_location: window.location.href
-            });
-        }
+        this.publish('floating_button_click', {
+            event_category: 'Floating Buttons',
+            button_text: floatingButtonData.buttonText,
+            button_type: floatingButtonData.isServiceButton ? 'service' : 'navigation',
+            page_location: window.location.href
+        });
     }
     
     /**
@@ -330,14 +356,12 @@ class UserBehaviorTracker {
         
         this.addInteraction('model_comparison_interaction', comparisonData);
         
-        if (window.analyticsManager) {
-            window.analyticsManager.trackEvent('model_comparison_interaction', {
-                event_category: 'Model Comparison',
-                tool_section: comparisonData.toolSection,
-                action: comparisonData.action,
-                page_location: window.location.href
-            });
-        }
+        this.publish('model_comparison_interaction', {
+            event_category: 'Model Comparison',
+            tool_section: comparisonData.toolSection,
+            action: comparisonData.action,
+            page_location: window.location.href
+        });
     }
     
     /**
@@ -353,13 +377,13 @@ class UserBehaviorTracker {
         
         this.addInteraction('documentation_navigation', docData);
         
-        if (window.analyticsManager) {
-            window.analyticsManager.trackDocumentationUsage(
-                docData.targetPage || 'unknown',
-                'navigation',
-                docData.navType
-            );
-        }
+        this.publish('documentation_usage', {
+            event_category: 'Documentation',
+            event_label: docData.targetPage || 'unknown',
+            doc_action: 'navigation',
+            doc_section: docData.navType,
+            page_location: window.location.href
+        });
     }
     
     /**
@@ -395,16 +419,17 @@ class UserBehaviorTracker {
                         
                         this.addEvent(scrollData);
                         
-                        if (window.analyticsManager) {
-                            window.analyticsManager.trackEngagement('scroll_depth', milestone, {
-                                page_location: window.location.href
-                            });
-                        }
+                        this.publish('engagement', {
+                            event_category: 'Engagement',
+                            engagement_type: 'scroll_depth',
+                            engagement_value: milestone,
+                            page_location: window.location.href
+                        });
                     }
                 });
                 
                 // Update heatmap data
-                if (this.config.enableHeatmapTracking) {
+                if (this.config.enableHeatmapTracking && this.isTracking) {
                     this.heatmapData.scrollDepth[window.location.pathname] = maxScrollDepth;
                 }
             }, 100);
@@ -468,14 +493,12 @@ class UserBehaviorTracker {
         
         this.addEvent(formData);
         
-        if (window.analyticsManager) {
-            window.analyticsManager.trackEvent('form_submit', {
-                event_category: 'Forms',
-                form_id: formData.formId,
-                form_action: formData.formAction,
-                page_location: window.location.href
-            });
-        }
+        this.publish('form_submit', {
+            event_category: 'Forms',
+            form_id: formData.formId,
+            form_action: formData.formAction,
+            page_location: window.location.href
+        });
     }
     
     /**
@@ -507,6 +530,8 @@ class UserBehaviorTracker {
      * Track search queries
      */
     trackSearch(query, searchType = 'site_search') {
+        if (!this.isTracking) return;
+        
         if (!query || query.length < 2) return;
         
         const searchData = {
@@ -520,9 +545,12 @@ class UserBehaviorTracker {
         this.sessionData.searches.push(searchData);
         this.addEvent(searchData);
         
-        if (window.analyticsManager) {
-            window.analyticsManager.trackSearch(query, 0, searchType);
-        }
+        this.publish('search', {
+            event_category: 'Search',
+            search_term: query,
+            search_type: searchType,
+            results_count: 0
+        });
     }
     
     /**
@@ -587,6 +615,8 @@ class UserBehaviorTracker {
      * Track downloads
      */
     trackDownload(link) {
+        if (!this.isTracking) return;
+        
         const downloadData = {
             type: 'download',
             timestamp: Date.now(),
@@ -601,13 +631,13 @@ class UserBehaviorTracker {
         this.sessionData.downloads.push(downloadData);
         this.addEvent(downloadData);
         
-        if (window.analyticsManager) {
-            window.analyticsManager.trackDownload(
-                downloadData.fileName,
-                downloadData.fileType,
-                downloadData.fileUrl
-            );
-        }
+        this.publish('file_download', {
+            event_category: 'Downloads',
+            event_label: downloadData.fileName,
+            file_type: downloadData.fileType,
+            download_url: downloadData.fileUrl,
+            page_location: window.location.href
+        });
         
         // Track model-specific downloads
         if (this.isModelDownload(link.href)) {
@@ -637,15 +667,13 @@ class UserBehaviorTracker {
         
         this.addInteraction('model_download', modelData);
         
-        if (window.analyticsManager) {
-            window.analyticsManager.trackEvent('model_download', {
-                event_category: 'Model Downloads',
-                model_name: modelData.modelName,
-                model_size: modelData.modelSize,
-                model_type: modelData.modelType,
-                page_location: window.location.href
-            });
-        }
+        this.publish('model_download', {
+            event_category: 'Model Downloads',
+            model_name: modelData.modelName,
+            model_size: modelData.modelSize,
+            model_type: modelData.modelType,
+            page_location: window.location.href
+        });
     }
     
     /**
@@ -675,6 +703,8 @@ class UserBehaviorTracker {
      * Track page changes
      */
     trackPageChange(fromPath, toPath) {
+        if (!this.isTracking) return;
+        
         const navigationData = {
             type: 'page_change',
             timestamp: Date.now(),
@@ -701,10 +731,12 @@ class UserBehaviorTracker {
         document.addEventListener('mousemove', (event) => {
             clearTimeout(mouseMoveTimeout);
             mouseMoveTimeout = setTimeout(() => {
-                if (Math.random() < 0.01) { // 1% sampling
+                if (this.isTracking && Math.random() < 0.01) { // 1% sampling
                     this.heatmapData.mouseMovements.push({
                         x: event.clientX,
                         y: event.clientY,
+                        pageX: event.pageX,
+                        pageY: event.pageY,
                         timestamp: Date.now(),
                         page: window.location.pathname
                     });
@@ -721,6 +753,8 @@ class UserBehaviorTracker {
      */
     setupElementTimeTracking() {
         const observer = new IntersectionObserver((entries) => {
+            if (!this.isTracking) return;
+            
             entries.forEach(entry => {
                 const elementId = this.getElementId(entry.target);
                 
@@ -839,6 +873,18 @@ class UserBehaviorTracker {
         this.sendData();
     }
     
+    /**
+     * Forget everything recorded in this session
+     */
+    clearData() {
+        ['events', 'pageViews', 'interactions', 'downloads', 'searches'].forEach(key => {
+            this.sessionData[key] = [];
+        });
+        this.heatmapData = { clicks: [], scrollDepth: {}, timeOnElements: {}, mouseMovements: [] };
+        Object.keys(this.contentMetrics).forEach(key => { this.contentMetrics[key] = {}; });
+        this.navigationPatterns = { userFlows: [], commonPaths: {}, dropoffPoints: {}, conversionFunnels: {} };
+    }
+    
     /**
      * Collect periodic data
      */
@@ -859,6 +905,8 @@ class UserBehaviorTracker {
      * Add event to session data
      */
     addEvent(eventData) {
+        if (!this.isTracking) return;
+        
         if (this.sessionData.events.length >= this.config.maxEventsPerSession) {
             // Remove oldest events
             this.sessionData.events = this.sessionData.events.slice(-this.config.maxEventsPerSession + 100);
@@ -941,21 +989,26 @@ class UserBehaviorTracker {
             events: [...this.sessionData.events],
             contentMetrics: { ...this.contentMetrics },
             navigationPatterns: { ...this.navigationPatterns },
-            heatmapData: this.config.enableHeatmapTracking ? { ...this.heatmapData } : null,
+            // The viewport lets heatmaps separate mobile and desktop layouts
+            heatmapData: this.config.enableHeatmapTracking ? {
+                ...this.heatmapData,
+                viewport: { width: window.innerWidth, height: window.innerHeight }
+            } : null,
             sessionSummary: this.getSessionSummary()
         };
         
-        // Send to analytics manager
-        if (window.analyticsManager) {
-            window.analyticsManager.trackEvent('user_behavior_data', {
-                event_category: 'User Behavior',
-                session_id: this.sessionData.sessionId,
-                events_count: this.sessionData.events.length,
-                page_views: this.sessionData.pageViews.length,
-                interactions: this.sessionData.interactions.length,
-                downloads: this.sessionData.downloads.length
-            });
-        }
+        // GA4 keeps the counts; the collector and localStorage get the full report
+        this.publish('user_behavior_data', {
+            event_category: 'User Behavior',
+            session_id: this.sessionData.sessionId,
+            events_count: this.sessionData.events.length,
+            page_views: this.sessionData.pageViews.length,
+            interactions: this.sessionData.interactions.length,
+            downloads: this.sessionData.downloads.length,
+            events: reportData.events,
+            heatmap: reportData.heatmapData,
+            summary: reportData.sessionSummary
+        });
         
         // Clear sent events
         this.sessionData.events = [];
@@ -1089,6 +1142,8 @@ class UserBehaviorTracker {
 }
 
 // Initialize user behavior tracking
+window.UserBehaviorTracker = UserBehaviorTracker;
+
 document.addEventListener('DOMContentLoaded', () => {
     // Wait for analytics to be ready
     setTimeout(() => {